@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Utilities for extracting information from AWS API Gateway Lambda Proxy integration request events, which supports
+ * API Gateway REST API (i.e. payload format 1.0) events, API Gateway HTTP API (i.e. payload format 2.0) events and
+ * Application Load Balancer (ALB) target events (with or without multi-value headers enabled).
+ * @module aws-core-utils/api-events
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.getEventFormat = getEventFormat;
+exports.isHttpApiEvent = isHttpApiEvent;
+exports.isAlbEvent = isAlbEvent;
+exports.isMultiValueEvent = isMultiValueEvent;
+exports.getHttpMethod = getHttpMethod;
+exports.getPath = getPath;
+exports.getResource = getResource;
+exports.getHeaders = getHeaders;
+exports.getHeader = getHeader;
+exports.getPathParameters = getPathParameters;
+exports.getQueryStringParameters = getQueryStringParameters;
+exports.getCookies = getCookies;
+exports.getSourceIp = getSourceIp;
+exports.toRequest = toRequest;
+
+/**
+ * The supported formats of API request events.
+ * @enum {string}
+ */
+const EventFormat = {
+  /** An API Gateway REST API Lambda Proxy integration (i.e. payload format 1.0) event */
+  REST_API: 'REST_API',
+  /** An API Gateway HTTP API Lambda Proxy integration (i.e. payload format 2.0) event */
+  HTTP_API: 'HTTP_API',
+  /** An Application Load Balancer (ALB) Lambda target event */
+  ALB: 'ALB'
+};
+exports.EventFormat = EventFormat;
+
+/**
+ * Detects the format of the given API request event.
+ * @param {ApiEvent|AWSEvent|*} event - an API request event
+ * @returns {EventFormat} the format of the event (defaults to REST_API for any unrecognised event)
+ */
+function getEventFormat(event) {
+  return isHttpApiEvent(event) ? EventFormat.HTTP_API : isAlbEvent(event) ? EventFormat.ALB : EventFormat.REST_API;
+}
+
+/**
+ * Returns true if the given event is an API Gateway HTTP API (i.e. payload format 2.0) event; false otherwise.
+ * @param {ApiEvent|AWSEvent|*} event - an API request event
+ * @returns {boolean} true if an HTTP API event; false otherwise
+ */
+function isHttpApiEvent(event) {
+  return !!event && event.version === '2.0' && !!event.requestContext && !!event.requestContext.http;
+}
+
+/**
+ * Returns true if the given event is an Application Load Balancer (ALB) target event; false otherwise.
+ * @param {ApiEvent|AWSEvent|*} event - an API request event
+ * @returns {boolean} true if an ALB event; false otherwise
+ */
+function isAlbEvent(event) {
+  return !!event && !!event.requestContext && !!event.requestContext.elb;
+}
+
+/**
+ * Returns true if the given event only has multi-value headers (e.g. an ALB target event with multi-value headers
+ * enabled), in which case any response to it must also use multi-value headers; false otherwise.
+ * @param {ApiEvent|AWSEvent|*} event - an API request event
+ * @returns {boolean} true if a multi-value event; false otherwise
+ */
+function isMultiValueEvent(event) {
+  return !!event && !event.headers && !!event.multiValueHeaders && typeof event.multiValueHeaders === 'object';
+}
+
+/**
+ * Returns the upper-case HTTP method of the given API Gateway Lambda Proxy request event.
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @returns {string} the HTTP method (if any) or an empty string
+ */
+function getHttpMethod(event) {
+  const requestContext = event && event.requestContext;
+  const method = event && (event.httpMethod || (requestContext && (requestContext.httpMethod ||
+    (requestContext.http && requestContext.http.method))));
+  return method ? `${method}`.toUpperCase() : '';
+}
+
+/**
+ * Returns the request path of the given API Gateway Lambda Proxy request event (i.e. its `path` or, for an HTTP API
+ * event, its `rawPath`).
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @returns {string} the path (if any) or an empty string
+ */
+function getPath(event) {
+  return event ? event.path || event.rawPath || '' : '';
+}
+
+/**
+ * Returns the API Gateway resource (i.e. path template) of the given API Gateway Lambda Proxy request event (i.e. its
+ * `resource` or, for an HTTP API event, the path template of its `routeKey`).
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @returns {string} the resource (if any) or an empty string
+ */
+function getResource(event) {
+  if (!event) return '';
+  if (event.resource) return event.resource;
+  // HTTP API route keys look like 'GET /orders/{orderId}' (or '$default')
+  const routeKey = isHttpApiEvent(event) && event.routeKey;
+  const parts = routeKey ? `${routeKey}`.trim().split(/\s+/) : [];
+  return parts.length === 2 ? parts[1] : '';
+}
+
+/**
+ * Returns the headers of the given API Gateway Lambda Proxy request event. For an event that ONLY has multi-value
+ * headers (e.g. an ALB target event with multi-value headers enabled), each header's values are joined with commas.
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @returns {Object.<string, string>} the headers (if any) or an empty object
+ */
+function getHeaders(event) {
+  if (event && event.headers && typeof event.headers === 'object') {
+    return event.headers;
+  }
+  if (isMultiValueEvent(event)) {
+    const headers = {};
+    Object.keys(event.multiValueHeaders).forEach(name => {
+      const values = event.multiValueHeaders[name];
+      headers[name] = Array.isArray(values) ? values.join(',') : values;
+    });
+    return headers;
+  }
+  return {};
+}
+
+/**
+ * Returns the value of the named header (matched case-insensitively) of the given API Gateway Lambda Proxy request event.
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @param {string} name - the name of the header
+ * @returns {string|undefined} the header value (if any) or undefined
+ */
+function getHeader(event, name) {
+  const headers = getHeaders(event);
+  if (headers.hasOwnProperty(name)) {
+    return headers[name];
+  }
+  const lowerCaseName = name.toLowerCase();
+  const keys = Object.keys(headers);
+  for (let i = 0; i < keys.length; ++i) {
+    if (keys[i].toLowerCase() === lowerCaseName) {
+      return headers[keys[i]];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Returns the path parameters of the given API Gateway Lambda Proxy request event.
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @returns {Object.<string, string>} the path parameters (if any) or an empty object
+ */
+function getPathParameters(event) {
+  return event && event.pathParameters && typeof event.pathParameters === 'object' ? event.pathParameters : {};
+}
+
+/**
+ * Returns the query string parameters of the given API Gateway Lambda Proxy request event. For an event that ONLY has
+ * multi-value query string parameters, the last value of each parameter is used. The (undecoded) query string
+ * parameters of an ALB target event are URL decoded.
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @returns {Object.<string, string>} the query string parameters (if any) or an empty object
+ */
+function getQueryStringParameters(event) {
+  let params = event && event.queryStringParameters && typeof event.queryStringParameters === 'object' ?
+    event.queryStringParameters : undefined;
+
+  if (!params && event && event.multiValueQueryStringParameters &&
+    typeof event.multiValueQueryStringParameters === 'object') {
+    params = {};
+    Object.keys(event.multiValueQueryStringParameters).forEach(name => {
+      const values = event.multiValueQueryStringParameters[name];
+      params[name] = Array.isArray(values) ? values[values.length - 1] : values;
+    });
+  }
+
+  if (params && isAlbEvent(event)) {
+    const decoded = {};
+    Object.keys(params).forEach(name => {
+      decoded[decodeQueryComponent(name)] = decodeQueryComponent(params[name]);
+    });
+    return decoded;
+  }
+  return params || {};
+}
+
+function decodeQueryComponent(value) {
+  try {
+    return decodeURIComponent(`${value}`.replace(/\+/g, ' '));
+  } catch (err) {
+    return value;
+  }
+}
+
+/**
+ * Returns the cookies of the given API Gateway Lambda Proxy request event (i.e. from the `cookies` of an HTTP API event
+ * or otherwise from its `Cookie` header).
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @returns {Object.<string, string>} a map of cookie names to values (if any) or an empty object
+ */
+function getCookies(event) {
+  const pairs = event && Array.isArray(event.cookies) ? event.cookies :
+    (getHeader(event, 'Cookie') || '').split(';');
+
+  const cookies = {};
+  pairs.forEach(pair => {
+    const i = pair.indexOf('=');
+    const name = (i !== -1 ? pair.substring(0, i) : pair).trim();
+    if (name) {
+      const value = i !== -1 ? pair.substring(i + 1).trim() : '';
+      cookies[name] = decodeQueryComponent(value.replace(/^"(.*)"$/, '$1'));
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Returns the source IP address of the given API Gateway Lambda Proxy request event (if available). For an ALB event,
+ * which has no request context identity, this is the LAST (i.e. right-most) `X-Forwarded-For` address, which is the
+ * one appended by the load balancer itself (NB: any earlier addresses are client-supplied & can be spoofed).
+ * @param {ApiEvent|AWSEvent|*} event - an API Gateway Lambda Proxy request event
+ * @returns {string|undefined} the source IP address (if any) or undefined
+ */
+function getSourceIp(event) {
+  const requestContext = event && event.requestContext;
+  const sourceIp = requestContext && ((requestContext.http && requestContext.http.sourceIp) ||
+    (requestContext.identity && requestContext.identity.sourceIp));
+  if (sourceIp) return sourceIp;
+  const forwardedFor = getHeader(event, 'X-Forwarded-For');
+  const addresses = forwardedFor ? forwardedFor.split(',').map(a => a.trim()).filter(a => a) : [];
+  return addresses.length > 0 ? addresses[addresses.length - 1] : undefined;
+}
+
+/**
+ * Builds a normalized (but unvalidated) request view of the given API Gateway REST API, HTTP API or ALB request event
+ * with copies of its path parameters (preferring any path parameters already parsed onto the context by a router),
+ * query string parameters and headers (with lower-cased names) and its raw body.
+ * @param {ApiEvent|AWSEvent|*} event - an API request event
+ * @param {StandardHandlerContext|undefined} [context] - the context to use
+ * @returns {ApiRequest} the request
+ */
+function toRequest(event, context) {
+  const pathParameters = (context && context.pathParameters) || getPathParameters(event);
+  const headers = getHeaders(event);
+
+  const request = {
+    format: getEventFormat(event),
+    method: getHttpMethod(event),
+    path: getPath(event),
+    resource: getResource(event),
+    pathParameters: copyOf(pathParameters),
+    queryStringParameters: copyOf(getQueryStringParameters(event)),
+    headers: {},
+    cookies: getCookies(event),
+    sourceIp: getSourceIp(event),
+    body: event ? event.body : undefined,
+    isBase64Encoded: !!(event && event.isBase64Encoded)
+  };
+  Object.keys(headers).forEach(name => {
+    request.headers[name.toLowerCase()] = headers[name];
+  });
+  return request;
+}
+
+function copyOf(object) {
+  const result = {};
+  Object.keys(object).forEach(name => {
+    result[name] = object[name];
+  });
+  return result;
+}
\ No newline at end of file
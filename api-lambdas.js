@@ -1,6 +1,13 @@
 'use strict';
 
 const contexts = require('./contexts');
+const lambdas = require('./lambdas');
+const middlewares = require('./middlewares');
+const timeouts = require('./timeouts');
+const apiEvents = require('./api-events');
+const apiRoutes = require('./api-routes');
+const apiValidation = require('./api-validation');
+const apiResponses = require('./api-responses');
 const Promises = require('core-functions/promises');
 const copying = require('core-functions/copying');
 const copy = copying.copy;
@@ -52,6 +59,7 @@ exports.configureHandlerContext = configureHandlerContext;
 exports.configureStandardContext = contexts.configureStandardContext;
 
 exports.generateHandlerFunction = generateHandlerFunction;
+exports.generateAsyncHandlerFunction = generateAsyncHandlerFunction;
 
 exports.succeedLambdaCallback = succeedLambdaCallback;
 exports.failLambdaCallback = failLambdaCallback;
@@ -71,13 +79,20 @@ exports.failLambdaCallback = failLambdaCallback;
  * @param {(function(): (Object|StandardHandlerOptions))|undefined|Object|StandardHandlerOptions} [createOptions] -  an
  *        optional function that will be used to create the initial standard options to use (OR optional LEGACY module-
  *        scoped options from which to copy initial options to use)
- * @param {function(event: AWSEvent, context: StandardHandlerContext)} fn - your function that must accept the AWS event
- *        and a standard context and ideally return a Promise
+ * @param {(function(event: AWSEvent, context: StandardHandlerContext))|Routes} fn - your function that must accept the
+ *        AWS event and a standard context and ideally return a Promise (OR the routes to use to route each request to
+ *        the function registered for its HTTP method and path template - see `api-routes.generateRouterFunction`)
  * @param {HandlerOpts|LogLevel|string|undefined} [opts] - optional opts to use (or a legacy LogLevel/string
  *        `logRequestResponseAtLogLevel` parameter)
  * @returns {AwsLambdaHandlerFunction} a handler function for your API Gateway exposed Lambda
  */
 function generateHandlerFunction(createContext, createSettings, createOptions, fn, opts) {
+  // Check for router mode, i.e. given routes instead of a single function
+  const routed = typeof fn !== 'function' && apiRoutes.isRoutes(fn);
+  if (routed) {
+    fn = apiRoutes.generateRouterFunction(fn);
+  }
+
   // Check for Legacy 5th to 9th parameters: logRequestResponseAtLogLevel, allowedHttpStatusCodes, invalidRequestMsg, failureMsg, successMsg
   if (!opts || typeof opts !== 'object') {
     const newOpts = {};
@@ -106,14 +121,29 @@ function generateHandlerFunction(createContext, createSettings, createOptions, f
         log(context, logLevel, 'Request:', stringify(event));
       }
 
-      // If a `postConfigure` function was configured then execute it now, BEFORE executing the given function
-      return executePostConfigure(event, context)
+      // Guard against a hard Lambda timeout (if a `timeoutMarginInMillis` is configured)
+      const timeoutGuard = timeouts.startTimeoutGuard(awsContext, context);
+
+      // Execute the `before` functions of any configured middlewares (incl. any `postConfigure` function) BEFORE
+      // executing the given function
+      return timeoutGuard.race(middlewares.executeBefore(event, context)
         .then(c => {
           context = c || context;
+          if (!context.cancellationToken) context.cancellationToken = timeoutGuard.token;
+
+          // Validate the request against the configured request schemas (if any) or otherwise just set a normalized
+          // view of the request on the context - NB: a router validates its own requests
+          if (!routed) {
+            if (context.handler && context.handler.requestSchemas) {
+              apiValidation.validateRequest(event, context);
+            } else {
+              context.request = apiEvents.toRequest(event, context);
+            }
+          }
 
           // Execute the given function
           return fn(event, context);
-        })
+        }))
         .then(response => {
           // Optionally log the response
           if (logLevel && logging.isValidLogLevel(logLevel)) {
@@ -148,6 +178,29 @@ function generateHandlerFunction(createContext, createSettings, createOptions, f
   return handler;
 }
 
+/**
+ * Generates an async (i.e. Promise-returning) handler function for your API Gateway exposed Lambda, which accepts ONLY
+ * the AWS event and AWS context (i.e. NO callback) and which resolves with the response or rejects with an Error whose
+ * message is the error response instead of invoking a callback (NB: Lambda Proxy failures resolve with the error
+ * response). The generated handler uses exactly the same context configuration, hooks, logging and error conversion
+ * as the callback-based handler generated by `generateHandlerFunction`.
+ *
+ * @param {(function(): (Object|StandardHandlerContext))|undefined|Object|StandardHandlerContext} [createContext] - an
+ *        optional function that will be used to create the initial context to be configured & used
+ * @param {(function(): (Object|StandardHandlerSettings))|undefined|Object|StandardHandlerSettings} [createSettings] -
+ *        an optional function that will be used to create the initial standard handler settings to use
+ * @param {(function(): (Object|StandardHandlerOptions))|undefined|Object|StandardHandlerOptions} [createOptions] -  an
+ *        optional function that will be used to create the initial standard options to use
+ * @param {(function(event: AWSEvent, context: StandardHandlerContext))|Routes} fn - your function that must accept the
+ *        AWS event and a standard context and ideally return a Promise (OR the routes to use)
+ * @param {HandlerOpts|undefined} [opts] - optional opts to use
+ * @returns {AsyncAwsLambdaHandlerFunction} an async handler function for your API Gateway exposed Lambda
+ */
+function generateAsyncHandlerFunction(createContext, createSettings, createOptions, fn, opts) {
+  const handler = generateHandlerFunction(createContext, createSettings, createOptions, fn, opts || {});
+  return lambdas.toAsyncHandlerFunction(handler);
+}
+
 /**
  * Configures a standard handler context to use.
  * @param {(function(): (Object|HandlerContext))|undefined|Object|HandlerContext} [createContext] - an optional function
@@ -210,104 +263,92 @@ function mergeHandlerOpts(from, to) {
     if (from.toErrorResponse && !to.toErrorResponse) {
       to.toErrorResponse = from.toErrorResponse;
     }
-    if (from.postConfigure && !to.postConfigure) {
-      to.postConfigure = from.postConfigure;
+    if (from.requestSchemas && !to.requestSchemas) {
+      to.requestSchemas = copy(from.requestSchemas, deep);
+    }
+    if (from.responseSchema && !to.responseSchema) {
+      to.responseSchema = copy(from.responseSchema, deep);
     }
-    if (from.preSuccessCallback && !to.preSuccessCallback) {
-      to.preSuccessCallback = from.preSuccessCallback;
+    if (from.responseSchemaStages && !to.responseSchemaStages) {
+      to.responseSchemaStages = from.responseSchemaStages;
     }
-    if (from.preFailureCallback && !to.preFailureCallback) {
-      to.preFailureCallback = from.preFailureCallback;
+    if (typeof from.compressionThreshold === 'number' && typeof to.compressionThreshold !== 'number') {
+      to.compressionThreshold = from.compressionThreshold;
     }
+    if (from.serializers) {
+      to.serializers = to.serializers ? merge(from.serializers, to.serializers, noReplace) : copy(from.serializers);
+    }
+    if (typeof from.timeoutMarginInMillis === 'number' && typeof to.timeoutMarginInMillis !== 'number') {
+      to.timeoutMarginInMillis = from.timeoutMarginInMillis;
+    }
+    middlewares.mergeMiddlewareOpts(from, to);
   }
   return to;
 }
 
-/**
- * Executes the custom configured `postConfigure` function (if any).
- * @param {AWSEvent} event - the AWS event passed to your handler
- * @param {StandardHandlerContext} context - the context to use
- * @param {PostConfigure|undefined} [context.handler.postConfigure] - an optional function to be used by an AWS Lambda
- *        `handler` to add any additional configuration needed to the context AFTER the primary configuration of the
- *        context has completed and BEFORE the main function is executed
- * @return {Promise.<*>} a promise of anything - any errors are logged and result in rejections
- */
-function executePostConfigure(event, context) {
-  const handler = context && context.handler;
-  const postConfigure = handler && handler.postConfigure;
-  return typeof postConfigure === 'function' ?
-    Promises.try(() => postConfigure(event, context))
-      .then(c => c || context)
-      .catch(err => {
-        log(context, LogLevel.ERROR, err);
-        throw err;
-      }) :
-    Promise.resolve(context);
-}
-
-/**
- * Executes the custom configured `preSuccessCallback` function (if any).
- * @param {Object} response - a normal or Lambda Proxy integration response to be returned
- * @param {AWSEvent} event - the AWS event passed to your handler
- * @param {StandardHandlerContext} context - the context to use
- * @param {PreSuccessCallback|undefined} [context.handler.preSuccessCallback] - an optional function to be used by an
- *        AWS Lambda `handler` to run any needed shutdown logic immediately before succeeding the Lambda callback
- * @return {Promise.<*>} a promise of anything - any errors are logged, but no rejections can escape
- */
-function executePreSuccessCallback(response, event, context) {
-  const handler = context && context.handler;
-  const preSuccessCallback = handler && handler.preSuccessCallback;
-  return typeof preSuccessCallback === 'function' ?
-    Promises.try(() => preSuccessCallback(response, event, context))
-      .catch(err => log(context, LogLevel.ERROR, err)) :
-    Promise.resolve();
-}
-
-/**
- * Executes the custom configured `preSuccessCallback` function (if any).
- * @param {AppError} error - the error with which your Lambda was failed
- * @param {Object} errorResponse - the error response derived from the error with which your Lambda was failed
- * @param {AWSEvent} event - the AWS event passed to your handler
- * @param {StandardHandlerContext} context - the context being used
- * @param {PreFailureCallback|undefined} [context.handler.preFailureCallback] - an optional function to be used by an
- *        AWS Lambda `handler` to run any needed shutdown logic immediately before failing the Lambda callback
- * @return {Promise.<*>} a promise of anything - any errors are logged, but no rejections can escape
- */
-function executePreFailureCallback(error, errorResponse, event, context) {
-  const handler = context && context.handler;
-  const preFailureCallback = handler && handler.preFailureCallback;
-  return typeof preFailureCallback === 'function' ?
-    Promises.try(() => preFailureCallback(error, errorResponse, event, context))
-      .catch(err => log(context, LogLevel.ERROR, err)) :
-    Promise.resolve();
-}
-
 /**
  * Succeeds the given callback of an API Gateway exposed AWS Lambda, by invoking the given callback with the given
  * response.
+ *
+ * When using Lambda Proxy integration (or when the event is an API Gateway HTTP API or ALB target event), the response
+ * body is first validated against the configured response schema (if any and ONLY in the configured response schema
+ * stages - see `api-validation.validateResponse`), then serialized according to the request's `Accept` header (see
+ * `api-responses.negotiateResponse`), then compressed and/or base 64 encoded as needed (see
+ * `api-responses.encodeResponse`) and finally formatted to suit the event's format together with any `cookies` on the
+ * given response (see `api-responses.formatResponse`). If any of these steps fail, then the Lambda
+ * callback is instead failed with the resulting error (via `failLambdaCallback`), e.g. with a 413 `ResponseTooLarge`
+ * error if the response is too large (NB: 406 & 413 errors are allowed to pass through to API Gateway, unless
+ * `handler.allowedHttpStatusCodes` is configured).
+ *
  * @param {Function} callback - the callback function passed as the last argument to your Lambda function on invocation.
  * @param {Object} response - a normal or Lambda Proxy integration response to be returned
+ * @param {string[]|undefined} [response.cookies] - optional `Set-Cookie` header values to return with a Lambda Proxy
+ *        integration response
  * @param {AWSEvent} event - the AWS event passed to your handler
  * @param {StandardHandlerContext} context - the context to use
  */
 function succeedLambdaCallback(callback, response, event, context) {
   return Promises.try(() => {
     const handler = context && context.handler;
-    if (handler && handler.useLambdaProxy) {
+    if (isLambdaProxy(event, context)) {
       const statusCode = response && isNotBlank(response.statusCode) ? response.statusCode : 200;
-      const body = (response && response.body) || response || {};
-      const proxyResponse = toLambdaProxyResponse(statusCode, response && response.headers, body, handler.defaultHeaders);
-      return executePreSuccessCallback(proxyResponse, event, context)
-        .then(() => callback(null, proxyResponse))
+      const isProxyResponse = !!response && (!!response.body || response.body === '');
+      const body = isProxyResponse ? response.body : response || {};
+      const cookies = isProxyResponse && Array.isArray(response.cookies) ? response.cookies : undefined;
+
+      let proxyResponse;
+      try {
+        apiValidation.validateResponse(body, event, context);
+        const negotiated = apiResponses.negotiateResponse(body, response && response.headers, event, context);
+        proxyResponse = toLambdaProxyResponse(statusCode, negotiated.headers, negotiated.body,
+          handler && handler.defaultHeaders);
+        if (response && response.isBase64Encoded === true && isString(proxyResponse.body)) {
+          proxyResponse.isBase64Encoded = true;
+        }
+        apiResponses.encodeResponse(proxyResponse, event, context);
+        apiResponses.formatResponse(proxyResponse, event, cookies);
+      } catch (err) {
+        log(context, LogLevel.ERROR, 'Failed to produce response', err);
+        return failLambdaCallback(callback, err, event, context);
+      }
+
+      return middlewares.executeAfter(proxyResponse, event, context)
+        .then(res => callback(null, res))
         .catch(err => {
-          console.error(`Unexpected failure after executePreSuccessCallback`, err);
+          console.error(`Unexpected failure after executing middlewares`, err);
           return callback(null, proxyResponse);
         });
     } else {
-      return executePreSuccessCallback(response, event, context)
-        .then(() => callback(null, response))
+      try {
+        apiValidation.validateResponse(response, event, context);
+      } catch (err) {
+        log(context, LogLevel.ERROR, 'Failed to produce response', err);
+        return failLambdaCallback(callback, err, event, context);
+      }
+      return middlewares.executeAfter(response, event, context)
+        .then(res => callback(null, res))
         .catch(err => {
-          console.error(`Unexpected failure after executePreSuccessCallback`, err);
+          console.error(`Unexpected failure after executing middlewares`, err);
           return callback(null, response);
         });
     }
@@ -337,7 +378,7 @@ function failLambdaCallback(callback, error, event, context) {
   return Promises.try(() => {
     // Convert the error into an "API" error
     const handler = context && context.handler;
-    const allowedHttpStatusCodes = handler && handler.allowedHttpStatusCodes;
+    const allowedHttpStatusCodes = apiResponses.resolveAllowedHttpStatusCodes(context);
     const apiError = appErrors.toAppErrorForApiGateway(error, undefined, undefined, allowedHttpStatusCodes);
 
     // Resolve the AWS request id (if available)
@@ -348,23 +389,24 @@ function failLambdaCallback(callback, error, event, context) {
     // Resolve the audit reference (if available)
     apiError.auditRef = trim(apiError.auditRef) || trim(error.auditRef) || undefined;
 
-    if (handler && handler.useLambdaProxy) {
+    if (isLambdaProxy(event, context)) {
       const statusCode = apiError.httpStatus;
       const body = toCustomOrDefaultErrorResponseBody(apiError, event, context);
-      const defaultHeaders = handler.defaultHeaders;
-      const proxyResponse = toLambdaProxyResponse(statusCode, error.headers, body, defaultHeaders);
-      return executePreFailureCallback(apiError, proxyResponse, event, context)
+      const defaultHeaders = handler && handler.defaultHeaders;
+      const proxyResponse = apiResponses.formatResponse(
+        toLambdaProxyResponse(statusCode, error.headers, body, defaultHeaders), event);
+      return middlewares.executeOnError(apiError, proxyResponse, event, context)
         .then(() => callback(null, proxyResponse))
         .catch(err => {
-          console.error(`Unexpected failure after executePreFailureCallback`, err);
+          console.error(`Unexpected failure after executing middlewares`, err);
           return callback(null, proxyResponse);
         });
     } else {
       const errorResponse = toCustomOrDefaultErrorResponse(apiError, event, context);
-      return executePreFailureCallback(apiError, errorResponse, event, context)
+      return middlewares.executeOnError(apiError, errorResponse, event, context)
         .then(() => callback(stringify(errorResponse), null))
         .catch(err => {
-          console.error(`Unexpected failure after executePreFailureCallback`, err);
+          console.error(`Unexpected failure after executing middlewares`, err);
           return callback(stringify(errorResponse), null);
         });
     }
@@ -374,13 +416,27 @@ function failLambdaCallback(callback, error, event, context) {
   });
 }
 
+/**
+ * Returns true if a Lambda Proxy response must be returned for the given event, i.e. if the handler is configured to
+ * use Lambda Proxy integration or if the event is an API Gateway HTTP API or ALB target event (which ALWAYS require
+ * Lambda Proxy compatible responses); false otherwise.
+ * @param {AWSEvent} event - the AWS event passed to your handler
+ * @param {StandardHandlerContext} context - the context to use
+ * @returns {boolean} true if a Lambda Proxy response must be returned; false otherwise
+ */
+function isLambdaProxy(event, context) {
+  const handler = context && context.handler;
+  return !!(handler && handler.useLambdaProxy) || apiEvents.getEventFormat(event) !== apiEvents.EventFormat.REST_API;
+}
+
 /**
  * Builds & returns a Lambda Proxy integration compatible response.
  * @param {number|string} statusCode - the HTTP status code to return
  * @param {Object|undefined} [headers] - optional response headers to use
- * @param {Object|string|undefined} [body] - an optional response body to use
+ * @param {Object|string|Buffer|undefined} [body] - an optional response body to use (NB: a Buffer body will be base 64
+ *        encoded and the response's `isBase64Encoded` flag will be set)
  * @param {Object|undefined} [defaultHeaders] - optional default custom headers to be included in the Lambda Proxy response
- * @return {{statusCode: (number|string), headers: (Object|undefined), body: (string|undefined)}} a Lambda Proxy response
+ * @return {LambdaProxyResponse} a Lambda Proxy response
  */
 function toLambdaProxyResponse(statusCode, headers, body, defaultHeaders) {
   const proxyResponse = {statusCode: statusCode};
@@ -391,7 +447,12 @@ function toLambdaProxyResponse(statusCode, headers, body, defaultHeaders) {
     proxyResponse.headers = headersWithDefaults;
   }
 
-  proxyResponse.body = isString(body) ? body : stringify(body);
+  if (Buffer.isBuffer(body)) {
+    proxyResponse.body = body.toString('base64');
+    proxyResponse.isBase64Encoded = true;
+  } else {
+    proxyResponse.body = isString(body) ? body : stringify(body);
+  }
 
   return proxyResponse;
 }
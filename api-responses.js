@@ -0,0 +1,430 @@
+'use strict';
+
+const zlib = require('zlib');
+const http = require('http');
+
+const apiEvents = require('./api-events');
+
+const appErrors = require('core-functions/app-errors');
+const AppError = appErrors.AppError;
+
+/**
+ * Utilities for negotiating the content type of, and serializing, the bodies of API Gateway Lambda Proxy integration
+ * responses based on the request's `Accept` header.
+ *
+ * The default serializers support `application/json`, `text/csv` (for arrays of flat objects) and `application/x-ndjson`.
+ * Custom serializers can be registered (or the defaults overridden) via a `context.handler.serializers` map of media
+ * type to {@link Serializer} function.
+ *
+ * Lambda Proxy responses with Buffer bodies are base 64 encoded and, if a `context.handler.compressionThreshold` is
+ * configured, responses with bodies of at least that many bytes are gzip or deflate compressed when the request's
+ * `Accept-Encoding` header allows it. Responses that cannot fit within the Lambda response payload limit are rejected
+ * with a 413 `ResponseTooLarge` error. Finally, responses are formatted to suit the format of the request event (i.e.
+ * API Gateway REST API, API Gateway HTTP API or ALB target).
+ *
+ * Errors that can ONLY sensibly be reported with their own HTTP status code (e.g. a 406 `NotAcceptable` error) record
+ * that status code on the context as an implied HTTP status code, which `api-lambdas.failLambdaCallback` then allows to
+ * pass through to API Gateway, unless `handler.allowedHttpStatusCodes` is configured.
+ *
+ * @module aws-core-utils/api-responses
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.parseAccept = parseAccept;
+exports.negotiateResponse = negotiateResponse;
+exports.toJson = toJson;
+exports.toCsv = toCsv;
+exports.toNdjson = toNdjson;
+exports.parseAcceptEncoding = parseAcceptEncoding;
+exports.encodeResponse = encodeResponse;
+exports.getResponsePayloadSize = getResponsePayloadSize;
+exports.formatResponse = formatResponse;
+exports.allowHttpStatusCode = allowHttpStatusCode;
+exports.resolveAllowedHttpStatusCodes = resolveAllowedHttpStatusCodes;
+
+/** The default media type, which is used when a request does not explicitly accept any other media type */
+const JSON_MEDIA_TYPE = 'application/json';
+exports.JSON_MEDIA_TYPE = JSON_MEDIA_TYPE;
+
+/**
+ * The default serializers by media type.
+ * @type {Object.<string, Serializer>}
+ */
+const defaultSerializers = {
+  'application/json': toJson,
+  'text/csv': toCsv,
+  'application/x-ndjson': toNdjson
+};
+exports.defaultSerializers = defaultSerializers;
+
+/** The maximum size in bytes of a synchronous Lambda response payload (i.e. 6 MB) */
+const MAX_RESPONSE_PAYLOAD_SIZE = 6 * 1024 * 1024;
+exports.MAX_RESPONSE_PAYLOAD_SIZE = MAX_RESPONSE_PAYLOAD_SIZE;
+
+/** The supported content encodings (in order of preference) and their compression functions */
+const compressors = {
+  gzip: zlib.gzipSync,
+  deflate: zlib.deflateSync
+};
+
+/**
+ * Parses the given `Accept` header value into a list of media ranges sorted in order of preference (i.e. by descending
+ * quality and then by descending specificity). Media ranges with a quality of zero are excluded.
+ * @param {string|undefined} accept - an `Accept` header value
+ * @returns {MediaRange[]} the acceptable media ranges in order of preference
+ */
+function parseAccept(accept) {
+  if (!accept || typeof accept !== 'string') {
+    return [];
+  }
+  return accept.split(',')
+    .map((part, i) => {
+      const params = part.split(';').map(p => p.trim());
+      const type = params[0].toLowerCase();
+      const qParam = params.slice(1).find(p => /^q=/i.test(p));
+      const q = qParam ? Number(qParam.substring(2)) : 1;
+      const specificity = type === '*/*' ? 0 : /\/\*$/.test(type) ? 1 : 2;
+      return {type: type, q: Number.isNaN(q) ? 0 : q, specificity: specificity, index: i};
+    })
+    .filter(r => r.type && r.type.indexOf('/') !== -1 && r.q > 0)
+    .sort((a, b) => (b.q - a.q) || (b.specificity - a.specificity) || (a.index - b.index));
+}
+
+function matchesMediaRange(range, mediaType) {
+  if (range.type === '*/*') return true;
+  if (range.specificity === 1) return mediaType.indexOf(range.type.substring(0, range.type.length - 1)) === 0;
+  return range.type === mediaType;
+}
+
+function hasHeader(headers, name) {
+  return !!headers && Object.keys(headers).some(k => k.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Negotiates the media type of the given response body based on the `Accept` header of the given request event and
+ * serializes the body using the first serializer (in order of the request's preferences) that is able to serialize it.
+ *
+ * The body is passed through as is, if it is already a string or Buffer or if the given headers already contain a
+ * `Content-Type`. The body is also passed through as is (to be JSON stringified later without a `Content-Type` header as
+ * before), if the request has no `Accept` header or if its most preferred media range is the "any" media range;
+ * otherwise the negotiated `Content-Type` header is added to the headers.
+ *
+ * @param {*} body - the response body to serialize
+ * @param {Object|undefined} headers - the response headers (if any)
+ * @param {ApiEvent|AWSEvent} event - the request event
+ * @param {StandardHandlerContext} context - the context to use
+ * @param {Object.<string, Serializer>|undefined} [context.handler.serializers] - optional custom serializers
+ * @returns {{body: (string|*), headers: (Object|undefined), contentType: (string|undefined)}} the serialized (or
+ *          passed through) body and the resulting headers and negotiated content type
+ * @throws {AppError} a 406 NotAcceptable error if the request does NOT accept any media type that can serialize the body
+ *         (which is allowed to pass through to API Gateway - see {@link allowHttpStatusCode})
+ */
+function negotiateResponse(body, headers, event, context) {
+  if (typeof body === 'string' || Buffer.isBuffer(body) || hasHeader(headers, 'Content-Type')) {
+    return {body: body, headers: headers, contentType: undefined};
+  }
+
+  const customSerializers = context && context.handler && context.handler.serializers;
+  const serializers = {};
+  Object.keys(defaultSerializers).forEach(type => {
+    serializers[type] = defaultSerializers[type];
+  });
+  if (customSerializers && typeof customSerializers === 'object') {
+    Object.keys(customSerializers).forEach(type => {
+      if (typeof customSerializers[type] === 'function') serializers[type.toLowerCase()] = customSerializers[type];
+    });
+  }
+  const mediaTypes = Object.keys(serializers);
+
+  const ranges = parseAccept(apiEvents.getHeader(event, 'Accept'));
+  if (ranges.length <= 0) {
+    return {body: body, headers: headers, contentType: undefined};
+  }
+
+  for (let i = 0; i < ranges.length; ++i) {
+    const range = ranges[i];
+    if (range.type === '*/*') {
+      // Any media type is acceptable, so fallback to the default JSON serialization without a content type (as before)
+      return {body: body, headers: headers, contentType: undefined};
+    }
+    const candidates = mediaTypes.filter(type => matchesMediaRange(range, type));
+    for (let j = 0; j < candidates.length; ++j) {
+      const serialized = serializers[candidates[j]](body, event, context);
+      if (serialized !== undefined) {
+        const negotiatedHeaders = {};
+        if (headers) Object.keys(headers).forEach(k => negotiatedHeaders[k] = headers[k]);
+        negotiatedHeaders['Content-Type'] = candidates[j];
+        return {body: serialized, headers: negotiatedHeaders, contentType: candidates[j]};
+      }
+    }
+  }
+
+  const error = new AppError(`None of the accepted media types (${ranges.map(r => r.type).join(', ')}) can represent the response`,
+    'NotAcceptable', 406);
+  error.supportedMediaTypes = mediaTypes;
+  // Allow the 406 to pass through instead of being converted into a 400 (unless allowed codes are configured)
+  allowHttpStatusCode(context, 406);
+  throw error;
+}
+
+/**
+ * Serializes the given body as JSON.
+ * @type {Serializer}
+ */
+function toJson(body) {
+  return JSON.stringify(body);
+}
+
+function isFlat(value) {
+  return value === null || value === undefined || typeof value !== 'object' || value instanceof Date;
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const s = value instanceof Date ? value.toISOString() : `${value}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serializes the given body as CSV with a header row, if it is an array of flat objects (i.e. objects without any
+ * nested object or array properties); otherwise returns undefined.
+ * @type {Serializer}
+ */
+function toCsv(body) {
+  if (!Array.isArray(body) || !body.every(row => row && typeof row === 'object' && !Array.isArray(row) &&
+      Object.keys(row).every(k => isFlat(row[k])))) {
+    return undefined;
+  }
+  const columns = [];
+  body.forEach(row => Object.keys(row).forEach(k => {
+    if (columns.indexOf(k) === -1) columns.push(k);
+  }));
+  const lines = [columns.map(toCsvValue).join(',')]
+    .concat(body.map(row => columns.map(c => toCsvValue(row[c])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serializes the given body as newline-delimited JSON, i.e. one JSON line per element of an array body (or a single
+ * JSON line for any other body).
+ * @type {Serializer}
+ */
+function toNdjson(body) {
+  const items = Array.isArray(body) ? body : [body];
+  return items.map(item => `${JSON.stringify(item)}\n`).join('');
+}
+
+/**
+ * Parses the given `Accept-Encoding` header value into a list of content encodings sorted in order of preference (i.e.
+ * by descending quality). Content encodings with a quality of zero are excluded.
+ * @param {string|undefined} acceptEncoding - an `Accept-Encoding` header value
+ * @returns {string[]} the acceptable lower-case content encodings in order of preference
+ */
+function parseAcceptEncoding(acceptEncoding) {
+  if (!acceptEncoding || typeof acceptEncoding !== 'string') {
+    return [];
+  }
+  return acceptEncoding.split(',')
+    .map((part, i) => {
+      const params = part.split(';').map(p => p.trim());
+      const qParam = params.slice(1).find(p => /^q=/i.test(p));
+      const q = qParam ? Number(qParam.substring(2)) : 1;
+      return {encoding: params[0].toLowerCase(), q: Number.isNaN(q) ? 0 : q, index: i};
+    })
+    .filter(e => e.encoding && e.q > 0)
+    .sort((a, b) => (b.q - a.q) || (a.index - b.index))
+    .map(e => e.encoding);
+}
+
+/**
+ * Resolves the content encoding (if any) with which to compress a response to the given request event.
+ * @param {ApiEvent|AWSEvent} event - the request event
+ * @returns {string|undefined} 'gzip' or 'deflate' (if acceptable) or undefined
+ */
+function resolveContentEncoding(event) {
+  const encodings = parseAcceptEncoding(apiEvents.getHeader(event, 'Accept-Encoding'));
+  for (let i = 0; i < encodings.length; ++i) {
+    const encoding = encodings[i] === '*' ? 'gzip' : encodings[i];
+    if (compressors.hasOwnProperty(encoding)) {
+      return encoding;
+    }
+  }
+  return undefined;
+}
+
+function base64Length(size) {
+  return Math.ceil(size / 3) * 4;
+}
+
+/**
+ * Returns the size in bytes of the given Lambda Proxy response's JSON payload.
+ * @param {LambdaProxyResponse} proxyResponse - a Lambda Proxy response
+ * @returns {number} the payload size in bytes
+ */
+function getResponsePayloadSize(proxyResponse) {
+  return Buffer.byteLength(JSON.stringify(proxyResponse), 'utf8');
+}
+
+/**
+ * Encodes the body of the given Lambda Proxy response for API Gateway by:
+ * 1. Compressing its body (if a `context.handler.compressionThreshold` is configured, its body is at least that many
+ *    bytes, it does NOT already have a `Content-Encoding` header and the request's `Accept-Encoding` header accepts gzip
+ *    or deflate) and setting its `Content-Encoding` and `Vary` headers;
+ * 2. Base 64 encoding its body (if it is a Buffer) and setting its `isBase64Encoded` flag; and
+ * 3. Checking that the encoded response fits within the maximum response payload size.
+ * @param {LambdaProxyResponse} proxyResponse - a Lambda Proxy response, whose body may be a Buffer
+ * @param {ApiEvent|AWSEvent} event - the request event
+ * @param {StandardHandlerContext} context - the context to use
+ * @param {number|undefined} [context.handler.compressionThreshold] - the optional minimum body size in bytes at which to
+ *        compress response bodies (if undefined, compression is disabled)
+ * @returns {LambdaProxyResponse} the given Lambda Proxy response with its body encoded
+ * @throws {AppError} a 413 ResponseTooLarge error if the encoded response exceeds the maximum response payload size
+ *         (which is allowed to pass through to API Gateway - see {@link allowHttpStatusCode})
+ */
+function encodeResponse(proxyResponse, event, context) {
+  const handler = context && context.handler;
+  const threshold = handler && handler.compressionThreshold;
+  const body = proxyResponse.body;
+
+  if (typeof threshold === 'number' && threshold >= 0 && body !== undefined && body !== null &&
+    !hasHeader(proxyResponse.headers, 'Content-Encoding')) {
+
+    const raw = Buffer.isBuffer(body) ? body :
+      Buffer.from(`${body}`, proxyResponse.isBase64Encoded ? 'base64' : 'utf8');
+    const encoding = raw.length >= threshold ? resolveContentEncoding(event) : undefined;
+
+    if (encoding) {
+      const compressed = compressors[encoding](raw);
+      // Only use the compressed body if its base 64 encoding is actually smaller than the uncompressed body
+      const uncompressedSize = Buffer.isBuffer(body) ? base64Length(raw.length) : Buffer.byteLength(`${body}`);
+      if (base64Length(compressed.length) < uncompressedSize) {
+        const headers = proxyResponse.headers || {};
+        headers['Content-Encoding'] = encoding;
+        const vary = Object.keys(headers).find(k => k.toLowerCase() === 'vary');
+        headers[vary || 'Vary'] = vary && headers[vary] ? `${headers[vary]}, Accept-Encoding` : 'Accept-Encoding';
+        proxyResponse.headers = headers;
+        proxyResponse.body = compressed;
+      }
+    }
+  }
+
+  if (Buffer.isBuffer(proxyResponse.body)) {
+    proxyResponse.body = proxyResponse.body.toString('base64');
+    proxyResponse.isBase64Encoded = true;
+  }
+
+  const size = getResponsePayloadSize(proxyResponse);
+  if (size > MAX_RESPONSE_PAYLOAD_SIZE) {
+    const error = new AppError(`Response payload size (${size} bytes) exceeds the maximum response payload size (${MAX_RESPONSE_PAYLOAD_SIZE} bytes)`,
+      'ResponseTooLarge', 413);
+    error.payloadSize = size;
+    error.maxPayloadSize = MAX_RESPONSE_PAYLOAD_SIZE;
+    // Allow the 413 to pass through instead of being converted into a 400 (unless allowed codes are configured)
+    allowHttpStatusCode(context, 413);
+    throw error;
+  }
+  return proxyResponse;
+}
+
+/**
+ * Formats the given Lambda Proxy response to suit the format of the given request event, i.e.:
+ * - For an API Gateway REST API event, any given cookies are added as multi-value `Set-Cookie` headers;
+ * - For an API Gateway HTTP API event, any given cookies are added as the response's `cookies`; and
+ * - For an ALB target event, the response's `statusCode` is converted to a number, a `statusDescription` is added,
+ *   `isBase64Encoded` is always set and its headers are converted to strings (or to multi-value headers if the event
+ *   has multi-value headers enabled) and any given cookies are added as `Set-Cookie` headers (NB: without multi-value
+ *   headers enabled, an ALB response can ONLY set one cookie, so ONLY the first cookie will be set).
+ * @param {LambdaProxyResponse} proxyResponse - a Lambda Proxy response
+ * @param {ApiEvent|AWSEvent} event - the request event
+ * @param {string[]|undefined} [cookies] - optional `Set-Cookie` header values to add to the response
+ * @returns {LambdaProxyResponse} the given Lambda Proxy response formatted to suit the event
+ */
+function formatResponse(proxyResponse, event, cookies) {
+  const hasCookies = Array.isArray(cookies) && cookies.length > 0;
+
+  switch (apiEvents.getEventFormat(event)) {
+    case apiEvents.EventFormat.HTTP_API:
+      if (hasCookies) {
+        proxyResponse.cookies = cookies.slice();
+      }
+      return proxyResponse;
+
+    case apiEvents.EventFormat.ALB: {
+      const statusCode = Number(proxyResponse.statusCode);
+      proxyResponse.statusCode = statusCode;
+      proxyResponse.statusDescription = `${statusCode} ${http.STATUS_CODES[statusCode] || 'Unknown'}`;
+      proxyResponse.isBase64Encoded = !!proxyResponse.isBase64Encoded;
+
+      const headers = proxyResponse.headers || {};
+      if (apiEvents.isMultiValueEvent(event)) {
+        const multiValueHeaders = {};
+        Object.keys(headers).forEach(name => {
+          multiValueHeaders[name] = [`${headers[name]}`];
+        });
+        if (hasCookies) {
+          multiValueHeaders['Set-Cookie'] = cookies.slice();
+        }
+        delete proxyResponse.headers;
+        proxyResponse.multiValueHeaders = multiValueHeaders;
+      } else {
+        const stringHeaders = {};
+        Object.keys(headers).forEach(name => {
+          stringHeaders[name] = `${headers[name]}`;
+        });
+        if (hasCookies) {
+          stringHeaders['Set-Cookie'] = cookies[0];
+        }
+        proxyResponse.headers = stringHeaders;
+      }
+      return proxyResponse;
+    }
+
+    default:
+      if (hasCookies) {
+        const multiValueHeaders = proxyResponse.multiValueHeaders || {};
+        multiValueHeaders['Set-Cookie'] = cookies.slice();
+        proxyResponse.multiValueHeaders = multiValueHeaders;
+      }
+      return proxyResponse;
+  }
+}
+
+/**
+ * Allows the given HTTP status code to pass through to API Gateway when failing the current request (see
+ * `api-lambdas.failLambdaCallback`) in addition to the default supported HTTP status codes, by recording it on the
+ * given context as one of its implied HTTP status codes. Used at the point where a feature throws an error that can
+ * ONLY sensibly be reported with its own HTTP status code, e.g. a router's 405 `MethodNotAllowed`. Implied HTTP status
+ * codes are ignored if `handler.allowedHttpStatusCodes` is explicitly configured.
+ * @param {StandardHandlerContext} context - the context to use
+ * @param {number} httpStatus - the HTTP status code to allow
+ */
+function allowHttpStatusCode(context, httpStatus) {
+  if (!context) return;
+  const codes = context.impliedHttpStatusCodes || (context.impliedHttpStatusCodes = []);
+  if (codes.indexOf(httpStatus) === -1) {
+    codes.push(httpStatus);
+  }
+}
+
+/**
+ * Resolves the HTTP status codes that are allowed to pass through to API Gateway when failing the current request, i.e.
+ * the configured `handler.allowedHttpStatusCodes` (if any) or else the default supported HTTP status codes together with
+ * any implied HTTP status codes recorded on the given context (see {@link allowHttpStatusCode}).
+ * @param {StandardHandlerContext} context - the context to use
+ * @returns {Array.<number|string>|undefined} the allowed HTTP status codes (or undefined to use the defaults)
+ */
+function resolveAllowedHttpStatusCodes(context) {
+  const handler = context && context.handler;
+  const allowedHttpStatusCodes = handler && Array.isArray(handler.allowedHttpStatusCodes) ?
+    handler.allowedHttpStatusCodes : undefined;
+  const impliedHttpStatusCodes = context && context.impliedHttpStatusCodes;
+  if (allowedHttpStatusCodes || !Array.isArray(impliedHttpStatusCodes) || impliedHttpStatusCodes.length <= 0) {
+    return allowedHttpStatusCodes;
+  }
+  const codes = appErrors.supportedHttpStatusCodes.slice();
+  impliedHttpStatusCodes.forEach(code => {
+    if (codes.indexOf(code) === -1) codes.push(code);
+  });
+  return codes;
+}
\ No newline at end of file
@@ -0,0 +1,284 @@
+'use strict';
+
+const apiEvents = require('./api-events');
+const apiValidation = require('./api-validation');
+const apiResponses = require('./api-responses');
+
+const appErrors = require('core-functions/app-errors');
+const NotFound = appErrors.NotFound;
+const MethodNotAllowed = appErrors.MethodNotAllowed;
+
+/**
+ * Utilities for routing API Gateway Lambda Proxy integration requests to functions registered by HTTP method and path
+ * template (e.g. `GET /orders/{orderId}`).
+ *
+ * Usage:
+ *   const apiRoutes = require('aws-core-utils/api-routes');
+ *   const router = apiRoutes.generateRouterFunction({
+ *     'GET /orders/{orderId}': getOrder,
+ *     'PUT /orders/{orderId}': putOrder
+ *   });
+ *   exports.handler = apiLambdas.generateHandlerFunction(createContext, createSettings, createOptions, router, opts);
+ *
+ * @module aws-core-utils/api-routes
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.generateRouterFunction = generateRouterFunction;
+exports.isRoutes = isRoutes;
+exports.toRoutes = toRoutes;
+exports.matchRoute = matchRoute;
+exports.toPreflightResponse = toPreflightResponse;
+
+/**
+ * The "method" to use to register a route that accepts any HTTP method, except OPTIONS (unless the same path also has
+ * an explicit OPTIONS route), so that CORS preflight requests are still answered by the router
+ */
+const ANY = 'ANY';
+exports.ANY = ANY;
+
+/** The HTTP methods that are allowed for a path that has an `ANY` route */
+const ANY_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Generates a function that will route each API Gateway Lambda Proxy request event that it receives to the function of
+ * the route that matches the event's HTTP method and path. The matched route's parsed path parameters are set on the
+ * context as `context.pathParameters` (and the matched route as `context.route`) and the request is validated against
+ * the route's `requestSchemas` (if any) or else the configured `context.handler.requestSchemas` (if any) and set on the
+ * context as `context.request` (see `api-validation.validateRequest`) before its function is invoked. The route's
+ * `responseSchema` (if any) is kept on `context.route` for later validation of its response.
+ *
+ * If no route's path template matches the event's path, the generated function throws a `NotFound` error. If one or
+ * more routes match the path, but none of them accept the event's HTTP method, then it throws a `MethodNotAllowed`
+ * error with an `Allow` response header (NB: 405 is allowed to pass through to API Gateway, unless you configure
+ * `handler.allowedHttpStatusCodes` without it), unless the method is OPTIONS, in which case it answers the CORS
+ * preflight request. An `ANY` route never matches an OPTIONS request (see {@link ANY}).
+ *
+ * @param {Routes} routes - the routes to use
+ * @returns {function(event: ApiEvent, context: StandardHandlerContext): (Promise.<*>|*)} a function that routes each
+ *          request to its matching route's function
+ */
+function generateRouterFunction(routes) {
+  const compiledRoutes = toRoutes(routes);
+
+  /**
+   * Routes the given API Gateway Lambda Proxy request event to the function of its matching route.
+   * @param {ApiEvent} event - the API Gateway Lambda Proxy request event
+   * @param {StandardHandlerContext} context - the context to use
+   * @returns {Promise.<*>|*} the result of the matching route's function
+   */
+  function routeRequest(event, context) {
+    const method = apiEvents.getHttpMethod(event);
+    const path = apiEvents.getPath(event) || apiEvents.getResource(event);
+
+    const match = matchRoute(compiledRoutes, method, event);
+
+    if (!match) {
+      throw new NotFound(`No route found for ${method} ${path}`, 'RouteNotFound');
+    }
+
+    if (!match.route) {
+      if (method === 'OPTIONS') {
+        return toPreflightResponse(match.allowedMethods, event, context);
+      }
+      const error = new MethodNotAllowed(`Method ${method} is not allowed for ${path}`, 'MethodNotAllowed');
+      error.headers = {Allow: match.allowedMethods.join(', ')};
+      // Allow the 405 to pass through instead of being converted into a 400 (unless allowed codes are configured)
+      apiResponses.allowHttpStatusCode(context, 405);
+      throw error;
+    }
+
+    const route = match.route;
+    context.route = {method: route.method, path: route.path, pathParameters: match.pathParameters};
+    if (route.responseSchema) {
+      context.route.responseSchema = route.responseSchema;
+    }
+    context.pathParameters = match.pathParameters;
+
+    apiValidation.validateRequest(event, context, route.requestSchemas);
+
+    return route.fn(event, context);
+  }
+
+  return routeRequest;
+}
+
+/**
+ * Returns true if the given value looks like a set of routes (i.e. a non-empty array of `Route` objects or an object
+ * map of route keys to functions); false otherwise.
+ * @param {Routes|*} routes - the value to check
+ * @returns {boolean} true if routes; false otherwise
+ */
+function isRoutes(routes) {
+  if (Array.isArray(routes)) {
+    return routes.length > 0 && routes.every(r => r && typeof r === 'object' && typeof r.fn === 'function');
+  }
+  if (routes && typeof routes === 'object') {
+    const keys = Object.keys(routes);
+    return keys.length > 0 && keys.every(k => typeof routes[k] === 'function');
+  }
+  return false;
+}
+
+/**
+ * Converts and validates the given routes into a list of compiled routes.
+ * @param {Routes} routes - the routes to convert
+ * @returns {CompiledRoute[]} the compiled routes
+ * @throws {Error} if any of the routes are invalid
+ */
+function toRoutes(routes) {
+  if (!isRoutes(routes)) {
+    throw new Error(`Invalid routes (${routes}) - routes must be a non-empty array of routes or object map of route keys to functions`);
+  }
+  const list = Array.isArray(routes) ? routes :
+    Object.keys(routes).map(key => {
+      const parts = key.trim().split(/\s+/);
+      if (parts.length !== 2) {
+        throw new Error(`Invalid route key (${key}) - expected an HTTP method and a path template separated by a space`);
+      }
+      return {method: parts[0], path: parts[1], fn: routes[key]};
+    });
+
+  return list.map(compileRoute);
+}
+
+/**
+ * Compiles the given route's path template into a regular expression.
+ * @param {Route} route - the route to compile
+ * @returns {CompiledRoute} the compiled route
+ */
+function compileRoute(route) {
+  const method = route.method ? `${route.method}`.toUpperCase() : '';
+  if (!method) {
+    throw new Error(`Missing method for route (${route.path})`);
+  }
+  const path = normalizePath(route.path);
+  if (!path) {
+    throw new Error(`Missing path template for route (${method})`);
+  }
+
+  const paramNames = [];
+  const pattern = path.split('/').map(segment => {
+    const param = /^\{([^{}]+?)(\+)?}$/.exec(segment);
+    if (param) {
+      paramNames.push(param[1]);
+      return param[2] ? '(.+)' : '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+
+  return {
+    method: method,
+    path: path,
+    fn: route.fn,
+    requestSchemas: route.requestSchemas,
+    responseSchema: route.responseSchema,
+    regex: new RegExp(`^${pattern}$`),
+    paramNames: paramNames,
+    // Parameter names are irrelevant when comparing a path template with an API Gateway `resource`
+    template: path.replace(/\{[^{}]+?(\+)?}/g, '{$1}')
+  };
+}
+
+/**
+ * Normalizes the given path by ensuring that it has a leading slash and no trailing slash (other than the root path).
+ * @param {string|undefined} path - the path to normalize
+ * @returns {string} the normalized path (or an empty string)
+ */
+function normalizePath(path) {
+  if (!path) return '';
+  let p = `${path}`.trim();
+  if (p.charAt(0) !== '/') p = `/${p}`;
+  return p.length > 1 && p.charAt(p.length - 1) === '/' ? p.substring(0, p.length - 1) : p;
+}
+
+/**
+ * Attempts to find the route that matches the given HTTP method and the path (or failing that the API Gateway resource)
+ * of the given event.
+ * @param {CompiledRoute[]} routes - the compiled routes to search
+ * @param {string} method - the upper-case HTTP method of the request
+ * @param {ApiEvent} event - the API Gateway Lambda Proxy request event
+ * @returns {RouteMatch|undefined} the route match (if any routes matched the path) or undefined
+ */
+function matchRoute(routes, method, event) {
+  const path = normalizePath(apiEvents.getPath(event));
+  const resource = normalizePath(apiEvents.getResource(event));
+
+  let pathMatches = path ? routes.map(route => ({route: route, m: route.regex.exec(path)})).filter(r => r.m) : [];
+
+  // Fallback to matching the API Gateway resource template against each route's path template
+  let useEventPathParameters = false;
+  if (pathMatches.length <= 0 && resource) {
+    const template = resource.replace(/\{[^{}]+?(\+)?}/g, '{$1}');
+    pathMatches = routes.filter(route => route.template === template).map(route => ({route: route, m: undefined}));
+    useEventPathParameters = true;
+  }
+
+  if (pathMatches.length <= 0) {
+    return undefined;
+  }
+
+  const allowedMethods = [];
+  pathMatches.forEach(r => {
+    const methods = r.route.method === ANY ? ANY_METHODS : [r.route.method];
+    methods.forEach(m => {
+      if (allowedMethods.indexOf(m) === -1) allowedMethods.push(m);
+    });
+  });
+
+  // NB: An `ANY` route must NOT match a CORS preflight (i.e. OPTIONS) request
+  const matched = pathMatches.find(r => r.route.method === method) ||
+    (method !== 'OPTIONS' ? pathMatches.find(r => r.route.method === ANY) : undefined);
+  if (!matched) {
+    return {route: undefined, pathParameters: {}, allowedMethods: allowedMethods};
+  }
+
+  const pathParameters = {};
+  if (useEventPathParameters) {
+    const eventPathParameters = apiEvents.getPathParameters(event);
+    Object.keys(eventPathParameters).forEach(name => {
+      pathParameters[name] = eventPathParameters[name];
+    });
+  } else {
+    matched.route.paramNames.forEach((name, i) => {
+      pathParameters[name] = decodePathSegment(matched.m[i + 1]);
+    });
+  }
+
+  return {route: matched.route, pathParameters: pathParameters, allowedMethods: allowedMethods};
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (err) {
+    return segment;
+  }
+}
+
+/**
+ * Builds a Lambda Proxy response to a CORS preflight (i.e. OPTIONS) request, which relies on the configured
+ * `context.handler.defaultHeaders` (which will be merged into the response) for its `Access-Control-Allow-Origin` and
+ * other CORS headers and only adds `Access-Control-Allow-Methods` and `Access-Control-Allow-Headers` headers, if these
+ * are NOT already configured in the default headers.
+ * @param {string[]} allowedMethods - the HTTP methods allowed for the requested path
+ * @param {ApiEvent} event - the API Gateway Lambda Proxy request event
+ * @param {StandardHandlerContext} context - the context to use
+ * @returns {{statusCode: number, headers: Object, body: string}} the preflight response
+ */
+function toPreflightResponse(allowedMethods, event, context) {
+  const defaultHeaders = (context && context.handler && context.handler.defaultHeaders) || {};
+  const hasDefaultHeader = name => Object.keys(defaultHeaders).some(k => k.toLowerCase() === name.toLowerCase());
+
+  const headers = {};
+  if (!hasDefaultHeader('Access-Control-Allow-Methods')) {
+    const methods = allowedMethods.indexOf('OPTIONS') === -1 ? allowedMethods.concat('OPTIONS') : allowedMethods;
+    headers['Access-Control-Allow-Methods'] = methods.join(', ');
+  }
+  const requestHeaders = apiEvents.getHeader(event, 'Access-Control-Request-Headers');
+  if (requestHeaders && !hasDefaultHeader('Access-Control-Allow-Headers')) {
+    headers['Access-Control-Allow-Headers'] = requestHeaders;
+  }
+  return {statusCode: 204, headers: headers, body: ''};
+}
\ No newline at end of file
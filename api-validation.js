@@ -0,0 +1,177 @@
+'use strict';
+
+const apiEvents = require('./api-events');
+const jsonSchemas = require('./json-schemas');
+
+const appErrors = require('core-functions/app-errors');
+const AppError = appErrors.AppError;
+const BadRequest = appErrors.BadRequest;
+
+/**
+ * Utilities for validating API Gateway Lambda Proxy integration requests against declarative request schemas and
+ * responses against declarative response schemas (see `json-schemas` module for the supported JSON Schema subset).
+ *
+ * Request schemas can be configured on `context.handler.requestSchemas` (via your handler settings or options) or per
+ * route (via a route's `requestSchemas` property), e.g.
+ *   {
+ *     pathParameters: {type: 'object', properties: {orderId: {type: 'integer'}}, required: ['orderId']},
+ *     queryStringParameters: {type: 'object', properties: {limit: {type: 'integer', maximum: 100, default: 10}}},
+ *     headers: {type: 'object', properties: {'x-api-version': {type: 'string', enum: ['1', '2']}}},
+ *     body: {type: 'object', properties: {quantity: {type: 'integer', minimum: 1}}, required: ['quantity']}
+ *   }
+ *
+ * Response schemas can be configured on `context.handler.responseSchema` or per route (via a route's `responseSchema`
+ * property) and are ONLY enforced in the stages listed in `context.handler.responseSchemaStages` (default: ['dev']).
+ *
+ * @module aws-core-utils/api-validation
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.validateRequest = validateRequest;
+exports.toRequest = toRequest;
+exports.parseBody = parseBody;
+exports.validateResponse = validateResponse;
+
+/** The default stages in which responses are validated against the configured response schema (if any) */
+const defaultResponseSchemaStages = ['dev'];
+exports.defaultResponseSchemaStages = defaultResponseSchemaStages;
+
+/**
+ * Builds a request view of the given event (see `toRequest`), validates it against the given request schemas (or the
+ * `context.handler.requestSchemas` if none are given) and then sets the validated, type-coerced request on the context
+ * as `context.request`. Path parameters, query string parameters & headers (which always arrive as strings) are coerced
+ * to the types declared in their schemas and header names are lower-cased before validation.
+ * @param {ApiEvent} event - the API Gateway Lambda Proxy request event
+ * @param {StandardHandlerContext} context - the context to use
+ * @param {RequestSchemas|undefined} [schemas] - optional request schemas to use
+ * @returns {ApiRequest} the validated request
+ * @throws {BadRequest} a BadRequest error with a `violations` property listing every violation found, if the request
+ *         is invalid
+ */
+function validateRequest(event, context, schemas) {
+  const requestSchemas = schemas || (context && context.handler && context.handler.requestSchemas);
+
+  const request = toRequest(event, context);
+  const violations = [];
+
+  if (requestSchemas && typeof requestSchemas === 'object') {
+    validatePart(request, 'pathParameters', requestSchemas.pathParameters, true, violations);
+    validatePart(request, 'queryStringParameters', requestSchemas.queryStringParameters, true, violations);
+    validatePart(request, 'headers', lowerCaseSchema(requestSchemas.headers), true, violations);
+
+    if (requestSchemas.body) {
+      try {
+        request.body = parseBody(event);
+        validatePart(request, 'body', requestSchemas.body, false, violations);
+      } catch (err) {
+        violations.push({location: 'body', path: '', keyword: 'json', message: `must be valid JSON - ${err.message}`});
+      }
+    }
+  }
+
+  if (context) context.request = request;
+
+  if (violations.length > 0) {
+    const error = new BadRequest(`Invalid request - ${violations.length} violation${violations.length !== 1 ? 's' : ''} found`,
+      'InvalidRequest');
+    error.violations = violations;
+    throw error;
+  }
+  return request;
+}
+
+function validatePart(request, location, schema, coerce, violations) {
+  if (!schema) return;
+  const result = jsonSchemas.validate(schema, request[location], {coerce: coerce});
+  result.errors.forEach(e => violations.push({location: location, path: e.path, keyword: e.keyword, message: e.message}));
+  request[location] = result.value;
+}
+
+/**
+ * Returns a copy of the given headers schema with all of its property names lower-cased.
+ * @param {JsonSchema|undefined} schema - the headers schema
+ * @returns {JsonSchema|undefined} the lower-cased headers schema
+ */
+function lowerCaseSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const result = {};
+  Object.keys(schema).forEach(key => {
+    result[key] = schema[key];
+  });
+  if (schema.properties) {
+    result.properties = {};
+    Object.keys(schema.properties).forEach(name => {
+      result.properties[name.toLowerCase()] = schema.properties[name];
+    });
+  }
+  if (Array.isArray(schema.required)) {
+    result.required = schema.required.map(name => name.toLowerCase());
+  }
+  return result;
+}
+
+/**
+ * Builds an unvalidated request view of the given API request event (see `api-events.toRequest`).
+ * @param {ApiEvent} event - the API request event
+ * @param {StandardHandlerContext|undefined} [context] - the context to use
+ * @returns {ApiRequest} the request
+ */
+function toRequest(event, context) {
+  return apiEvents.toRequest(event, context);
+}
+
+/**
+ * Parses the body of the given API Gateway Lambda Proxy request event, by first base 64 decoding it (if necessary) and
+ * then JSON parsing it (if it is a non-empty string).
+ * @param {ApiEvent} event - the API Gateway Lambda Proxy request event
+ * @returns {*} the parsed body (or undefined if none)
+ * @throws {Error} if the body is not valid JSON
+ */
+function parseBody(event) {
+  const body = event ? event.body : undefined;
+  if (body === undefined || body === null || body === '') {
+    return undefined;
+  }
+  if (typeof body !== 'string') {
+    return body;
+  }
+  const text = event.isBase64Encoded ? Buffer.from(body, 'base64').toString('utf8') : body;
+  return JSON.parse(text);
+}
+
+/**
+ * Validates the given response body against the matched route's `responseSchema` (if any) or else the configured
+ * `context.handler.responseSchema` (if any), but ONLY if the context's stage is one of the configured
+ * `context.handler.responseSchemaStages` (or one of the `defaultResponseSchemaStages` if none are configured).
+ * @param {*} body - the response body to validate
+ * @param {ApiEvent|AWSEvent} event - the request event
+ * @param {StandardHandlerContext} context - the context to use
+ * @returns {*} the given response body (unchanged)
+ * @throws {AppError} a 500 AppError with a `violations` property listing every violation found, if the response is
+ *         invalid
+ */
+function validateResponse(body, event, context) {
+  const handler = context && context.handler;
+  const route = context && context.route;
+  const schema = (route && route.responseSchema) || (handler && handler.responseSchema);
+  if (!schema || typeof schema !== 'object') {
+    return body;
+  }
+
+  const stages = handler && Array.isArray(handler.responseSchemaStages) ? handler.responseSchemaStages :
+    defaultResponseSchemaStages;
+  const stage = context && context.stage ? `${context.stage}`.toLowerCase() : '';
+  if (!stages.some(s => `${s}`.toLowerCase() === stage)) {
+    return body;
+  }
+
+  const result = jsonSchemas.validate(schema, body);
+  if (result.errors.length > 0) {
+    const n = result.errors.length;
+    const error = new AppError(`Invalid response - ${n} violation${n !== 1 ? 's' : ''} found`, 'InvalidResponse', 500);
+    error.violations = result.errors.map(e => ({location: 'body', path: e.path, keyword: e.keyword, message: e.message}));
+    throw error;
+  }
+  return body;
+}
\ No newline at end of file
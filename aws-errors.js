@@ -36,6 +36,11 @@ exports.wasS3ObjectNotFound = wasS3ObjectNotFound;
 // DynamoDB resource not found
 exports.isResourceNotFoundException = isResourceNotFoundException;
 
+// DynamoDB transactions
+exports.isTransactionCanceled = isTransactionCanceled;
+exports.isTransactionConflict = isTransactionConflict;
+exports.getCancellationReasons = getCancellationReasons;
+
 function isUnavailable(err) {
   return err.statusCode >= 500;
 }
@@ -114,4 +119,29 @@ function wasS3ObjectNotFound(err) {
 
 function isResourceNotFoundException(err) {
   return err.code === 'ResourceNotFoundException';
+}
+
+function isTransactionCanceled(err) {
+  return err.code === 'TransactionCanceledException';
+}
+
+function isTransactionConflict(err) {
+  return err.code === 'TransactionConflictException' ||
+    (isTransactionCanceled(err) && getCancellationReasons(err).some(reason => reason.Code === 'TransactionConflict'));
+}
+
+/**
+ * Returns the cancellation reasons (one per item of the transaction and in the same order) of the given DynamoDB
+ * `TransactionCanceledException`, which are taken from the error's `CancellationReasons` (if any) or else parsed from its
+ * message (e.g. "Transaction cancelled, please refer cancellation reasons for specific reasons [None,
+ * ConditionalCheckFailed]"), since the AWS SDK does NOT attach the `CancellationReasons` to the error that it throws.
+ * @param {Error|*} err - the error
+ * @returns {Array.<{Code: string, Message: (string|undefined), Item: (Object|undefined)}>} the cancellation reasons
+ *          (if any) or an empty array
+ */
+function getCancellationReasons(err) {
+  if (!err || !isTransactionCanceled(err)) return [];
+  if (Array.isArray(err.CancellationReasons)) return err.CancellationReasons;
+  const match = typeof err.message === 'string' ? /\[([^\]]*)]\s*$/.exec(err.message) : null;
+  return match ? match[1].split(',').map(code => ({Code: code.trim()})) : [];
 }
\ No newline at end of file
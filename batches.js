@@ -0,0 +1,128 @@
+'use strict';
+
+const streamEvents = require('./stream-events');
+
+const appErrors = require('core-functions/app-errors');
+const BadRequest = appErrors.BadRequest;
+
+const logging = require('logging-utils');
+const LogLevel = logging.LogLevel;
+const log = logging.log;
+
+/**
+ * Utilities for processing the records of an AWS SQS, Kinesis or DynamoDB stream batch event individually and for
+ * reporting any records that failed using the `batchItemFailures` response shape expected by Lambda's partial batch
+ * response support (i.e. the `ReportBatchItemFailures` function response type of an event source mapping).
+ *
+ * Failed records are identified by their sequence numbers (for Kinesis & DynamoDB stream records, which allows Lambda
+ * to checkpoint at the lowest failed sequence number) or their message ids (for SQS records).
+ *
+ * @module aws-core-utils/batches
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+/** The default number of records to process concurrently */
+const DEFAULT_BATCH_CONCURRENCY = 1;
+exports.DEFAULT_BATCH_CONCURRENCY = DEFAULT_BATCH_CONCURRENCY;
+
+exports.getBatchItemIdentifier = getBatchItemIdentifier;
+exports.processBatch = processBatch;
+exports.generateBatchFunction = generateBatchFunction;
+
+/**
+ * Returns the identifier to use to report the given batch event record as a batch item failure, i.e. its sequence
+ * number for a Kinesis or DynamoDB stream event record or else its event id or SQS message id.
+ * @param {AnyStreamEventRecord|Object|*} record - a Kinesis, DynamoDB stream or SQS event record
+ * @returns {string} the item identifier (if any) or an empty string
+ */
+function getBatchItemIdentifier(record) {
+  switch (streamEvents.getEventSource(record)) {
+    case 'aws:kinesis':
+      return streamEvents.getKinesisSequenceNumber(record);
+    case 'aws:dynamodb':
+      return streamEvents.getDynamoDBSequenceNumber(record);
+    case 'aws:sqs':
+      return streamEvents.getSqsMessageId(record);
+    default:
+      return streamEvents.getEventID(record) || streamEvents.getSqsMessageId(record);
+  }
+}
+
+/**
+ * Processes each of the records of the given batch event with the given record function, processing at most the
+ * configured `context.handler.batchConcurrency` records at a time (default: 1, which processes the records in order),
+ * and collects the records that failed into a partial batch response.
+ * @param {AnyStreamEvent|Object} event - an SQS, Kinesis or DynamoDB stream batch event with a `Records` array
+ * @param {StandardHandlerContext} context - the context to use
+ * @param {BatchRecordFunction} recordFn - the function to use to process each record
+ * @returns {Promise.<BatchResponse>} a promise of a batch response listing any failed records' item identifiers - or
+ *          rejected, if the event has no `Records` array or if any failed record has no identifier (in which case the
+ *          entire batch must be retried)
+ */
+function processBatch(event, context, recordFn) {
+  if (!event || !Array.isArray(event.Records)) {
+    return Promise.reject(new BadRequest('Invalid batch event - missing Records', 'InvalidBatchEvent'));
+  }
+  const records = event.Records;
+  const handler = context && context.handler;
+  const concurrency = handler && handler.batchConcurrency > 0 ? Math.max(Math.floor(handler.batchConcurrency), 1) :
+    DEFAULT_BATCH_CONCURRENCY;
+
+  const errors = new Array(records.length);
+  let next = 0;
+
+  function processNext() {
+    if (next >= records.length) return Promise.resolve();
+    const i = next++;
+    const record = records[i];
+    return Promise.resolve()
+      .then(() => recordFn(record, event, context))
+      .catch(err => {
+        log(context, LogLevel.ERROR, `Failed to process record (${getBatchItemIdentifier(record)}) - ${i + 1} of ${records.length}`, err);
+        // Wrap any falsy rejection reason (e.g. from `Promise.reject()`) to ensure that the failure is still recorded
+        errors[i] = err || new Error(`Failed to process record (${getBatchItemIdentifier(record)}) - rejected with (${err})`);
+      })
+      .then(processNext);
+  }
+
+  const workers = [];
+  for (let w = 0; w < Math.min(concurrency, records.length); ++w) {
+    workers.push(processNext());
+  }
+
+  return Promise.all(workers).then(() => {
+    const batchItemFailures = [];
+    for (let i = 0; i < records.length; ++i) {
+      if (errors[i] === undefined) continue;
+      const itemIdentifier = getBatchItemIdentifier(records[i]);
+      if (!itemIdentifier) {
+        // Cannot report this failure, so fail the entire batch to avoid losing the record
+        throw errors[i];
+      }
+      batchItemFailures.push({itemIdentifier: itemIdentifier});
+    }
+    if (batchItemFailures.length > 0) {
+      log(context, LogLevel.WARN, `Failed to process ${batchItemFailures.length} of ${records.length} record(s)`);
+    }
+    return {batchItemFailures: batchItemFailures};
+  });
+}
+
+/**
+ * Generates a function that processes each of the records of a batch event with the given record function (see
+ * `processBatch`), which can be used as the main function of a handler generated by `other-lambdas`.
+ * @param {BatchRecordFunction} recordFn - the function to use to process each record
+ * @returns {function(event: AnyStreamEvent, context: StandardHandlerContext): Promise.<BatchResponse>} a batch function
+ */
+function generateBatchFunction(recordFn) {
+  if (typeof recordFn !== 'function') {
+    throw new Error(`Invalid record function (${recordFn}) - recordFn must be a function`);
+  }
+
+  function processBatchEvent(event, context) {
+    return processBatch(event, context, recordFn);
+  }
+
+  return processBatchEvent;
+}
\ No newline at end of file
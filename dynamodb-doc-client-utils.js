@@ -1,5 +1,15 @@
 'use strict';
 
+const timeouts = require('./timeouts');
+const awsErrors = require('./aws-errors');
+const dynamoDBExpressions = require('./dynamodb-expressions');
+const dynamoDBUtils = require('./dynamodb-utils');
+
+const appErrors = require('core-functions/app-errors');
+const AppError = appErrors.AppError;
+const BadRequest = appErrors.BadRequest;
+const TooManyRequests = appErrors.TooManyRequests;
+
 const strings = require('core-functions/strings');
 const isNotBlank = strings.isNotBlank;
 const trim = strings.trim;
@@ -15,10 +25,60 @@ const mergeOpts = {deep: true, replace: false};
  */
 exports._$_ = '_$_'; //IDE workaround
 
+/** The default maximum number of segments of a parallel scan to scan concurrently */
+const DEFAULT_SEGMENT_CONCURRENCY = 4;
+exports.DEFAULT_SEGMENT_CONCURRENCY = DEFAULT_SEGMENT_CONCURRENCY;
+
+/** The maximum number of keys that DynamoDB allows per `batchGet` request */
+const MAX_BATCH_GET_KEYS = 100;
+exports.MAX_BATCH_GET_KEYS = MAX_BATCH_GET_KEYS;
+
+/** The maximum number of put or delete requests that DynamoDB allows per `batchWrite` request */
+const MAX_BATCH_WRITE_REQUESTS = 25;
+exports.MAX_BATCH_WRITE_REQUESTS = MAX_BATCH_WRITE_REQUESTS;
+
+/** The default maximum number of times to retry the unprocessed items of a batch request */
+const DEFAULT_BATCH_MAX_RETRIES = 5;
+exports.DEFAULT_BATCH_MAX_RETRIES = DEFAULT_BATCH_MAX_RETRIES;
+
+/** The default base delay (in milliseconds) of the exponential backoff between retries of a batch request */
+const DEFAULT_BATCH_BASE_DELAY_MS = 50;
+exports.DEFAULT_BATCH_BASE_DELAY_MS = DEFAULT_BATCH_BASE_DELAY_MS;
+
+/** The default maximum delay (in milliseconds) between retries of a batch request */
+const DEFAULT_BATCH_MAX_DELAY_MS = 5000;
+exports.DEFAULT_BATCH_MAX_DELAY_MS = DEFAULT_BATCH_MAX_DELAY_MS;
+
+/** The maximum number of items that DynamoDB allows per `transactWrite` or `transactGet` request */
+const MAX_TRANSACT_ITEMS = 100;
+exports.MAX_TRANSACT_ITEMS = MAX_TRANSACT_ITEMS;
+
+/** The default name of the version attribute of versioned items */
+const DEFAULT_VERSION_ATTRIBUTE = 'version';
+exports.DEFAULT_VERSION_ATTRIBUTE = DEFAULT_VERSION_ATTRIBUTE;
+
+/** The default maximum number of times to retry a versioned put or update after resolving a version conflict */
+const DEFAULT_MAX_CONFLICT_RETRIES = 3;
+exports.DEFAULT_MAX_CONFLICT_RETRIES = DEFAULT_MAX_CONFLICT_RETRIES;
+
 exports.getItem = getItem;
-exports.updateProjectionExpression = updateProjectionExpression;
-exports.updateExpressionAttributeNames = updateExpressionAttributeNames;
-exports.updateExpressionAttributeValues = updateExpressionAttributeValues;
+exports.putItem = putItem;
+exports.queryItems = queryItems;
+exports.scanItems = scanItems;
+exports.iterateQueryItems = iterateQueryItems;
+exports.iterateScanItems = iterateScanItems;
+exports.batchGetItems = batchGetItems;
+exports.batchWriteItems = batchWriteItems;
+exports.transactWriteItems = transactWriteItems;
+exports.transactGetItems = transactGetItems;
+exports.decodeCancellationReasons = decodeCancellationReasons;
+exports.putVersionedItem = putVersionedItem;
+exports.updateVersionedItem = updateVersionedItem;
+exports.isVersionConflict = isVersionConflict;
+exports.isItemSizeLimitExceeded = isItemSizeLimitExceeded;
+exports.updateProjectionExpression = dynamoDBExpressions.updateProjectionExpression;
+exports.updateExpressionAttributeNames = dynamoDBExpressions.updateExpressionAttributeNames;
+exports.updateExpressionAttributeValues = dynamoDBExpressions.updateExpressionAttributeValues;
 
 /**
  * Gets the item with the given key from the named DynamoDB table.
@@ -27,6 +87,8 @@ exports.updateExpressionAttributeValues = updateExpressionAttributeValues;
  * @param {DynamoGetOpts|undefined} [opts] - optional DynamoDB `get` parameter options to use
  * @param {string} desc - a description of the item being requested for logging purposes
  * @param {StandardContext} context - the context to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before the get completes will abort the request and reject with the token's reason
  * @return {Promise.<DynamoGetResult.<I>>} a promise that will resolve with the result or reject with an error
  * @template I,K
  */
@@ -40,7 +102,10 @@ function getItem(tableName, key, opts, desc, context) {
 
     if (context.traceEnabled) context.trace(`Loading ${desc} from ${tableName} using params (${JSON.stringify(params)})`);
 
-    return context.dynamoDBDocClient.get(params).promise()
+    // Abort the request if the context's cancellation token (if any) is cancelled before it completes
+    const request = context.dynamoDBDocClient.get(params);
+
+    return timeouts.sendAbortableRequest(request, context.cancellationToken)
       .then(result => {
         if (context.traceEnabled) context.trace(`Loaded ${desc} from ${tableName} - result (${JSON.stringify(result)})`);
         if (result && typeof result === 'object') {
@@ -60,63 +125,881 @@ function getItem(tableName, key, opts, desc, context) {
 }
 
 /**
- * Updates the ProjectionExpression property of the given opts with the given extra expressions.
- * @param {DynamoGetOpts|DynamoQueryOpts|Object|undefined} opts - the options to update
- * @param {string[]} expressions - the expressions to add
- * @return {DynamoGetOpts|DynamoQueryOpts|Object} the updated options
+ * Puts the given item into the named DynamoDB table. If a `maxItemSize` option is configured, first rejects any item
+ * whose size (see `dynamodb-utils.calculateItemSize`) exceeds it with an `ItemSizeLimitExceeded` error (see
+ * `isItemSizeLimitExceeded`) naming its largest attributes.
+ * @param {string} tableName - the name of the DynamoDB table to which to put
+ * @param {I} item - the item to put
+ * @param {DynamoPutOpts|undefined} [opts] - optional DynamoDB `put` parameter options & item size option to use
+ * @param {string} desc - a description of the item being put for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before the put completes will abort the request and reject with the token's reason
+ * @return {Promise.<Object>} a promise that will resolve with the result or reject with an error
+ * @template I
+ */
+function putItem(tableName, item, opts, desc, context) {
+  try {
+    const options = opts || {};
+    const sizeError = toItemSizeError(item, options.maxItemSize, `${desc} for ${tableName}`);
+    if (sizeError) throw sizeError;
+
+    const params = {
+      TableName: tableName,
+      Item: item
+    };
+    const dynamoDBOpts = withoutOptions(options, itemSizeOptionNames);
+    merge(dynamoDBOpts, params, mergeOpts);
+
+    return sendRequest('put', params, `${desc} to ${tableName}`, context)
+      .catch(err => {
+        context.error(`Failed to put ${desc} to ${tableName}`, err);
+        throw err;
+      });
+
+  } catch (err) {
+    context.error(`Failed to put ${desc} to ${tableName}`, err);
+    return Promise.reject(err);
+  }
+}
+
+// The names of the `queryItems` & `scanItems` options that control paging (which are NOT passed on to DynamoDB)
+const pagingOptionNames = ['maxItems', 'maxPages', 'pageSize', 'onPage', 'totalSegments', 'segmentConcurrency'];
+
+// The names of the `batchGetItems` & `batchWriteItems` options that control retries (which are NOT passed on to DynamoDB)
+const batchRetryOptionNames = ['maxRetries', 'baseDelayMs', 'maxDelayMs'];
+
+// The names of the batch request parameters that apply to the entire request (rather than to the table's requests)
+const batchTopLevelOptionNames = ['ReturnConsumedCapacity', 'ReturnItemCollectionMetrics'];
+
+// The names of the operations of transaction items
+const transactOperationNames = ['Put', 'Update', 'Delete', 'ConditionCheck', 'Get'];
+
+// The names of the versioned put & update options that control versioning (which are NOT passed on to DynamoDB)
+const versioningOptionNames = ['versionAttribute', 'onConflict', 'maxConflictRetries'];
+
+// The names of the write options that control the item size guard (which are NOT passed on to DynamoDB)
+const itemSizeOptionNames = ['maxItemSize'];
+
+/**
+ * Returns a shallow copy of the given options without any of the options named in the given lists of option names
+ * (i.e. ONLY the options that must be passed on to DynamoDB).
+ * @param {Object} options - the options to copy
+ * @param {...string[]} optionNamesLists - the lists of the names of the options to exclude
+ * @returns {Object} a copy of the options without the named options
+ */
+function withoutOptions(options, ...optionNamesLists) {
+  const result = {};
+  Object.keys(options)
+    .filter(k => optionNamesLists.every(optionNames => optionNames.indexOf(k) === -1))
+    .forEach(k => result[k] = options[k]);
+  return result;
+}
+
+/**
+ * Queries the named DynamoDB table (or index) for ALL of the items that match the given opts' KeyConditionExpression
+ * (and FilterExpression, if any), automatically following each page's `LastEvaluatedKey` until there are no more
+ * pages or until the configured `maxItems` or `maxPages` limit is reached, and collects the items into a single result.
+ * @param {string} tableName - the name of the DynamoDB table to query
+ * @param {DynamoQueryItemsOpts} opts - the DynamoDB `query` parameter options & paging options to use
+ * @param {string} desc - a description of the items being queried for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before a page request completes will abort the request and reject with the token's reason
+ * @return {Promise.<DynamoItemsResult.<I,K>>} a promise that will resolve with the collected result or reject with an error
+ * @template I,K
  */
-function updateProjectionExpression(opts, expressions) {
-  if (!expressions || !Array.isArray(expressions) || expressions.length <= 0) return opts;
-  if (!opts) opts = {};
+function queryItems(tableName, opts, desc, context) {
+  return collectItems(createPageReader('query', tableName, opts, desc, context));
+}
 
-  const projectionExpressions = opts.ProjectionExpression ?
-    opts.ProjectionExpression.split(',').filter(isNotBlank).map(trim) : [];
+/**
+ * Scans the named DynamoDB table (or index) for ALL of its items (that match the given opts' FilterExpression, if any),
+ * automatically following each page's `LastEvaluatedKey` until there are no more pages or until the configured
+ * `maxItems` or `maxPages` limit is reached, and collects the items into a single result. Configure `totalSegments` to
+ * run a parallel scan, which scans at most `segmentConcurrency` segments at a time.
+ * @param {string} tableName - the name of the DynamoDB table to scan
+ * @param {DynamoScanItemsOpts|undefined} [opts] - optional DynamoDB `scan` parameter options & paging options to use
+ * @param {string} desc - a description of the items being scanned for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before a page request completes will abort the request and reject with the token's reason
+ * @return {Promise.<DynamoItemsResult.<I,K>>} a promise that will resolve with the collected result or reject with an error
+ * @template I,K
+ */
+function scanItems(tableName, opts, desc, context) {
+  return collectItems(createPageReader('scan', tableName, opts, desc, context));
+}
+
+/**
+ * Returns an async iterator over ALL of the items that match the given query (see `queryItems`), which only requests
+ * each next page when its items are needed.
+ * @param {string} tableName - the name of the DynamoDB table to query
+ * @param {DynamoQueryItemsOpts} opts - the DynamoDB `query` parameter options & paging options to use
+ * @param {string} desc - a description of the items being queried for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @return {DynamoItemsIterator.<I,K>} an async iterator over the items
+ * @template I,K
+ */
+function iterateQueryItems(tableName, opts, desc, context) {
+  return toItemsIterator(createPageReader('query', tableName, opts, desc, context));
+}
 
-  expressions.forEach(expression => {
-    if (isNotBlank(expression) && projectionExpressions.indexOf(expression) === -1) {
-      projectionExpressions.push(trim(expression));
+/**
+ * Returns an async iterator over ALL of the items of the given scan (see `scanItems`), which only requests each next
+ * page (or, for a parallel scan, the next pages of at most `segmentConcurrency` segments) when its items are needed.
+ * @param {string} tableName - the name of the DynamoDB table to scan
+ * @param {DynamoScanItemsOpts|undefined} [opts] - optional DynamoDB `scan` parameter options & paging options to use
+ * @param {string} desc - a description of the items being scanned for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @return {DynamoItemsIterator.<I,K>} an async iterator over the items
+ * @template I,K
+ */
+function iterateScanItems(tableName, opts, desc, context) {
+  return toItemsIterator(createPageReader('scan', tableName, opts, desc, context));
+}
+
+function collectItems(reader) {
+  const items = [];
+
+  function readNext() {
+    return reader.nextPage().then(page => {
+      if (!page) return reader.summary(items);
+      page.Items.forEach(item => items.push(item));
+      return readNext();
+    });
+  }
+
+  return readNext();
+}
+
+function toItemsIterator(reader) {
+  let buffer = [];
+  let done = false;
+
+  const iterator = {
+    next() {
+      if (buffer.length > 0) return Promise.resolve({value: buffer.shift(), done: false});
+      if (done) return Promise.resolve({value: undefined, done: true});
+      return reader.nextPage().then(page => {
+        if (!page) done = true;
+        else buffer = page.Items.slice();
+        return iterator.next();
+      });
+    },
+
+    return(value) {
+      done = true;
+      buffer = [];
+      reader.stop();
+      return Promise.resolve({value: value, done: true});
+    },
+
+    summary() {
+      return reader.summary();
     }
+  };
+
+  if (typeof Symbol.asyncIterator === 'symbol') {
+    iterator[Symbol.asyncIterator] = () => iterator;
+  }
+  return iterator;
+}
+
+/**
+ * Creates a reader that requests the pages of a query or scan (with at most `segmentConcurrency` page requests in
+ * flight for a parallel scan) and returns each page as soon as it is received. When `maxItems` is configured, the
+ * `Limit` of each page request is capped at the number of items still outstanding (less those already requested by
+ * other in-flight page requests), so that no more than `maxItems` items are ever read and every `LastEvaluatedKey`
+ * remains a valid point from which to continue.
+ * @param {'query'|'scan'} method - the DynamoDB.DocumentClient method to use
+ * @param {string} tableName - the name of the DynamoDB table
+ * @param {DynamoQueryItemsOpts|DynamoScanItemsOpts|undefined} opts - the parameter & paging options to use
+ * @param {string} desc - a description of the items being read for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @returns {{nextPage: function(): Promise.<DynamoItemsPage|undefined>, stop: function(), summary: function(items: (Array|undefined)): DynamoItemsResult}}
+ */
+function createPageReader(method, tableName, opts, desc, context) {
+  const failedAction = `Failed to ${method}`;
+
+  const options = opts || {};
+  const maxItems = options.maxItems > 0 ? Math.floor(options.maxItems) : undefined;
+  const maxPages = options.maxPages > 0 ? Math.floor(options.maxPages) : undefined;
+  const pageSize = options.pageSize > 0 ? Math.floor(options.pageSize) : undefined;
+  const onPage = options.onPage;
+  // NB: Only run a parallel scan with at least 2 whole segments & scan at least 1 segment at a time
+  const totalSegments = method === 'scan' && options.totalSegments >= 2 ? Math.floor(options.totalSegments) : undefined;
+  const concurrency = totalSegments ? Math.min(totalSegments, options.segmentConcurrency > 0 ?
+    Math.max(Math.floor(options.segmentConcurrency), 1) : DEFAULT_SEGMENT_CONCURRENCY) : 1;
+
+  const params = {TableName: tableName};
+  const dynamoDBOpts = withoutOptions(options, pagingOptionNames);
+  merge(dynamoDBOpts, params, mergeOpts);
+
+  const cursors = [];
+  for (let s = 0; s < (totalSegments || 1); ++s) {
+    cursors.push({segment: totalSegments ? s : undefined, key: params.ExclusiveStartKey, busy: false, done: false});
+  }
+  delete params.ExclusiveStartKey;
+
+  const ready = [];
+  const inFlight = [];
+  let reserved = 0;
+  let pageCount = 0;
+  let itemCount = 0;
+  let scannedCount = 0;
+  let consumedCapacity = undefined;
+  let failure = undefined;
+  let stopped = false;
+
+  function canStart() {
+    if (stopped || failure || inFlight.length >= concurrency) return false;
+    if (maxPages && pageCount + inFlight.length >= maxPages) return false;
+    return !maxItems || maxItems - itemCount - reserved > 0;
+  }
+
+  function fill() {
+    while (canStart()) {
+      const cursor = cursors.find(c => !c.busy && !c.done);
+      if (!cursor) return;
+      start(cursor);
+    }
+  }
+
+  function start(cursor) {
+    // Without a page size, share the outstanding items between the concurrent segments of a parallel scan
+    const limit = maxItems ? Math.min(pageSize || Math.ceil((maxItems - itemCount) / concurrency),
+      maxItems - itemCount - reserved) : pageSize;
+    const pageParams = Object.assign({}, params);
+    if (limit) pageParams.Limit = limit;
+    if (cursor.key) pageParams.ExclusiveStartKey = cursor.key;
+    if (totalSegments) {
+      pageParams.Segment = cursor.segment;
+      pageParams.TotalSegments = totalSegments;
+    }
+    const pageDesc = totalSegments ? `${desc} (segment ${cursor.segment + 1} of ${totalSegments})` : desc;
+    cursor.busy = true;
+    if (maxItems) reserved += limit;
+
+    const flight = {};
+    flight.promise = sendRequest(method, pageParams, `${pageDesc} from ${tableName}`, context)
+      .then(result => {
+        const page = {
+          Items: Array.isArray(result.Items) ? result.Items : [],
+          Count: result.Count,
+          ScannedCount: result.ScannedCount,
+          LastEvaluatedKey: result.LastEvaluatedKey,
+          ConsumedCapacity: result.ConsumedCapacity,
+          Segment: cursor.segment,
+          pageNumber: ++pageCount
+        };
+        cursor.key = result.LastEvaluatedKey;
+        cursor.done = !result.LastEvaluatedKey;
+        itemCount += page.Items.length;
+        scannedCount += result.ScannedCount || 0;
+        consumedCapacity = addConsumedCapacity(consumedCapacity, result.ConsumedCapacity);
+        return typeof onPage === 'function' ? Promise.resolve(onPage(page, context)).then(() => page) : page;
+      })
+      .then(
+        page => {
+          ready.push(page);
+        },
+        err => {
+          if (!failure) {
+            context.error(`${failedAction} ${pageDesc} from ${tableName}`, err);
+            failure = err;
+          }
+        }
+      )
+      .then(() => {
+        cursor.busy = false;
+        if (maxItems) reserved -= limit;
+        inFlight.splice(inFlight.indexOf(flight), 1);
+      });
+    inFlight.push(flight);
+  }
+
+  function nextPage() {
+    if (failure) return Promise.reject(failure);
+    if (ready.length > 0) return Promise.resolve(ready.shift());
+    fill();
+    if (failure) return Promise.reject(failure);
+    if (inFlight.length === 0) return Promise.resolve(undefined);
+    return Promise.race(inFlight.map(f => f.promise)).then(nextPage);
+  }
+
+  function stop() {
+    stopped = true;
+  }
+
+  function summary(items) {
+    const result = {};
+    if (items) {
+      result.Items = items;
+      result.Count = items.length;
+    }
+    result.ScannedCount = scannedCount;
+    result.pageCount = pageCount;
+    if (totalSegments) {
+      const lastEvaluatedKeys = {};
+      cursors.filter(c => !c.done).forEach(c => lastEvaluatedKeys[c.segment] = c.key || null);
+      if (Object.keys(lastEvaluatedKeys).length > 0) result.LastEvaluatedKeys = lastEvaluatedKeys;
+    } else if (!cursors[0].done && cursors[0].key) {
+      result.LastEvaluatedKey = cursors[0].key;
+    }
+    if (consumedCapacity) result.ConsumedCapacity = consumedCapacity;
+    return result;
+  }
+
+  return {nextPage: nextPage, stop: stop, summary: summary};
+}
+
+/**
+ * Adds the given consumed capacity (if any) to the given running total (if any).
+ * @param {ConsumedCapacity|undefined} total - the running total of consumed capacity (if any)
+ * @param {ConsumedCapacity|undefined} consumedCapacity - the consumed capacity to add (if any)
+ * @returns {ConsumedCapacity|undefined} the new running total (if any)
+ */
+function addConsumedCapacity(total, consumedCapacity) {
+  if (!consumedCapacity || typeof consumedCapacity !== 'object') return total;
+  const sum = total || {TableName: consumedCapacity.TableName};
+  addCapacityUnits(sum, consumedCapacity);
+  if (consumedCapacity.Table) {
+    sum.Table = addCapacityUnits(sum.Table || {}, consumedCapacity.Table);
+  }
+  ['LocalSecondaryIndexes', 'GlobalSecondaryIndexes'].forEach(indexes => {
+    const units = consumedCapacity[indexes];
+    if (!units) return;
+    const sumUnits = sum[indexes] || (sum[indexes] = {});
+    Object.keys(units).forEach(name => sumUnits[name] = addCapacityUnits(sumUnits[name] || {}, units[name]));
   });
+  return sum;
+}
 
-  const projectionExpression = projectionExpressions.length > 0 ? projectionExpressions.join(',') : undefined;
-  opts.ProjectionExpression = isNotBlank(projectionExpression) ? projectionExpression : undefined;
-  return opts;
+function addCapacityUnits(sum, units) {
+  ['CapacityUnits', 'ReadCapacityUnits', 'WriteCapacityUnits'].forEach(name => {
+    if (typeof units[name] === 'number') sum[name] = (sum[name] || 0) + units[name];
+  });
+  return sum;
 }
 
 /**
- * Updates the ExpressionAttributeNames map of the given opts with the given map of extra expression attribute names.
- * @param {DynamoGetOpts|DynamoQueryOpts|Object|undefined} opts - the options to update
- * @param {Object.<string, string>} expressionAttributeNames - the map of extra expression attribute names to add
- * @return {DynamoGetOpts|DynamoQueryOpts|Object} the updated options
+ * Gets ALL of the items with the given keys from the named DynamoDB table, by de-duplicating the keys, splitting them
+ * into chunks of at most `MAX_BATCH_GET_KEYS` keys, getting each chunk with a `batchGet` request and retrying any
+ * `UnprocessedKeys` (or any chunk whose request failed with a throttling or retryable error) with exponential backoff and
+ * full jitter, up to the configured `maxRetries`.
+ * @param {string} tableName - the name of the DynamoDB table from which to get
+ * @param {Array.<K>} keys - the keys of the items to get
+ * @param {DynamoBatchGetItemsOpts|undefined} [opts] - optional DynamoDB `batchGet` parameter options & retry options to use
+ * @param {string} desc - a description of the items being requested for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before the gets complete will abort the current request and reject with the token's reason
+ * @return {Promise.<DynamoBatchGetItemsResult.<I,K>>} a promise that will resolve with the items found and the keys that
+ *         could NOT be processed (if any) or reject with an error (e.g. if cancelled)
+ * @template I,K
  */
-function updateExpressionAttributeNames(opts, expressionAttributeNames) {
-  if (!expressionAttributeNames || typeof expressionAttributeNames !== 'object') return opts;
-  if (!opts) opts = {};
-  if (!opts.ExpressionAttributeNames) opts.ExpressionAttributeNames = {};
+function batchGetItems(tableName, keys, opts, desc, context) {
+  const items = [];
+  return executeBatch('batchGet', tableName, keys, MAX_BATCH_GET_KEYS, opts, desc, context, {
+    dedup: toKeyString,
+    toTableRequest: (chunk, tableOpts) => {
+      const tableRequest = {Keys: chunk};
+      if (tableOpts) merge(tableOpts, tableRequest, mergeOpts);
+      return tableRequest;
+    },
+    collect: result => {
+      const found = result.Responses && result.Responses[tableName];
+      if (Array.isArray(found)) found.forEach(item => items.push(item));
+    },
+    getUnprocessed: result => {
+      const unprocessed = result.UnprocessedKeys && result.UnprocessedKeys[tableName];
+      return unprocessed && Array.isArray(unprocessed.Keys) ? unprocessed.Keys : [];
+    }
+  }).then(result => {
+    result.Items = items;
+    return result;
+  });
+}
 
-  const keys = Object.getOwnPropertyNames(expressionAttributeNames);
-  keys.forEach(key => {
-    opts.ExpressionAttributeNames[key] = expressionAttributeNames[key];
+/**
+ * Executes ALL of the given write (i.e. put or delete) requests against the named DynamoDB table, by de-duplicating the
+ * delete requests, splitting the requests into chunks of at most `MAX_BATCH_WRITE_REQUESTS` requests, writing each chunk
+ * with a `batchWrite` request and retrying any `UnprocessedItems` (or any chunk whose request failed with a throttling or
+ * retryable error) with exponential backoff and full jitter, up to the configured `maxRetries`.
+ *
+ * If a `maxItemSize` option is configured, any put request whose item's size exceeds it is NOT sent and is instead
+ * returned as a failure with an `ItemSizeLimitExceeded` error (see `isItemSizeLimitExceeded`).
+ *
+ * NB: DynamoDB rejects a `batchWrite` request that contains more than one request for the same item, so do NOT pass more
+ * than one put (or a put and a delete) for the same key.
+ * @param {string} tableName - the name of the DynamoDB table to which to write
+ * @param {Array.<DynamoWriteRequest.<I,K>>} requests - the write requests (i.e. `{PutRequest: {Item: item}}` or
+ *        `{DeleteRequest: {Key: key}}`) to execute
+ * @param {DynamoBatchWriteItemsOpts|undefined} [opts] - optional DynamoDB `batchWrite` parameter options, retry options &
+ *        item size option to use
+ * @param {string} desc - a description of the items being written for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before the writes complete will abort the current request and reject with the token's reason
+ * @return {Promise.<DynamoBatchWriteItemsResult.<I,K>>} a promise that will resolve with the write requests that could
+ *         NOT be processed (if any) or reject with an error (e.g. if cancelled)
+ * @template I,K
+ */
+function batchWriteItems(tableName, requests, opts, desc, context) {
+  const maxItemSize = opts ? opts.maxItemSize : undefined;
+  return executeBatch('batchWrite', tableName, requests, MAX_BATCH_WRITE_REQUESTS, opts, desc, context, {
+    dedup: request => request && request.DeleteRequest ? `DeleteRequest:${toKeyString(request.DeleteRequest.Key)}` : undefined,
+    validate: request => request && request.PutRequest ?
+      toItemSizeError(request.PutRequest.Item, maxItemSize, `${desc} for ${tableName}`) : undefined,
+    toTableRequest: chunk => chunk,
+    collect: () => {},
+    getUnprocessed: result => {
+      const unprocessed = result.UnprocessedItems && result.UnprocessedItems[tableName];
+      return Array.isArray(unprocessed) ? unprocessed : [];
+    }
   });
+}
 
-  return opts;
+function toKeyString(key) {
+  return key && typeof key === 'object' ? JSON.stringify(Object.keys(key).sort().map(k => [k, key[k]])) : `${key}`;
+}
+
+function executeBatch(method, tableName, entries, chunkSize, opts, desc, context, batch) {
+  try {
+    if (!Array.isArray(entries)) {
+      throw new TypeError(`Invalid ${method} entries (${JSON.stringify(entries)}) for ${desc} - must be an array`);
+    }
+    const options = opts || {};
+    const maxRetries = options.maxRetries >= 0 ? Math.floor(options.maxRetries) : DEFAULT_BATCH_MAX_RETRIES;
+    const baseDelayMs = options.baseDelayMs >= 0 ? options.baseDelayMs : DEFAULT_BATCH_BASE_DELAY_MS;
+    const maxDelayMs = options.maxDelayMs >= 0 ? options.maxDelayMs : DEFAULT_BATCH_MAX_DELAY_MS;
+
+    const params = {};
+    const tableOpts = {};
+    const dynamoDBOpts = withoutOptions(options, batchRetryOptionNames, itemSizeOptionNames);
+    Object.keys(dynamoDBOpts).forEach(k => {
+      if (batchTopLevelOptionNames.indexOf(k) !== -1) params[k] = dynamoDBOpts[k];
+      else tableOpts[k] = dynamoDBOpts[k];
+    });
+
+    // De-duplicate the entries (where possible)
+    const seen = new Set();
+    const unique = entries.filter(entry => {
+      const id = batch.dedup(entry);
+      if (id === undefined) return true;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+
+    // Fail any invalid entries up front (without sending them)
+    const failures = [];
+    const valid = batch.validate ? unique.filter(entry => {
+      const error = batch.validate(entry);
+      if (error) failures.push({item: entry, error: error});
+      return !error;
+    }) : unique;
+
+    const chunks = [];
+    for (let i = 0; i < valid.length; i += chunkSize) {
+      chunks.push(valid.slice(i, i + chunkSize));
+    }
+
+    let consumedCapacity = undefined;
+    const token = context.cancellationToken;
+
+    function processChunk(chunk, attempt, lastError) {
+      if (attempt > maxRetries) {
+        const error = lastError || new TooManyRequests(`Failed to ${method} ${chunk.length} ${desc} item(s) for ` +
+          `${tableName} - still unprocessed after ${attempt} attempt(s)`, 'BatchItemsUnprocessed');
+        chunk.forEach(entry => failures.push({item: entry, error: error}));
+        return Promise.resolve();
+      }
+      return timeouts.delayWithBackoff(attempt, baseDelayMs, maxDelayMs, token)
+        .then(() => {
+          const chunkParams = Object.assign({}, params);
+          chunkParams.RequestItems = {};
+          chunkParams.RequestItems[tableName] = batch.toTableRequest(chunk, tableOpts);
+          return sendRequest(method, chunkParams, `${desc} for ${tableName}`, context);
+        })
+        .then(
+          result => {
+            batch.collect(result);
+            (Array.isArray(result.ConsumedCapacity) ? result.ConsumedCapacity : [result.ConsumedCapacity])
+              .forEach(c => consumedCapacity = addConsumedCapacity(consumedCapacity, c));
+
+            const unprocessed = batch.getUnprocessed(result);
+            if (unprocessed.length > 0) {
+              context.warn(`${method} of ${desc} for ${tableName} left ${unprocessed.length} of ${chunk.length} item(s) unprocessed on attempt ${attempt + 1}`);
+              return processChunk(unprocessed, attempt + 1, undefined);
+            }
+          },
+          err => {
+            if (token && token.aborted) throw err;
+            if (awsErrors.isThrottled(err) || awsErrors.isRetryable(err)) {
+              context.warn(`Failed to ${method} ${chunk.length} ${desc} item(s) for ${tableName} on attempt ${attempt + 1} - ${err}`);
+              return processChunk(chunk, attempt + 1, err);
+            }
+            context.error(`Failed to ${method} ${chunk.length} ${desc} item(s) for ${tableName}`, err);
+            chunk.forEach(entry => failures.push({item: entry, error: err}));
+          }
+        );
+    }
+
+    return chunks.reduce((promise, chunk) => promise.then(() => processChunk(chunk, 0, undefined)), Promise.resolve())
+      .then(() => {
+        if (failures.length > 0) {
+          context.warn(`Failed to ${method} ${failures.length} of ${unique.length} ${desc} item(s) for ${tableName}`);
+        }
+        const result = {failures: failures};
+        if (consumedCapacity) result.ConsumedCapacity = consumedCapacity;
+        return result;
+      });
+
+  } catch (err) {
+    context.error(`Failed to ${method} ${desc} for ${tableName}`, err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Executes the given write (i.e. put, update, delete or condition check) items as a single all-or-nothing DynamoDB
+ * transaction. If the transaction is cancelled, the rejected `TransactionCanceledException` will also have a
+ * `cancellationResults` property with the decoded result of each of its items (see `decodeCancellationReasons`), which
+ * identifies which item(s) caused the cancellation and why (e.g. `ConditionalCheckFailed` vs `TransactionConflict`).
+ * If a `maxItemSize` option is configured, first rejects the transaction with an `ItemSizeLimitExceeded` error (see
+ * `isItemSizeLimitExceeded`) if the size of any Put item exceeds it.
+ * @param {Array.<DynamoTransactWriteItem>} transactItems - the 1 to `MAX_TRANSACT_ITEMS` items to write
+ * @param {DynamoTransactWriteOpts|undefined} [opts] - optional DynamoDB `transactWrite` parameter options & item size
+ *        option to use
+ * @param {string} desc - a description of the transaction for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before the transaction completes will abort the request and reject with the token's reason
+ * @return {Promise.<Object>} a promise that will resolve with the result or reject with an error
+ */
+function transactWriteItems(transactItems, opts, desc, context) {
+  return executeTransaction('transactWrite', transactItems, opts, desc, context);
+}
+
+/**
+ * Gets the items of the given get items as a single, serializable DynamoDB transaction. If the transaction is cancelled,
+ * the rejected `TransactionCanceledException` will also have a `cancellationResults` property with the decoded result
+ * of each of its items (see `decodeCancellationReasons`).
+ * @param {Array.<DynamoTransactGetItem>} transactItems - the 1 to `MAX_TRANSACT_ITEMS` items to get
+ * @param {DynamoTransactGetOpts|undefined} [opts] - optional DynamoDB `transactGet` parameter options to use
+ * @param {string} desc - a description of the items being requested for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before the transaction completes will abort the request and reject with the token's reason
+ * @return {Promise.<DynamoTransactGetResult.<I>>} a promise that will resolve with the result (with one response per
+ *         item, in the same order) or reject with an error
+ * @template I
+ */
+function transactGetItems(transactItems, opts, desc, context) {
+  return executeTransaction('transactGet', transactItems, opts, desc, context);
+}
+
+function executeTransaction(method, transactItems, opts, desc, context) {
+  try {
+    if (!Array.isArray(transactItems) || transactItems.length < 1 || transactItems.length > MAX_TRANSACT_ITEMS) {
+      const n = Array.isArray(transactItems) ? transactItems.length : JSON.stringify(transactItems);
+      throw new BadRequest(`Invalid ${method} items (${n}) for ${desc} - must be an array of 1 to ${MAX_TRANSACT_ITEMS} items`,
+        'InvalidTransactItems');
+    }
+    const options = opts || {};
+    transactItems.forEach((transactItem, i) => {
+      const sizeError = transactItem && transactItem.Put ?
+        toItemSizeError(transactItem.Put.Item, options.maxItemSize, `${desc} item [${i}]`) : undefined;
+      if (sizeError) throw sizeError;
+    });
+
+    const params = {TransactItems: transactItems};
+    const dynamoDBOpts = withoutOptions(options, itemSizeOptionNames);
+    merge(dynamoDBOpts, params, mergeOpts);
+
+    return sendRequest(method, params, desc, context)
+      .catch(err => {
+        if (awsErrors.isTransactionCanceled(err)) {
+          err.cancellationResults = decodeCancellationReasons(err, transactItems);
+        }
+        context.error(`Failed to ${method} ${desc}`, err);
+        throw err;
+      });
+
+  } catch (err) {
+    context.error(`Failed to ${method} ${desc}`, err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Decodes the cancellation reasons of the given DynamoDB `TransactionCanceledException` (see
+ * `aws-errors.getCancellationReasons`) into a result per item of the given transaction items.
+ * @param {Error|*} err - the error with which a `transactWrite` or `transactGet` request failed
+ * @param {Array.<DynamoTransactWriteItem|DynamoTransactGetItem>|undefined} [transactItems] - the transaction's items
+ * @returns {Array.<DynamoTransactItemResult>} the result of each item (if the error is a `TransactionCanceledException`
+ *          with cancellation reasons) or an empty array
+ */
+function decodeCancellationReasons(err, transactItems) {
+  return awsErrors.getCancellationReasons(err).map((reason, index) => {
+    const transactItem = transactItems && transactItems[index];
+    const operation = transactItem ? Object.keys(transactItem).find(k => transactOperationNames.indexOf(k) !== -1) : undefined;
+    const code = reason && reason.Code ? reason.Code : 'None';
+
+    const result = {
+      index: index,
+      operation: operation,
+      tableName: operation && transactItem[operation] ? transactItem[operation].TableName : undefined,
+      code: code,
+      failed: code !== 'None'
+    };
+    if (reason && reason.Message) result.message = reason.Message;
+    if (reason && reason.Item) result.item = reason.Item;
+    return result;
+  });
+}
+
+/**
+ * Puts the given item (with the given key) into the named DynamoDB table using optimistic locking, i.e. ONLY if the
+ * version attribute of the existing item (if any) still equals the item's current version (or if there is NO existing
+ * versioned item, when the given item has no version), by incrementing the item's version and adding the matching
+ * condition to the put's ConditionExpression (and ANDing it with any existing ConditionExpression).
+ *
+ * If the version condition fails, the current item is re-loaded and, if an `onConflict` callback is configured, it is
+ * invoked with the current item and the attempted item to resolve the conflict by returning a merged item to put
+ * instead (with the current item's version); otherwise (or if it returns undefined or the `maxConflictRetries` are
+ * exhausted) the put is rejected with a 409 `VersionConflict` error (see `isVersionConflict`) carrying the current item.
+ *
+ * If a `maxItemSize` option is configured, any item (with its new version) whose size exceeds it is rejected with an
+ * `ItemSizeLimitExceeded` error (see `isItemSizeLimitExceeded`) instead of being put.
+ * @param {string} tableName - the name of the DynamoDB table to which to put
+ * @param {K} key - the key of the item (which overrides any key attributes of the item)
+ * @param {I} item - the item to put with its current version (or without a version, if it is a new item)
+ * @param {DynamoVersionedPutOpts|undefined} [opts] - optional versioning & DynamoDB `put` parameter options to use
+ * @param {string} desc - a description of the item being put for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @return {Promise.<DynamoVersionedWriteResult.<I>>} a promise that will resolve with the item put & its new version or
+ *         reject with an error
+ * @template I,K
+ */
+function putVersionedItem(tableName, key, item, opts, desc, context) {
+  try {
+    const versioning = toVersioningOpts(opts);
+
+    function attempt(attemptItem, expectedVersion, retries) {
+      const version = nextVersion(expectedVersion, versioning.versionAttribute, desc);
+      const newItem = Object.assign({}, attemptItem, key);
+      newItem[versioning.versionAttribute] = version;
+
+      const sizeError = toItemSizeError(newItem, versioning.maxItemSize, `${desc} for ${tableName}`);
+      if (sizeError) {
+        context.error(`Failed to put ${desc} to ${tableName}`, sizeError);
+        return Promise.reject(sizeError);
+      }
+
+      const params = {TableName: tableName, Item: newItem};
+      merge(versioning.dynamoDBOpts, params, mergeOpts);
+      dynamoDBExpressions.buildExpressions(params, {
+        condition: versionCondition(versioning.versionAttribute, expectedVersion)
+      });
+
+      return sendRequest('put', params, `${desc} to ${tableName}`, context)
+        .then(
+          result => ({Item: newItem, version: version, result: result}),
+          err => resolveVersionConflict('put', err, tableName, key, expectedVersion, attemptItem, versioning, retries,
+            desc, context, attempt)
+        );
+    }
+
+    return attempt(item, item ? item[versioning.versionAttribute] : undefined, versioning.maxConflictRetries);
+
+  } catch (err) {
+    context.error(`Failed to put ${desc} to ${tableName}`, err);
+    return Promise.reject(err);
+  }
 }
 
 /**
- * Updates the ExpressionAttributeValues map of the given opts with the given map of extra expression attribute names.
- * @param {DynamoQueryOpts|Object|undefined} opts - the options to update
- * @param {Object.<string, string>} expressionAttributeValues - the map of extra expression attribute names to add
- * @return {DynamoQueryOpts|Object} the updated options
+ * Updates the item with the given key in the named DynamoDB table with the given update actions (see
+ * `dynamodb-expressions`) using optimistic locking, i.e. ONLY if the item's version attribute still equals the given
+ * expected version (or if there is NO existing versioned item, when the expected version is undefined), by adding an
+ * action that increments the version and the matching condition to the update's ConditionExpression (and ANDing it with
+ * any existing ConditionExpression).
+ *
+ * If the version condition fails, the current item is re-loaded and, if an `onConflict` callback is configured, it is
+ * invoked with the current item and the attempted update actions to resolve the conflict by returning the update actions
+ * to apply to the current item instead; otherwise (or if it returns undefined or the `maxConflictRetries` are exhausted)
+ * the update is rejected with a 409 `VersionConflict` error (see `isVersionConflict`) carrying the current item.
+ * @param {string} tableName - the name of the DynamoDB table in which to update
+ * @param {K} key - the key of the item to update
+ * @param {number|undefined} expectedVersion - the expected current version of the item (or undefined for a new item)
+ * @param {UpdateAction|UpdateAction[]} actions - the update action(s) to apply
+ * @param {DynamoVersionedUpdateOpts|undefined} [opts] - optional versioning & DynamoDB `update` parameter options to use
+ *        (NB: ReturnValues defaults to 'ALL_NEW')
+ * @param {string} desc - a description of the item being updated for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @return {Promise.<DynamoVersionedWriteResult.<I>>} a promise that will resolve with the returned attributes (if any)
+ *         & the item's new version or reject with an error
+ * @template I,K
  */
-function updateExpressionAttributeValues(opts, expressionAttributeValues) {
-  if (!expressionAttributeValues || typeof expressionAttributeValues !== 'object') return opts;
-  if (!opts) opts = {};
-  if (!opts.ExpressionAttributeValues) opts.ExpressionAttributeValues = {};
+function updateVersionedItem(tableName, key, expectedVersion, actions, opts, desc, context) {
+  try {
+    const versioning = toVersioningOpts(opts);
+
+    function attempt(attemptActions, attemptVersion, retries) {
+      const version = nextVersion(attemptVersion, versioning.versionAttribute, desc);
+
+      const params = {TableName: tableName, Key: key};
+      merge(versioning.dynamoDBOpts, params, mergeOpts);
+      if (!params.ReturnValues) params.ReturnValues = 'ALL_NEW';
+      dynamoDBExpressions.buildExpressions(params, {
+        update: [].concat(attemptActions, dynamoDBExpressions.set(versioning.versionAttribute, version)),
+        condition: versionCondition(versioning.versionAttribute, attemptVersion)
+      });
 
-  const keys = Object.getOwnPropertyNames(expressionAttributeValues);
-  keys.forEach(key => {
-    opts.ExpressionAttributeValues[key] = expressionAttributeValues[key];
+      return sendRequest('update', params, `${desc} in ${tableName}`, context)
+        .then(
+          result => ({Item: result.Attributes, version: version, result: result}),
+          err => resolveVersionConflict('update', err, tableName, key, attemptVersion, attemptActions, versioning,
+            retries, desc, context, attempt)
+        );
+    }
+
+    return attempt(actions, expectedVersion, versioning.maxConflictRetries);
+
+  } catch (err) {
+    context.error(`Failed to update ${desc} in ${tableName}`, err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Returns true if the given error is a `VersionConflict` error (see `putVersionedItem` & `updateVersionedItem`).
+ * @param {Error|*} err - the error to check
+ * @returns {boolean} true if a version conflict; false otherwise
+ */
+function isVersionConflict(err) {
+  return !!err && err.code === 'VersionConflict';
+}
+
+/**
+ * Returns true if the given error is an `ItemSizeLimitExceeded` error (see the `maxItemSize` option of `putItem`,
+ * `putVersionedItem`, `batchWriteItems` & `transactWriteItems`).
+ * @param {Error|*} err - the error to check
+ * @returns {boolean} true if an item was too large; false otherwise
+ */
+function isItemSizeLimitExceeded(err) {
+  return !!err && err.code === 'ItemSizeLimitExceeded';
+}
+
+function toVersioningOpts(opts) {
+  const options = opts || {};
+  const dynamoDBOpts = withoutOptions(options, versioningOptionNames, itemSizeOptionNames);
+  return {
+    versionAttribute: isNotBlank(options.versionAttribute) ? trim(options.versionAttribute) : DEFAULT_VERSION_ATTRIBUTE,
+    onConflict: typeof options.onConflict === 'function' ? options.onConflict : undefined,
+    maxConflictRetries: options.maxConflictRetries >= 0 ? Math.floor(options.maxConflictRetries) :
+      DEFAULT_MAX_CONFLICT_RETRIES,
+    maxItemSize: options.maxItemSize,
+    dynamoDBOpts: dynamoDBOpts
+  };
+}
+
+function nextVersion(expectedVersion, versionAttribute, desc) {
+  if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+    throw new TypeError(`Invalid version (${JSON.stringify(expectedVersion)}) of ${desc} - ${versionAttribute} must be an integer`);
+  }
+  return expectedVersion === undefined ? 1 : expectedVersion + 1;
+}
+
+function versionCondition(versionAttribute, expectedVersion) {
+  return expectedVersion === undefined ? dynamoDBExpressions.attributeNotExists(versionAttribute) :
+    dynamoDBExpressions.eq(versionAttribute, expectedVersion);
+}
+
+function resolveVersionConflict(method, err, tableName, key, expectedVersion, attempted, versioning, retries, desc,
+  context, retry) {
+  const failedMsg = `Failed to ${method} ${desc} ${method === 'put' ? 'to' : 'in'} ${tableName}`;
+  if (!awsErrors.isConditionalCheckFailed(err)) {
+    context.error(failedMsg, err);
+    throw err;
+  }
+
+  return getItem(tableName, key, {ConsistentRead: true}, desc, context).then(res => {
+    const currentItem = res.Item;
+    const currentVersion = currentItem ? currentItem[versioning.versionAttribute] : undefined;
+
+    // If the version did NOT change, then another part of the ConditionExpression must have failed
+    if (currentVersion === expectedVersion) {
+      context.error(failedMsg, err);
+      throw err;
+    }
+
+    const conflict = new AppError(`${failedMsg} - expected version (${expectedVersion}), but found version (${currentVersion})`,
+      'VersionConflict', 409, err);
+    conflict.tableName = tableName;
+    conflict.key = key;
+    conflict.expectedVersion = expectedVersion;
+    conflict.currentVersion = currentVersion;
+    conflict.currentItem = currentItem;
+
+    if (!versioning.onConflict || retries <= 0) {
+      context.warn(conflict.message);
+      throw conflict;
+    }
+
+    return Promise.resolve(versioning.onConflict(currentItem, attempted, context)).then(resolved => {
+      if (resolved === undefined) {
+        context.warn(conflict.message);
+        throw conflict;
+      }
+      context.warn(`${conflict.message} - retrying with the resolved ${method}`);
+      return retry(resolved, currentVersion, retries - 1);
+    });
   });
+}
+
+// The maximum number of the largest attributes of an item to name in an `ItemSizeLimitExceeded` error
+const MAX_LARGEST_ATTRIBUTES = 3;
+
+function toItemSizeError(item, maxItemSize, desc) {
+  if (!(maxItemSize > 0) || !item || typeof item !== 'object') {
+    return undefined;
+  }
+  const attributeSizes = dynamoDBUtils.calculateAttributeSizes(item);
+  const itemSize = attributeSizes.reduce((size, attribute) => size + attribute.size, 0);
+  if (itemSize <= maxItemSize) {
+    return undefined;
+  }
+  const largestAttributes = attributeSizes.slice(0, MAX_LARGEST_ATTRIBUTES);
+  const error = new BadRequest(`Item size (${itemSize} bytes) of ${desc} exceeds the maximum item size (${maxItemSize} ` +
+    `bytes) - largest attributes: ${largestAttributes.map(a => `${a.name} (${a.size} bytes)`).join(', ')}`,
+    'ItemSizeLimitExceeded');
+  error.itemSize = itemSize;
+  error.maxItemSize = maxItemSize;
+  error.largestAttributes = largestAttributes;
+  return error;
+}
+
+function sendRequest(method, params, desc, context) {
+  try {
+    if (context.traceEnabled) context.trace(`Executing ${method} of ${desc} using params (${JSON.stringify(params)})`);
+
+    // Abort the request if the context's cancellation token (if any) is cancelled before it completes
+    const request = context.dynamoDBDocClient[method](params);
 
-  return opts;
+    return timeouts.sendAbortableRequest(request, context.cancellationToken)
+      .then(result => {
+        if (context.traceEnabled) context.trace(`Executed ${method} of ${desc} - result (${JSON.stringify(result)})`);
+        if (result && typeof result === 'object') {
+          return result;
+        }
+        throw new TypeError(`Unexpected result from ${method} of ${desc} - result (${JSON.stringify(result)})`);
+      });
+
+  } catch (err) {
+    return Promise.reject(err);
+  }
 }
\ No newline at end of file
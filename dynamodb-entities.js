@@ -0,0 +1,388 @@
+'use strict';
+
+const dynamoDBUtils = require('./dynamodb-utils');
+const dynamoDBDocClientUtils = require('./dynamodb-doc-client-utils');
+const dynamoDBExpressions = require('./dynamodb-expressions');
+
+const strings = require('core-functions/strings');
+const isNotBlank = strings.isNotBlank;
+const trim = strings.trim;
+const stringify = strings.stringify;
+
+/**
+ * A lightweight entity mapping layer for single-table DynamoDB designs, which maps entities of each defined entity type
+ * to & from the items of a shared table.
+ *
+ * Each entity type (see `defineEntity`) declares its primary key and any global or local secondary index keys as key
+ * attribute names with composite key templates (e.g. `ORDER#{orderId}`), whose `{property}` placeholders are replaced
+ * with the values of the entity's properties. Each entity type also declares any attribute renames (i.e. the name under
+ * which a property is stored) and type coercions (e.g. storing Dates as ISO-8601 strings). All other properties are
+ * stored as-is under their own names. Every item also stores the name of its entity type (in its type attribute), which
+ * is used to only query & map items of the entity type.
+ *
+ * An entity type generates the parameters for the existing `dynamodb-doc-client-utils` helpers and also provides `get`,
+ * `put` & `query` functions that use these helpers and map their results back into entities.
+ *
+ * @module aws-core-utils/dynamodb-entities
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+/** The default name of the attribute in which to store the name of each item's entity type */
+const DEFAULT_TYPE_ATTRIBUTE = 'entityType';
+exports.DEFAULT_TYPE_ATTRIBUTE = DEFAULT_TYPE_ATTRIBUTE;
+
+exports.defineEntity = defineEntity;
+
+// The supported type coercions of properties (to & from their stored forms)
+const coercions = {
+  string: {toStored: toString, fromStored: toString},
+  number: {toStored: toNumber, fromStored: toNumber},
+  boolean: {toStored: toBoolean, fromStored: toBoolean},
+  date: {toStored: v => toDate(v).toISOString(), fromStored: toDate},
+  epochMillis: {toStored: v => toDate(v).getTime(), fromStored: toDate}
+};
+
+/**
+ * Defines a new entity type from the given definition.
+ * @param {EntityDefinition} definition - the definition of the entity type
+ * @returns {EntityType} the entity type
+ * @throws {Error} if the definition is invalid
+ */
+function defineEntity(definition) {
+  if (!definition || typeof definition !== 'object' || !isNotBlank(definition.name)) {
+    throw new Error(`Invalid entity definition (${stringify(definition)}) - missing name`);
+  }
+  const name = trim(definition.name);
+  if (!isNotBlank(definition.tableName)) {
+    throw new Error(`Invalid ${name} entity definition - missing tableName`);
+  }
+  const tableName = trim(definition.tableName);
+  const typeAttribute = isNotBlank(definition.typeAttribute) ? trim(definition.typeAttribute) : DEFAULT_TYPE_ATTRIBUTE;
+  const versionAttribute = isNotBlank(definition.versionAttribute) ? trim(definition.versionAttribute) : undefined;
+
+  const mappings = toAttributeMappings(name, definition.attributes);
+  const propertiesByAttribute = {};
+  Object.keys(mappings).forEach(property => propertiesByAttribute[mappings[property].name] = property);
+
+  const primaryKey = toKeySchema(name, 'primary key', definition.keys);
+  const indexes = {};
+  const indexNames = definition.indexes && typeof definition.indexes === 'object' ? Object.keys(definition.indexes) : [];
+  indexNames.forEach(indexName => indexes[indexName] = toKeySchema(name, `index (${indexName})`, definition.indexes[indexName]));
+
+  const keyAttributeNames = new Set([typeAttribute]);
+  [primaryKey].concat(indexNames.map(n => indexes[n])).forEach(schema => {
+    keyAttributeNames.add(schema.partitionKey.name);
+    if (schema.sortKey) keyAttributeNames.add(schema.sortKey.name);
+  });
+
+  function toStoredValue(property, value) {
+    const mapping = mappings[property];
+    return mapping && value !== undefined && value !== null ? convert(name, property, mapping.toStored, value) : value;
+  }
+
+  function renderKey(keyDefinition, values, partial) {
+    let value = '';
+    for (let i = 0; i < keyDefinition.parts.length; ++i) {
+      const part = keyDefinition.parts[i];
+      if (part.literal !== undefined) {
+        value += part.literal;
+        continue;
+      }
+      const propertyValue = values ? values[part.property] : undefined;
+      if (propertyValue === undefined || propertyValue === null || propertyValue === '') {
+        if (partial) return {value: value, complete: false};
+        throw new Error(`Cannot render ${name} key attribute (${keyDefinition.name}) from template ` +
+          `(${keyDefinition.template}) - missing ${part.property}`);
+      }
+      value += `${toStoredValue(part.property, propertyValue)}`;
+    }
+    return {value: value, complete: true};
+  }
+
+  function renderKeys(schema, values, key) {
+    key[schema.partitionKey.name] = renderKey(schema.partitionKey, values, false).value;
+    if (schema.sortKey) key[schema.sortKey.name] = renderKey(schema.sortKey, values, false).value;
+    return key;
+  }
+
+  function canRenderKeys(schema, values) {
+    return renderKey(schema.partitionKey, values, true).complete &&
+      (!schema.sortKey || renderKey(schema.sortKey, values, true).complete);
+  }
+
+  /**
+   * Returns the primary key of the item of the entity with the given key property values.
+   * @param {Object} keyValues - the entity (or just the values of the properties used by its primary key templates)
+   * @returns {Object} the primary key
+   */
+  function toKey(keyValues) {
+    return renderKeys(primaryKey, keyValues, {});
+  }
+
+  /**
+   * Maps the given entity to a storable item, which has the entity's renamed & coerced properties, its primary key, the
+   * keys of every index whose key templates' properties are all present (i.e. other indexes are left sparse) and the
+   * name of its entity type, with any empty values handled and any remaining Dates converted according to the
+   * `dynamodb-utils` defaults (see `toStorableItem`).
+   * @param {Object} entity - the entity to map
+   * @returns {Object} the item
+   */
+  function toItem(entity) {
+    const item = {};
+    Object.keys(entity).forEach(property => {
+      const value = entity[property];
+      if (value === undefined) return;
+      const mapping = mappings[property];
+      item[mapping ? mapping.name : property] = toStoredValue(property, value);
+    });
+    renderKeys(primaryKey, entity, item);
+    indexNames.forEach(indexName => {
+      if (canRenderKeys(indexes[indexName], entity)) renderKeys(indexes[indexName], entity, item);
+    });
+    item[typeAttribute] = name;
+    return dynamoDBUtils.toStorableItem(item).item;
+  }
+
+  /**
+   * Maps the given item back into an entity, by dropping its key & type attributes and renaming & coercing its
+   * attributes back into properties.
+   * @param {Object|undefined} item - the item to map
+   * @returns {Object|undefined} the entity (if any)
+   */
+  function fromItem(item) {
+    if (!item || typeof item !== 'object') return undefined;
+    const entity = {};
+    Object.keys(item).forEach(attributeName => {
+      if (keyAttributeNames.has(attributeName)) return;
+      const value = item[attributeName];
+      const property = propertiesByAttribute[attributeName];
+      if (property === undefined) {
+        entity[attributeName] = value;
+        return;
+      }
+      entity[property] = value !== undefined && value !== null ?
+        convert(name, property, mappings[property].fromStored, value) : value;
+    });
+    return entity;
+  }
+
+  function isEntityItem(item) {
+    return !!item && typeof item === 'object' && item[typeAttribute] === name;
+  }
+
+  function toGetParams(keyValues) {
+    return {TableName: tableName, Key: toKey(keyValues)};
+  }
+
+  function toPutParams(entity) {
+    return {TableName: tableName, Item: toItem(entity)};
+  }
+
+  /**
+   * Returns the query parameters to use to query the entity type's table (or the named index) for the items of the
+   * entity type with the given key property values. The sort key condition is an equality condition if all of the sort
+   * key template's properties are present; otherwise a `begins_with` condition on the sort key template's prefix up to
+   * its first missing property (if any). Any `FilterExpression` in the given options is combined with the entity type
+   * filter with AND (and the query's placeholders never collide with the options' existing placeholders).
+   * @param {Object} keyValues - the values of the properties used by the partition key (and sort key) templates
+   * @param {string|undefined} [indexName] - the name of the index to query (if any)
+   * @param {DynamoQueryOpts|Object|undefined} [opts] - optional query options to which to add the query's expressions
+   * @returns {Object} the query parameters
+   */
+  function toQueryParams(keyValues, indexName, opts) {
+    const schema = indexName ? indexes[indexName] : primaryKey;
+    if (!schema) {
+      throw new Error(`Unknown index (${indexName}) of ${name} - must be one of (${indexNames.join(', ')})`);
+    }
+    const partitionKeyValue = renderKey(schema.partitionKey, keyValues, false).value;
+    const conditions = [dynamoDBExpressions.eq(schema.partitionKey.name, partitionKeyValue)];
+    if (schema.sortKey) {
+      const sortKey = renderKey(schema.sortKey, keyValues, true);
+      if (sortKey.complete) conditions.push(dynamoDBExpressions.eq(schema.sortKey.name, sortKey.value));
+      else if (sortKey.value) conditions.push(dynamoDBExpressions.beginsWith(schema.sortKey.name, sortKey.value));
+    }
+
+    // Copy the options (including their placeholder maps, which building the expressions will update)
+    const params = Object.assign({TableName: tableName}, opts);
+    if (params.ExpressionAttributeNames) params.ExpressionAttributeNames = Object.assign({}, params.ExpressionAttributeNames);
+    if (params.ExpressionAttributeValues) params.ExpressionAttributeValues = Object.assign({}, params.ExpressionAttributeValues);
+    if (indexName) params.IndexName = indexName;
+
+    return dynamoDBExpressions.buildExpressions(params, {
+      keyCondition: conditions.length > 1 ? dynamoDBExpressions.and(conditions[0], conditions[1]) : conditions[0],
+      filter: dynamoDBExpressions.eq(typeAttribute, name)
+    });
+  }
+
+  /**
+   * Gets the entity with the given key property values.
+   * @param {Object} keyValues - the entity's key property values
+   * @param {DynamoGetOpts|undefined} [opts] - optional DynamoDB `get` parameter options to use
+   * @param {string} desc - a description of the entity for logging purposes
+   * @param {StandardContext} context - the context to use
+   * @returns {Promise.<Object|undefined>} a promise of the entity (if found and of this entity type) or undefined
+   */
+  function get(keyValues, opts, desc, context) {
+    try {
+      return dynamoDBDocClientUtils.getItem(tableName, toKey(keyValues), opts, desc, context)
+        .then(result => isEntityItem(result.Item) ? fromItem(result.Item) : undefined);
+    } catch (err) {
+      context.error(`Failed to load ${desc} from ${tableName}`, err);
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * Puts the given entity as an item (see `toItem`), using `putVersionedItem` if the entity type has a version attribute
+   * or otherwise `putItem`.
+   * @param {Object} entity - the entity to put
+   * @param {DynamoPutOpts|DynamoVersionedPutOpts|undefined} [opts] - optional DynamoDB `put` (and versioning) options to use
+   * @param {string} desc - a description of the entity for logging purposes
+   * @param {StandardContext} context - the context to use
+   * @returns {Promise.<Object>} a promise of the entity as stored (with its new version, if versioned)
+   */
+  function put(entity, opts, desc, context) {
+    try {
+      const item = toItem(entity);
+      if (versionAttribute) {
+        const versionedOpts = Object.assign({}, opts, {versionAttribute: versionAttribute});
+        return dynamoDBDocClientUtils.putVersionedItem(tableName, toKey(entity), item, versionedOpts, desc, context)
+          .then(result => fromItem(result.Item));
+      }
+      return dynamoDBDocClientUtils.putItem(tableName, item, opts, desc, context).then(() => fromItem(item));
+    } catch (err) {
+      context.error(`Failed to put ${desc} to ${tableName}`, err);
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * Queries the entity type's table (or the index named by `opts.index`) for ALL of the entities with the given key
+   * property values (see `toQueryParams` & `queryItems`).
+   * @param {Object} keyValues - the values of the properties used by the partition key (and sort key) templates
+   * @param {DynamoQueryItemsOpts|{index: (string|undefined)}|undefined} [opts] - optional index name & query options to use
+   * @param {string} desc - a description of the entities for logging purposes
+   * @param {StandardContext} context - the context to use
+   * @returns {Promise.<DynamoItemsResult>} a promise of the query result with its Items mapped to entities
+   */
+  function query(keyValues, opts, desc, context) {
+    try {
+      const queryOpts = Object.assign({}, opts);
+      const indexName = queryOpts.index;
+      delete queryOpts.index;
+
+      const params = toQueryParams(keyValues, indexName, queryOpts);
+      delete params.TableName;
+
+      return dynamoDBDocClientUtils.queryItems(tableName, params, desc, context).then(result => {
+        result.Items = result.Items.map(fromItem);
+        return result;
+      });
+    } catch (err) {
+      context.error(`Failed to query ${desc} from ${tableName}`, err);
+      return Promise.reject(err);
+    }
+  }
+
+  return {
+    name: name,
+    tableName: tableName,
+    typeAttribute: typeAttribute,
+    versionAttribute: versionAttribute,
+    toKey: toKey,
+    toItem: toItem,
+    fromItem: fromItem,
+    isEntityItem: isEntityItem,
+    toGetParams: toGetParams,
+    toPutParams: toPutParams,
+    toQueryParams: toQueryParams,
+    get: get,
+    put: put,
+    query: query
+  };
+}
+
+function toAttributeMappings(entityName, attributes) {
+  const mappings = {};
+  if (!attributes || typeof attributes !== 'object') return mappings;
+
+  Object.keys(attributes).forEach(property => {
+    const attribute = typeof attributes[property] === 'string' ? {type: attributes[property]} : attributes[property] || {};
+    const coercion = attribute.type ? coercions[attribute.type] : undefined;
+    if (attribute.type && !coercion) {
+      throw new Error(`Invalid type (${attribute.type}) of ${entityName}.${property} - must be one of (${Object.keys(coercions).join(', ')})`);
+    }
+    mappings[property] = {
+      name: isNotBlank(attribute.name) ? trim(attribute.name) : property,
+      toStored: typeof attribute.toStored === 'function' ? attribute.toStored : coercion ? coercion.toStored : identity,
+      fromStored: typeof attribute.fromStored === 'function' ? attribute.fromStored : coercion ? coercion.fromStored : identity
+    };
+  });
+  return mappings;
+}
+
+function toKeySchema(entityName, desc, keys) {
+  if (!keys || !keys.partitionKey) {
+    throw new Error(`Invalid ${desc} of ${entityName} - missing partitionKey`);
+  }
+  return {
+    partitionKey: toKeyDefinition(entityName, desc, keys.partitionKey),
+    sortKey: keys.sortKey ? toKeyDefinition(entityName, desc, keys.sortKey) : undefined
+  };
+}
+
+function toKeyDefinition(entityName, desc, key) {
+  if (!key || !isNotBlank(key.name) || !isNotBlank(key.template)) {
+    throw new Error(`Invalid ${desc} key (${stringify(key)}) of ${entityName} - must have a name & template`);
+  }
+  const parts = [];
+  const regex = /\{([^{}]*)}/g;
+  let last = 0;
+  let match;
+  while ((match = regex.exec(key.template)) !== null) {
+    if (!isNotBlank(match[1])) {
+      throw new Error(`Invalid ${desc} key template (${key.template}) of ${entityName} - empty placeholder`);
+    }
+    if (match.index > last) parts.push({literal: key.template.substring(last, match.index)});
+    parts.push({property: trim(match[1])});
+    last = regex.lastIndex;
+  }
+  if (last < key.template.length) parts.push({literal: key.template.substring(last)});
+  return {name: trim(key.name), template: key.template, parts: parts};
+}
+
+function convert(entityName, property, converter, value) {
+  try {
+    return converter(value);
+  } catch (err) {
+    throw new TypeError(`Cannot convert ${entityName}.${property} (${stringify(value)}) - ${err.message}`);
+  }
+}
+
+function identity(value) {
+  return value;
+}
+
+function toString(value) {
+  return `${value}`;
+}
+
+function toNumber(value) {
+  const n = typeof value === 'number' ? value : typeof value === 'string' && isNotBlank(value) ? Number(value) : NaN;
+  if (Number.isNaN(n)) throw new TypeError('not a number');
+  return n;
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  throw new TypeError('not a boolean');
+}
+
+function toDate(value) {
+  const date = value instanceof Date ? value :
+    typeof value === 'string' || typeof value === 'number' ? new Date(value) : undefined;
+  if (!date || Number.isNaN(date.getTime())) throw new TypeError('not a valid date');
+  return date;
+}
\ No newline at end of file
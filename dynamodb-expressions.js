@@ -0,0 +1,647 @@
+'use strict';
+
+const dynamoDBUtils = require('./dynamodb-utils');
+
+const strings = require('core-functions/strings');
+const isNotBlank = strings.isNotBlank;
+const trim = strings.trim;
+
+/**
+ * Utilities for composing DynamoDB update, condition, filter, key condition & projection expressions with collision-free
+ * `#name` & `:value` placeholders, which can be merged safely into existing DynamoDB request parameters or options.
+ *
+ * Conditions (e.g. `and(attributeExists('id'), eq('status', 'PENDING'))`), operands (e.g. `size('tags')`) and update
+ * actions (e.g. `set('count', ifNotExists('count', 0))`) are plain objects that are ONLY rendered into expression
+ * strings (with placeholders) by an expression builder (see `createExpressionBuilder` and `buildExpressions`).
+ *
+ * Attribute paths are strings of dot-separated attribute names, each optionally followed by list indexes (e.g.
+ * 'address.lines[0]'). Any other operand value is treated as a value (unless wrapped with `path`).
+ *
+ * @module aws-core-utils/dynamodb-expressions
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+// Builders
+exports.createExpressionBuilder = createExpressionBuilder;
+exports.buildExpressions = buildExpressions;
+
+// Request parameter/option updaters
+exports.updateProjectionExpression = updateProjectionExpression;
+exports.updateExpressionAttributeNames = updateExpressionAttributeNames;
+exports.updateExpressionAttributeValues = updateExpressionAttributeValues;
+
+// Operands
+exports.path = path;
+exports.size = size;
+exports.ifNotExists = ifNotExists;
+exports.listAppend = listAppend;
+exports.plus = plus;
+exports.minus = minus;
+
+// Conditions
+exports.eq = eq;
+exports.ne = ne;
+exports.lt = lt;
+exports.le = le;
+exports.gt = gt;
+exports.ge = ge;
+exports.between = between;
+exports.isIn = isIn;
+exports.beginsWith = beginsWith;
+exports.contains = contains;
+exports.attributeExists = attributeExists;
+exports.attributeNotExists = attributeNotExists;
+exports.attributeType = attributeType;
+exports.and = and;
+exports.or = or;
+exports.not = not;
+
+// Update actions
+exports.set = set;
+exports.remove = remove;
+exports.add = add;
+exports.deleteFromSet = deleteFromSet;
+
+// =====================================================================================================================
+// Builders
+// =====================================================================================================================
+
+/**
+ * Creates a new expression builder, which renders conditions, update actions & projections into expression strings
+ * while registering their attribute name & value placeholders, such that each placeholder is unique both amongst those
+ * it registers and amongst any existing placeholders in the given params (e.g. from an earlier `ConditionExpression`).
+ * @param {Object|undefined} [params] - optional existing DynamoDB request parameters or options, whose existing
+ *        `ExpressionAttributeNames` & `ExpressionAttributeValues` (if any) must NOT be overwritten
+ * @param {ExpressionBuilderOpts|undefined} [opts] - optional options to use
+ * @returns {ExpressionBuilder} a new expression builder
+ */
+function createExpressionBuilder(params, opts) {
+  const existingNames = (params && params.ExpressionAttributeNames) || {};
+  const existingValues = (params && params.ExpressionAttributeValues) || {};
+  const marshall = !!(opts && opts.marshall);
+
+  const names = {};
+  const values = {};
+
+  function isNameTaken(placeholder) {
+    return existingNames.hasOwnProperty(placeholder) || names.hasOwnProperty(placeholder);
+  }
+
+  function isValueTaken(placeholder) {
+    return existingValues.hasOwnProperty(placeholder) || values.hasOwnProperty(placeholder);
+  }
+
+  function nameOf(attributeName) {
+    const base = `#${toPlaceholderBase(attributeName, 'n')}`;
+    let placeholder = base;
+    // Reuse a placeholder that is already mapped to the same attribute name
+    for (let i = 1; isNameTaken(placeholder) && getName(placeholder) !== attributeName; ++i) {
+      placeholder = `${base}_${i}`;
+    }
+    if (!isNameTaken(placeholder)) names[placeholder] = attributeName;
+    return placeholder;
+  }
+
+  function getName(placeholder) {
+    return names.hasOwnProperty(placeholder) ? names[placeholder] : existingNames[placeholder];
+  }
+
+  const builder = {
+    names: names,
+    values: values,
+
+    name(attributePath) {
+      return parsePath(attributePath)
+        .map(segment => typeof segment === 'number' ? `[${segment}]` : `.${nameOf(segment)}`)
+        .join('').slice(1);
+    },
+
+    value(value, hint) {
+      const base = `:${toPlaceholderBase(hint, 'v')}`;
+      let placeholder = base;
+      for (let i = 1; isValueTaken(placeholder); ++i) {
+        placeholder = `${base}_${i}`;
+      }
+      values[placeholder] = marshall ? dynamoDBUtils.toAttributeValue(value) : value;
+      return placeholder;
+    },
+
+    operand(operand, hint) {
+      return isOperand(operand) ? operand.render(builder, hint) : builder.value(operand, hint);
+    },
+
+    condition(condition) {
+      if (!isCondition(condition)) {
+        throw new Error(`Invalid condition (${JSON.stringify(condition)})`);
+      }
+      return condition.render(builder);
+    },
+
+    update(actions) {
+      const list = Array.isArray(actions) ? actions : [actions];
+      const clauses = {SET: [], REMOVE: [], ADD: [], DELETE: []};
+      list.forEach(action => {
+        if (!action || !clauses[action.clause] || typeof action.render !== 'function') {
+          throw new Error(`Invalid update action (${JSON.stringify(action)})`);
+        }
+        clauses[action.clause].push(action.render(builder));
+      });
+      return Object.keys(clauses).filter(clause => clauses[clause].length > 0)
+        .map(clause => `${clause} ${clauses[clause].join(', ')}`).join(' ');
+    },
+
+    projection(attributePaths) {
+      return (Array.isArray(attributePaths) ? attributePaths : [attributePaths]).map(p => builder.name(p));
+    },
+
+    applyTo(target) {
+      const result = target || {};
+      if (Object.keys(names).length > 0) updateExpressionAttributeNames(result, names);
+      if (Object.keys(values).length > 0) updateExpressionAttributeValues(result, values);
+      return result;
+    }
+  };
+  return builder;
+}
+
+/**
+ * Builds the given expressions and merges them (and their attribute name & value placeholders) into the given DynamoDB
+ * request parameters or options. Any new condition or filter expression is combined with any existing one with AND, any
+ * new projection is added to any existing one and any new update or key condition expression must NOT replace an
+ * existing one.
+ * @param {Object|undefined} params - the DynamoDB request parameters or options to update
+ * @param {Expressions} expressions - the expressions to build
+ * @param {ExpressionBuilderOpts|undefined} [opts] - optional options to use
+ * @returns {Object} the updated params
+ * @throws {Error} if any of the expressions is invalid or would replace an existing update or key condition expression
+ */
+function buildExpressions(params, expressions, opts) {
+  const result = params || {};
+  const builder = createExpressionBuilder(result, opts);
+  const exprs = expressions || {};
+
+  if (exprs.update && result.UpdateExpression) {
+    throw new Error(`Cannot replace existing UpdateExpression (${result.UpdateExpression})`);
+  }
+  if (exprs.keyCondition && result.KeyConditionExpression) {
+    throw new Error(`Cannot replace existing KeyConditionExpression (${result.KeyConditionExpression})`);
+  }
+  // Render all of the expressions before updating the params, so that the params are left untouched on failure
+  const updateExpression = exprs.update ? builder.update(exprs.update) : undefined;
+  const keyConditionExpression = exprs.keyCondition ? builder.condition(exprs.keyCondition) : undefined;
+  const conditionExpression = exprs.condition ? builder.condition(exprs.condition) : undefined;
+  const filterExpression = exprs.filter ? builder.condition(exprs.filter) : undefined;
+  const projectionExpressions = exprs.projection ? builder.projection(exprs.projection) : undefined;
+
+  if (updateExpression) {
+    result.UpdateExpression = updateExpression;
+  }
+  if (keyConditionExpression) {
+    result.KeyConditionExpression = keyConditionExpression;
+  }
+  if (conditionExpression) {
+    result.ConditionExpression = andExpressions(result.ConditionExpression, conditionExpression);
+  }
+  if (filterExpression) {
+    result.FilterExpression = andExpressions(result.FilterExpression, filterExpression);
+  }
+  if (projectionExpressions) {
+    updateProjectionExpression(result, projectionExpressions);
+  }
+  return builder.applyTo(result);
+}
+
+function andExpressions(existing, expression) {
+  return existing ? `(${existing}) AND (${expression})` : expression;
+}
+
+function toPlaceholderBase(hint, defaultBase) {
+  const base = typeof hint === 'string' ? hint.replace(/[^A-Za-z0-9_]/g, '_') : '';
+  return base.length > 0 ? base : defaultBase;
+}
+
+function parsePath(attributePath) {
+  if (typeof attributePath !== 'string' || attributePath.trim().length === 0) {
+    throw new Error(`Invalid attribute path (${attributePath})`);
+  }
+  const segments = [];
+  attributePath.split('.').forEach(part => {
+    const m = /^([^[\]]+)((?:\[\d+])*)$/.exec(part);
+    if (!m) {
+      throw new Error(`Invalid attribute path (${attributePath})`);
+    }
+    segments.push(m[1]);
+    if (m[2]) {
+      m[2].slice(1, -1).split('][').forEach(n => segments.push(Number.parseInt(n, 10)));
+    }
+  });
+  return segments;
+}
+
+function lastNameOf(attributePath) {
+  const names = typeof attributePath === 'string' ? parsePath(attributePath).filter(s => typeof s === 'string') : [];
+  return names.length > 0 ? names[names.length - 1] : undefined;
+}
+
+// =====================================================================================================================
+// Request parameter/option updaters
+// =====================================================================================================================
+
+/**
+ * Updates the ProjectionExpression property of the given opts with the given extra expressions.
+ * @param {DynamoGetOpts|DynamoQueryOpts|Object|undefined} opts - the options to update
+ * @param {string[]} expressions - the expressions to add
+ * @return {DynamoGetOpts|DynamoQueryOpts|Object} the updated options
+ */
+function updateProjectionExpression(opts, expressions) {
+  if (!expressions || !Array.isArray(expressions) || expressions.length <= 0) return opts;
+  if (!opts) opts = {};
+
+  const projectionExpressions = opts.ProjectionExpression ?
+    opts.ProjectionExpression.split(',').filter(isNotBlank).map(trim) : [];
+
+  expressions.forEach(expression => {
+    if (isNotBlank(expression) && projectionExpressions.indexOf(expression) === -1) {
+      projectionExpressions.push(trim(expression));
+    }
+  });
+
+  const projectionExpression = projectionExpressions.length > 0 ? projectionExpressions.join(',') : undefined;
+  opts.ProjectionExpression = isNotBlank(projectionExpression) ? projectionExpression : undefined;
+  return opts;
+}
+
+/**
+ * Updates the ExpressionAttributeNames map of the given opts with the given map of extra expression attribute names.
+ * @param {DynamoGetOpts|DynamoQueryOpts|Object|undefined} opts - the options to update
+ * @param {Object.<string, string>} expressionAttributeNames - the map of extra expression attribute names to add
+ * @return {DynamoGetOpts|DynamoQueryOpts|Object} the updated options
+ */
+function updateExpressionAttributeNames(opts, expressionAttributeNames) {
+  if (!expressionAttributeNames || typeof expressionAttributeNames !== 'object') return opts;
+  if (!opts) opts = {};
+  if (!opts.ExpressionAttributeNames) opts.ExpressionAttributeNames = {};
+
+  const keys = Object.getOwnPropertyNames(expressionAttributeNames);
+  keys.forEach(key => {
+    opts.ExpressionAttributeNames[key] = expressionAttributeNames[key];
+  });
+
+  return opts;
+}
+
+/**
+ * Updates the ExpressionAttributeValues map of the given opts with the given map of extra expression attribute names.
+ * @param {DynamoQueryOpts|Object|undefined} opts - the options to update
+ * @param {Object.<string, string>} expressionAttributeValues - the map of extra expression attribute names to add
+ * @return {DynamoQueryOpts|Object} the updated options
+ */
+function updateExpressionAttributeValues(opts, expressionAttributeValues) {
+  if (!expressionAttributeValues || typeof expressionAttributeValues !== 'object') return opts;
+  if (!opts) opts = {};
+  if (!opts.ExpressionAttributeValues) opts.ExpressionAttributeValues = {};
+
+  const keys = Object.getOwnPropertyNames(expressionAttributeValues);
+  keys.forEach(key => {
+    opts.ExpressionAttributeValues[key] = expressionAttributeValues[key];
+  });
+
+  return opts;
+}
+
+// =====================================================================================================================
+// Operands
+// =====================================================================================================================
+
+function operand(render, hint) {
+  return {kind: 'operand', hint: hint, render: render};
+}
+
+function isOperand(value) {
+  return !!value && typeof value === 'object' && value.kind === 'operand' && typeof value.render === 'function';
+}
+
+function toPathOperand(pathOrOperand) {
+  return isOperand(pathOrOperand) ? pathOrOperand : path(pathOrOperand);
+}
+
+/**
+ * Returns an operand that refers to the attribute at the given path (e.g. to compare one attribute with another).
+ * @param {string} attributePath - the attribute's path
+ * @returns {ExpressionOperand} an operand
+ */
+function path(attributePath) {
+  parsePath(attributePath);
+  return operand(builder => builder.name(attributePath), lastNameOf(attributePath));
+}
+
+/**
+ * Returns a `size(path)` operand.
+ * @param {string} attributePath - the attribute's path
+ * @returns {ExpressionOperand} an operand
+ */
+function size(attributePath) {
+  return operand(builder => `size(${builder.name(attributePath)})`, lastNameOf(attributePath));
+}
+
+/**
+ * Returns an `if_not_exists(path, value)` operand for use in a SET action.
+ * @param {string} attributePath - the attribute's path
+ * @param {*|ExpressionOperand} value - the value (or operand) to use if the attribute does NOT exist
+ * @returns {ExpressionOperand} an operand
+ */
+function ifNotExists(attributePath, value) {
+  const hint = lastNameOf(attributePath);
+  return operand(builder => `if_not_exists(${builder.name(attributePath)}, ${builder.operand(value, hint)})`, hint);
+}
+
+/**
+ * Returns a `list_append(list1, list2)` operand for use in a SET action.
+ * @param {string|ExpressionOperand} list1 - the path of (or an operand for) the first list
+ * @param {Array|ExpressionOperand} list2 - the second list (or an operand for it)
+ * @returns {ExpressionOperand} an operand
+ */
+function listAppend(list1, list2) {
+  const first = toPathOperand(list1);
+  return operand(builder => `list_append(${first.render(builder)}, ${builder.operand(list2, first.hint)})`, first.hint);
+}
+
+/**
+ * Returns an `a + b` operand for use in a SET action.
+ * @param {string|ExpressionOperand} a - the path of (or an operand for) the first number
+ * @param {number|ExpressionOperand} b - the number to add (or an operand for it)
+ * @returns {ExpressionOperand} an operand
+ */
+function plus(a, b) {
+  const first = toPathOperand(a);
+  return operand(builder => `${first.render(builder)} + ${builder.operand(b, first.hint)}`, first.hint);
+}
+
+/**
+ * Returns an `a - b` operand for use in a SET action.
+ * @param {string|ExpressionOperand} a - the path of (or an operand for) the first number
+ * @param {number|ExpressionOperand} b - the number to subtract (or an operand for it)
+ * @returns {ExpressionOperand} an operand
+ */
+function minus(a, b) {
+  const first = toPathOperand(a);
+  return operand(builder => `${first.render(builder)} - ${builder.operand(b, first.hint)}`, first.hint);
+}
+
+// =====================================================================================================================
+// Conditions
+// =====================================================================================================================
+
+function condition(render, composite) {
+  return {kind: 'condition', composite: !!composite, render: render};
+}
+
+function isCondition(value) {
+  return !!value && typeof value === 'object' && value.kind === 'condition' && typeof value.render === 'function';
+}
+
+function comparison(left, comparator, right) {
+  const l = toPathOperand(left);
+  return condition(builder => `${l.render(builder)} ${comparator} ${builder.operand(right, l.hint)}`);
+}
+
+/**
+ * Returns an `a = b` condition.
+ * @param {string|ExpressionOperand} left - the attribute's path (or an operand)
+ * @param {*|ExpressionOperand} right - the value (or an operand) to compare with
+ * @returns {ExpressionCondition} a condition
+ */
+function eq(left, right) {
+  return comparison(left, '=', right);
+}
+
+/**
+ * Returns an `a <> b` condition.
+ * @param {string|ExpressionOperand} left - the attribute's path (or an operand)
+ * @param {*|ExpressionOperand} right - the value (or an operand) to compare with
+ * @returns {ExpressionCondition} a condition
+ */
+function ne(left, right) {
+  return comparison(left, '<>', right);
+}
+
+/**
+ * Returns an `a < b` condition.
+ * @param {string|ExpressionOperand} left - the attribute's path (or an operand)
+ * @param {*|ExpressionOperand} right - the value (or an operand) to compare with
+ * @returns {ExpressionCondition} a condition
+ */
+function lt(left, right) {
+  return comparison(left, '<', right);
+}
+
+/**
+ * Returns an `a <= b` condition.
+ * @param {string|ExpressionOperand} left - the attribute's path (or an operand)
+ * @param {*|ExpressionOperand} right - the value (or an operand) to compare with
+ * @returns {ExpressionCondition} a condition
+ */
+function le(left, right) {
+  return comparison(left, '<=', right);
+}
+
+/**
+ * Returns an `a > b` condition.
+ * @param {string|ExpressionOperand} left - the attribute's path (or an operand)
+ * @param {*|ExpressionOperand} right - the value (or an operand) to compare with
+ * @returns {ExpressionCondition} a condition
+ */
+function gt(left, right) {
+  return comparison(left, '>', right);
+}
+
+/**
+ * Returns an `a >= b` condition.
+ * @param {string|ExpressionOperand} left - the attribute's path (or an operand)
+ * @param {*|ExpressionOperand} right - the value (or an operand) to compare with
+ * @returns {ExpressionCondition} a condition
+ */
+function ge(left, right) {
+  return comparison(left, '>=', right);
+}
+
+/**
+ * Returns an `a BETWEEN low AND high` condition.
+ * @param {string|ExpressionOperand} left - the attribute's path (or an operand)
+ * @param {*|ExpressionOperand} low - the lower bound (inclusive)
+ * @param {*|ExpressionOperand} high - the upper bound (inclusive)
+ * @returns {ExpressionCondition} a condition
+ */
+function between(left, low, high) {
+  const l = toPathOperand(left);
+  return condition(builder =>
+    `${l.render(builder)} BETWEEN ${builder.operand(low, l.hint)} AND ${builder.operand(high, l.hint)}`);
+}
+
+/**
+ * Returns an `a IN (b, c, ...)` condition.
+ * @param {string|ExpressionOperand} left - the attribute's path (or an operand)
+ * @param {Array.<*|ExpressionOperand>} candidates - the non-empty list of values (or operands) to compare with
+ * @returns {ExpressionCondition} a condition
+ */
+function isIn(left, candidates) {
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    throw new Error(`Invalid IN candidates (${JSON.stringify(candidates)}) - must be a non-empty array`);
+  }
+  const l = toPathOperand(left);
+  return condition(builder =>
+    `${l.render(builder)} IN (${candidates.map(c => builder.operand(c, l.hint)).join(', ')})`);
+}
+
+/**
+ * Returns a `begins_with(path, prefix)` condition.
+ * @param {string} attributePath - the attribute's path
+ * @param {string|ExpressionOperand} prefix - the prefix (or an operand)
+ * @returns {ExpressionCondition} a condition
+ */
+function beginsWith(attributePath, prefix) {
+  return condition(builder =>
+    `begins_with(${builder.name(attributePath)}, ${builder.operand(prefix, lastNameOf(attributePath))})`);
+}
+
+/**
+ * Returns a `contains(path, operand)` condition.
+ * @param {string} attributePath - the attribute's path
+ * @param {*|ExpressionOperand} value - the substring or element (or an operand)
+ * @returns {ExpressionCondition} a condition
+ */
+function contains(attributePath, value) {
+  return condition(builder =>
+    `contains(${builder.name(attributePath)}, ${builder.operand(value, lastNameOf(attributePath))})`);
+}
+
+/**
+ * Returns an `attribute_exists(path)` condition.
+ * @param {string} attributePath - the attribute's path
+ * @returns {ExpressionCondition} a condition
+ */
+function attributeExists(attributePath) {
+  return condition(builder => `attribute_exists(${builder.name(attributePath)})`);
+}
+
+/**
+ * Returns an `attribute_not_exists(path)` condition.
+ * @param {string} attributePath - the attribute's path
+ * @returns {ExpressionCondition} a condition
+ */
+function attributeNotExists(attributePath) {
+  return condition(builder => `attribute_not_exists(${builder.name(attributePath)})`);
+}
+
+/**
+ * Returns an `attribute_type(path, type)` condition.
+ * @param {string} attributePath - the attribute's path
+ * @param {string} type - a DynamoDB attribute type (e.g. 'S', 'N', 'M' or 'L')
+ * @returns {ExpressionCondition} a condition
+ */
+function attributeType(attributePath, type) {
+  return condition(builder => `attribute_type(${builder.name(attributePath)}, ${builder.value(type, 'type')})`);
+}
+
+function logical(operator, conditions) {
+  const list = conditions.filter(c => c !== undefined && c !== null);
+  if (list.length === 0 || !list.every(isCondition)) {
+    throw new Error(`Invalid ${operator} conditions - must be one or more conditions`);
+  }
+  if (list.length === 1) {
+    return list[0];
+  }
+  return condition(builder => list.map(c => renderNested(c, builder)).join(` ${operator} `), true);
+}
+
+function renderNested(c, builder) {
+  const expression = c.render(builder);
+  return c.composite ? `(${expression})` : expression;
+}
+
+/**
+ * Returns a condition that combines the given conditions with AND (skipping any undefined or null conditions).
+ * @param {...ExpressionCondition} conditions - one or more conditions
+ * @returns {ExpressionCondition} a condition
+ */
+function and(...conditions) {
+  return logical('AND', conditions);
+}
+
+/**
+ * Returns a condition that combines the given conditions with OR (skipping any undefined or null conditions).
+ * @param {...ExpressionCondition} conditions - one or more conditions
+ * @returns {ExpressionCondition} a condition
+ */
+function or(...conditions) {
+  return logical('OR', conditions);
+}
+
+/**
+ * Returns a `NOT condition` condition.
+ * @param {ExpressionCondition} negated - the condition to negate
+ * @returns {ExpressionCondition} a condition
+ */
+function not(negated) {
+  if (!isCondition(negated)) {
+    throw new Error(`Invalid NOT condition (${JSON.stringify(negated)})`);
+  }
+  return condition(builder => `NOT ${renderNested(negated, builder)}`);
+}
+
+// =====================================================================================================================
+// Update actions
+// =====================================================================================================================
+
+/**
+ * Returns a `SET path = value` update action.
+ * @param {string} attributePath - the attribute's path
+ * @param {*|ExpressionOperand} value - the value (or an operand, e.g. `ifNotExists`, `listAppend`, `plus` or `minus`)
+ * @returns {UpdateAction} an update action
+ */
+function set(attributePath, value) {
+  parsePath(attributePath);
+  return {
+    clause: 'SET',
+    render: builder => `${builder.name(attributePath)} = ${builder.operand(value, lastNameOf(attributePath))}`
+  };
+}
+
+/**
+ * Returns a `REMOVE path` update action.
+ * @param {string} attributePath - the attribute's path
+ * @returns {UpdateAction} an update action
+ */
+function remove(attributePath) {
+  parsePath(attributePath);
+  return {clause: 'REMOVE', render: builder => builder.name(attributePath)};
+}
+
+/**
+ * Returns an `ADD path value` update action, which adds a number to a number attribute or elements to a set attribute.
+ * @param {string} attributePath - the attribute's path
+ * @param {number|DynamoDBSet|*} value - the number or set of elements to add
+ * @returns {UpdateAction} an update action
+ */
+function add(attributePath, value) {
+  parsePath(attributePath);
+  return {
+    clause: 'ADD',
+    render: builder => `${builder.name(attributePath)} ${builder.value(value, lastNameOf(attributePath))}`
+  };
+}
+
+/**
+ * Returns a `DELETE path value` update action, which deletes elements from a set attribute.
+ * @param {string} attributePath - the attribute's path
+ * @param {DynamoDBSet|*} value - the set of elements to delete
+ * @returns {UpdateAction} an update action
+ */
+function deleteFromSet(attributePath, value) {
+  parsePath(attributePath);
+  return {
+    clause: 'DELETE',
+    render: builder => `${builder.name(attributePath)} ${builder.value(value, lastNameOf(attributePath))}`
+  };
+}
\ No newline at end of file
@@ -5,6 +5,7 @@ const stringify = Strings.stringify;
 
 const Numbers = require('core-functions/numbers');
 const toNumberOrIntegerLike = Numbers.toNumberOrIntegerLike;
+const isNumberLike = Numbers.isNumberLike;
 
 /**
  * Utilities for working with AWS DynamoDB.
@@ -16,26 +17,54 @@ exports._$_ = '_$_'; //IDE workaround
 exports.toObjectFromDynamoDBMap = toObjectFromDynamoDBMap;
 exports.toValueFromAttributeValue = toValueFromAttributeValue;
 exports.toValueFromAttributeTypeAndValue = toValueFromAttributeTypeAndValue;
+exports.toDynamoDBMap = toDynamoDBMap;
+exports.toAttributeValue = toAttributeValue;
+exports.createSet = createSet;
+exports.createNumberValue = createNumberValue;
+exports.toNumberFromNumberString = toNumberFromNumberString;
 exports.toKeyValueStrings = toKeyValueStrings;
 exports.toKeyValuePairs = toKeyValuePairs;
 exports.toStorableObject = toStorableObject;
+exports.toStorableItem = toStorableItem;
+exports.calculateItemSize = calculateItemSize;
+exports.calculateAttributeSizes = calculateAttributeSizes;
+exports.calculateAttributeValueSize = calculateAttributeValueSize;
+exports.estimateReadCapacityUnits = estimateReadCapacityUnits;
+exports.estimateWriteCapacityUnits = estimateWriteCapacityUnits;
 exports.simplifyKeysNewImageAndOldImage = simplifyKeysNewImageAndOldImage;
+exports.isStreamRecordDiffable = isStreamRecordDiffable;
+exports.getStreamRecordChanges = getStreamRecordChanges;
+exports.hasAnyAttributeChanged = hasAnyAttributeChanged;
+
+/** The maximum size of a DynamoDB item (i.e. the sizes of its attribute names & values) in bytes (i.e. 400KB) */
+const MAX_ITEM_SIZE = 400 * 1024;
+exports.MAX_ITEM_SIZE = MAX_ITEM_SIZE;
+
+// The number of bytes of an item that a single read capacity unit & a single write capacity unit can read & write
+const READ_CAPACITY_UNIT_SIZE = 4 * 1024;
+const WRITE_CAPACITY_UNIT_SIZE = 1024;
 
 /**
  * Defaults used by this module, which can be overridden to alter the default behaviour.
  * @namespace {DynamoDBUtilsDefaults} defaults
  */
 const defaults = {
-  emptyStringReplacement: ' '
+  emptyStringReplacement: ' ',
+  emptyStringStrategy: 'keep',
+  emptySetStrategy: 'remove',
+  emptyListStrategy: 'keep',
+  dateStrategy: 'isoString',
+  numberStrategy: 'numberOrIntegerLike'
 };
 exports.defaults = defaults;
 
 /**
  * Attempts to convert the given DynamoDB map object containing keys and Attribute values into a JavaScript object.
  * @param {Object} dynamoDBMap - a DynamoDB map object with keys and AttributeValue values
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use
  * @returns {Object} a JavaScript object
  */
-function toObjectFromDynamoDBMap(dynamoDBMap) {
+function toObjectFromDynamoDBMap(dynamoDBMap, opts) {
   if (!dynamoDBMap || typeof dynamoDBMap !== 'object') {
     return dynamoDBMap;
   }
@@ -43,7 +72,7 @@ function toObjectFromDynamoDBMap(dynamoDBMap) {
   const keys = Object.getOwnPropertyNames(dynamoDBMap);
   for (let i = 0; i < keys.length; ++i) {
     const key = keys[i];
-    object[key] = toValueFromAttributeValue(dynamoDBMap[key]);
+    object[key] = toValueFromAttributeValue(dynamoDBMap[key], opts);
   }
   return object;
 }
@@ -51,14 +80,15 @@ function toObjectFromDynamoDBMap(dynamoDBMap) {
 /**
  * Attempts to convert the given DynamoDB AttributeValue object into its equivalent JavaScript value.
  * @param {Object} attributeValue - a DynamoDB AttributeValue object
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use
  * @returns {*} a JavaScript value
  */
-function toValueFromAttributeValue(attributeValue) {
+function toValueFromAttributeValue(attributeValue, opts) {
   if (!attributeValue || typeof attributeValue !== 'object') {
     return attributeValue;
   }
   const values = Object.getOwnPropertyNames(attributeValue).map(type => {
-    return toValueFromAttributeTypeAndValue(type, attributeValue[type])
+    return toValueFromAttributeTypeAndValue(type, attributeValue[type], opts)
   });
   if (values.length !== 1) {
     throw new Error(`Found ${values.length} values on DynamoDB AttributeValue (${stringify(attributeValue)}), but expected only one!`);
@@ -68,29 +98,31 @@ function toValueFromAttributeValue(attributeValue) {
 
 /**
  * Attempts to convert the given DynamoDB AttributeValue value into its original type based on the given DynamoDB
- * AttributeValue type.
+ * AttributeValue type. Converts `N` and `NS` values using the configured number strategy (see
+ * {@link toNumberFromNumberString}).
  * @param {string} attributeType - a DynamoDB AttributeValue type
  * @param {*} value - a DynamoDB AttributeValue value
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use
  * @returns {*} a JavaScript value
  */
-function toValueFromAttributeTypeAndValue(attributeType, value) {
+function toValueFromAttributeTypeAndValue(attributeType, value, opts) {
   switch (attributeType) {
     case 'S':
       return value;
     case 'N':
-      return toNumberOrIntegerLike(value);
+      return toNumberFromNumberString(value, opts);
     case 'BOOL':
       return value === true || value === 'true';
     case 'NULL':
       return null;
     case 'M':
-      return toObjectFromDynamoDBMap(value);
+      return toObjectFromDynamoDBMap(value, opts);
     case 'L':
-      return value.map(v => toValueFromAttributeValue(v));
+      return value.map(v => toValueFromAttributeValue(v, opts));
     case 'SS':
       return value;
     case 'NS':
-      return value.map(v => toNumberOrIntegerLike(v));
+      return value.map(v => toNumberFromNumberString(v, opts));
     case 'B':
     case 'BS':
       return value;
@@ -99,30 +131,325 @@ function toValueFromAttributeTypeAndValue(attributeType, value) {
   }
 }
 
+/**
+ * Converts the given DynamoDB number string (i.e. an `N` value or an element of an `NS` value) into a JavaScript value
+ * using the `numberStrategy` option (or `defaults.numberStrategy`), which can be:
+ * - 'numberOrIntegerLike' (the default) - a number or, for an integer beyond `Number.MAX_SAFE_INTEGER`, an integer-like
+ *   string (see `core-functions/numbers.toNumberOrIntegerLike`), which loses the precision of large non-integers;
+ * - 'number' - always a number, which loses the precision of any number that a double cannot represent exactly;
+ * - 'string' - the number's exact string representation;
+ * - 'bigint' - a BigInt, which is ONLY supported for integers on Node.js versions with BigInt;
+ * - 'numberValue' - a number value (see {@link createNumberValue}) holding the number's exact string representation,
+ *   which {@link toAttributeValue} converts back into exactly the same `N`; or
+ * - a function that converts the number string into any other value (e.g. an instance of a decimal library's class).
+ * @param {string} numberString - a DynamoDB number string
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use
+ * @returns {number|string|BigInt|NumberValue|*} a JavaScript value
+ * @throws {Error} if the number strategy is unexpected or cannot convert the number string
+ */
+function toNumberFromNumberString(numberString, opts) {
+  const numberStrategy = (opts && opts.numberStrategy) || defaults.numberStrategy;
+  if (typeof numberStrategy === 'function') {
+    return numberStrategy(numberString);
+  }
+  switch (numberStrategy) {
+    case 'numberOrIntegerLike':
+      return toNumberOrIntegerLike(numberString);
+    case 'number':
+      return Number(numberString);
+    case 'string':
+      return numberString;
+    case 'bigint':
+      if (typeof BigInt !== 'function') {
+        throw new Error(`The 'bigint' number strategy requires a Node.js version that supports BigInt`);
+      }
+      if (!/^\s*[-+]?\d+\s*$/.test(numberString)) {
+        throw new Error(`Cannot convert non-integer DynamoDB number (${numberString}) to a BigInt`);
+      }
+      return BigInt(numberString.trim());
+    case 'numberValue':
+      return createNumberValue(numberString);
+    default:
+      throw new Error(`Unexpected number strategy (${numberStrategy})`);
+  }
+}
+
+/**
+ * Attempts to convert the given JavaScript object into a DynamoDB map object containing keys and AttributeValue values
+ * (e.g. for use in low-level `AWS.DynamoDB` requests or as a DynamoDB stream event record image), skipping any
+ * properties with undefined values. See {@link toAttributeValue} for how each property value is converted.
+ * @param {Object} object - a JavaScript object
+ * @param {ToDynamoDBMapOpts|undefined} [opts] - optional options to use
+ * @returns {Object} a DynamoDB map object
+ * @throws {Error} if any property value cannot be converted
+ */
+function toDynamoDBMap(object, opts) {
+  if (!object || typeof object !== 'object') {
+    return object;
+  }
+  return toMap(object, opts || {}, '');
+}
+
+/**
+ * Attempts to convert the given JavaScript value into its equivalent DynamoDB AttributeValue object, i.e.:
+ * - a string to an `S`; a finite number, BigInt or number value (see {@link createNumberValue}) to an `N`; a boolean to
+ *   a `BOOL`; null to a `NULL`; and a Buffer to a `B`;
+ * - a Date to an `S` or `N` according to the `dateStrategy` option (or `defaults.dateStrategy`), which can be
+ *   'isoString' (the default), 'epochMillis', 'epochSeconds' or a function that converts a Date into another value;
+ * - a set (see {@link createSet}, which is compatible with `AWS.DynamoDB.DocumentClient.createSet`) to an `SS`, `NS` or
+ *   `BS`; and
+ * - an array to an `L` (with any undefined elements converted to `NULL`s) and any other object to an `M`.
+ *
+ * If the `roundTrip` option is true, then instead throws an error for any value that the existing unmarshallers (see
+ * {@link toValueFromAttributeValue}) would NOT convert back into exactly the same value, i.e. Dates, sets, undefined
+ * array elements and any numbers, BigInts or number values that the `numberStrategy` option (or
+ * `defaults.numberStrategy`) would NOT convert back into exactly the same value (see {@link toNumberFromNumberString}).
+ * @param {*} value - a JavaScript value
+ * @param {ToDynamoDBMapOpts|undefined} [opts] - optional options to use
+ * @returns {Object} a DynamoDB AttributeValue object
+ * @throws {Error} if the value cannot be converted
+ */
+function toAttributeValue(value, opts) {
+  return toAttributeValueAtPath(value, opts || {}, '');
+}
+
+/**
+ * Creates a set of strings, numbers or Buffers to be converted into an `SS`, `NS` or `BS` by {@link toAttributeValue}.
+ * @param {Array.<string|number|Buffer>} values - the non-empty list of values, which must all be of the same type
+ * @returns {DynamoDBSet} a set
+ * @throws {Error} if the values are empty or are not all strings, all numbers or all Buffers
+ */
+function createSet(values) {
+  const list = Array.isArray(values) ? values : [];
+  if (list.length === 0) {
+    throw new Error(`Cannot create an empty set`);
+  }
+  const type = toSetType(list[0]);
+  if (!type || list.some(v => toSetType(v) !== type)) {
+    throw new Error(`Cannot create a set from mixed or unsupported values (${stringify(list)})`);
+  }
+  return {wrapperName: 'Set', type: type, values: list.slice()};
+}
+
+function toSetType(value) {
+  return typeof value === 'string' ? 'String' : typeof value === 'number' || isNumberValue(value) ? 'Number' :
+    Buffer.isBuffer(value) ? 'Binary' : undefined;
+}
+
+/**
+ * Creates a number value to be converted into an `N` by {@link toAttributeValue}, which can be used to hold a number
+ * (e.g. a monetary amount or a large integer id) as its exact string representation without any loss of precision.
+ * Like the AWS SDK's own `NumberValue`, its `toString` (used by `AWS.DynamoDB.Converter` & hence by DocumentClient
+ * writes) and `toJSON` methods return its exact string representation.
+ * @param {string|number} value - the number-like value
+ * @returns {NumberValue} a number value
+ * @throws {Error} if the value is not number-like
+ */
+function createNumberValue(value) {
+  const s = `${value}`.trim();
+  if (!isNumberLike(s)) {
+    throw new Error(`Cannot create a number value from a non-numeric value (${stringify(value)})`);
+  }
+  const numberValue = {wrapperName: 'NumberValue', value: s};
+  // Define the methods as non-enumerable, so that they are neither copied nor compared as properties
+  Object.defineProperty(numberValue, 'toString', {value: numberValueToString, writable: true, configurable: true});
+  Object.defineProperty(numberValue, 'toJSON', {value: numberValueToString, writable: true, configurable: true});
+  return numberValue;
+}
+
+function numberValueToString() {
+  return this.value;
+}
+
+function isNumberValue(value) {
+  return !!value && typeof value === 'object' && value.wrapperName === 'NumberValue';
+}
+
+function isSet(value) {
+  return !!value && typeof value === 'object' && value.wrapperName === 'Set';
+}
+
+function toMap(object, opts, path) {
+  const map = {};
+  Object.keys(object).forEach(key => {
+    const value = object[key];
+    if (value !== undefined) {
+      map[key] = toAttributeValueAtPath(value, opts, path ? `${path}.${key}` : key);
+    }
+  });
+  return map;
+}
+
+function toAttributeValueAtPath(value, opts, path) {
+  const roundTrip = !!opts.roundTrip;
+
+  function fail(reason) {
+    throw new Error(`Cannot convert ${path ? `value at ${path}` : 'value'} (${stringify(toStringifiable(value))}) to a DynamoDB ` +
+      `AttributeValue - ${reason}`);
+  }
+
+  if (value === null) {
+    return {NULL: true};
+  }
+  switch (typeof value) {
+    case 'string':
+      return {S: value};
+    case 'boolean':
+      return {BOOL: value};
+    case 'number':
+      return {N: toRoundTripNumberString(value, toNumberString(value, fail), opts, fail)};
+    case 'bigint':
+      return {N: toRoundTripNumberString(value, value.toString(), opts, fail)};
+    case 'object':
+      break;
+    default:
+      return fail(`unsupported type (${typeof value})`);
+  }
+  if (value instanceof String || value instanceof Number || value instanceof Boolean) {
+    return toAttributeValueAtPath(value.valueOf(), opts, path);
+  }
+  if (Buffer.isBuffer(value)) {
+    return {B: value};
+  }
+  if (value instanceof Date) {
+    if (roundTrip) fail('Dates do NOT round-trip');
+    return toDateAttributeValue(value, opts, path, fail);
+  }
+  if (isNumberValue(value)) {
+    return {N: toRoundTripNumberString(value, value.value, opts, fail)};
+  }
+  if (isSet(value)) {
+    if (roundTrip) fail('sets do NOT round-trip');
+    return toSetAttributeValue(value, fail);
+  }
+  if (Array.isArray(value)) {
+    return {
+      L: value.map((v, i) => {
+        if (v === undefined) {
+          if (roundTrip) fail(`undefined element at index ${i} does NOT round-trip`);
+          return {NULL: true};
+        }
+        return toAttributeValueAtPath(v, opts, `${path}[${i}]`);
+      })
+    };
+  }
+  return {M: toMap(value, opts, path)};
+}
+
+function toNumberString(n, fail) {
+  if (!Number.isFinite(n)) {
+    fail('non-finite numbers are NOT supported');
+  }
+  return `${n}`;
+}
+
+function toRoundTripNumberString(value, numberString, opts, fail) {
+  if (opts.roundTrip) {
+    let result = undefined;
+    try {
+      result = toNumberFromNumberString(numberString, opts);
+    } catch (err) {
+      fail(`number does NOT round-trip - ${err.message}`);
+    }
+    const same = isNumberValue(value) ? isNumberValue(result) && result.value === value.value : result === value;
+    if (!same) {
+      fail(`number does NOT round-trip without loss of precision or change of type`);
+    }
+  }
+  return numberString;
+}
+
+function toDateAttributeValue(date, opts, path, fail) {
+  const dateStrategy = opts.dateStrategy || defaults.dateStrategy;
+  if (typeof dateStrategy === 'function') {
+    return toAttributeValueAtPath(dateStrategy(date), Object.assign({}, opts, {dateStrategy: 'isoString'}), path);
+  }
+  if (Number.isNaN(date.getTime())) {
+    fail('invalid Date');
+  }
+  switch (dateStrategy) {
+    case 'isoString':
+      return {S: date.toISOString()};
+    case 'epochMillis':
+      return {N: `${date.getTime()}`};
+    case 'epochSeconds':
+      return {N: `${Math.floor(date.getTime() / 1000)}`};
+    default:
+      return fail(`unexpected date strategy (${dateStrategy})`);
+  }
+}
+
+function toSetAttributeValue(set, fail) {
+  const values = Array.isArray(set.values) ? set.values : [];
+  if (values.length === 0) {
+    fail('empty sets are NOT supported');
+  }
+  switch (set.type) {
+    case 'String':
+      return {SS: values.map(v => `${v}`)};
+    case 'Number':
+      return {NS: values.map(v => isNumberValue(v) ? v.value : toNumberString(v, fail))};
+    case 'Binary':
+      return {BS: values};
+    default:
+      return fail(`unexpected set type (${set.type})`);
+  }
+}
+
 /**
  * Extracts an array of colon-separated key name and value strings from the given DynamoDB map object.
  * @param {Object} dynamoDBMap - a DynamoDB map object
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use
  * @returns {string[]} an array of colon-separated key name and value strings
  */
-function toKeyValueStrings(dynamoDBMap) {
+function toKeyValueStrings(dynamoDBMap, opts) {
   return dynamoDBMap && typeof dynamoDBMap === 'object' ?
-    Object.getOwnPropertyNames(dynamoDBMap).map(key => `${key}:${stringify(toValueFromAttributeValue(dynamoDBMap[key]))}`) : [];
+    Object.getOwnPropertyNames(dynamoDBMap).map(key =>
+      `${key}:${stringify(toStringifiable(toValueFromAttributeValue(dynamoDBMap[key], opts)))}`) : [];
+}
+
+/**
+ * Replaces any BigInts and number values (which cannot be stringified as is) within the given value with their string
+ * representations.
+ * @param {*} value - the value
+ * @returns {*} the value (or a copy of it) without any BigInts or number values
+ */
+function toStringifiable(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (isNumberValue(value)) {
+    return value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toStringifiable);
+  }
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    const object = {};
+    Object.getOwnPropertyNames(value).forEach(key => object[key] = toStringifiable(value[key]));
+    return object;
+  }
+  return value;
 }
 
 /**
  * Extracts an array of key value pairs from the given DynamoDB map object. Each key value pair is represented as an
  * array containing a key property name followed by its associated value.
  * @param {Object} dynamoDBMap - a DynamoDB map object
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use
  * @returns {KeyValuePair[]} an array of key value pairs
  */
-function toKeyValuePairs(dynamoDBMap) {
+function toKeyValuePairs(dynamoDBMap, opts) {
   return dynamoDBMap && typeof dynamoDBMap === 'object' ?
-    Object.getOwnPropertyNames(dynamoDBMap).map(key => [key, toValueFromAttributeValue(dynamoDBMap[key])]) : [];
+    Object.getOwnPropertyNames(dynamoDBMap).map(key => [key, toValueFromAttributeValue(dynamoDBMap[key], opts)]) : [];
 }
 
 /**
  * Transforms the given object into an object that can be safely stored to DynamoDB with all of its empty strings
  * replaced with Defaults.emptyStringReplacement and with no undefined properties.
+ *
+ * NB: Since this function round-trips the object through JSON, it also converts any Dates into ISO strings and destroys
+ * any Buffers and sets. Use {@link toStorableItem} instead to control how empty values and Dates are handled.
  * @param {Object} object - an object to be stored in DynamoDB
  * @returns {Object} an object that can be safely stored in DynamoDB
  */
@@ -143,28 +470,452 @@ function emptyStringReplacer(key, value) {
   return value === '' ? defaults.emptyStringReplacement : value;
 }
 
+/**
+ * Transforms the given object into a copy that can be safely stored to DynamoDB (e.g. as the Item of a DocumentClient
+ * `put` request) without any undefined properties, by:
+ * - keeping, removing or replacing all empty strings, empty sets and empty lists according to the `emptyStringStrategy`,
+ *   `emptySetStrategy` & `emptyListStrategy` options (or the corresponding `defaults`), which can each be 'keep',
+ *   'remove' or 'replace', where empty strings are replaced with the `emptyStringReplacement` option (or
+ *   `defaults.emptyStringReplacement`) and empty sets & lists are replaced with the `emptySetReplacement` &
+ *   `emptyListReplacement` options (or null);
+ * - converting all Dates according to the `dateStrategy` option (or `defaults.dateStrategy`) (see {@link toAttributeValue});
+ * - replacing any undefined list elements with nulls;
+ * - preserving all Buffers and sets (see {@link createSet}) as is; and
+ * - preserving all number values (see {@link createNumberValue}), which a DocumentClient marshals into `N`s, as is
+ *   (other than re-creating any number value without a `toString` method that returns its exact value, e.g. one that
+ *   was deserialized from JSON).
+ *
+ * Lists that are left empty after removing all of their elements are also handled according to the empty list strategy.
+ * @param {Object} object - an object to be stored in DynamoDB
+ * @param {StorableItemOpts|undefined} [opts] - optional options to use
+ * @returns {StorableItemResult} the storable item and the paths of its values that were changed
+ * @throws {Error} if an empty value strategy or date strategy is invalid or if any Date is invalid
+ */
+function toStorableItem(object, opts) {
+  const options = opts || {};
+  const emptyValueStrategies = {
+    emptyString: toEmptyValueStrategy('emptyString', options.emptyStringStrategy || defaults.emptyStringStrategy,
+      options.emptyStringReplacement !== undefined ? options.emptyStringReplacement : defaults.emptyStringReplacement),
+    emptySet: toEmptyValueStrategy('emptySet', options.emptySetStrategy || defaults.emptySetStrategy,
+      options.emptySetReplacement !== undefined ? options.emptySetReplacement : null),
+    emptyList: toEmptyValueStrategy('emptyList', options.emptyListStrategy || defaults.emptyListStrategy,
+      options.emptyListReplacement !== undefined ? options.emptyListReplacement : null)
+  };
+  const changes = [];
+  const item = object && typeof object === 'object' && !Array.isArray(object) ?
+    toStorableMap(object, options, emptyValueStrategies, '', changes) : object;
+  return {item: item, changes: changes};
+}
+
+// Re-creates any number value (e.g. one deserialized from JSON) that a DocumentClient would NOT marshal exactly
+function toMarshallableNumberValue(value, path, changes) {
+  if (typeof value.toString === 'function' && value.toString() === value.value) {
+    return value;
+  }
+  changes.push({path: path, action: 'converted', type: 'numberValue'});
+  return createNumberValue(value.value);
+}
+
+function toEmptyValueStrategy(type, strategy, replacement) {
+  if (strategy !== 'keep' && strategy !== 'remove' && strategy !== 'replace') {
+    throw new Error(`Unexpected ${type} strategy (${stringify(strategy)}) - must be 'keep', 'remove' or 'replace'`);
+  }
+  return {type: type, strategy: strategy, replacement: replacement};
+}
+
+// A marker for values that must be removed from their maps or lists
+const REMOVED = {};
+
+function toStorableMap(object, opts, emptyValueStrategies, path, changes) {
+  const map = {};
+  Object.keys(object).forEach(key => {
+    const value = object[key];
+    if (value !== undefined) {
+      const storable = toStorableValue(value, opts, emptyValueStrategies, path ? `${path}.${key}` : key, changes);
+      if (storable !== REMOVED) map[key] = storable;
+    }
+  });
+  return map;
+}
+
+function toStorableValue(value, opts, emptyValueStrategies, path, changes) {
+  if (value === '') {
+    return applyEmptyValueStrategy(value, emptyValueStrategies.emptyString, path, changes);
+  }
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (isNumberValue(value)) {
+    return toMarshallableNumberValue(value, path, changes);
+  }
+  if (value instanceof String || value instanceof Number || value instanceof Boolean) {
+    return toStorableValue(value.valueOf(), opts, emptyValueStrategies, path, changes);
+  }
+  if (value instanceof Date) {
+    changes.push({path: path, action: 'converted', type: 'date'});
+    return toStorableDate(value, opts, path);
+  }
+  if (isSet(value)) {
+    return Array.isArray(value.values) && value.values.length > 0 ? value :
+      applyEmptyValueStrategy(value, emptyValueStrategies.emptySet, path, changes);
+  }
+  if (Array.isArray(value)) {
+    const list = [];
+    value.forEach((v, i) => {
+      const elementPath = `${path}[${i}]`;
+      if (v === undefined) {
+        changes.push({path: elementPath, action: 'replaced', type: 'undefined'});
+        list.push(null);
+        return;
+      }
+      const storable = toStorableValue(v, opts, emptyValueStrategies, elementPath, changes);
+      if (storable !== REMOVED) list.push(storable);
+    });
+    return list.length > 0 ? list : applyEmptyValueStrategy(list, emptyValueStrategies.emptyList, path, changes);
+  }
+  return toStorableMap(value, opts, emptyValueStrategies, path, changes);
+}
+
+function applyEmptyValueStrategy(value, emptyValueStrategy, path, changes) {
+  switch (emptyValueStrategy.strategy) {
+    case 'remove':
+      changes.push({path: path, action: 'removed', type: emptyValueStrategy.type});
+      return REMOVED;
+    case 'replace':
+      changes.push({path: path, action: 'replaced', type: emptyValueStrategy.type});
+      return emptyValueStrategy.replacement;
+    default:
+      return value;
+  }
+}
+
+function toStorableDate(date, opts, path) {
+  const dateStrategy = opts.dateStrategy || defaults.dateStrategy;
+  if (typeof dateStrategy === 'function') {
+    return dateStrategy(date);
+  }
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Cannot convert value at ${path} to a storable value - invalid Date`);
+  }
+  switch (dateStrategy) {
+    case 'isoString':
+      return date.toISOString();
+    case 'epochMillis':
+      return date.getTime();
+    case 'epochSeconds':
+      return Math.floor(date.getTime() / 1000);
+    default:
+      throw new Error(`Cannot convert value at ${path} to a storable value - unexpected date strategy (${dateStrategy})`);
+  }
+}
+
+/**
+ * Calculates the size in bytes of the given item according to DynamoDB's item sizing rules, i.e. the sum of the UTF-8
+ * lengths of its attribute names and the sizes of its attribute values (see {@link calculateAttributeValueSize}). The
+ * item can either be a plain object (which is first converted using {@link toDynamoDBMap} with the given opts) or, if
+ * the `marshalled` option is true, a DynamoDB map object with AttributeValue values.
+ * @param {Object} item - the item
+ * @param {ItemSizeOpts|undefined} [opts] - optional options to use
+ * @returns {number} the size of the item in bytes
+ * @throws {Error} if any attribute value cannot be converted or is invalid
+ */
+function calculateItemSize(item, opts) {
+  return calculateAttributeSizes(item, opts).reduce((size, attribute) => size + attribute.size, 0);
+}
+
+/**
+ * Calculates the size in bytes of each of the given item's attributes (i.e. the UTF-8 length of its name plus the size
+ * of its value) according to DynamoDB's item sizing rules (see {@link calculateItemSize}).
+ * @param {Object} item - the item
+ * @param {ItemSizeOpts|undefined} [opts] - optional options to use
+ * @returns {AttributeSize[]} the sizes of the item's attributes from largest to smallest
+ * @throws {Error} if any attribute value cannot be converted or is invalid
+ */
+function calculateAttributeSizes(item, opts) {
+  if (!item || typeof item !== 'object') {
+    return [];
+  }
+  const dynamoDBMap = opts && opts.marshalled ? item : toDynamoDBMap(item, opts);
+  return Object.keys(dynamoDBMap)
+    .filter(name => dynamoDBMap[name] !== undefined)
+    .map(name => ({name: name, size: Buffer.byteLength(name, 'utf8') + calculateAttributeValueSize(dynamoDBMap[name])}))
+    .sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Calculates the size in bytes of the given DynamoDB AttributeValue (excluding the length of its attribute name)
+ * according to DynamoDB's item sizing rules, i.e.:
+ * - an `S` is the UTF-8 length of its string and a `B` is the number of its bytes;
+ * - an `N` is 1 byte per two significant digits (ignoring leading & trailing zeroes) plus 1 byte;
+ * - a `BOOL` or `NULL` is 1 byte;
+ * - an `SS`, `NS` or `BS` is the sum of the sizes of its elements; and
+ * - an `L` or `M` is 3 bytes plus 1 byte for each of its elements plus the sizes of its elements (and, for an `M`, the
+ *   UTF-8 lengths of its element names).
+ * @param {Object} attributeValue - a DynamoDB AttributeValue object
+ * @returns {number} the size of the attribute value in bytes
+ * @throws {Error} if the attribute value is invalid
+ */
+function calculateAttributeValueSize(attributeValue) {
+  const type = attributeValue && typeof attributeValue === 'object' ? Object.keys(attributeValue)[0] : undefined;
+  const value = type ? attributeValue[type] : undefined;
+  switch (type) {
+    case 'S':
+      return Buffer.byteLength(value, 'utf8');
+    case 'N':
+      return toNumberSize(value);
+    case 'B':
+      return toBinarySize(value);
+    case 'BOOL':
+    case 'NULL':
+      return 1;
+    case 'SS':
+      return value.reduce((size, s) => size + Buffer.byteLength(s, 'utf8'), 0);
+    case 'NS':
+      return value.reduce((size, n) => size + toNumberSize(n), 0);
+    case 'BS':
+      return value.reduce((size, b) => size + toBinarySize(b), 0);
+    case 'L':
+      return value.reduce((size, v) => size + 1 + calculateAttributeValueSize(v), 3);
+    case 'M':
+      return Object.keys(value).reduce((size, name) =>
+        size + 1 + Buffer.byteLength(name, 'utf8') + calculateAttributeValueSize(value[name]), 3);
+    default:
+      throw new Error(`Cannot calculate the size of an invalid AttributeValue (${stringify(toStringifiable(attributeValue))})`);
+  }
+}
+
+function toNumberSize(numberString) {
+  // Count the significant digits of the number's mantissa (ignoring its sign, decimal point, exponent and any leading &
+  // trailing zeroes)
+  const digits = `${numberString}`.trim().replace(/^[-+]/, '').split(/[eE]/)[0].replace('.', '')
+    .replace(/^0+/, '').replace(/0+$/, '');
+  return Math.ceil(Math.max(digits.length, 1) / 2) + 1;
+}
+
+function toBinarySize(binary) {
+  return typeof binary === 'string' ? Buffer.byteLength(binary, 'base64') :
+    binary && typeof binary.byteLength === 'number' ? binary.byteLength : 0;
+}
+
+/**
+ * Estimates the number of read capacity units needed to read an item (or items, e.g. a page of query results) of the
+ * given size, i.e. 1 unit per 4KB for a strongly consistent read, half of that for an eventually consistent read and
+ * double that for a transactional read.
+ * @param {number|Object} sizeOrItem - the size in bytes of the item(s) to read or an item (see {@link calculateItemSize})
+ * @param {ReadCapacityOpts|undefined} [opts] - optional options to use
+ * @returns {number} the estimated number of read capacity units
+ */
+function estimateReadCapacityUnits(sizeOrItem, opts) {
+  const units = Math.ceil(Math.max(toSize(sizeOrItem, opts), 1) / READ_CAPACITY_UNIT_SIZE);
+  return opts && opts.transactional ? units * 2 : opts && opts.consistentRead ? units : units / 2;
+}
+
+/**
+ * Estimates the number of write capacity units needed to write an item of the given size, i.e. 1 unit per 1KB for a
+ * standard write and double that for a transactional write.
+ * @param {number|Object} sizeOrItem - the size in bytes of the item to write or the item (see {@link calculateItemSize})
+ * @param {WriteCapacityOpts|undefined} [opts] - optional options to use
+ * @returns {number} the estimated number of write capacity units
+ */
+function estimateWriteCapacityUnits(sizeOrItem, opts) {
+  const units = Math.ceil(Math.max(toSize(sizeOrItem, opts), 1) / WRITE_CAPACITY_UNIT_SIZE);
+  return opts && opts.transactional ? units * 2 : units;
+}
+
+function toSize(sizeOrItem, opts) {
+  return typeof sizeOrItem === 'number' ? sizeOrItem : calculateItemSize(sizeOrItem, opts);
+}
+
 /**
  * Converts and replaces all of the original DynamoDB attribute type & value format "Keys", "NewImage" and "OldImage"
  * properties (if any) on the given dynamodb property object with corresponding new simple object format "keys",
  * "newImage" and "oldImage" properties (each converted using {@link toObjectFromDynamoDBMap}). Deletes the original
  * "Keys", "NewImage" and "OldImage" properties from the given dynamodb property object after conversion.
  * @param {DynamodbProperty|SimpleDynamodbProperty} dynamodbProperty - a dynamodb object property
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use
  * @returns {SimpleDynamodbProperty} the converted, simple objects only form of the given dynamodb property
  */
-function simplifyKeysNewImageAndOldImage(dynamodbProperty) {
+function simplifyKeysNewImageAndOldImage(dynamodbProperty, opts) {
   if (dynamodbProperty) {
     if (dynamodbProperty.Keys) {
-      dynamodbProperty.keys = toObjectFromDynamoDBMap(dynamodbProperty.Keys);
+      dynamodbProperty.keys = toObjectFromDynamoDBMap(dynamodbProperty.Keys, opts);
       delete dynamodbProperty.Keys;
     }
     if (dynamodbProperty.NewImage) {
-      dynamodbProperty.newImage = toObjectFromDynamoDBMap(dynamodbProperty.NewImage);
+      dynamodbProperty.newImage = toObjectFromDynamoDBMap(dynamodbProperty.NewImage, opts);
       delete dynamodbProperty.NewImage;
     }
     if (dynamodbProperty.OldImage) {
-      dynamodbProperty.oldImage = toObjectFromDynamoDBMap(dynamodbProperty.OldImage);
+      dynamodbProperty.oldImage = toObjectFromDynamoDBMap(dynamodbProperty.OldImage, opts);
       delete dynamodbProperty.OldImage;
     }
   }
   return dynamodbProperty;
+}
+
+/**
+ * Returns true if the given DynamoDB stream event record carries enough information (i.e. the images required by its
+ * eventName) to be diffed by {@link getStreamRecordChanges}; false otherwise. An INSERT requires a new image, a REMOVE
+ * requires an old image and a MODIFY requires both, which means that a MODIFY can ONLY be diffed if the stream's
+ * StreamViewType is NEW_AND_OLD_IMAGES and that a KEYS_ONLY record can never be diffed.
+ * @param {DynamoDBEventRecord|*} record - a DynamoDB stream event record
+ * @returns {boolean} true if the record can be diffed; false otherwise
+ */
+function isStreamRecordDiffable(record) {
+  const images = getImages(record);
+  const missingImageNames = images && getMissingImageNames(record.eventName, images);
+  return !!missingImageNames && missingImageNames.length === 0;
+}
+
+/**
+ * Diffs the old & new images of the given DynamoDB stream event record to list the paths (e.g. 'name', 'address.city'
+ * or 'tags[2]') of the attributes that were added, removed or modified, along with their old and/or new values (as
+ * plain JavaScript values). Nested maps and lists are diffed recursively, whereas sets and all other attribute values
+ * are compared as a whole. Works with records in the original DynamoDB attribute type & value format or in the
+ * simplified format produced by {@link simplifyKeysNewImageAndOldImage} (in which case sets are diffed as lists).
+ * @param {DynamoDBEventRecord|*} record - a DynamoDB stream event record
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use to convert the keys and old & new values
+ * @returns {DynamoDBStreamChanges} the changes
+ * @throws {Error} if the record is invalid or if its StreamViewType does NOT carry the images required to diff its
+ *         eventName (see {@link isStreamRecordDiffable})
+ */
+function getStreamRecordChanges(record, opts) {
+  const eventID = record && record.eventID;
+  const images = getImages(record);
+  if (!images) {
+    throw new Error(`Missing dynamodb property on DynamoDB stream event record (${eventID})`);
+  }
+  const eventName = record.eventName;
+  const streamViewType = record.dynamodb.StreamViewType;
+
+  const missingImageNames = getMissingImageNames(eventName, images);
+  if (!missingImageNames) {
+    throw new Error(`Invalid eventName (${eventName}) on DynamoDB stream event record (${eventID})`);
+  }
+  if (missingImageNames.length > 0) {
+    const required = eventName === 'INSERT' ? 'NEW_IMAGE or NEW_AND_OLD_IMAGES' :
+      eventName === 'REMOVE' ? 'OLD_IMAGE or NEW_AND_OLD_IMAGES' : 'NEW_AND_OLD_IMAGES';
+    throw new Error(`Cannot diff ${eventName} DynamoDB stream event record (${eventID}) with StreamViewType ` +
+      `(${streamViewType}) - missing ${missingImageNames.join(' & ')} (requires a StreamViewType of ${required})`);
+  }
+
+  const adapter = images.simple ? plainNodeAdapter : toAttributeValueNodeAdapter(opts);
+  const changes = {
+    eventName: eventName,
+    streamViewType: streamViewType,
+    keys: images.simple ? images.keys : toObjectFromDynamoDBMap(images.keys, opts),
+    added: [],
+    removed: [],
+    modified: []
+  };
+  diffMaps('', eventName === 'INSERT' ? {} : images.oldImage, eventName === 'REMOVE' ? {} : images.newImage, adapter,
+    changes);
+  return changes;
+}
+
+/**
+ * Returns true if any of the given attribute paths (or any of their nested attributes) were added, removed or modified
+ * according to the given changes or DynamoDB stream event record (see {@link getStreamRecordChanges}); false otherwise.
+ * @param {DynamoDBStreamChanges|DynamoDBEventRecord} changesOrRecord - the changes or a DynamoDB stream event record
+ * @param {string|string[]} attributePaths - one or more attribute paths (e.g. 'status' or 'address.city')
+ * @param {FromDynamoDBMapOpts|undefined} [opts] - optional options to use (ONLY if given a record)
+ * @returns {boolean} true if any of the attributes changed; false otherwise
+ * @throws {Error} if given a record that cannot be diffed (see {@link getStreamRecordChanges})
+ */
+function hasAnyAttributeChanged(changesOrRecord, attributePaths, opts) {
+  const changes = changesOrRecord && Array.isArray(changesOrRecord.modified) ? changesOrRecord :
+    getStreamRecordChanges(changesOrRecord, opts);
+  const paths = Array.isArray(attributePaths) ? attributePaths : [attributePaths];
+
+  return changes.added.concat(changes.removed, changes.modified).some(change =>
+    paths.some(path => isSameOrNestedPath(change.path, path) || isSameOrNestedPath(path, change.path)));
+}
+
+function isSameOrNestedPath(path, parentPath) {
+  return path === parentPath || path.startsWith(`${parentPath}.`) || path.startsWith(`${parentPath}[`);
+}
+
+function getImages(record) {
+  const dynamodb = record && record.dynamodb;
+  if (!dynamodb || typeof dynamodb !== 'object') {
+    return undefined;
+  }
+  const simple = !dynamodb.Keys && !dynamodb.NewImage && !dynamodb.OldImage &&
+    !!(dynamodb.keys || dynamodb.newImage || dynamodb.oldImage);
+  return simple ?
+    {simple: true, keys: dynamodb.keys, newImage: dynamodb.newImage, oldImage: dynamodb.oldImage} :
+    {simple: false, keys: dynamodb.Keys, newImage: dynamodb.NewImage, oldImage: dynamodb.OldImage};
+}
+
+function getMissingImageNames(eventName, images) {
+  const newImageName = images.simple ? 'newImage' : 'NewImage';
+  const oldImageName = images.simple ? 'oldImage' : 'OldImage';
+  switch (eventName) {
+    case 'INSERT':
+      return images.newImage ? [] : [newImageName];
+    case 'REMOVE':
+      return images.oldImage ? [] : [oldImageName];
+    case 'MODIFY':
+      return (images.oldImage ? [] : [oldImageName]).concat(images.newImage ? [] : [newImageName]);
+    default:
+      return undefined;
+  }
+}
+
+// Adapts DynamoDB AttributeValues for diffing
+function toAttributeValueNodeAdapter(opts) {
+  return {
+    kindOf: av => av && av.M ? 'map' : av && av.L ? 'list' : 'leaf',
+    childrenOf: av => av.M || av.L,
+    toValue: av => toValueFromAttributeValue(av, opts),
+    // Compare sets regardless of the order of their elements
+    leafKeyOf: av => JSON.stringify(av && typeof av === 'object' ?
+      Object.getOwnPropertyNames(av).map(type => [type, Array.isArray(av[type]) ? av[type].slice().sort() : av[type]]) :
+      av)
+  };
+}
+
+// Adapts plain JavaScript values (e.g. simplified images) for diffing
+const plainNodeAdapter = {
+  kindOf: v => Array.isArray(v) ? 'list' : v && typeof v === 'object' && !Buffer.isBuffer(v) ? 'map' : 'leaf',
+  childrenOf: v => v,
+  toValue: v => v,
+  leafKeyOf: v => JSON.stringify([typeof v, toStringifiable(v)])
+};
+
+function diffMaps(path, oldMap, newMap, adapter, changes) {
+  const oldNames = Object.getOwnPropertyNames(oldMap);
+  const newNames = Object.getOwnPropertyNames(newMap).filter(name => !oldMap.hasOwnProperty(name));
+  oldNames.concat(newNames).forEach(name => {
+    diffChildren(path ? `${path}.${name}` : name, oldMap.hasOwnProperty(name), oldMap[name],
+      newMap.hasOwnProperty(name), newMap[name], adapter, changes);
+  });
+}
+
+function diffLists(path, oldList, newList, adapter, changes) {
+  for (let i = 0; i < Math.max(oldList.length, newList.length); ++i) {
+    diffChildren(`${path}[${i}]`, i < oldList.length, oldList[i], i < newList.length, newList[i], adapter, changes);
+  }
+}
+
+function diffChildren(path, inOld, oldNode, inNew, newNode, adapter, changes) {
+  if (!inNew) {
+    changes.removed.push({path: path, oldValue: adapter.toValue(oldNode)});
+  } else if (!inOld) {
+    changes.added.push({path: path, newValue: adapter.toValue(newNode)});
+  } else {
+    diffNodes(path, oldNode, newNode, adapter, changes);
+  }
+}
+
+function diffNodes(path, oldNode, newNode, adapter, changes) {
+  const oldKind = adapter.kindOf(oldNode);
+  const newKind = adapter.kindOf(newNode);
+  if (oldKind === 'map' && newKind === 'map') {
+    diffMaps(path, adapter.childrenOf(oldNode), adapter.childrenOf(newNode), adapter, changes);
+  } else if (oldKind === 'list' && newKind === 'list') {
+    diffLists(path, adapter.childrenOf(oldNode), adapter.childrenOf(newNode), adapter, changes);
+  } else if (oldKind !== newKind || adapter.leafKeyOf(oldNode) !== adapter.leafKeyOf(newNode)) {
+    changes.modified.push({path: path, oldValue: adapter.toValue(oldNode), newValue: adapter.toValue(newNode)});
+  }
 }
\ No newline at end of file
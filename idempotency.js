@@ -0,0 +1,263 @@
+'use strict';
+
+const lambdas = require('./lambdas');
+const awsErrors = require('./aws-errors');
+const dynamoDBDocClientUtils = require('./dynamodb-doc-client-utils');
+
+const appErrors = require('core-functions/app-errors');
+const TooManyRequests = appErrors.TooManyRequests;
+
+const logging = require('logging-utils');
+const LogLevel = logging.LogLevel;
+const log = logging.log;
+
+/**
+ * Utilities for executing AWS Lambda handler functions idempotently, by recording the in-progress & completed states of
+ * each invocation in a DynamoDB table (using the context's `dynamoDBDocClient`), such that duplicate invocations (e.g.
+ * retried asynchronous invocations or stream redeliveries) return the stored result of the first completed invocation
+ * instead of re-executing the function.
+ *
+ * Idempotency is ONLY enabled if a `context.handler.idempotency` is configured (via your handler settings or options),
+ * e.g. `{tableName: 'Idempotency', keyPath: 'detail.orderId', ttlInSeconds: 3600}`. The DynamoDB table must have a
+ * string partition key (named `id` by default) and should have DynamoDB TTL enabled on its `expiresAt` attribute.
+ *
+ * @module aws-core-utils/idempotency
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+/**
+ * An enum for the states of an idempotency record
+ * @enum {string}
+ */
+const IdempotencyStatus = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED'
+};
+Object.freeze(IdempotencyStatus);
+exports.IdempotencyStatus = IdempotencyStatus;
+
+/** The default name of the idempotency table's partition key attribute */
+const DEFAULT_KEY_ATTRIBUTE_NAME = 'id';
+exports.DEFAULT_KEY_ATTRIBUTE_NAME = DEFAULT_KEY_ATTRIBUTE_NAME;
+
+/** The default number of seconds for which completed idempotency records are kept */
+const DEFAULT_TTL_IN_SECONDS = 3600;
+exports.DEFAULT_TTL_IN_SECONDS = DEFAULT_TTL_IN_SECONDS;
+
+/** The default number of seconds for which in-progress idempotency records are kept (if the Lambda's remaining time is
+ * unknown) */
+const DEFAULT_IN_PROGRESS_TTL_IN_SECONDS = 900;
+exports.DEFAULT_IN_PROGRESS_TTL_IN_SECONDS = DEFAULT_IN_PROGRESS_TTL_IN_SECONDS;
+
+exports.isIdempotencyEnabled = isIdempotencyEnabled;
+exports.resolveIdempotencyKey = resolveIdempotencyKey;
+exports.getPathValue = getPathValue;
+exports.executeIdempotently = executeIdempotently;
+
+/**
+ * Returns true if idempotency is configured on the given context's handler settings; false otherwise.
+ * @param {StandardHandlerContext} context - the context to check
+ * @returns {boolean} true if idempotency is enabled; false otherwise
+ */
+function isIdempotencyEnabled(context) {
+  const idempotency = context && context.handler && context.handler.idempotency;
+  return !!idempotency && typeof idempotency === 'object' && !!idempotency.tableName;
+}
+
+/**
+ * Resolves the idempotency key for the given event using the configured `keyExtractor` function (if any) or else the
+ * configured `keyPath` (if any) or else the invocation's AWS request id. A `keyPath` of 'awsRequestId' resolves to the
+ * invocation's AWS request id; any other `keyPath` is resolved against the event (see `getPathValue`). The resolved key
+ * is prefixed with the invoked Lambda's function name (if known).
+ * @param {AWSEvent} event - the AWS event passed to your handler
+ * @param {StandardHandlerContext} context - the context to use
+ * @returns {string|undefined} the idempotency key (or undefined if none could be resolved)
+ */
+function resolveIdempotencyKey(event, context) {
+  const idempotency = (context && context.handler && context.handler.idempotency) || {};
+  const awsContext = context && context.awsContext;
+  const awsRequestId = awsContext && awsContext.awsRequestId;
+
+  const value = typeof idempotency.keyExtractor === 'function' ? idempotency.keyExtractor(event, context) :
+    idempotency.keyPath && idempotency.keyPath !== 'awsRequestId' ? getPathValue(event, idempotency.keyPath) :
+      awsRequestId;
+
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const key = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+  const functionName = lambdas.getFunctionName(awsContext);
+  return functionName ? `${functionName}#${key}` : key;
+}
+
+/**
+ * Resolves the value at the given JMESPath-like path (e.g. 'detail.orderId' or 'Records[0].messageId') within the given
+ * object.
+ * @param {Object|undefined} object - the object from which to resolve the value
+ * @param {string} path - a dot-separated path of property names, each optionally followed by array indexes
+ * @returns {*|undefined} the value at the path (or undefined if none)
+ */
+function getPathValue(object, path) {
+  const segments = `${path}`.split('.').filter(s => s.length > 0);
+  let value = object;
+  for (let i = 0; i < segments.length; ++i) {
+    const m = /^([^[\]]*)((?:\[\d+])*)$/.exec(segments[i]);
+    if (!m) return undefined;
+    if (m[1]) {
+      if (value === undefined || value === null) return undefined;
+      value = value[m[1]];
+    }
+    const indexes = m[2] ? m[2].slice(1, -1).split('][').map(n => Number.parseInt(n, 10)) : [];
+    for (let j = 0; j < indexes.length; ++j) {
+      if (!Array.isArray(value)) return undefined;
+      value = value[indexes[j]];
+    }
+  }
+  return value;
+}
+
+/**
+ * Executes the given function idempotently (if idempotency is enabled on the given context), by first conditionally
+ * putting an in-progress record for the event's idempotency key and then:
+ * - if the put succeeds, executing the function and then storing its result in a completed record (or deleting the
+ *   in-progress record if the function fails, so that the invocation can be retried); or
+ * - if the put fails its condition check (see `aws-errors.isConditionalCheckFailed`), which means that a record already
+ *   exists for the key, returning the stored result of the completed record or failing with a 429 `IdempotencyInProgress`
+ *   error if the original invocation is still in progress.
+ * If idempotency is NOT enabled or no idempotency key can be resolved for the event, then simply executes the function.
+ * @param {AWSEvent} event - the AWS event passed to your handler
+ * @param {StandardHandlerContext} context - the context to use
+ * @param {function(): (Promise.<R>|R)} fn - the function to execute
+ * @returns {Promise.<R>} a promise of the function's result (or of the stored result of a duplicate invocation)
+ * @template R
+ */
+function executeIdempotently(event, context, fn) {
+  if (!isIdempotencyEnabled(context)) {
+    return Promise.resolve().then(fn);
+  }
+  try {
+    const key = resolveIdempotencyKey(event, context);
+    if (!key) {
+      log(context, LogLevel.WARN, 'No idempotency key could be resolved - executing function WITHOUT idempotency');
+      return Promise.resolve().then(fn);
+    }
+    if (!context.dynamoDBDocClient) {
+      return Promise.reject(new Error('Idempotency requires a configured context.dynamoDBDocClient'));
+    }
+    return executeWithKey(key, event, context, fn, true);
+
+  } catch (err) {
+    log(context, LogLevel.ERROR, 'Failed to execute function idempotently', err);
+    return Promise.reject(err);
+  }
+}
+
+function executeWithKey(key, event, context, fn, retry) {
+  const idempotency = context.handler.idempotency;
+  const tableName = idempotency.tableName;
+  const keyAttributeName = idempotency.keyAttributeName || DEFAULT_KEY_ATTRIBUTE_NAME;
+
+  const now = nowInSeconds();
+  const item = {
+    [keyAttributeName]: key,
+    status: IdempotencyStatus.IN_PROGRESS,
+    expiresAt: now + resolveInProgressTtlInSeconds(context)
+  };
+  const params = {
+    TableName: tableName,
+    Item: item,
+    // Treat any expired record (which DynamoDB TTL may not yet have deleted) as absent
+    ConditionExpression: 'attribute_not_exists(#key) OR #expiresAt < :now',
+    ExpressionAttributeNames: {'#key': keyAttributeName, '#expiresAt': 'expiresAt'},
+    ExpressionAttributeValues: {':now': now}
+  };
+
+  return context.dynamoDBDocClient.put(params).promise().then(
+    () => executeAndSave(key, item, event, context, fn),
+    err => {
+      if (!awsErrors.isConditionalCheckFailed(err)) {
+        log(context, LogLevel.ERROR, `Failed to put in-progress idempotency record (${key}) to ${tableName}`, err);
+        throw err;
+      }
+      return getStoredResult(key, event, context, fn, retry);
+    }
+  );
+}
+
+function executeAndSave(key, item, event, context, fn) {
+  const idempotency = context.handler.idempotency;
+  const tableName = idempotency.tableName;
+  const keyAttributeName = idempotency.keyAttributeName || DEFAULT_KEY_ATTRIBUTE_NAME;
+
+  return Promise.resolve().then(fn).then(
+    result => {
+      const ttl = typeof idempotency.ttlInSeconds === 'number' ? idempotency.ttlInSeconds : DEFAULT_TTL_IN_SECONDS;
+      const completedItem = {
+        [keyAttributeName]: key,
+        status: IdempotencyStatus.COMPLETED,
+        expiresAt: nowInSeconds() + ttl
+      };
+      // Store the result as JSON to avoid DynamoDB's restrictions on undefined & empty values
+      if (result !== undefined) completedItem.result = JSON.stringify(result);
+
+      return context.dynamoDBDocClient.put({TableName: tableName, Item: completedItem}).promise().then(
+        () => result,
+        err => {
+          log(context, LogLevel.WARN, `Failed to put completed idempotency record (${key}) to ${tableName}`, err);
+          return result;
+        }
+      );
+    },
+    err => {
+      // Delete the in-progress record, so that a retry of this invocation can re-execute the function
+      const params = {TableName: tableName, Key: {[keyAttributeName]: key}};
+      return context.dynamoDBDocClient.delete(params).promise().then(
+        () => { throw err; },
+        deleteErr => {
+          log(context, LogLevel.WARN, `Failed to delete in-progress idempotency record (${key}) from ${tableName}`,
+            deleteErr);
+          throw err;
+        }
+      );
+    }
+  );
+}
+
+function getStoredResult(key, event, context, fn, retry) {
+  const idempotency = context.handler.idempotency;
+  const tableName = idempotency.tableName;
+  const keyAttributeName = idempotency.keyAttributeName || DEFAULT_KEY_ATTRIBUTE_NAME;
+
+  const opts = {ConsistentRead: true};
+  return dynamoDBDocClientUtils.getItem(tableName, {[keyAttributeName]: key}, opts, 'idempotency record', context)
+    .then(result => {
+      const item = result.Item;
+      if (!item) {
+        // The record was deleted after the conditional put failed (e.g. the original invocation failed), so try again
+        if (retry) return executeWithKey(key, event, context, fn, false);
+        throw new TooManyRequests(`Idempotency record (${key}) is in flux - please retry later`, 'IdempotencyInProgress');
+      }
+      if (item.status === IdempotencyStatus.COMPLETED) {
+        log(context, LogLevel.INFO, `Skipped duplicate invocation (${key}) - returning stored result`);
+        return item.result !== undefined ? JSON.parse(item.result) : undefined;
+      }
+      throw new TooManyRequests(`Invocation (${key}) is already in progress - please retry later`,
+        'IdempotencyInProgress');
+    });
+}
+
+function resolveInProgressTtlInSeconds(context) {
+  const idempotency = context.handler.idempotency;
+  if (typeof idempotency.inProgressTtlInSeconds === 'number') {
+    return idempotency.inProgressTtlInSeconds;
+  }
+  // Default to the Lambda's remaining time, after which the invocation can no longer be in progress
+  const awsContext = context.awsContext;
+  return awsContext && typeof awsContext.getRemainingTimeInMillis === 'function' ?
+    Math.ceil(awsContext.getRemainingTimeInMillis() / 1000) : DEFAULT_IN_PROGRESS_TTL_IN_SECONDS;
+}
+
+function nowInSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
\ No newline at end of file
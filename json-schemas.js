@@ -0,0 +1,246 @@
+'use strict';
+
+const deepEqual = require('deep-equal');
+const strict = {strict: true};
+
+/**
+ * Utilities for validating (and optionally type-coercing) values against a JSON Schema subset.
+ *
+ * The supported subset of JSON Schema keywords is:
+ * - Any type: `type` (a type name or an array of type names), `enum`, `const` & `default`
+ * - Strings: `minLength`, `maxLength`, `pattern` & `format` (one of 'date-time', 'date', 'email', 'uuid' or 'uri')
+ * - Numbers & integers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum` & `multipleOf`
+ * - Objects: `properties`, `required`, `additionalProperties` (a boolean or a schema), `minProperties` & `maxProperties`
+ * - Arrays: `items` (a single schema), `minItems`, `maxItems` & `uniqueItems`
+ *
+ * Usage:
+ *   const jsonSchemas = require('aws-core-utils/json-schemas');
+ *   const result = jsonSchemas.validate(schema, value, {coerce: true});
+ *   if (result.errors.length > 0) { ... }
+ *
+ * @module aws-core-utils/json-schemas
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.validate = validate;
+exports.getType = getType;
+
+const formats = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:?\d{2})$/,
+  'date': /^\d{4}-\d{2}-\d{2}$/,
+  'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  'uuid': /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+  'uri': /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/
+};
+
+/**
+ * Validates the given value against the given schema and returns the validated (and optionally coerced) value together
+ * with a list of every violation found (if any).
+ * @param {JsonSchema} schema - the schema to validate against
+ * @param {*} value - the value to validate
+ * @param {JsonSchemaValidateOpts|undefined} [opts] - optional options to use
+ * @returns {JsonSchemaValidationResult} the validation result
+ */
+function validate(schema, value, opts) {
+  const errors = [];
+  const coerce = !!(opts && opts.coerce);
+  const path = (opts && opts.path) || '';
+  const result = validateValue(schema, value, path, coerce, errors);
+  return {value: result, errors: errors};
+}
+
+/**
+ * Returns the JSON Schema type name of the given value.
+ * @param {*} value - the value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean', 'object' or 'undefined'
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function isType(value, type) {
+  const actual = getType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function addError(errors, path, keyword, message) {
+  errors.push({path: path, keyword: keyword, message: message});
+}
+
+/**
+ * Attempts to coerce the given (typically string) value into one of the given types.
+ * @param {*} value - the value to coerce
+ * @param {string[]} types - the allowed types
+ * @returns {*} the coerced value (or the original value if it could not be coerced)
+ */
+function coerceValue(value, types) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const trimmed = value.trim();
+  for (let i = 0; i < types.length; ++i) {
+    switch (types[i]) {
+      case 'integer':
+      case 'number':
+        if (trimmed !== '' && !Number.isNaN(Number(trimmed)) && Number.isFinite(Number(trimmed))) {
+          const n = Number(trimmed);
+          if (types[i] === 'number' || Number.isInteger(n)) return n;
+        }
+        break;
+      case 'boolean':
+        if (trimmed === 'true') return true;
+        if (trimmed === 'false') return false;
+        break;
+      case 'null':
+        if (trimmed === '' || trimmed === 'null') return null;
+        break;
+      case 'array':
+        return trimmed === '' ? [] : value.split(',');
+    }
+  }
+  return value;
+}
+
+function validateValue(schema, value, path, coerce, errors) {
+  if (!schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  const types = schema.type ? (Array.isArray(schema.type) ? schema.type : [schema.type]) : undefined;
+
+  if (coerce && types && types.indexOf('string') === -1) {
+    value = coerceValue(value, types);
+  }
+
+  if (types && !types.some(type => isType(value, type))) {
+    addError(errors, path, 'type', `must be of type ${types.join(' or ')}, but was ${getType(value)}`);
+    return value;
+  }
+
+  if (schema.hasOwnProperty('const') && !deepEqual(value, schema.const, strict)) {
+    addError(errors, path, 'const', `must be equal to ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(e => deepEqual(value, e, strict))) {
+    addError(errors, path, 'enum', `must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  switch (getType(value)) {
+    case 'string':
+      validateString(schema, value, path, errors);
+      break;
+    case 'integer':
+    case 'number':
+      validateNumber(schema, value, path, errors);
+      break;
+    case 'object':
+      return validateObject(schema, value, path, coerce, errors);
+    case 'array':
+      return validateArray(schema, value, path, coerce, errors);
+  }
+  return value;
+}
+
+function validateString(schema, value, path, errors) {
+  if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+    addError(errors, path, 'minLength', `must NOT have fewer than ${schema.minLength} characters`);
+  }
+  if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+    addError(errors, path, 'maxLength', `must NOT have more than ${schema.maxLength} characters`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    addError(errors, path, 'pattern', `must match pattern "${schema.pattern}"`);
+  }
+  if (schema.format && formats[schema.format] && !formats[schema.format].test(value)) {
+    addError(errors, path, 'format', `must match format "${schema.format}"`);
+  }
+}
+
+function validateNumber(schema, value, path, errors) {
+  if (typeof schema.minimum === 'number' && value < schema.minimum) {
+    addError(errors, path, 'minimum', `must be >= ${schema.minimum}`);
+  }
+  if (typeof schema.maximum === 'number' && value > schema.maximum) {
+    addError(errors, path, 'maximum', `must be <= ${schema.maximum}`);
+  }
+  if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+    addError(errors, path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+  }
+  if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+    addError(errors, path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+  if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      addError(errors, path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+}
+
+function validateObject(schema, value, path, coerce, errors) {
+  const properties = schema.properties && typeof schema.properties === 'object' ? schema.properties : {};
+  const result = {};
+
+  const names = Object.keys(value);
+  for (let i = 0; i < names.length; ++i) {
+    const name = names[i];
+    const propertyPath = path ? `${path}.${name}` : name;
+    if (properties.hasOwnProperty(name)) {
+      result[name] = validateValue(properties[name], value[name], propertyPath, coerce, errors);
+    } else if (schema.additionalProperties === false) {
+      addError(errors, propertyPath, 'additionalProperties', `must NOT be present`);
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      result[name] = validateValue(schema.additionalProperties, value[name], propertyPath, coerce, errors);
+    } else {
+      result[name] = value[name];
+    }
+  }
+
+  // Apply any defaults for missing properties
+  Object.keys(properties).forEach(name => {
+    const property = properties[name];
+    if (!result.hasOwnProperty(name) && property && property.hasOwnProperty('default')) {
+      result[name] = JSON.parse(JSON.stringify(property.default));
+    }
+  });
+
+  if (Array.isArray(schema.required)) {
+    schema.required.forEach(name => {
+      if (result[name] === undefined) {
+        addError(errors, path ? `${path}.${name}` : name, 'required', `is required`);
+      }
+    });
+  }
+
+  const count = Object.keys(result).length;
+  if (typeof schema.minProperties === 'number' && count < schema.minProperties) {
+    addError(errors, path, 'minProperties', `must NOT have fewer than ${schema.minProperties} properties`);
+  }
+  if (typeof schema.maxProperties === 'number' && count > schema.maxProperties) {
+    addError(errors, path, 'maxProperties', `must NOT have more than ${schema.maxProperties} properties`);
+  }
+  return result;
+}
+
+function validateArray(schema, value, path, coerce, errors) {
+  const result = schema.items && typeof schema.items === 'object' ?
+    value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`, coerce, errors)) : value;
+
+  if (typeof schema.minItems === 'number' && result.length < schema.minItems) {
+    addError(errors, path, 'minItems', `must NOT have fewer than ${schema.minItems} items`);
+  }
+  if (typeof schema.maxItems === 'number' && result.length > schema.maxItems) {
+    addError(errors, path, 'maxItems', `must NOT have more than ${schema.maxItems} items`);
+  }
+  if (schema.uniqueItems === true) {
+    const seen = result.map(item => JSON.stringify(item));
+    if (seen.some((s, i) => seen.indexOf(s) !== i)) {
+      addError(errors, path, 'uniqueItems', `must NOT have duplicate items`);
+    }
+  }
+  return result;
+}
\ No newline at end of file
@@ -0,0 +1,239 @@
+'use strict';
+
+const timeouts = require('./timeouts');
+const awsErrors = require('./aws-errors');
+const streamEvents = require('./stream-events');
+const MAX_PARTITION_KEY_SIZE = streamEvents.MAX_PARTITION_KEY_SIZE;
+
+const appErrors = require('core-functions/app-errors');
+const BadRequest = appErrors.BadRequest;
+const TooManyRequests = appErrors.TooManyRequests;
+const InternalServerError = appErrors.InternalServerError;
+
+const strings = require('core-functions/strings');
+const stringify = strings.stringify;
+
+/**
+ * Utilities for publishing records to AWS Kinesis streams using AWS.Kinesis instances.
+ * @module aws-core-utils/kinesis-utils
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+/** The maximum number of records that can be put with a single Kinesis `putRecords` request */
+const MAX_PUT_RECORDS_COUNT = 500;
+exports.MAX_PUT_RECORDS_COUNT = MAX_PUT_RECORDS_COUNT;
+
+/** The maximum total size in bytes of the records (including their partition keys) of a single `putRecords` request */
+const MAX_PUT_RECORDS_SIZE = 5 * 1024 * 1024;
+exports.MAX_PUT_RECORDS_SIZE = MAX_PUT_RECORDS_SIZE;
+
+/** The maximum size in bytes of a single Kinesis record (i.e. of its data & partition key) */
+const MAX_RECORD_SIZE = 1024 * 1024;
+exports.MAX_RECORD_SIZE = MAX_RECORD_SIZE;
+
+/** The default maximum number of times to retry the failed records of a `publishRecords` batch */
+const DEFAULT_PUBLISH_MAX_RETRIES = 5;
+exports.DEFAULT_PUBLISH_MAX_RETRIES = DEFAULT_PUBLISH_MAX_RETRIES;
+
+/** The default base delay in milliseconds of the exponential backoff between `publishRecords` retries */
+const DEFAULT_PUBLISH_BASE_DELAY_MS = 50;
+exports.DEFAULT_PUBLISH_BASE_DELAY_MS = DEFAULT_PUBLISH_BASE_DELAY_MS;
+
+/** The default maximum delay in milliseconds of the exponential backoff between `publishRecords` retries */
+const DEFAULT_PUBLISH_MAX_DELAY_MS = 5000;
+exports.DEFAULT_PUBLISH_MAX_DELAY_MS = DEFAULT_PUBLISH_MAX_DELAY_MS;
+
+exports.publishRecords = publishRecords;
+exports.calculateRecordSize = calculateRecordSize;
+
+/**
+ * Publishes ALL of the given records to the named Kinesis stream using the context's AWS.Kinesis instance, by:
+ * - failing any invalid record up front (without sending it), i.e. any record without a partition key of 1 to
+ *   `MAX_PARTITION_KEY_SIZE` characters (with a 400 `InvalidPartitionKey` error), without string or binary data (with a
+ *   400 `InvalidRecord` error) or whose size exceeds `MAX_RECORD_SIZE` (with a 400 `RecordSizeLimitExceeded` error);
+ * - splitting the valid records into batches of at most `MAX_PUT_RECORDS_COUNT` records & `MAX_PUT_RECORDS_SIZE` bytes;
+ * - putting each batch with a `putRecords` request; and
+ * - retrying ONLY the records that failed with an `ErrorCode` (or every record of a batch whose request failed with a
+ *   throttling or retryable error) with exponential backoff and full jitter, up to the configured `maxRetries`.
+ *
+ * Records that are still failing after the last retry are failed with a 429 (for a
+ * `ProvisionedThroughputExceededException`) or 500 (for an `InternalFailure`) error with their `ErrorCode` as its code.
+ * @param {string} streamName - the name of the Kinesis stream to which to publish
+ * @param {Array.<KinesisPutRecordsEntry>} records - the records (i.e. `{Data, PartitionKey, ExplicitHashKey}`) to publish
+ * @param {PublishRecordsOpts|undefined} [opts] - optional retry options to use
+ * @param {string} desc - a description of the records being published for logging purposes
+ * @param {StandardContext} context - the context to use
+ * @param {AWS.Kinesis} context.kinesis - the AWS.Kinesis instance to use
+ * @param {CancellationToken|undefined} [context.cancellationToken] - an optional cancellation token, which if cancelled
+ *        before the records are published will abort the current request and reject with the token's reason
+ * @return {Promise.<PublishRecordsResult>} a promise that will resolve with the outcome of each record (in the same
+ *         order as the given records) or reject with an error (e.g. if cancelled)
+ */
+function publishRecords(streamName, records, opts, desc, context) {
+  try {
+    if (!Array.isArray(records)) {
+      throw new TypeError(`Invalid records (${stringify(records)}) for ${desc} - must be an array`);
+    }
+    const options = opts || {};
+    const maxRetries = options.maxRetries >= 0 ? Math.floor(options.maxRetries) : DEFAULT_PUBLISH_MAX_RETRIES;
+    const baseDelayMs = options.baseDelayMs >= 0 ? options.baseDelayMs : DEFAULT_PUBLISH_BASE_DELAY_MS;
+    const maxDelayMs = options.maxDelayMs >= 0 ? options.maxDelayMs : DEFAULT_PUBLISH_MAX_DELAY_MS;
+    const token = context.cancellationToken;
+
+    // Fail any invalid records up front (without sending them)
+    const outcomes = records.map((record, index) => {
+      const outcome = {index: index, record: record, published: false, attempts: 0};
+      const error = validateRecord(record, `record [${index}] of ${desc}`);
+      if (error) outcome.error = error;
+      return outcome;
+    });
+
+    // Split the valid records into batches within the count & size limits of a `putRecords` request
+    const batches = [];
+    let batch = undefined;
+    let batchSize = 0;
+    outcomes.filter(outcome => !outcome.error).forEach(outcome => {
+      const size = calculateRecordSize(outcome.record);
+      if (!batch || batch.length >= MAX_PUT_RECORDS_COUNT || batchSize + size > MAX_PUT_RECORDS_SIZE) {
+        batch = [];
+        batchSize = 0;
+        batches.push(batch);
+      }
+      batch.push(outcome);
+      batchSize += size;
+    });
+
+    function publishBatch(batchOutcomes, attempt) {
+      return timeouts.delayWithBackoff(attempt, baseDelayMs, maxDelayMs, token)
+        .then(() => {
+          batchOutcomes.forEach(outcome => ++outcome.attempts);
+          const params = {StreamName: streamName, Records: batchOutcomes.map(outcome => outcome.record)};
+          return sendPutRecords(params, `${batchOutcomes.length} ${desc} record(s) to ${streamName}`, context);
+        })
+        .then(
+          result => {
+            const failed = batchOutcomes.filter((outcome, i) => !applyResultEntry(outcome, result.Records[i]));
+            if (failed.length === 0) return;
+
+            if (attempt >= maxRetries) {
+              failed.forEach(outcome => outcome.error = toRecordError(outcome, desc, streamName));
+              return;
+            }
+            context.warn(`putRecords of ${desc} to ${streamName} failed ${failed.length} of ${batchOutcomes.length} record(s) on attempt ${attempt + 1}`);
+            return publishBatch(failed, attempt + 1);
+          },
+          err => {
+            if (token && token.aborted) throw err;
+            if ((awsErrors.isThrottled(err) || awsErrors.isRetryable(err)) && attempt < maxRetries) {
+              context.warn(`Failed to publish ${batchOutcomes.length} ${desc} record(s) to ${streamName} on attempt ${attempt + 1} - ${err}`);
+              return publishBatch(batchOutcomes, attempt + 1);
+            }
+            context.error(`Failed to publish ${batchOutcomes.length} ${desc} record(s) to ${streamName}`, err);
+            batchOutcomes.forEach(outcome => outcome.error = err);
+          }
+        );
+    }
+
+    return batches.reduce((promise, b) => promise.then(() => publishBatch(b, 0)), Promise.resolve())
+      .then(() => {
+        const failedCount = outcomes.filter(outcome => !outcome.published).length;
+        if (failedCount > 0) {
+          context.warn(`Failed to publish ${failedCount} of ${outcomes.length} ${desc} record(s) to ${streamName}`);
+        }
+        return {outcomes: outcomes, publishedCount: outcomes.length - failedCount, failedCount: failedCount};
+      });
+
+  } catch (err) {
+    context.error(`Failed to publish ${desc} to ${streamName}`, err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Calculates the size in bytes of the given Kinesis record, which counts towards the `MAX_RECORD_SIZE` &
+ * `MAX_PUT_RECORDS_SIZE` limits, i.e. the size of its data plus the UTF-8 length of its partition key.
+ * @param {KinesisPutRecordsEntry} record - the record
+ * @returns {number} the size of the record in bytes
+ */
+function calculateRecordSize(record) {
+  if (!record || typeof record !== 'object') {
+    return 0;
+  }
+  const dataSize = toDataSize(record.Data);
+  const key = record.PartitionKey;
+  return (dataSize || 0) + (typeof key === 'string' ? Buffer.byteLength(key, 'utf8') : 0);
+}
+
+function toDataSize(data) {
+  return typeof data === 'string' ? Buffer.byteLength(data, 'utf8') :
+    data && typeof data === 'object' && typeof data.byteLength === 'number' ? data.byteLength : undefined;
+}
+
+function validateRecord(record, desc) {
+  if (!record || typeof record !== 'object') {
+    return new BadRequest(`Invalid ${desc} (${stringify(record)}) - must be an object with Data & PartitionKey`,
+      'InvalidRecord');
+  }
+  // Kinesis limits the number of Unicode characters (NOT bytes) of a partition key
+  const key = record.PartitionKey;
+  const keyLength = typeof key === 'string' ? Array.from(key).length : 0;
+  if (keyLength < 1 || keyLength > MAX_PARTITION_KEY_SIZE) {
+    return new BadRequest(`Invalid partition key (${stringify(key)}) of ${desc} - must be a string of 1 to ` +
+      `${MAX_PARTITION_KEY_SIZE} characters`, 'InvalidPartitionKey');
+  }
+  if (toDataSize(record.Data) === undefined) {
+    return new BadRequest(`Invalid data of ${desc} - must be a string or Buffer`, 'InvalidRecord');
+  }
+  const recordSize = calculateRecordSize(record);
+  if (recordSize > MAX_RECORD_SIZE) {
+    const error = new BadRequest(`Record size (${recordSize} bytes) of ${desc} exceeds the maximum record size ` +
+      `(${MAX_RECORD_SIZE} bytes)`, 'RecordSizeLimitExceeded');
+    error.recordSize = recordSize;
+    return error;
+  }
+  return undefined;
+}
+
+function applyResultEntry(outcome, entry) {
+  if (entry.ErrorCode) {
+    outcome.ErrorCode = entry.ErrorCode;
+    outcome.ErrorMessage = entry.ErrorMessage;
+    return false;
+  }
+  outcome.published = true;
+  outcome.SequenceNumber = entry.SequenceNumber;
+  outcome.ShardId = entry.ShardId;
+  delete outcome.ErrorCode;
+  delete outcome.ErrorMessage;
+  return true;
+}
+
+function toRecordError(outcome, desc, streamName) {
+  const message = `Failed to publish record [${outcome.index}] of ${desc} to ${streamName} after ${outcome.attempts} ` +
+    `attempt(s) - ${outcome.ErrorCode}: ${outcome.ErrorMessage}`;
+  return outcome.ErrorCode === 'ProvisionedThroughputExceededException' ?
+    new TooManyRequests(message, outcome.ErrorCode) : new InternalServerError(message, outcome.ErrorCode);
+}
+
+function sendPutRecords(params, desc, context) {
+  try {
+    // NB: Do NOT trace the params, since they include the records' data
+    if (context.traceEnabled) context.trace(`Executing putRecords of ${desc}`);
+
+    // Abort the request if the context's cancellation token (if any) is cancelled before it completes
+    const request = context.kinesis.putRecords(params);
+
+    return timeouts.sendAbortableRequest(request, context.cancellationToken)
+      .then(result => {
+        if (context.traceEnabled) context.trace(`Executed putRecords of ${desc} - failed record count (${result && result.FailedRecordCount})`);
+        if (result && Array.isArray(result.Records) && result.Records.length === params.Records.length) {
+          return result;
+        }
+        throw new TypeError(`Unexpected result from putRecords of ${desc} - result (${JSON.stringify(result)})`);
+      });
+
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
\ No newline at end of file
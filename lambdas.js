@@ -9,6 +9,7 @@ const getArnResources = arns.getArnResources;
  *   function ARNs.
  * - Utilities to fail Lambda callbacks with standard app errors to facilitate mapping of errors to HTTP status codes
  *   on API Gateway.
+ * - Utilities for working with Lambda handler functions.
  * @module aws-core-utils/lambdas.js
  * @see core-functions/app-errors.js
  * @author Byron du Preez
@@ -24,6 +25,9 @@ exports.getInvokedFunctionArn = getInvokedFunctionArn;
 exports.getInvokedFunctionArnFunctionName = getInvokedFunctionArnFunctionName;
 exports.getInvokedFunctionNameWithAliasOrVersion = getInvokedFunctionNameWithAliasOrVersion;
 
+// Functions to work with Lambda handler functions
+exports.toAsyncHandlerFunction = toAsyncHandlerFunction;
+
 /**
  * Returns the function name from the given AWS context
  * @param {AWSContext|undefined} [awsContext] - the AWS context
@@ -138,4 +142,29 @@ function getAlias(awsContext) {
   const aliasOrVersion = resources.aliasOrVersion;
   return aliasOrVersion && aliasOrVersion !== versionFromContext ? //&& aliasOrVersion !== version ?
     aliasOrVersion : '';
+}
+
+/**
+ * Converts the given callback-based handler function into an async handler function that resolves with the result or
+ * rejects with the error that the given handler passes to its callback (wrapped in an Error if it is not already one).
+ * NB: API Gateway Lambda Proxy handlers pass their failures to their callback as successful proxy responses, so the
+ * async version of such a handler resolves with the error response.
+ * @param {AwsLambdaHandlerFunction} handler - a callback-based handler function
+ * @returns {AsyncAwsLambdaHandlerFunction} an async handler function
+ */
+function toAsyncHandlerFunction(handler) {
+  /**
+   * An async AWS Lambda handler function.
+   * @param {Object} event - the AWS event passed to your handler
+   * @param {Object} awsContext - the AWS context passed to your handler
+   * @returns {Promise.<*>} a promise of the response
+   */
+  function asyncHandler(event, awsContext) {
+    return new Promise((resolve, reject) => {
+      handler(event, awsContext, (err, response) => err ? reject(err instanceof Error ? err : new Error(`${err}`)) :
+        resolve(response));
+    });
+  }
+
+  return asyncHandler;
 }
\ No newline at end of file
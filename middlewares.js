@@ -0,0 +1,165 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const logging = require('logging-utils');
+const LogLevel = logging.LogLevel;
+const log = logging.log;
+
+/**
+ * Utilities for executing an ordered chain of handler middlewares, which is shared by the `api-lambdas` and
+ * `other-lambdas` handler generators.
+ *
+ * Each middleware can define any of the following optional functions:
+ * - `before(event, context)` - executed in order AFTER the context has been configured and BEFORE the main function is
+ *   executed, which can return (or resolve to) a replacement context and whose failure fails the handler invocation;
+ * - `after(response, event, context)` - executed in REVERSE order immediately before succeeding the Lambda callback,
+ *   which can return (or resolve to) a replacement response and whose failure is logged, but otherwise ignored; and
+ * - `onError(error, errorResponse, event, context)` - executed in REVERSE order immediately before failing the Lambda
+ *   callback, whose failure is logged, but otherwise ignored.
+ *
+ * Middlewares are registered in order on `context.handler.middlewares` (via your handler settings or options). For
+ * backward compatibility, any legacy `postConfigure`, `preSuccessCallback` & `preFailureCallback` functions configured on
+ * `context.handler` are executed as a built-in, outermost middleware (i.e. `postConfigure` runs before and the other two
+ * run after every other middleware's corresponding function).
+ *
+ * @module aws-core-utils/middlewares
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.getMiddlewares = getMiddlewares;
+exports.toLegacyHooksMiddleware = toLegacyHooksMiddleware;
+exports.mergeMiddlewareOpts = mergeMiddlewareOpts;
+exports.executeBefore = executeBefore;
+exports.executeAfter = executeAfter;
+exports.executeOnError = executeOnError;
+
+/**
+ * Returns the ordered list of middlewares to execute for the given context, i.e. the built-in legacy hooks middleware
+ * (if any legacy hooks are configured) followed by the configured `context.handler.middlewares` (if any).
+ * @param {StandardHandlerContext} context - the context to use
+ * @returns {Middleware[]} the middlewares in order
+ */
+function getMiddlewares(context) {
+  const handler = context && context.handler;
+  if (!handler) return [];
+
+  const legacyHooks = toLegacyHooksMiddleware(handler);
+  const middlewares = Array.isArray(handler.middlewares) ?
+    handler.middlewares.filter(m => m && typeof m === 'object') : [];
+  return legacyHooks ? [legacyHooks].concat(middlewares) : middlewares;
+}
+
+/**
+ * Re-expresses the legacy `postConfigure`, `preSuccessCallback` & `preFailureCallback` hooks configured on the given
+ * handler settings (if any) as a middleware.
+ * @param {HandlerSettings|HandlerOptions} handler - the handler settings
+ * @returns {Middleware|undefined} a middleware (if any legacy hooks are configured) or undefined
+ */
+function toLegacyHooksMiddleware(handler) {
+  const postConfigure = handler && handler.postConfigure;
+  const preSuccessCallback = handler && handler.preSuccessCallback;
+  const preFailureCallback = handler && handler.preFailureCallback;
+
+  const middleware = {name: 'legacyHooks'};
+  if (typeof postConfigure === 'function') {
+    middleware.before = postConfigure;
+  }
+  if (typeof preSuccessCallback === 'function') {
+    // NB: preSuccessCallback's result was always ignored, so it must NOT replace the response
+    middleware.after = (response, event, context) => Promises.try(() => preSuccessCallback(response, event, context))
+      .then(() => response);
+  }
+  if (typeof preFailureCallback === 'function') {
+    middleware.onError = preFailureCallback;
+  }
+  return middleware.before || middleware.after || middleware.onError ? middleware : undefined;
+}
+
+/**
+ * Copies the middleware-related values (i.e. `middlewares` and the legacy `postConfigure`, `preSuccessCallback` &
+ * `preFailureCallback` hooks) from the given `from` handler opts to the given `to` handler opts, but ONLY if the same
+ * options or settings do NOT already exist in the `to` handler opts.
+ * @param {HandlerSettings|HandlerOptions|Object|undefined} [from] - the source handler configuration
+ * @param {HandlerSettings|HandlerOptions} to - the destination handler configuration
+ * @returns {HandlerSettings|HandlerOptions} the destination handler configuration
+ */
+function mergeMiddlewareOpts(from, to) {
+  if (from) {
+    if (Array.isArray(from.middlewares) && !to.middlewares) {
+      to.middlewares = from.middlewares.slice();
+    }
+    if (from.postConfigure && !to.postConfigure) {
+      to.postConfigure = from.postConfigure;
+    }
+    if (from.preSuccessCallback && !to.preSuccessCallback) {
+      to.preSuccessCallback = from.preSuccessCallback;
+    }
+    if (from.preFailureCallback && !to.preFailureCallback) {
+      to.preFailureCallback = from.preFailureCallback;
+    }
+  }
+  return to;
+}
+
+/**
+ * Executes the `before` functions of the context's middlewares (if any) in order.
+ * @param {AWSEvent} event - the AWS event passed to your handler
+ * @param {StandardHandlerContext} context - the context to use
+ * @return {Promise.<StandardHandlerContext>} a promise of the context (or of a replacement context returned by a
+ *         middleware) - any errors are logged and result in rejections
+ */
+function executeBefore(event, context) {
+  return getMiddlewares(context).filter(m => typeof m.before === 'function').reduce(
+    (promise, middleware) => promise.then(ctx =>
+      Promises.try(() => middleware.before(event, ctx))
+        .then(c => c || ctx)
+        .catch(err => {
+          log(ctx, LogLevel.ERROR, err);
+          throw err;
+        })
+    ),
+    Promise.resolve(context)
+  );
+}
+
+/**
+ * Executes the `after` functions of the context's middlewares (if any) in reverse order.
+ * @param {Object} response - the response to be returned
+ * @param {AWSEvent} event - the AWS event passed to your handler
+ * @param {StandardHandlerContext} context - the context to use
+ * @return {Promise.<Object>} a promise of the response (or of a replacement response returned by a middleware) - any
+ *         errors are logged, but no rejections can escape
+ */
+function executeAfter(response, event, context) {
+  return getMiddlewares(context).filter(m => typeof m.after === 'function').reverse().reduce(
+    (promise, middleware) => promise.then(res =>
+      Promises.try(() => middleware.after(res, event, context))
+        .then(r => r !== undefined ? r : res)
+        .catch(err => {
+          log(context, LogLevel.ERROR, err);
+          return res;
+        })
+    ),
+    Promise.resolve(response)
+  );
+}
+
+/**
+ * Executes the `onError` functions of the context's middlewares (if any) in reverse order.
+ * @param {AppError} error - the error with which your Lambda was failed
+ * @param {Object} errorResponse - the error response derived from the error with which your Lambda was failed
+ * @param {AWSEvent} event - the AWS event passed to your handler
+ * @param {StandardHandlerContext} context - the context being used
+ * @return {Promise.<*>} a promise of anything - any errors are logged, but no rejections can escape
+ */
+function executeOnError(error, errorResponse, event, context) {
+  return getMiddlewares(context).filter(m => typeof m.onError === 'function').reverse().reduce(
+    (promise, middleware) => promise.then(() =>
+      Promises.try(() => middleware.onError(error, errorResponse, event, context))
+        .catch(err => log(context, LogLevel.ERROR, err))
+    ),
+    Promise.resolve()
+  ).then(() => undefined);
+}
\ No newline at end of file
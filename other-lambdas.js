@@ -1,6 +1,11 @@
 'use strict';
 
 const contexts = require('./contexts');
+const lambdas = require('./lambdas');
+const middlewares = require('./middlewares');
+const timeouts = require('./timeouts');
+const idempotency = require('./idempotency');
+const batches = require('./batches');
 const Promises = require('core-functions/promises');
 const copying = require('core-functions/copying');
 const copy = copying.copy;
@@ -45,6 +50,8 @@ exports._$_ = '_$_'; //IDE workaround
 exports.configureHandlerContext = configureHandlerContext;
 
 exports.generateHandlerFunction = generateHandlerFunction;
+exports.generateAsyncHandlerFunction = generateAsyncHandlerFunction;
+exports.generateBatchHandlerFunction = generateBatchHandlerFunction;
 
 exports.succeedLambdaCallback = succeedLambdaCallback;
 exports.failLambdaCallback = failLambdaCallback;
@@ -87,14 +94,19 @@ function generateHandlerFunction(createContext, createSettings, createOptions, f
         log(context, logLevel, 'Request:', stringify(event));
       }
 
-      // If a `postConfigure` function was configured then execute it now, BEFORE executing the given function
-      return executePostConfigure(event, context)
+      // Guard against a hard Lambda timeout (if a `timeoutMarginInMillis` is configured)
+      const timeoutGuard = timeouts.startTimeoutGuard(awsContext, context);
+
+      // Execute the `before` functions of any configured middlewares (incl. any `postConfigure` function) BEFORE
+      // executing the given function
+      return timeoutGuard.race(middlewares.executeBefore(event, context)
         .then(c => {
           context = c || context;
+          if (!context.cancellationToken) context.cancellationToken = timeoutGuard.token;
 
-          // Execute the given function
-          return fn(event, context);
-        })
+          // Execute the given function (idempotently, if `idempotency` is configured)
+          return idempotency.executeIdempotently(event, context, () => fn(event, context));
+        }))
         .then(response => {
           // Optionally log the response
           if (logLevel && logging.isValidLogLevel(logLevel)) {
@@ -129,6 +141,50 @@ function generateHandlerFunction(createContext, createSettings, createOptions, f
   return handler;
 }
 
+/**
+ * Generates an async (i.e. Promise-returning) handler function for your "other" AWS Lambda, which accepts ONLY the AWS
+ * event and AWS context (i.e. NO callback) and which resolves with the response or rejects with an Error whose message is
+ * the error response instead of invoking a callback. The generated handler uses exactly the same context configuration, hooks, logging
+ * and error conversion as the callback-based handler generated by `generateHandlerFunction`.
+ *
+ * @param {(function(): (Object|StandardHandlerContext))|undefined|Object|StandardHandlerContext} [createContext] - an
+ *        optional function that will be used to create the initial context to be configured & used
+ * @param {(function(): (Object|StandardHandlerSettings))|undefined|Object|StandardHandlerSettings} [createSettings] - an
+ *        optional function that will be used to create the initial standard handler settings to use
+ * @param {(function(): (Object|StandardHandlerOptions))|undefined|Object|StandardHandlerOptions} [createOptions] -  an
+ *        optional function that will be used to create the initial standard options to use
+ * @param {function(event: AWSEvent, context: StandardHandlerContext)} fn - your function that must accept the AWS event
+ *        and a standard context and ideally return a Promise
+ * @param {HandlerOpts|undefined} [opts] - optional opts to use
+ * @returns {AsyncAwsLambdaHandlerFunction} an async handler function for your Lambda
+ */
+function generateAsyncHandlerFunction(createContext, createSettings, createOptions, fn, opts) {
+  const handler = generateHandlerFunction(createContext, createSettings, createOptions, fn, opts || {});
+  return lambdas.toAsyncHandlerFunction(handler);
+}
+
+/**
+ * Generates a handler function for your "other" AWS Lambda that is triggered by an SQS, Kinesis or DynamoDB stream
+ * event source mapping with partial batch responses enabled (i.e. `ReportBatchItemFailures`), which processes each of
+ * the event's records individually with the given record function (at most `handler.batchConcurrency` at a time) and
+ * succeeds with a `batchItemFailures` response listing the records that failed (see `batches.processBatch`).
+ *
+ * @param {(function(): (Object|StandardHandlerContext))|undefined|Object|StandardHandlerContext} [createContext] - an
+ *        optional function that will be used to create the initial context to be configured & used
+ * @param {(function(): (Object|StandardHandlerSettings))|undefined|Object|StandardHandlerSettings} [createSettings] - an
+ *        optional function that will be used to create the initial standard handler settings to use
+ * @param {(function(): (Object|StandardHandlerOptions))|undefined|Object|StandardHandlerOptions} [createOptions] -  an
+ *        optional function that will be used to create the initial standard options to use
+ * @param {BatchRecordFunction} recordFn - your function that must accept a record, the AWS event and a standard context
+ *        and ideally return a Promise
+ * @param {HandlerOpts|undefined} [opts] - optional opts to use
+ * @returns {AwsLambdaHandlerFunction} a handler function for your Lambda
+ */
+function generateBatchHandlerFunction(createContext, createSettings, createOptions, recordFn, opts) {
+  const fn = batches.generateBatchFunction(recordFn);
+  return generateHandlerFunction(createContext, createSettings, createOptions, fn, opts);
+}
+
 /**
  * Configures a standard handler context to use.
  * @param {(function(): (Object|HandlerContext))|undefined|Object|HandlerContext} [createContext] - an optional function
@@ -179,78 +235,20 @@ function mergeHandlerOpts(from, to) {
     if (from.toErrorResponse && !to.toErrorResponse) {
       to.toErrorResponse = from.toErrorResponse;
     }
-    if (from.postConfigure && !to.postConfigure) {
-      to.postConfigure = from.postConfigure;
+    if (typeof from.timeoutMarginInMillis === 'number' && typeof to.timeoutMarginInMillis !== 'number') {
+      to.timeoutMarginInMillis = from.timeoutMarginInMillis;
     }
-    if (from.preSuccessCallback && !to.preSuccessCallback) {
-      to.preSuccessCallback = from.preSuccessCallback;
+    if (typeof from.batchConcurrency === 'number' && typeof to.batchConcurrency !== 'number') {
+      to.batchConcurrency = from.batchConcurrency;
     }
-    if (from.preFailureCallback && !to.preFailureCallback) {
-      to.preFailureCallback = from.preFailureCallback;
+    if (from.idempotency && !to.idempotency) {
+      to.idempotency = from.idempotency;
     }
+    middlewares.mergeMiddlewareOpts(from, to);
   }
   return to;
 }
 
-/**
- * Executes the custom configured `postConfigure` function (if any).
- * @param {AWSEvent} event - the AWS event passed to your handler
- * @param {StandardHandlerContext} context - the context to use
- * @param {PostConfigure|undefined} [context.handler.postConfigure] - an optional function to be used by an AWS Lambda
- *        `handler` to add any additional configuration needed to the context AFTER the primary configuration of the
- *        context has completed and BEFORE the main function is executed
- * @return {Promise.<*>} a promise of anything - any errors are logged and result in rejections
- */
-function executePostConfigure(event, context) {
-  const handler = context && context.handler;
-  const postConfigure = handler && handler.postConfigure;
-  return typeof postConfigure === 'function' ?
-    Promises.try(() => postConfigure(event, context))
-      .then(c => c || context)
-      .catch(err => {
-        log(context, LogLevel.ERROR, err);
-        throw err;
-      }) :
-    Promise.resolve(context);
-}
-
-/**
- * Executes the custom configured `preSuccessCallback` function (if any).
- * @param {Object} response - a normal or Lambda Proxy integration response to be returned
- * @param {AWSEvent} event - the AWS event passed to your handler
- * @param {StandardHandlerContext} context - the context to use
- * @param {PreSuccessCallback|undefined} [context.handler.preSuccessCallback] - an optional function to be used by an
- *        AWS Lambda `handler` to run any needed shutdown logic immediately before succeeding the Lambda callback
- * @return {Promise.<*>} a promise of anything - any errors are logged, but no rejections can escape
- */
-function executePreSuccessCallback(response, event, context) {
-  const handler = context && context.handler;
-  const preSuccessCallback = handler && handler.preSuccessCallback;
-  return typeof preSuccessCallback === 'function' ?
-    Promises.try(() => preSuccessCallback(response, event, context))
-      .catch(err => log(context, LogLevel.ERROR, err)) :
-    Promise.resolve();
-}
-
-/**
- * Executes the custom configured `preSuccessCallback` function (if any).
- * @param {AppError} error - the error with which your Lambda was failed
- * @param {Object} errorResponse - the error response derived from the error with which your Lambda was failed
- * @param {AWSEvent} event - the AWS event passed to your handler
- * @param {StandardHandlerContext} context - the context being used
- * @param {PreFailureCallback|undefined} [context.handler.preFailureCallback] - an optional function to be used by an
- *        AWS Lambda `handler` to run any needed shutdown logic immediately before failing the Lambda callback
- * @return {Promise.<*>} a promise of anything - any errors are logged, but no rejections can escape
- */
-function executePreFailureCallback(error, errorResponse, event, context) {
-  const handler = context && context.handler;
-  const preFailureCallback = handler && handler.preFailureCallback;
-  return typeof preFailureCallback === 'function' ?
-    Promises.try(() => preFailureCallback(error, errorResponse, event, context))
-      .catch(err => log(context, LogLevel.ERROR, err)) :
-    Promise.resolve();
-}
-
 /**
  * Succeeds the given callback of an AWS Lambda, by invoking the given callback with the given response.
  * @param {Function} callback - the callback function passed as the last argument to your Lambda function on invocation.
@@ -259,10 +257,10 @@ function executePreFailureCallback(error, errorResponse, event, context) {
  * @param {StandardHandlerContext} context - the context to use
  */
 function succeedLambdaCallback(callback, response, event, context) {
-  return executePreSuccessCallback(response, event, context)
-    .then(() => callback(null, response))
+  return middlewares.executeAfter(response, event, context)
+    .then(res => callback(null, res))
     .catch(err => {
-      console.error(`Unexpected failure after executePreSuccessCallback`, err);
+      console.error(`Unexpected failure after executing middlewares`, err);
       return callback(null, response);
     });
 }
@@ -295,10 +293,10 @@ function failLambdaCallback(callback, error, event, context) {
     apiError.auditRef = trim(apiError.auditRef) || trim(error.auditRef) || undefined;
 
     const errorResponse = toCustomOrDefaultErrorResponse(apiError, event, context);
-    return executePreFailureCallback(apiError, errorResponse, event, context)
+    return middlewares.executeOnError(apiError, errorResponse, event, context)
       .then(() => callback(stringify(errorResponse), null))
       .catch(err => {
-        console.error(`Unexpected failure after executePreFailureCallback`, err);
+        console.error(`Unexpected failure after executing middlewares`, err);
         return callback(stringify(errorResponse), null);
       });
   }).catch(err => {
@@ -358,10 +358,11 @@ function configureDependencies(context, otherSettings, otherOptions, forceConfig
  *    then disable this step by simply NOT configuring a stageHandling.convertAliasToStage function on the context (see
  *    {@linkcode configureStageHandling}).
  *
- * 6. Extracts the stream (or table) names from the AWS event's records' eventSourceARNs (if any) and then uses the
- *    given context's configured stageHandling.extractStageFromStreamName (or stageHandling.extractStageFromResourceName)
- *    function (if defined) to extract the stages from these stream (or table) names and returns the first non-blank
- *    stage (if any and if there are NOT multiple distinct results).
+ * 6. Extracts the stream (or table or SQS queue) names from the AWS event's records' eventSourceARNs (if any) and then
+ *    uses the given context's configured stageHandling.extractStageFromStreamName (or
+ *    stageHandling.extractStageFromResourceName for table & queue names) function (if defined) to extract the stages
+ *    from these names (ignoring any '.fifo' queue name suffix) and returns the first non-blank stage (if any and if
+ *    there are NOT multiple distinct results).
  *
  *    NB: This step relies on a convention of qualifying stream and table names with a stage. If you are NOT using such
  *    a convention, then disable this step by simply NOT configuring stageHandling.extractStageFromStreamName and
@@ -459,9 +460,10 @@ function resolveStage(event, awsContext, context) {
     const eventSource = eventSources[0];
     const eventSourceIsKinesis = eventSource === 'aws:kinesis';
     const eventSourceIsDynamoDB = eventSource === 'aws:dynamodb';
+    const eventSourceIsSqs = eventSource === 'aws:sqs';
     let stages = [];
 
-    if (!eventSourceIsKinesis && !eventSourceIsDynamoDB) {
+    if (!eventSourceIsKinesis && !eventSourceIsDynamoDB && !eventSourceIsSqs) {
       context.warn(`Cannot resolve a stage from a stream or table name from an event with an unexpected event source ${eventSource} - event (${stringify(event)})!`);
     } else {
       if (eventSourceIsKinesis) {
@@ -480,6 +482,14 @@ function resolveStage(event, awsContext, context) {
             .map(tableName => isNotBlank(tableName) ? extractStageFromTableName(trim(tableName), context) : '')
             .filter(isNotBlank);
         }
+      } else if (eventSourceIsSqs) {
+        // Check have all the pieces needed to extract a queue name and apply the given extractStageFromResourceName function to it
+        const extractStageFromQueueName = getStageHandlingFunction(context, settingNames.extractStageFromResourceName);
+        if (extractStageFromQueueName && event && event.Records) {
+          stages = streamEvents.getSqsEventSourceQueueNames(event)
+            .map(queueName => isNotBlank(queueName) ? extractStageFromQueueName(trim(toUnsuffixedQueueName(queueName)), context) : '')
+            .filter(isNotBlank);
+        }
       }
       let stage = stages.length > 0 ? stages[0] : undefined;
 
@@ -492,7 +502,7 @@ function resolveStage(event, awsContext, context) {
       }
 
       if (isNotBlank(stage)) {
-        context.debug(`Resolved stage (${stage}) from event source ARN ${eventSourceIsKinesis ? 'stream' : 'table'} name`);
+        context.debug(`Resolved stage (${stage}) from event source ARN ${eventSourceIsKinesis ? 'stream' : eventSourceIsSqs ? 'queue' : 'table'} name`);
         return toCase(trim(stage), extractInCase);
       }
     }
@@ -518,6 +528,16 @@ function resolveStage(event, awsContext, context) {
   return '';
 }
 
+/**
+ * Removes the '.fifo' suffix (if any) from the given SQS queue name, so that a stage can be extracted from the name of
+ * a stage-qualified FIFO queue (e.g. 'orders_DEV.fifo').
+ * @param {string} queueName - an SQS queue name
+ * @returns {string} the queue name without any '.fifo' suffix
+ */
+function toUnsuffixedQueueName(queueName) {
+  return streamEvents.isSqsFifoQueueName(queueName) ? queueName.substring(0, queueName.length - 5) : queueName;
+}
+
 //noinspection JSUnusedLocalSymbols
 /**
  * A default convertAliasToStage function that simply returns the given alias (if any) exactly as it is as the stage.
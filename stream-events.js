@@ -2,17 +2,27 @@
 
 const arns = require('./arns');
 
+const crypto = require('crypto');
+
 // Constants
 const MAX_PARTITION_KEY_SIZE = 256;
 
+/** The magic bytes that prefix the data of a Kinesis Producer Library (KPL) aggregated record */
+const KPL_AGGREGATED_RECORD_MAGIC = Buffer.from([0xF3, 0x89, 0x9A, 0xC2]);
+
+/** The length in bytes of the MD5 checksum that suffixes the data of a KPL aggregated record */
+const KPL_CHECKSUM_LENGTH = 16;
+
 /**
- * Utilities for validating and extracting information from AWS Kinesis and AWS DynamoDB stream events.
+ * Utilities for validating and extracting information from AWS Kinesis and AWS DynamoDB stream events and AWS SQS
+ * events.
  * @module aws-core-utils/stream-events
  * @author Byron du Preez
  */
 exports._$_ = '_$_'; //IDE workaround
 
 exports.MAX_PARTITION_KEY_SIZE = MAX_PARTITION_KEY_SIZE;
+exports.KPL_AGGREGATED_RECORD_MAGIC = KPL_AGGREGATED_RECORD_MAGIC;
 
 exports.getEventID = getEventID;
 exports.getEventName = getEventName;
@@ -30,15 +40,33 @@ exports.getKinesisShardIdAndEventNoFromEventID = getKinesisShardIdAndEventNoFrom
 
 exports.getKinesisSequenceNumber = getKinesisSequenceNumber;
 
+exports.getKinesisData = getKinesisData;
+exports.decodeKinesisData = decodeKinesisData;
+exports.parseKinesisData = parseKinesisData;
+exports.isAggregatedKinesisData = isAggregatedKinesisData;
+exports.deaggregateKinesisRecord = deaggregateKinesisRecord;
+exports.deaggregateKinesisEvent = deaggregateKinesisEvent;
+
 exports.getDynamoDBEventSourceTableNames = getDynamoDBEventSourceTableNames;
 exports.getDynamoDBEventSourceTableName = getDynamoDBEventSourceTableName;
 exports.getDynamoDBEventSourceTableNameAndStreamTimestamp = getDynamoDBEventSourceTableNameAndStreamTimestamp;
 
 exports.getDynamoDBSequenceNumber = getDynamoDBSequenceNumber;
 
+exports.getSqsEventSourceQueueNames = getSqsEventSourceQueueNames;
+exports.getSqsEventSourceQueueName = getSqsEventSourceQueueName;
+exports.isSqsFifoQueueName = isSqsFifoQueueName;
+exports.getSqsMessageId = getSqsMessageId;
+exports.getSqsReceiptHandle = getSqsReceiptHandle;
+exports.getSqsMessageAttributes = getSqsMessageAttributes;
+exports.getSqsMessageAttribute = getSqsMessageAttribute;
+exports.getSqsMessageGroupId = getSqsMessageGroupId;
+exports.getSqsApproximateReceiveCount = getSqsApproximateReceiveCount;
+
 exports.validateStreamEventRecord = validateStreamEventRecord;
 exports.validateKinesisStreamEventRecord = validateKinesisStreamEventRecord;
 exports.validateDynamoDBStreamEventRecord = validateDynamoDBStreamEventRecord;
+exports.validateSqsEventRecord = validateSqsEventRecord;
 
 // exports.toStreamEventRecordTruncatedKeyInfo = toStreamEventRecordTruncatedKeyInfo;
 
@@ -174,6 +202,251 @@ function getKinesisSequenceNumber(record) {
   return record && record.kinesis && record.kinesis.sequenceNumber ? record.kinesis.sequenceNumber : '';
 }
 
+/**
+ * Returns the base 64 encoded data of the given Kinesis stream event record or user record.
+ * @param {KinesisEventRecord|UserRecord|*} record - a Kinesis stream event record or a user record
+ * @returns {string} the base 64 encoded data (if any) or an empty string
+ */
+function getKinesisData(record) {
+  const data = record && record.kinesis ? record.kinesis.data : record ? record.data : undefined;
+  return typeof data === 'string' ? data : '';
+}
+
+/**
+ * Decodes the base 64 encoded data of the given Kinesis stream event record or user record.
+ * @param {KinesisEventRecord|UserRecord|*} record - a Kinesis stream event record or a user record
+ * @returns {Buffer} the decoded data (which is empty if the record has no data)
+ */
+function decodeKinesisData(record) {
+  return Buffer.from(getKinesisData(record), 'base64');
+}
+
+/**
+ * Decodes the base 64 encoded data of the given Kinesis stream event record or user record and parses it as JSON.
+ * Never throws - instead returns a result with either the parsed `payload` or a parse `error`, which identifies the
+ * record (by its sequence number and sub-sequence number, if any) and has the underlying failure as its `cause`.
+ * NB: The data of a KPL aggregated record must first be de-aggregated (see `deaggregateKinesisRecord`).
+ * @param {KinesisEventRecord|UserRecord|*} record - a Kinesis stream event record or a user record
+ * @returns {KinesisDataParseResult} the parse result
+ */
+function parseKinesisData(record) {
+  const sequenceNumber = record && record.kinesis ? record.kinesis.sequenceNumber : record && record.sequenceNumber;
+  const subSequenceNumber = record && !record.kinesis ? record.subSequenceNumber : undefined;
+  const id = `${sequenceNumber}${subSequenceNumber !== undefined ? `/${subSequenceNumber}` : ''}`;
+  try {
+    const data = getKinesisData(record);
+    if (!data) {
+      throw new Error('Missing data');
+    }
+    return {payload: JSON.parse(Buffer.from(data, 'base64').toString('utf8'))};
+  } catch (err) {
+    const error = new Error(`Failed to parse data of Kinesis record (${id}) - ${err.message}`);
+    error.sequenceNumber = sequenceNumber;
+    error.subSequenceNumber = subSequenceNumber;
+    error.cause = err;
+    return {error: error};
+  }
+}
+
+/**
+ * Returns true if the given decoded Kinesis data starts with the KPL aggregated record magic bytes and is long enough
+ * to contain an MD5 checksum; false otherwise.
+ * @param {Buffer} data - the decoded data of a Kinesis stream event record
+ * @returns {boolean} true if the data looks like a KPL aggregated record; false otherwise
+ */
+function isAggregatedKinesisData(data) {
+  return Buffer.isBuffer(data) && data.length >= KPL_AGGREGATED_RECORD_MAGIC.length + KPL_CHECKSUM_LENGTH &&
+    data.slice(0, KPL_AGGREGATED_RECORD_MAGIC.length).equals(KPL_AGGREGATED_RECORD_MAGIC);
+}
+
+/**
+ * De-aggregates the given Kinesis stream event record into its user records. A Kinesis Producer Library (KPL)
+ * aggregated record (i.e. with data that starts with the KPL magic bytes and ends with a valid MD5 checksum of its
+ * protobuf-encoded `AggregatedRecord` message) is expanded into one user record per contained record, each with its
+ * own partition key, explicit hash key (if any) & sub-sequence number. Any other record (including one that has the
+ * magic bytes, but an invalid checksum, which the KPL also treats as a normal record) yields a single user record.
+ * @param {KinesisEventRecord} record - a Kinesis stream event record
+ * @returns {UserRecord[]} the user records
+ * @throws {Error} if the record's data has a valid checksum, but is NOT a valid `AggregatedRecord` message
+ */
+function deaggregateKinesisRecord(record) {
+  const kinesis = (record && record.kinesis) || {};
+  const sequenceNumber = kinesis.sequenceNumber;
+  const data = decodeKinesisData(record);
+
+  if (isAggregatedKinesisData(data)) {
+    const message = data.slice(KPL_AGGREGATED_RECORD_MAGIC.length, data.length - KPL_CHECKSUM_LENGTH);
+    const checksum = data.slice(data.length - KPL_CHECKSUM_LENGTH);
+
+    if (crypto.createHash('md5').update(message).digest().equals(checksum)) {
+      let aggregated;
+      try {
+        aggregated = readAggregatedRecord(message);
+      } catch (err) {
+        throw new Error(`Invalid KPL aggregated Kinesis record (${sequenceNumber}) - ${err.message}`);
+      }
+      return aggregated.records.map((r, i) => {
+        const partitionKey = aggregated.partitionKeys[r.partitionKeyIndex];
+        if (partitionKey === undefined) {
+          throw new Error(`Invalid KPL aggregated Kinesis record (${sequenceNumber}) - partition key index (${r.partitionKeyIndex}) of user record ${i} is out of range`);
+        }
+        const userRecord = {
+          partitionKey: partitionKey,
+          explicitPartitionKey: r.explicitHashKeyIndex !== undefined ?
+            aggregated.explicitHashKeys[r.explicitHashKeyIndex] : undefined,
+          sequenceNumber: sequenceNumber,
+          subSequenceNumber: i,
+          data: r.data.toString('base64')
+        };
+        if (kinesis.approximateArrivalTimestamp !== undefined) {
+          userRecord.approximateArrivalTimestamp = kinesis.approximateArrivalTimestamp;
+        }
+        return userRecord;
+      });
+    }
+  }
+
+  const userRecord = {
+    partitionKey: kinesis.partitionKey,
+    sequenceNumber: sequenceNumber,
+    data: getKinesisData(record)
+  };
+  if (kinesis.approximateArrivalTimestamp !== undefined) {
+    userRecord.approximateArrivalTimestamp = kinesis.approximateArrivalTimestamp;
+  }
+  return [userRecord];
+}
+
+/**
+ * De-aggregates all of the records of the given Kinesis stream event into their user records (in order).
+ * @param {KinesisEvent|*} event - a Kinesis stream event
+ * @returns {UserRecord[]} the user records of all of the event's records
+ * @throws {Error} if any record's data has a valid checksum, but is NOT a valid `AggregatedRecord` message
+ */
+function deaggregateKinesisEvent(event) {
+  const records = event && Array.isArray(event.Records) ? event.Records : [];
+  return records.reduce((userRecords, record) => userRecords.concat(deaggregateKinesisRecord(record)), []);
+}
+
+/**
+ * Reads a KPL `AggregatedRecord` protobuf message, i.e.
+ *   message AggregatedRecord {
+ *     repeated string partition_key_table = 1;
+ *     repeated string explicit_hash_key_table = 2;
+ *     repeated Record records = 3;
+ *   }
+ *   message Record {
+ *     required uint64 partition_key_index = 1;
+ *     optional uint64 explicit_hash_key_index = 2;
+ *     required bytes data = 3;
+ *     repeated Tag tags = 4;
+ *   }
+ * @param {Buffer} buffer - the protobuf-encoded message
+ * @returns {{partitionKeys: string[], explicitHashKeys: string[], records: Array.<{partitionKeyIndex: number, explicitHashKeyIndex: (number|undefined), data: Buffer}>}}
+ * @private
+ */
+function readAggregatedRecord(buffer) {
+  const aggregated = {partitionKeys: [], explicitHashKeys: [], records: []};
+  readProtobufFields(buffer, (fieldNo, value) => {
+    switch (fieldNo) {
+      case 1:
+        aggregated.partitionKeys.push(toBytes(value, 'partition_key_table').toString('utf8'));
+        break;
+      case 2:
+        aggregated.explicitHashKeys.push(toBytes(value, 'explicit_hash_key_table').toString('utf8'));
+        break;
+      case 3:
+        aggregated.records.push(readRecord(toBytes(value, 'records')));
+        break;
+    }
+  });
+  return aggregated;
+}
+
+function readRecord(buffer) {
+  const record = {partitionKeyIndex: undefined, explicitHashKeyIndex: undefined, data: undefined};
+  readProtobufFields(buffer, (fieldNo, value) => {
+    switch (fieldNo) {
+      case 1:
+        record.partitionKeyIndex = toVarint(value, 'partition_key_index');
+        break;
+      case 2:
+        record.explicitHashKeyIndex = toVarint(value, 'explicit_hash_key_index');
+        break;
+      case 3:
+        record.data = toBytes(value, 'data');
+        break;
+    }
+  });
+  if (record.partitionKeyIndex === undefined) throw new Error('Missing required partition_key_index');
+  if (record.data === undefined) throw new Error('Missing required data');
+  return record;
+}
+
+function toBytes(value, name) {
+  if (!Buffer.isBuffer(value)) throw new Error(`Unexpected wire type for ${name}`);
+  return value;
+}
+
+function toVarint(value, name) {
+  if (typeof value !== 'number') throw new Error(`Unexpected wire type for ${name}`);
+  return value;
+}
+
+/**
+ * Reads each of the fields of the given protobuf-encoded message and passes its field number and value (i.e. a number
+ * for a varint field or a Buffer for a length-delimited field) to the given function (skipping fixed-width fields).
+ * @param {Buffer} buffer - the protobuf-encoded message
+ * @param {function(fieldNo: number, value: (number|Buffer))} onField - the function to which to pass each field
+ * @private
+ */
+function readProtobufFields(buffer, onField) {
+  const pos = {offset: 0};
+  while (pos.offset < buffer.length) {
+    const key = readVarint(buffer, pos);
+    const fieldNo = Math.floor(key / 8);
+    const wireType = key % 8;
+    switch (wireType) {
+      case 0:
+        onField(fieldNo, readVarint(buffer, pos));
+        break;
+      case 1:
+        skip(buffer, pos, 8);
+        break;
+      case 2: {
+        const length = readVarint(buffer, pos);
+        const start = pos.offset;
+        skip(buffer, pos, length);
+        onField(fieldNo, buffer.slice(start, pos.offset));
+        break;
+      }
+      case 5:
+        skip(buffer, pos, 4);
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type (${wireType}) at offset ${pos.offset}`);
+    }
+  }
+}
+
+function readVarint(buffer, pos) {
+  let value = 0;
+  let multiplier = 1;
+  for (let i = 0; i < 10; ++i) {
+    if (pos.offset >= buffer.length) throw new Error('Truncated protobuf varint');
+    const b = buffer[pos.offset++];
+    value += (b & 0x7F) * multiplier;
+    if ((b & 0x80) === 0) return value;
+    multiplier *= 128;
+  }
+  throw new Error('Malformed protobuf varint');
+}
+
+function skip(buffer, pos, length) {
+  if (pos.offset + length > buffer.length) throw new Error('Truncated protobuf field');
+  pos.offset += length;
+}
+
 /**
  * Extracts and returns an arrays containing the table name followed by the stream timestamp/suffix from the given
  * DynamoDB stream event record's eventSourceARN (if any); otherwise returns an array of 2 empty strings.
@@ -223,16 +496,118 @@ function getDynamoDBSequenceNumber(record) {
   return record && record.dynamodb && record.dynamodb.SequenceNumber ? record.dynamodb.SequenceNumber : '';
 }
 
+/**
+ * Extracts and returns the queue names from the given SQS event's records' eventSourceARNs (if any); otherwise returns
+ * an empty array.
+ * @param {SQSEvent|*} event - an SQS event
+ * @returns {string[]} an array of event source queue names (one for each SQS event record)
+ */
+function getSqsEventSourceQueueNames(event) {
+  return event && Array.isArray(event.Records) ? event.Records.map(getSqsEventSourceQueueName) : [];
+}
+
+/**
+ * Extracts and returns the queue name (including any '.fifo' suffix) from the given SQS event record's eventSourceARN
+ * (if any); otherwise returns an empty string.
+ *
+ * Example of an SQS event source ARN:
+ * arn:aws:sqs:us-east-1:111111111111:orders_DEV.fifo
+ * where 'orders_DEV.fifo' is the name of the queue
+ *
+ * @param {SQSEventRecord|*} record - an SQS event record
+ * @returns {string} the queue name (if any) or an empty string
+ */
+function getSqsEventSourceQueueName(record) {
+  return record && record.eventSourceARN ? arns.getArnResources(record.eventSourceARN).resource : '';
+}
+
+/**
+ * Returns true if the given queue name is the name of an SQS FIFO queue (i.e. ends with '.fifo'); false otherwise.
+ * @param {string} queueName - an SQS queue name
+ * @returns {boolean} true if a FIFO queue name; false otherwise
+ */
+function isSqsFifoQueueName(queueName) {
+  return !!queueName && /\.fifo$/.test(queueName);
+}
+
+/**
+ * Returns the message id from the given SQS event record.
+ * @param {SQSEventRecord|*} record - an SQS event record
+ * @returns {string} the message id (if any) or an empty string
+ */
+function getSqsMessageId(record) {
+  return record && record.messageId ? record.messageId : '';
+}
+
+/**
+ * Returns the receipt handle from the given SQS event record.
+ * @param {SQSEventRecord|*} record - an SQS event record
+ * @returns {string} the receipt handle (if any) or an empty string
+ */
+function getSqsReceiptHandle(record) {
+  return record && record.receiptHandle ? record.receiptHandle : '';
+}
+
+/**
+ * Returns the message attributes from the given SQS event record.
+ * @param {SQSEventRecord|*} record - an SQS event record
+ * @returns {Object.<string, SQSMessageAttribute>} the message attributes (if any) or an empty object
+ */
+function getSqsMessageAttributes(record) {
+  return record && record.messageAttributes && typeof record.messageAttributes === 'object' ?
+    record.messageAttributes : {};
+}
+
+/**
+ * Returns the value of the named message attribute from the given SQS event record, i.e. its `stringValue` for String
+ * and Number attributes or its `binaryValue` for Binary attributes.
+ * @param {SQSEventRecord|*} record - an SQS event record
+ * @param {string} name - the name of the message attribute
+ * @returns {string|undefined} the value of the message attribute (if any) or undefined
+ */
+function getSqsMessageAttribute(record, name) {
+  const attribute = getSqsMessageAttributes(record)[name];
+  if (!attribute) return undefined;
+  return attribute.stringValue !== undefined && attribute.stringValue !== null ? attribute.stringValue :
+    attribute.binaryValue !== null ? attribute.binaryValue : undefined;
+}
+
+/**
+ * Returns the message group id from the given SQS FIFO queue event record.
+ * @param {SQSEventRecord|*} record - an SQS event record
+ * @returns {string} the message group id (if any) or an empty string
+ */
+function getSqsMessageGroupId(record) {
+  return record && record.attributes && record.attributes.MessageGroupId ? record.attributes.MessageGroupId : '';
+}
+
+/**
+ * Returns the approximate number of times that the message of the given SQS event record has been received.
+ * @param {SQSEventRecord|*} record - an SQS event record
+ * @returns {number} the approximate receive count (if any) or 0
+ */
+function getSqsApproximateReceiveCount(record) {
+  const count = record && record.attributes ? Number.parseInt(record.attributes.ApproximateReceiveCount, 10) : NaN;
+  return Number.isNaN(count) ? 0 : count;
+}
+
 /**
  * Validates the given stream event record and raises an error if the record fails to meet any of the following criteria:
- * 1. It must be a valid stream event record according to {@linkcode _validateStreamEventRecord};
- * 2. It must be either a Kinesis or DynamoDB stream event record; and
+ * 1. It must be a valid stream event record according to {@linkcode _validateStreamEventRecord} (or a valid SQS event
+ *    record according to {@linkcode validateSqsEventRecord});
+ * 2. It must be either a Kinesis or DynamoDB stream event record or an SQS event record; and
  * 3. It must contain the required properties expected of its type (based on its eventSource).
  *
- * @param {AnyStreamEventRecord|*} record - a Kinesis or DynamoDB stream event record
+ * @param {AnyStreamEventRecord|SQSEventRecord|*} record - a Kinesis or DynamoDB stream event record or an SQS event record
  * @throws {Error} if the record is invalid
  */
 function validateStreamEventRecord(record) {
+  // SQS event records have neither an eventID nor an eventName
+  if (record && record.eventSource === "aws:sqs") {
+    validateSqsEventRecord(record);
+    return;
+  }
+
   _validateStreamEventRecord(record);
 
   switch (record.eventSource) {
@@ -247,7 +622,7 @@ function validateStreamEventRecord(record) {
       break;
 
     default:
-      // Only support Kinesis and DynamoDB stream event records
+      // Only support Kinesis and DynamoDB stream event records (and SQS event records)
       throw new Error(`Unexpected eventSource (${record.eventSource}) on stream event record (${record.eventID})`);
   }
 }
@@ -393,4 +768,34 @@ function _validateDynamoDBStreamEventRecord(record) {
     default:
       throw new Error(`Unexpected StreamViewType (${record.dynamodb.StreamViewType}) on DynamoDB stream event record (${record.eventID})`);
   }
+}
+
+/**
+ * Validates the given SQS event record and raises an error if the record fails to meet any of the following criteria:
+ * 1. It must be a non-null object;
+ * 2. It must be an SQS event record (i.e. must contain an eventSource of "aws:sqs"); and
+ * 3. It must contain messageId, receiptHandle, eventSourceARN & body properties.
+ *
+ * @param {SQSEventRecord|*} record - an SQS event record
+ * @throws {Error} if the record is invalid
+ */
+function validateSqsEventRecord(record) {
+  if (!record || typeof record !== 'object') {
+    throw new Error(`Invalid SQS event record (${record}) - record must be a non-null object`);
+  }
+  if (record.eventSource !== "aws:sqs") {
+    throw new Error(`Unexpected eventSource (${record.eventSource}) on SQS event record (${record.messageId})`);
+  }
+  if (!record.messageId) {
+    throw new Error(`Missing messageId property for SQS event record (${record.messageId})`);
+  }
+  if (!record.receiptHandle) {
+    throw new Error(`Missing receiptHandle property for SQS event record (${record.messageId})`);
+  }
+  if (!record.eventSourceARN) {
+    throw new Error(`Missing eventSourceARN property for SQS event record (${record.messageId})`);
+  }
+  if (record.body === undefined || record.body === null) {
+    throw new Error(`Missing body property for SQS event record (${record.messageId})`);
+  }
 }
\ No newline at end of file
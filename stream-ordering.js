@@ -0,0 +1,255 @@
+'use strict';
+
+const streamEvents = require('./stream-events');
+const batches = require('./batches');
+
+/**
+ * Utilities for comparing, grouping & ordering the records of AWS Kinesis & DynamoDB stream batch events (and SQS FIFO
+ * queue batch events) and for calculating the checkpoint (i.e. the highest contiguous successfully processed sequence
+ * number) of each shard of a batch.
+ *
+ * Sequence numbers are compared as arbitrarily large unsigned integers (represented as numeric strings), since Kinesis
+ * and DynamoDB stream sequence numbers far exceed `Number.MAX_SAFE_INTEGER`.
+ *
+ * @module aws-core-utils/stream-ordering
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.compareSequenceNumbers = compareSequenceNumbers;
+exports.getSequenceNumber = getSequenceNumber;
+exports.getShardKey = getShardKey;
+exports.getPartitionKey = getPartitionKey;
+exports.groupRecordsByShard = groupRecordsByShard;
+exports.groupRecordsByPartitionKey = groupRecordsByPartitionKey;
+exports.findOrderingAnomalies = findOrderingAnomalies;
+exports.calculateCheckpoints = calculateCheckpoints;
+exports.toCheckpointBatchResponse = toCheckpointBatchResponse;
+
+/**
+ * Compares the given sequence numbers as arbitrarily large unsigned integers.
+ * @param {string|number} a - the first sequence number
+ * @param {string|number} b - the second sequence number
+ * @returns {number} a negative number if a < b; zero if a equals b; or a positive number if a > b
+ * @throws {Error} if either sequence number is NOT an unsigned integer
+ */
+function compareSequenceNumbers(a, b) {
+  const x = toDigits(a);
+  const y = toDigits(b);
+  if (x.length !== y.length) {
+    return x.length < y.length ? -1 : 1;
+  }
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function toDigits(sequenceNumber) {
+  const s = typeof sequenceNumber === 'number' && Number.isInteger(sequenceNumber) ? `${sequenceNumber}` :
+    typeof sequenceNumber === 'string' ? sequenceNumber.trim() : '';
+  if (!/^\d+$/.test(s)) {
+    throw new Error(`Invalid sequence number (${sequenceNumber}) - must be an unsigned integer`);
+  }
+  // Strip leading zeros (but keep a single zero)
+  return s.replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * Returns the sequence number of the given Kinesis or DynamoDB stream event record or SQS FIFO queue event record.
+ * @param {AnyStreamEventRecord|SQSEventRecord|*} record - a stream or SQS event record
+ * @returns {string} the sequence number (if any) or an empty string
+ */
+function getSequenceNumber(record) {
+  switch (streamEvents.getEventSource(record)) {
+    case 'aws:kinesis':
+      return streamEvents.getKinesisSequenceNumber(record);
+    case 'aws:dynamodb':
+      return streamEvents.getDynamoDBSequenceNumber(record);
+    case 'aws:sqs':
+      return record.attributes && record.attributes.SequenceNumber ? record.attributes.SequenceNumber : '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Returns the key of the unit of ordering (i.e. "shard") to which the given record belongs, which is:
+ * - the shard id of a Kinesis stream event record;
+ * - the event source ARN of a DynamoDB stream event record (since DynamoDB stream records do NOT identify their shard
+ *   and each Lambda invocation receives records from a single shard); or
+ * - the message group id of an SQS FIFO queue event record.
+ * @param {AnyStreamEventRecord|SQSEventRecord|*} record - a stream or SQS event record
+ * @returns {string} the shard key (if any) or an empty string
+ */
+function getShardKey(record) {
+  switch (streamEvents.getEventSource(record)) {
+    case 'aws:kinesis':
+      return streamEvents.getKinesisShardId(record);
+    case 'aws:dynamodb':
+      return streamEvents.getEventSourceARN(record);
+    case 'aws:sqs':
+      return streamEvents.getSqsMessageGroupId(record);
+    default:
+      return '';
+  }
+}
+
+/**
+ * Returns the partition key of the given record, which is:
+ * - the partition key of a Kinesis stream event record;
+ * - a JSON string of the (sorted) keys of a DynamoDB stream event record's item; or
+ * - the message group id of an SQS FIFO queue event record.
+ * @param {AnyStreamEventRecord|SQSEventRecord|*} record - a stream or SQS event record
+ * @returns {string} the partition key (if any) or an empty string
+ */
+function getPartitionKey(record) {
+  switch (streamEvents.getEventSource(record)) {
+    case 'aws:kinesis':
+      return record.kinesis && record.kinesis.partitionKey ? record.kinesis.partitionKey : '';
+    case 'aws:dynamodb': {
+      const keys = record.dynamodb && record.dynamodb.Keys;
+      return keys ? JSON.stringify(Object.keys(keys).sort().map(k => [k, keys[k]])) : '';
+    }
+    case 'aws:sqs':
+      return streamEvents.getSqsMessageGroupId(record);
+    default:
+      return '';
+  }
+}
+
+/**
+ * Groups the given records by shard (see `getShardKey`), preserving the order of the records within each group and
+ * the order in which each group's first record appears.
+ * @param {AnyStreamEvent|Array.<AnyStreamEventRecord|SQSEventRecord>} eventOrRecords - a batch event or its records
+ * @returns {RecordGroup[]} the groups of records
+ */
+function groupRecordsByShard(eventOrRecords) {
+  return groupRecords(toRecords(eventOrRecords), getShardKey);
+}
+
+/**
+ * Groups the given records by partition key (see `getPartitionKey`), preserving the order of the records within each
+ * group and the order in which each group's first record appears.
+ * @param {AnyStreamEvent|Array.<AnyStreamEventRecord|SQSEventRecord>} eventOrRecords - a batch event or its records
+ * @returns {RecordGroup[]} the groups of records
+ */
+function groupRecordsByPartitionKey(eventOrRecords) {
+  return groupRecords(toRecords(eventOrRecords), getPartitionKey);
+}
+
+function toRecords(eventOrRecords) {
+  return Array.isArray(eventOrRecords) ? eventOrRecords :
+    eventOrRecords && Array.isArray(eventOrRecords.Records) ? eventOrRecords.Records : [];
+}
+
+function groupRecords(records, toKey) {
+  const groups = [];
+  const groupsByKey = new Map();
+  records.forEach(record => {
+    const key = toKey(record);
+    let group = groupsByKey.get(key);
+    if (!group) {
+      group = {key: key, records: []};
+      groupsByKey.set(key, group);
+      groups.push(group);
+    }
+    group.records.push(record);
+  });
+  return groups;
+}
+
+/**
+ * Finds any duplicate or out-of-order records within each shard of the given records, i.e. any record whose sequence
+ * number equals (duplicate) or is lower than (out-of-order) that of an earlier record of the same shard.
+ * @param {AnyStreamEvent|Array.<AnyStreamEventRecord|SQSEventRecord>} eventOrRecords - a batch event or its records
+ * @returns {OrderingAnomalies} the duplicate & out-of-order records found (if any)
+ */
+function findOrderingAnomalies(eventOrRecords) {
+  const records = toRecords(eventOrRecords);
+  const anomalies = {duplicates: [], outOfOrder: []};
+  const highestByShard = new Map();
+  const seenByShard = new Map();
+
+  records.forEach((record, index) => {
+    const sequenceNumber = getSequenceNumber(record);
+    if (!sequenceNumber) return;
+
+    const shardKey = getShardKey(record);
+    let seen = seenByShard.get(shardKey);
+    if (!seen) {
+      seen = new Set();
+      seenByShard.set(shardKey, seen);
+    }
+    const sequenceDigits = toDigits(sequenceNumber);
+    const highest = highestByShard.get(shardKey);
+
+    if (seen.has(sequenceDigits)) {
+      anomalies.duplicates.push({index: index, record: record, shardKey: shardKey, sequenceNumber: sequenceNumber});
+    } else if (highest !== undefined && compareSequenceNumbers(sequenceNumber, highest) < 0) {
+      anomalies.outOfOrder.push({index: index, record: record, shardKey: shardKey, sequenceNumber: sequenceNumber,
+        precededBy: highest});
+    }
+    seen.add(sequenceDigits);
+    if (highest === undefined || compareSequenceNumbers(sequenceNumber, highest) > 0) {
+      highestByShard.set(shardKey, sequenceNumber);
+    }
+  });
+  return anomalies;
+}
+
+/**
+ * Calculates the checkpoint of each shard of the given records, i.e. the highest sequence number up to which ALL of
+ * the shard's records (in sequence number order) were successfully processed, along with the lowest failed sequence
+ * number (if any) from which the shard must be re-processed.
+ * @param {AnyStreamEvent|Array.<AnyStreamEventRecord|SQSEventRecord>} eventOrRecords - a batch event or its records
+ * @param {BatchResponse|string[]|function(record: (AnyStreamEventRecord|SQSEventRecord)): boolean} failures - the
+ *        batch response (e.g. from `batches.processBatch`) or the item identifiers (see `batches.getBatchItemIdentifier`)
+ *        of the records that failed OR a function that returns true for each record that failed
+ * @returns {ShardCheckpoint[]} the checkpoint of each shard (in the order in which each shard first appears)
+ */
+function calculateCheckpoints(eventOrRecords, failures) {
+  const isFailed = toIsFailed(failures);
+
+  return groupRecordsByShard(eventOrRecords).map(group => {
+    const records = group.records.filter(r => !!getSequenceNumber(r))
+      .sort((a, b) => compareSequenceNumbers(getSequenceNumber(a), getSequenceNumber(b)));
+
+    let i = 0;
+    while (i < records.length && !isFailed(records[i])) ++i;
+
+    return {
+      shardKey: group.key,
+      checkpoint: i > 0 ? getSequenceNumber(records[i - 1]) : undefined,
+      firstFailedSequenceNumber: i < records.length ? getSequenceNumber(records[i]) : undefined,
+      processedCount: i,
+      totalCount: records.length,
+      unprocessedRecords: records.slice(i)
+    };
+  });
+}
+
+function toIsFailed(failures) {
+  if (typeof failures === 'function') {
+    return failures;
+  }
+  const identifiers = failures && Array.isArray(failures.batchItemFailures) ?
+    failures.batchItemFailures.map(f => f.itemIdentifier) : Array.isArray(failures) ? failures : [];
+  const failed = new Set(identifiers.filter(id => !!id));
+  return record => failed.has(batches.getBatchItemIdentifier(record));
+}
+
+/**
+ * Converts the given shard checkpoints into a partial batch response that reports ONLY the lowest failed record of each
+ * Kinesis or DynamoDB stream shard (from which Lambda will re-process the shard) and ALL of the unprocessed records of
+ * each SQS FIFO message group (to preserve the order of the message group).
+ * @param {ShardCheckpoint[]} checkpoints - the shard checkpoints (see `calculateCheckpoints`)
+ * @returns {BatchResponse} a batch response
+ */
+function toCheckpointBatchResponse(checkpoints) {
+  const batchItemFailures = [];
+  checkpoints.forEach(checkpoint => {
+    const unprocessed = checkpoint.unprocessedRecords || [];
+    const reported = unprocessed.length > 0 && streamEvents.getEventSource(unprocessed[0]) !== 'aws:sqs' ?
+      unprocessed.slice(0, 1) : unprocessed;
+    reported.forEach(record => batchItemFailures.push({itemIdentifier: batches.getBatchItemIdentifier(record)}));
+  });
+  return {batchItemFailures: batchItemFailures};
+}
\ No newline at end of file
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/api-events.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const apiEvents = require('../api-events');
+const EventFormat = apiEvents.EventFormat;
+
+function sampleRestApiEvent() {
+  return {
+    resource: '/orders/{orderId}',
+    path: '/orders/123',
+    httpMethod: 'GET',
+    headers: {Accept: 'application/json', Cookie: 'session=abc; theme="dark"'},
+    queryStringParameters: {limit: '5'},
+    pathParameters: {orderId: '123'},
+    requestContext: {stage: 'dev', identity: {sourceIp: '10.0.0.1'}},
+    body: null,
+    isBase64Encoded: false
+  };
+}
+
+function sampleHttpApiEvent() {
+  return {
+    version: '2.0',
+    routeKey: 'GET /orders/{orderId}',
+    rawPath: '/orders/123',
+    rawQueryString: 'limit=5',
+    cookies: ['session=abc', 'theme=dark'],
+    headers: {accept: 'application/json'},
+    queryStringParameters: {limit: '5'},
+    pathParameters: {orderId: '123'},
+    requestContext: {http: {method: 'GET', path: '/orders/123', sourceIp: '10.0.0.2'}, stage: '$default'},
+    body: 'eyJhIjoxfQ==',
+    isBase64Encoded: true
+  };
+}
+
+function sampleAlbEvent(multiValue) {
+  const event = {
+    requestContext: {elb: {targetGroupArn: 'arn:aws:elasticloadbalancing:us-west-2:123456789012:targetgroup/tg/abc'}},
+    httpMethod: 'GET',
+    path: '/orders/123',
+    body: '',
+    isBase64Encoded: false
+  };
+  if (multiValue) {
+    event.multiValueHeaders = {accept: ['text/csv', 'application/json'], 'x-forwarded-for': ['10.0.0.3, 10.0.0.4']};
+    event.multiValueQueryStringParameters = {limit: ['1', '5'], name: ['Jane%20Doe']};
+  } else {
+    event.headers = {accept: 'application/json', 'x-forwarded-for': '10.0.0.3'};
+    event.queryStringParameters = {limit: '5', name: 'Jane+Doe'};
+  }
+  return event;
+}
+
+test('getEventFormat', t => {
+  t.equal(apiEvents.getEventFormat(sampleRestApiEvent()), EventFormat.REST_API, `REST API event must be REST_API`);
+  t.equal(apiEvents.getEventFormat(sampleHttpApiEvent()), EventFormat.HTTP_API, `HTTP API event must be HTTP_API`);
+  t.equal(apiEvents.getEventFormat(sampleAlbEvent(false)), EventFormat.ALB, `ALB event must be ALB`);
+  t.equal(apiEvents.getEventFormat(sampleAlbEvent(true)), EventFormat.ALB, `multi-value ALB event must be ALB`);
+  t.equal(apiEvents.getEventFormat({}), EventFormat.REST_API, `unknown event must default to REST_API`);
+  t.equal(apiEvents.getEventFormat(undefined), EventFormat.REST_API, `undefined event must default to REST_API`);
+
+  t.notOk(apiEvents.isMultiValueEvent(sampleAlbEvent(false)), `single-value ALB event must NOT be multi-value`);
+  t.ok(apiEvents.isMultiValueEvent(sampleAlbEvent(true)), `multi-value ALB event must be multi-value`);
+  t.end();
+});
+
+test('REST API event', t => {
+  const event = sampleRestApiEvent();
+  t.equal(apiEvents.getHttpMethod(event), 'GET', `method must be GET`);
+  t.equal(apiEvents.getPath(event), '/orders/123', `path must be /orders/123`);
+  t.equal(apiEvents.getResource(event), '/orders/{orderId}', `resource must be /orders/{orderId}`);
+  t.equal(apiEvents.getHeader(event, 'accept'), 'application/json', `accept header must be matched case-insensitively`);
+  t.deepEqual(apiEvents.getCookies(event), {session: 'abc', theme: 'dark'}, `cookies must be parsed from Cookie header`);
+  t.equal(apiEvents.getSourceIp(event), '10.0.0.1', `sourceIp must be 10.0.0.1`);
+  t.end();
+});
+
+test('HTTP API event', t => {
+  const event = sampleHttpApiEvent();
+  t.equal(apiEvents.getHttpMethod(event), 'GET', `method must be GET`);
+  t.equal(apiEvents.getPath(event), '/orders/123', `path must be rawPath`);
+  t.equal(apiEvents.getResource(event), '/orders/{orderId}', `resource must be path template of routeKey`);
+  t.equal(apiEvents.getResource(Object.assign(sampleHttpApiEvent(), {routeKey: '$default'})), '',
+    `$default routeKey resource must be empty`);
+  t.deepEqual(apiEvents.getCookies(event), {session: 'abc', theme: 'dark'}, `cookies must be parsed from cookies`);
+  t.equal(apiEvents.getSourceIp(event), '10.0.0.2', `sourceIp must be 10.0.0.2`);
+
+  t.deepEqual(apiEvents.toRequest(event), {
+    format: EventFormat.HTTP_API,
+    method: 'GET',
+    path: '/orders/123',
+    resource: '/orders/{orderId}',
+    pathParameters: {orderId: '123'},
+    queryStringParameters: {limit: '5'},
+    headers: {accept: 'application/json'},
+    cookies: {session: 'abc', theme: 'dark'},
+    sourceIp: '10.0.0.2',
+    body: 'eyJhIjoxfQ==',
+    isBase64Encoded: true
+  }, `toRequest must normalize HTTP API event`);
+  t.end();
+});
+
+test('ALB event', t => {
+  const event = sampleAlbEvent(false);
+  t.equal(apiEvents.getHttpMethod(event), 'GET', `method must be GET`);
+  t.equal(apiEvents.getPath(event), '/orders/123', `path must be /orders/123`);
+  t.equal(apiEvents.getResource(event), '', `resource must be empty`);
+  t.deepEqual(apiEvents.getQueryStringParameters(event), {limit: '5', name: 'Jane Doe'},
+    `query string parameters must be URL decoded`);
+  t.equal(apiEvents.getSourceIp(event), '10.0.0.3', `sourceIp must be from X-Forwarded-For`);
+
+  const multiValueEvent = sampleAlbEvent(true);
+  t.deepEqual(apiEvents.getHeaders(multiValueEvent), {
+    accept: 'text/csv,application/json',
+    'x-forwarded-for': '10.0.0.3, 10.0.0.4'
+  }, `multi-value headers must be joined`);
+  t.deepEqual(apiEvents.getQueryStringParameters(multiValueEvent), {limit: '5', name: 'Jane Doe'},
+    `multi-value query string parameters must use last value & be URL decoded`);
+  t.equal(apiEvents.getSourceIp(multiValueEvent), '10.0.0.4', `sourceIp must be last X-Forwarded-For address`);
+
+  const spoofedEvent = sampleAlbEvent(false);
+  spoofedEvent.headers['x-forwarded-for'] = '1.2.3.4, 5.6.7.8 ,10.0.0.5';
+  t.equal(apiEvents.getSourceIp(spoofedEvent), '10.0.0.5', `sourceIp must ignore spoofed X-Forwarded-For addresses`);
+
+  const request = apiEvents.toRequest(multiValueEvent);
+  t.equal(request.format, EventFormat.ALB, `request.format must be ALB`);
+  t.deepEqual(request.pathParameters, {}, `request.pathParameters must be empty`);
+  t.end();
+});
\ No newline at end of file
@@ -12,6 +12,7 @@ const apiLambdas = require('../api-lambdas');
 
 const appErrors = require('core-functions/app-errors');
 const BadRequest = appErrors.BadRequest;
+const NotFound = appErrors.NotFound;
 
 const Promises = require('core-functions/promises');
 
@@ -30,6 +31,7 @@ const sampleInvokedFunctionArn = samples.sampleInvokedFunctionArn;
 const sampleAwsContext = samples.sampleAwsContext;
 
 const uuid = require('uuid');
+const zlib = require('zlib');
 
 function sampleFunction(resolvedResponse, rejectedError, ms) {
   if (!ms) ms = 1;
@@ -466,4 +468,640 @@ test('generateHandlerFunction simulating failure response (with useLambdaProxy t
     // Clean up environment
     setRegionStageAndDeleteCachedInstances(undefined, undefined);
   }
+});
+
+// =====================================================================================================================
+// generateHandlerFunction with routes (i.e. router mode)
+// =====================================================================================================================
+
+function sampleRoutedEvent(method, path, headers) {
+  return {
+    resource: '/{proxy+}',
+    path: path,
+    httpMethod: method,
+    headers: headers || {Accept: 'application/json'},
+    queryStringParameters: null,
+    pathParameters: {proxy: path.substring(1)},
+    body: null
+  };
+}
+
+function generateRoutedHandler(allowedHttpStatusCodes) {
+  const routes = {
+    'GET /orders/{orderId}': (event, context) => Promise.resolve({
+      body: {orderId: context.pathParameters.orderId, route: context.route.path}
+    }),
+    'DELETE /orders/{orderId}': () => Promise.resolve({statusCode: 204, body: ''})
+  };
+  const createSettings = () => ({
+    handler: {
+      useLambdaProxy: true,
+      defaultHeaders: {'Access-Control-Allow-Origin': '*'},
+      allowedHttpStatusCodes: allowedHttpStatusCodes
+    }
+  });
+  const createOptions = () => require('./api-lambdas-context-options-2.json');
+  return apiLambdas.generateHandlerFunction(() => ({}), createSettings, createOptions, routes, {});
+}
+
+test('generateHandlerFunction with routes simulating successful routed response', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const handler = Promises.wrap(generateRoutedHandler([400, 404, 405, 500]));
+
+  handler(sampleRoutedEvent('GET', '/orders/123'), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 200, `response.statusCode must be 200`);
+      t.deepEqual(JSON.parse(response.body), {orderId: '123', route: '/orders/{orderId}'}, `response.body must be routed`);
+      t.equal(response.headers['Access-Control-Allow-Origin'], '*', `default headers must be included`);
+
+      return handler(sampleRoutedEvent('DELETE', '/orders/123'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 204, `response.statusCode must be 204`);
+      t.equal(response.body, '', `response.body must be empty`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+test('generateHandlerFunction with routes simulating 404, 405 & CORS preflight responses', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const handler = Promises.wrap(generateRoutedHandler([400, 404, 405, 500]));
+
+  handler(sampleRoutedEvent('GET', '/customers/123'), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 404, `unknown path response.statusCode must be 404`);
+      t.equal(JSON.parse(response.body).code, 'RouteNotFound', `unknown path response code must be RouteNotFound`);
+
+      return handler(sampleRoutedEvent('POST', '/orders/123'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 405, `unknown method response.statusCode must be 405`);
+      t.equal(response.headers.Allow, 'GET, DELETE', `response.headers.Allow must be 'GET, DELETE'`);
+      t.equal(response.headers['Access-Control-Allow-Origin'], '*', `default headers must be included`);
+
+      return handler(sampleRoutedEvent('OPTIONS', '/orders/123'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 204, `preflight response.statusCode must be 204`);
+      t.deepEqual(response.headers, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, DELETE, OPTIONS',
+        hdr1: 'dh1',
+        hdr2: 'dh2'
+      }, `preflight response.headers must include default headers and allowed methods`);
+      t.equal(response.body, '', `preflight response.body must be empty`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+test('generateHandlerFunction with routes and default allowedHttpStatusCodes simulating 404 & 405 responses', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const handler = Promises.wrap(generateRoutedHandler(undefined));
+
+  handler(sampleRoutedEvent('GET', '/customers/123'), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 404, `unknown path response.statusCode must be 404`);
+
+      return handler(sampleRoutedEvent('POST', '/orders/123'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 405, `unknown method response.statusCode must be 405`);
+      t.equal(JSON.parse(response.body).code, 'MethodNotAllowed', `unknown method response code must be MethodNotAllowed`);
+      t.equal(response.headers.Allow, 'GET, DELETE', `response.headers.Allow must be 'GET, DELETE'`);
+
+      return handler(sampleRoutedEvent('GET', '/orders/123'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 200, `routed response.statusCode must still be 200`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+test('generateHandlerFunction with routes and default allowedHttpStatusCodes simulating 405 thrown by a route', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const routes = {
+    'GET /orders/{orderId}': () => Promise.reject(new appErrors.MethodNotAllowed('Not today', 'NotToday'))
+  };
+  const createSettings = () => ({handler: {useLambdaProxy: true}});
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, routes, {}));
+
+  handler(sampleRoutedEvent('GET', '/orders/123'), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 400, `route's own 405 response.statusCode must be 400 (405 is NOT implied)`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+test('generateHandlerFunction with routes and explicit allowedHttpStatusCodes without 405 simulating 400 response', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const handler = Promises.wrap(generateRoutedHandler([400, 500]));
+
+  handler(sampleRoutedEvent('POST', '/orders/123'), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 400, `unknown method response.statusCode must be 400 (405 is NOT allowed)`);
+
+      return handler(sampleRoutedEvent('GET', '/customers/123'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 400, `unknown path response.statusCode must be 400 (404 is NOT allowed)`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateHandlerFunction with request schemas
+// =====================================================================================================================
+
+test('generateHandlerFunction with request schemas simulating valid & invalid requests', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  let calls = 0;
+  const fn = (event, context) => {
+    ++calls;
+    return Promise.resolve({body: context.request.queryStringParameters});
+  };
+  const createSettings = () => ({
+    handler: {
+      useLambdaProxy: true,
+      requestSchemas: {
+        queryStringParameters: {
+          type: 'object',
+          properties: {limit: {type: 'integer', minimum: 1}, active: {type: 'boolean'}},
+          required: ['limit']
+        }
+      }
+    }
+  });
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  const event = {httpMethod: 'GET', path: '/orders', resource: '/orders', headers: {}, body: null};
+
+  handler(Object.assign({}, event, {queryStringParameters: {limit: '5', active: 'true'}}), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 200, `valid response.statusCode must be 200`);
+      t.deepEqual(JSON.parse(response.body), {limit: 5, active: true}, `fn must receive coerced inputs`);
+
+      return handler(Object.assign({}, event, {queryStringParameters: {limit: '0', active: 'maybe'}}), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 400, `invalid response.statusCode must be 400`);
+      const body = JSON.parse(response.body);
+      t.equal(body.code, 'InvalidRequest', `body.code must be InvalidRequest`);
+      t.deepEqual(body.violations.map(v => `${v.location}:${v.path}:${v.keyword}`),
+        ['queryStringParameters:limit:minimum', 'queryStringParameters:active:type'], `body must list every violation`);
+      t.equal(calls, 1, `fn must NOT be executed for an invalid request`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateHandlerFunction with content negotiation & response schemas
+// =====================================================================================================================
+
+test('generateHandlerFunction with content negotiation simulating CSV, NDJSON & 406 responses', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const rows = [{id: 1, name: 'Widget'}, {id: 2, name: 'Gadget'}];
+  const fn = (event) => Promise.resolve(event.path === '/orders' ? rows : {id: 1});
+  const createSettings = () => ({handler: {useLambdaProxy: true, allowedHttpStatusCodes: [400, 406, 500]}});
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  const event = (path, accept) => ({httpMethod: 'GET', path: path, resource: path, headers: {Accept: accept}, body: null});
+
+  handler(event('/orders', 'text/csv'), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 200, `CSV response.statusCode must be 200`);
+      t.equal(response.headers['Content-Type'], 'text/csv', `CSV response Content-Type must be text/csv`);
+      t.equal(response.body, 'id,name\r\n1,Widget\r\n2,Gadget\r\n', `CSV response.body must be CSV`);
+
+      return handler(event('/orders', 'application/x-ndjson'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.headers['Content-Type'], 'application/x-ndjson', `NDJSON response Content-Type must be NDJSON`);
+      t.equal(response.body, '{"id":1,"name":"Widget"}\n{"id":2,"name":"Gadget"}\n', `NDJSON response.body must be NDJSON`);
+
+      return handler(event('/orders/1', 'text/csv'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 406, `unrepresentable response.statusCode must be 406`);
+      t.equal(JSON.parse(response.body).code, 'NotAcceptable', `unrepresentable response code must be NotAcceptable`);
+
+      return handler(event('/orders/1', '*/*'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 200, `any media type response.statusCode must be 200`);
+      t.notOk(response.headers && response.headers['Content-Type'], `any media type response must NOT have a Content-Type`);
+      t.deepEqual(JSON.parse(response.body), {id: 1}, `any media type response.body must be JSON`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+test('generateHandlerFunction with content negotiation and default allowedHttpStatusCodes simulating 406 response', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const fn = () => Promise.resolve({id: 1});
+  const createSettings = () => ({handler: {useLambdaProxy: true}});
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  const event = {httpMethod: 'GET', path: '/orders/1', resource: '/orders/1', headers: {Accept: 'text/csv'}, body: null};
+
+  handler(event, awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 406, `unrepresentable response.statusCode must be 406`);
+      t.equal(JSON.parse(response.body).code, 'NotAcceptable', `unrepresentable response code must be NotAcceptable`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+test('generateHandlerFunction with response schema simulating invalid responses in dev & prod stages', t => {
+  const responseSchema = {type: 'object', properties: {id: {type: 'string'}}, required: ['id']};
+  const fn = () => Promise.resolve({id: 1});
+  const createSettings = () => ({handler: {useLambdaProxy: true, responseSchema: responseSchema}});
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  const event = {httpMethod: 'GET', path: '/orders/1', resource: '/orders/{id}', headers: {}, body: null};
+
+  let region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1',
+    sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev'), 500);
+
+  handler(event, awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 500, `invalid dev response.statusCode must be 500`);
+      const body = JSON.parse(response.body);
+      t.equal(body.code, 'InvalidResponse', `invalid dev response code must be InvalidResponse`);
+      t.deepEqual(body.violations.map(v => `${v.path}:${v.keyword}`), ['id:type'], `body must list every violation`);
+
+      region = setRegionStageAndDeleteCachedInstances('us-west-2', 'prod');
+      const prodAwsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1',
+        sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'prod'), 500);
+      return handler(event, prodAwsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 200, `invalid prod response.statusCode must be 200`);
+      t.deepEqual(JSON.parse(response.body), {id: 1}, `invalid prod response.body must be returned as is`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+test('generateHandlerFunction simulating binary, compressed & too large responses', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const pdf = Buffer.from('%PDF-1.4 ...');
+  const list = Array.from({length: 100}, (v, i) => ({id: i, name: `Item ${i}`}));
+  const fn = (event) => Promise.resolve(
+    event.path === '/report.pdf' ? {headers: {'Content-Type': 'application/pdf'}, body: pdf} :
+      event.path === '/huge' ? {body: 'x'.repeat(7 * 1024 * 1024)} : list);
+  const createSettings = () => ({
+    handler: {useLambdaProxy: true, compressionThreshold: 1024, allowedHttpStatusCodes: [400, 413, 500]}
+  });
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  const event = (path) => ({httpMethod: 'GET', path: path, resource: path, headers: {'Accept-Encoding': 'gzip'}, body: null});
+
+  handler(event('/report.pdf'), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 200, `binary response.statusCode must be 200`);
+      t.equal(response.isBase64Encoded, true, `binary response.isBase64Encoded must be true`);
+      t.equal(response.headers['Content-Type'], 'application/pdf', `binary response Content-Type must be application/pdf`);
+      t.deepEqual(Buffer.from(response.body, 'base64'), pdf, `binary response.body must be base 64 encoded`);
+
+      return handler(event('/items'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 200, `compressed response.statusCode must be 200`);
+      t.equal(response.isBase64Encoded, true, `compressed response.isBase64Encoded must be true`);
+      t.equal(response.headers['Content-Encoding'], 'gzip', `compressed response Content-Encoding must be gzip`);
+      const body = JSON.parse(zlib.gunzipSync(Buffer.from(response.body, 'base64')).toString('utf8'));
+      t.deepEqual(body, list, `compressed response.body must be gunzippable`);
+
+      return handler(Object.assign(event('/huge'), {headers: {}}), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 413, `too large response.statusCode must be 413`);
+      t.equal(JSON.parse(response.body).code, 'ResponseTooLarge', `too large response code must be ResponseTooLarge`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+test('generateHandlerFunction with default allowedHttpStatusCodes simulating too large response', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const fn = () => Promise.resolve({body: 'x'.repeat(7 * 1024 * 1024)});
+  const createSettings = () => ({handler: {useLambdaProxy: true}});
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  handler({httpMethod: 'GET', path: '/huge', resource: '/huge', headers: {}, body: null}, awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 413, `too large response.statusCode must be 413`);
+      t.equal(JSON.parse(response.body).code, 'ResponseTooLarge', `too large response code must be ResponseTooLarge`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateHandlerFunction with HTTP API & ALB events
+// =====================================================================================================================
+
+test('generateHandlerFunction simulating HTTP API & ALB requests', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const routes = {
+    'GET /orders/{orderId}': (event, context) => Promise.resolve({
+      body: {orderId: context.pathParameters.orderId, format: context.request.format, cookies: context.request.cookies},
+      cookies: ['seen=1']
+    })
+  };
+  // NB: useLambdaProxy is NOT configured, since HTTP API & ALB events ALWAYS require Lambda Proxy responses
+  const createSettings = () => ({handler: {allowedHttpStatusCodes: [400, 404, 405, 500]}});
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, routes, {}));
+
+  const httpApiEvent = {
+    version: '2.0',
+    routeKey: '$default',
+    rawPath: '/orders/123',
+    cookies: ['session=abc'],
+    headers: {accept: 'application/json'},
+    requestContext: {http: {method: 'GET', path: '/orders/123', sourceIp: '10.0.0.1'}, stage: '$default'},
+    isBase64Encoded: false
+  };
+  const albEvent = {
+    requestContext: {elb: {targetGroupArn: 'arn:aws:elasticloadbalancing:us-west-2:123456789012:targetgroup/tg/abc'}},
+    httpMethod: 'GET',
+    path: '/orders/456',
+    multiValueHeaders: {accept: ['application/json']},
+    multiValueQueryStringParameters: {},
+    body: '',
+    isBase64Encoded: false
+  };
+
+  handler(httpApiEvent, awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 200, `HTTP API response.statusCode must be 200`);
+      t.deepEqual(JSON.parse(response.body), {orderId: '123', format: 'HTTP_API', cookies: {session: 'abc'}},
+        `HTTP API response.body must be routed`);
+      t.deepEqual(response.cookies, ['seen=1'], `HTTP API response.cookies must be ['seen=1']`);
+
+      return handler(albEvent, awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 200, `ALB response.statusCode must be 200`);
+      t.equal(response.statusDescription, '200 OK', `ALB response.statusDescription must be '200 OK'`);
+      t.equal(response.isBase64Encoded, false, `ALB response.isBase64Encoded must be false`);
+      t.notOk(response.headers, `multi-value ALB response must NOT have headers`);
+      t.deepEqual(response.multiValueHeaders, {'Content-Type': ['application/json'], 'Set-Cookie': ['seen=1']},
+        `multi-value ALB response must have multi-value headers`);
+      t.deepEqual(JSON.parse(response.body).orderId, '456', `ALB response.body must be routed`);
+
+      return handler(Object.assign({}, albEvent, {path: '/customers/1'}), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 404, `ALB error response.statusCode must be 404`);
+      t.equal(response.statusDescription, '404 Not Found', `ALB error response.statusDescription must be '404 Not Found'`);
+      t.ok(response.multiValueHeaders && !response.headers, `ALB error response must have multi-value headers`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateHandlerFunction simulating timeout
+// =====================================================================================================================
+
+test('generateHandlerFunction simulating timeout with timeoutMarginInMillis', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 100);
+
+  let preFailureResponse = undefined;
+  const fn = () => Promises.delay(500).then(() => ({body: 'Too late'}));
+  const createSettings = () => ({
+    handler: {
+      useLambdaProxy: true,
+      timeoutMarginInMillis: 80,
+      preFailureCallback: (error, errorResponse) => {
+        preFailureResponse = errorResponse;
+      }
+    }
+  });
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  handler({httpMethod: 'GET', path: '/slow', resource: '/slow', headers: {}, body: null}, awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 504, `response.statusCode must be 504`);
+      t.equal(JSON.parse(response.body).code, 'LambdaTimeout', `response code must be LambdaTimeout`);
+      t.equal(preFailureResponse, response, `preFailureCallback must be executed with the error response`);
+      t.equal(awsContext.callbackWaitsForEmptyEventLoop, false, `callbackWaitsForEmptyEventLoop must be false`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateAsyncHandlerFunction
+// =====================================================================================================================
+
+test('generateAsyncHandlerFunction simulating Lambda Proxy & non-proxy responses', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const fn = (event) => event.body === 'fail' ? Promise.reject(new NotFound('Order not found')) :
+    Promise.resolve({orderId: '123'});
+  const proxyHandler = apiLambdas.generateAsyncHandlerFunction(() => ({}),
+    () => ({handler: {useLambdaProxy: true}}), undefined, fn, {});
+  const handler = apiLambdas.generateAsyncHandlerFunction(() => ({}), undefined, undefined, fn);
+
+  const event = (body) => ({httpMethod: 'GET', path: '/orders/123', resource: '/orders/{orderId}', headers: {}, body: body});
+
+  proxyHandler(event(null), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 200, `proxy response.statusCode must be 200`);
+      t.deepEqual(JSON.parse(response.body), {orderId: '123'}, `proxy response.body must be {orderId: '123'}`);
+      return proxyHandler(event('fail'), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 404, `proxy error response must resolve with statusCode 404`);
+      return handler(event(null), awsContext);
+    })
+    .then(response => {
+      t.deepEqual(response, {orderId: '123'}, `non-proxy response must be {orderId: '123'}`);
+      return handler(event('fail'), awsContext);
+    })
+    .then(
+      response => t.fail(`non-proxy failure must NOT resolve with ${JSON.stringify(response)}`),
+      err => {
+        t.ok(err instanceof Error, `non-proxy failure must reject with an Error`);
+        const e = JSON.parse(err.message);
+        t.equal(e.httpStatus, 404, `non-proxy failure must reject with httpStatus 404`);
+        t.equal(e.message, 'Order not found', `non-proxy failure must reject with message`);
+      }
+    )
+    .then(() => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateHandlerFunction with middlewares
+// =====================================================================================================================
+
+test('generateHandlerFunction with middlewares simulating authorized & unauthorized requests', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const calls = [];
+  const auth = {
+    name: 'auth',
+    before: (event, context) => {
+      calls.push('auth.before');
+      if (!event.headers.Authorization) throw new appErrors.Unauthorized('Missing Authorization header');
+      context.principal = event.headers.Authorization;
+    },
+    onError: (error, errorResponse) => {
+      calls.push(`auth.onError(${errorResponse.statusCode})`);
+    }
+  };
+  const requestId = {
+    name: 'requestId',
+    after: (response, event, context) => {
+      calls.push('requestId.after');
+      response.headers = Object.assign({}, response.headers, {'X-Principal': context.principal});
+      return response;
+    }
+  };
+
+  const fn = (event, context) => {
+    calls.push('fn');
+    return {orderId: '123'};
+  };
+  const createSettings = () => ({
+    handler: {
+      useLambdaProxy: true,
+      postConfigure: () => {
+        calls.push('postConfigure');
+      },
+      middlewares: [auth, requestId]
+    }
+  });
+  const handler = Promises.wrap(apiLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  const event = (headers) => ({httpMethod: 'GET', path: '/orders/123', resource: '/orders/{orderId}', headers: headers, body: null});
+
+  handler(event({Authorization: 'Bob'}), awsContext)
+    .then(response => {
+      t.equal(response.statusCode, 200, `authorized response.statusCode must be 200`);
+      t.equal(response.headers['X-Principal'], 'Bob', `authorized response must have X-Principal header`);
+      t.deepEqual(calls, ['postConfigure', 'auth.before', 'fn', 'requestId.after'],
+        `authorized calls must be in order`);
+      calls.length = 0;
+      return handler(event({}), awsContext);
+    })
+    .then(response => {
+      t.equal(response.statusCode, 401, `unauthorized response.statusCode must be 401`);
+      t.deepEqual(calls, ['postConfigure', 'auth.before', 'auth.onError(401)'],
+        `unauthorized calls must skip fn & after`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
 });
\ No newline at end of file
@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/api-responses.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const apiResponses = require('../api-responses');
+const parseAccept = apiResponses.parseAccept;
+const negotiateResponse = apiResponses.negotiateResponse;
+const toCsv = apiResponses.toCsv;
+const toNdjson = apiResponses.toNdjson;
+const parseAcceptEncoding = apiResponses.parseAcceptEncoding;
+const encodeResponse = apiResponses.encodeResponse;
+const MAX_RESPONSE_PAYLOAD_SIZE = apiResponses.MAX_RESPONSE_PAYLOAD_SIZE;
+const formatResponse = apiResponses.formatResponse;
+const allowHttpStatusCode = apiResponses.allowHttpStatusCode;
+const resolveAllowedHttpStatusCodes = apiResponses.resolveAllowedHttpStatusCodes;
+
+const zlib = require('zlib');
+
+const rows = [{id: 1, name: 'Widget'}, {id: 2, name: 'Gadget, "Deluxe"', note: null}];
+
+function sampleEvent(accept, acceptEncoding) {
+  const headers = {};
+  if (accept !== undefined) headers.accept = accept;
+  if (acceptEncoding !== undefined) headers['Accept-Encoding'] = acceptEncoding;
+  return {httpMethod: 'GET', path: '/orders', headers: headers};
+}
+
+test('parseAccept', t => {
+  t.deepEqual(parseAccept(undefined), [], `undefined must be []`);
+  t.deepEqual(parseAccept(''), [], `'' must be []`);
+
+  const ranges = parseAccept('text/*;q=0.5, application/json;q=0.9, text/csv, */*;q=0.1, application/xml;q=0');
+  t.deepEqual(ranges.map(r => r.type), ['text/csv', 'application/json', 'text/*', '*/*'],
+    `ranges must be sorted by quality & specificity without q=0 ranges`);
+  t.deepEqual(parseAccept('*/*, text/csv').map(r => r.type), ['text/csv', '*/*'], `more specific ranges must come first`);
+  t.end();
+});
+
+test('toCsv', t => {
+  t.equal(toCsv(rows), 'id,name,note\r\n1,Widget,\r\n2,"Gadget, ""Deluxe""",\r\n', `rows must be serialized as CSV`);
+  t.equal(toCsv({id: 1}), undefined, `non-array must NOT be serializable as CSV`);
+  t.equal(toCsv([{id: 1, nested: {a: 1}}]), undefined, `nested objects must NOT be serializable as CSV`);
+  t.equal(toCsv([1, 2]), undefined, `non-objects must NOT be serializable as CSV`);
+  t.end();
+});
+
+test('toNdjson', t => {
+  t.equal(toNdjson(rows), '{"id":1,"name":"Widget"}\n{"id":2,"name":"Gadget, \\"Deluxe\\"","note":null}\n',
+    `rows must be serialized as NDJSON`);
+  t.equal(toNdjson({id: 1}), '{"id":1}\n', `non-array must be serialized as a single line`);
+  t.end();
+});
+
+test('negotiateResponse passes through', t => {
+  const context = {handler: {}};
+  const headers = {'Content-Type': 'text/plain'};
+
+  t.deepEqual(negotiateResponse(rows, undefined, sampleEvent(undefined), context),
+    {body: rows, headers: undefined, contentType: undefined}, `no Accept header must pass through`);
+  t.deepEqual(negotiateResponse(rows, undefined, sampleEvent('*/*'), context),
+    {body: rows, headers: undefined, contentType: undefined}, `any media type must pass through`);
+  t.deepEqual(negotiateResponse('abc', undefined, sampleEvent('text/csv'), context),
+    {body: 'abc', headers: undefined, contentType: undefined}, `string body must pass through`);
+  t.deepEqual(negotiateResponse(rows, headers, sampleEvent('text/csv'), context),
+    {body: rows, headers: headers, contentType: undefined}, `explicit Content-Type must pass through`);
+  t.end();
+});
+
+test('negotiateResponse serializes', t => {
+  const context = {handler: {}};
+
+  const csv = negotiateResponse(rows, {hdr1: 'h1'}, sampleEvent('text/csv, application/json;q=0.5'), context);
+  t.equal(csv.contentType, 'text/csv', `contentType must be text/csv`);
+  t.deepEqual(csv.headers, {hdr1: 'h1', 'Content-Type': 'text/csv'}, `headers must include Content-Type`);
+  t.equal(csv.body, toCsv(rows), `body must be CSV`);
+
+  const json = negotiateResponse({id: 1}, undefined, sampleEvent('text/csv, application/json;q=0.5'), context);
+  t.equal(json.contentType, 'application/json', `unrepresentable CSV must fallback to application/json`);
+  t.equal(json.body, '{"id":1}', `body must be JSON`);
+
+  const ndjson = negotiateResponse(rows, undefined, sampleEvent('application/x-ndjson'), context);
+  t.equal(ndjson.contentType, 'application/x-ndjson', `contentType must be application/x-ndjson`);
+
+  const wildcard = negotiateResponse(rows, undefined, sampleEvent('text/*'), context);
+  t.equal(wildcard.contentType, 'text/csv', `text/* must be served as text/csv`);
+
+  t.end();
+});
+
+test('negotiateResponse with custom serializers', t => {
+  const context = {handler: {serializers: {'text/plain': body => `${body.length} rows`}}};
+  const result = negotiateResponse(rows, undefined, sampleEvent('text/plain'), context);
+  t.deepEqual(result, {body: '2 rows', headers: {'Content-Type': 'text/plain'}, contentType: 'text/plain'},
+    `custom serializer must be used`);
+  t.end();
+});
+
+test('negotiateResponse with unacceptable media types', t => {
+  const context = {handler: {}};
+  try {
+    negotiateResponse({id: 1}, undefined, sampleEvent('text/csv, application/xml'), context);
+    t.fail(`unacceptable media types must fail`);
+  } catch (err) {
+    t.deepEqual(context.impliedHttpStatusCodes, [406], `406 must be allowed to pass through`);
+    t.equal(err.httpStatus, 406, `err.httpStatus must be 406`);
+    t.equal(err.code, 'NotAcceptable', `err.code must be NotAcceptable`);
+    t.deepEqual(err.supportedMediaTypes, ['application/json', 'text/csv', 'application/x-ndjson'],
+      `err.supportedMediaTypes must list the supported media types`);
+  }
+  t.end();
+});
+
+test('negotiateResponse passes through Buffer bodies', t => {
+  const buffer = Buffer.from('%PDF-1.4');
+  t.deepEqual(negotiateResponse(buffer, undefined, sampleEvent('text/csv'), {handler: {}}),
+    {body: buffer, headers: undefined, contentType: undefined}, `Buffer body must pass through`);
+  t.end();
+});
+
+test('parseAcceptEncoding', t => {
+  t.deepEqual(parseAcceptEncoding(undefined), [], `undefined must be []`);
+  t.deepEqual(parseAcceptEncoding('deflate;q=0.5, gzip, br;q=0, identity;q=0.1'), ['gzip', 'deflate', 'identity'],
+    `encodings must be sorted by quality without q=0 encodings`);
+  t.end();
+});
+
+test('encodeResponse with Buffer bodies', t => {
+  const response = encodeResponse({statusCode: 200, body: Buffer.from('abc')}, sampleEvent(), {handler: {}});
+  t.deepEqual(response, {statusCode: 200, body: 'YWJj', isBase64Encoded: true}, `Buffer body must be base 64 encoded`);
+  t.end();
+});
+
+test('encodeResponse with compression', t => {
+  const body = JSON.stringify(rows.concat(rows, rows, rows, rows));
+  const context = {handler: {compressionThreshold: 100}};
+
+  const gzipped = encodeResponse({statusCode: 200, headers: {Vary: 'Accept'}, body: body},
+    sampleEvent(undefined, 'deflate;q=0.5, gzip'), context);
+  t.equal(gzipped.isBase64Encoded, true, `gzipped isBase64Encoded must be true`);
+  t.deepEqual(gzipped.headers, {Vary: 'Accept, Accept-Encoding', 'Content-Encoding': 'gzip'},
+    `gzipped headers must include Content-Encoding & Vary`);
+  t.equal(zlib.gunzipSync(Buffer.from(gzipped.body, 'base64')).toString('utf8'), body, `gzipped body must be gunzippable`);
+
+  const deflated = encodeResponse({statusCode: 200, body: body}, sampleEvent(undefined, 'deflate'), context);
+  t.equal(deflated.headers['Content-Encoding'], 'deflate', `deflated Content-Encoding must be deflate`);
+  t.equal(zlib.inflateSync(Buffer.from(deflated.body, 'base64')).toString('utf8'), body, `deflated body must be inflatable`);
+
+  t.deepEqual(encodeResponse({statusCode: 200, body: body}, sampleEvent(undefined, 'br'), context),
+    {statusCode: 200, body: body}, `unsupported encoding must NOT be compressed`);
+  t.deepEqual(encodeResponse({statusCode: 200, body: '{}'}, sampleEvent(undefined, 'gzip'), context),
+    {statusCode: 200, body: '{}'}, `body below threshold must NOT be compressed`);
+  t.deepEqual(encodeResponse({statusCode: 200, body: body}, sampleEvent(undefined, 'gzip'), {handler: {}}),
+    {statusCode: 200, body: body}, `body must NOT be compressed without a compression threshold`);
+  t.end();
+});
+
+test('encodeResponse with too large responses', t => {
+  const body = 'x'.repeat(MAX_RESPONSE_PAYLOAD_SIZE);
+  const context = {handler: {}};
+  try {
+    encodeResponse({statusCode: 200, body: body}, sampleEvent(undefined, 'gzip'), context);
+    t.fail(`uncompressed too large response must fail`);
+  } catch (err) {
+    t.deepEqual(context.impliedHttpStatusCodes, [413], `413 must be allowed to pass through`);
+    t.equal(err.httpStatus, 413, `err.httpStatus must be 413`);
+    t.equal(err.code, 'ResponseTooLarge', `err.code must be ResponseTooLarge`);
+  }
+
+  const compressed = encodeResponse({statusCode: 200, body: body}, sampleEvent(undefined, 'gzip'),
+    {handler: {compressionThreshold: 1024}});
+  t.equal(compressed.headers['Content-Encoding'], 'gzip', `compressible too large response must be compressed to fit`);
+  t.end();
+});
+
+test('formatResponse', t => {
+  const cookies = ['a=1; Path=/', 'b=2'];
+  const restApiEvent = {httpMethod: 'GET', path: '/', headers: {}};
+  const httpApiEvent = {version: '2.0', rawPath: '/', requestContext: {http: {method: 'GET'}}};
+  const albEvent = {httpMethod: 'GET', path: '/', headers: {}, requestContext: {elb: {}}};
+  const multiValueAlbEvent = {httpMethod: 'GET', path: '/', multiValueHeaders: {}, requestContext: {elb: {}}};
+  const sampleResponse = () => ({statusCode: '201', headers: {'Content-Length': 2, hdr1: 'h1'}, body: '{}'});
+
+  t.deepEqual(formatResponse(sampleResponse(), restApiEvent), sampleResponse(), `REST API response must be unchanged`);
+  t.deepEqual(formatResponse(sampleResponse(), restApiEvent, cookies).multiValueHeaders, {'Set-Cookie': cookies},
+    `REST API cookies must be multi-value Set-Cookie headers`);
+
+  t.deepEqual(formatResponse(sampleResponse(), httpApiEvent, cookies), Object.assign(sampleResponse(), {cookies: cookies}),
+    `HTTP API cookies must be response cookies`);
+
+  t.deepEqual(formatResponse(sampleResponse(), albEvent, cookies), {
+    statusCode: 201,
+    statusDescription: '201 Created',
+    headers: {'Content-Length': '2', hdr1: 'h1', 'Set-Cookie': 'a=1; Path=/'},
+    body: '{}',
+    isBase64Encoded: false
+  }, `ALB response must have a statusDescription and string headers`);
+
+  t.deepEqual(formatResponse(sampleResponse(), multiValueAlbEvent, cookies), {
+    statusCode: 201,
+    statusDescription: '201 Created',
+    multiValueHeaders: {'Content-Length': ['2'], hdr1: ['h1'], 'Set-Cookie': cookies},
+    body: '{}',
+    isBase64Encoded: false
+  }, `multi-value ALB response must have multi-value headers`);
+  t.end();
+});
+
+test('allowHttpStatusCode & resolveAllowedHttpStatusCodes', t => {
+  t.equal(resolveAllowedHttpStatusCodes(undefined), undefined, `no context must resolve undefined`);
+  t.equal(resolveAllowedHttpStatusCodes({}), undefined, `no handler must resolve undefined (i.e. the defaults)`);
+  t.deepEqual(resolveAllowedHttpStatusCodes({handler: {allowedHttpStatusCodes: [400, 500]}}), [400, 500],
+    `configured codes must be resolved as is`);
+
+  const context = {};
+  allowHttpStatusCode(context, 405);
+  allowHttpStatusCode(context, 405);
+  t.deepEqual(context.impliedHttpStatusCodes, [405], `implied codes must NOT be duplicated`);
+  t.deepEqual(resolveAllowedHttpStatusCodes(context), [400, 401, 403, 404, 408, 429, 500, 502, 503, 504, 405],
+    `implied codes must be added to the default codes`);
+
+  context.handler = {allowedHttpStatusCodes: ['400', 404, 500]};
+  t.equal(resolveAllowedHttpStatusCodes(context), context.handler.allowedHttpStatusCodes,
+    `implied codes must be ignored if allowed codes are configured`);
+  t.deepEqual(context.handler.allowedHttpStatusCodes, ['400', 404, 500], `configured codes must NOT be changed`);
+  t.end();
+});
\ No newline at end of file
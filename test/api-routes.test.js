@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/api-routes.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const apiRoutes = require('../api-routes');
+const generateRouterFunction = apiRoutes.generateRouterFunction;
+const isRoutes = apiRoutes.isRoutes;
+const toRoutes = apiRoutes.toRoutes;
+
+const appErrors = require('core-functions/app-errors');
+const NotFound = appErrors.NotFound;
+const MethodNotAllowed = appErrors.MethodNotAllowed;
+
+function sampleEvent(method, path, resource, pathParameters, headers) {
+  return {
+    httpMethod: method,
+    path: path,
+    resource: resource || path,
+    pathParameters: pathParameters || null,
+    headers: headers || {}
+  };
+}
+
+function sampleRoutes() {
+  return {
+    'GET /orders': () => 'list',
+    'POST /orders': () => 'create',
+    'GET /orders/{orderId}': (event, context) => `get ${context.pathParameters.orderId}`,
+    'PUT /orders/{orderId}': (event, context) => `put ${context.pathParameters.orderId}`,
+    'GET /orders/{orderId}/items/{itemId}': (event, context) =>
+      `get ${context.pathParameters.orderId}/${context.pathParameters.itemId}`,
+    'ANY /files/{path+}': (event, context) => `file ${context.pathParameters.path}`
+  };
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// isRoutes & toRoutes
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('isRoutes', t => {
+  t.notOk(isRoutes(undefined), `isRoutes(undefined) must be false`);
+  t.notOk(isRoutes(null), `isRoutes(null) must be false`);
+  t.notOk(isRoutes(() => 1), `isRoutes(function) must be false`);
+  t.notOk(isRoutes({}), `isRoutes({}) must be false`);
+  t.notOk(isRoutes([]), `isRoutes([]) must be false`);
+  t.notOk(isRoutes({'GET /a': 'x'}), `isRoutes({'GET /a': 'x'}) must be false`);
+  t.ok(isRoutes({'GET /a': () => 1}), `isRoutes({'GET /a': fn}) must be true`);
+  t.ok(isRoutes([{method: 'GET', path: '/a', fn: () => 1}]), `isRoutes([route]) must be true`);
+  t.end();
+});
+
+test('toRoutes', t => {
+  t.throws(() => toRoutes({'GET': () => 1}), /Invalid route key/, `route key without path must fail`);
+  t.throws(() => toRoutes([{path: '/a', fn: () => 1}]), /Missing method/, `route without method must fail`);
+
+  const routes = toRoutes([{method: 'get', path: 'orders/{orderId}/', fn: () => 1}]);
+  t.equal(routes.length, 1, `must have 1 route`);
+  t.equal(routes[0].method, 'GET', `method must be upper-cased`);
+  t.equal(routes[0].path, '/orders/{orderId}', `path must be normalized`);
+  t.deepEqual(routes[0].paramNames, ['orderId'], `paramNames must be ['orderId']`);
+  t.equal(routes[0].template, '/orders/{}', `template must be '/orders/{}'`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// generateRouterFunction
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('generateRouterFunction routes to matching routes with parsed path parameters', t => {
+  const router = generateRouterFunction(sampleRoutes());
+
+  t.equal(router(sampleEvent('GET', '/orders'), {}), 'list', `GET /orders must be routed to list`);
+  t.equal(router(sampleEvent('POST', '/orders/'), {}), 'create', `POST /orders/ must be routed to create`);
+
+  const context = {};
+  t.equal(router(sampleEvent('GET', '/orders/123'), context), 'get 123', `GET /orders/123 must be routed to get`);
+  t.deepEqual(context.pathParameters, {orderId: '123'}, `context.pathParameters must be {orderId: '123'}`);
+  t.deepEqual(context.route, {method: 'GET', path: '/orders/{orderId}', pathParameters: {orderId: '123'}},
+    `context.route must be the matched route`);
+
+  t.equal(router(sampleEvent('PUT', '/orders/a%20b'), {}), 'put a b', `path parameters must be URI decoded`);
+  t.equal(router(sampleEvent('GET', '/orders/1/items/2'), {}), 'get 1/2', `GET /orders/1/items/2 must be routed`);
+  t.equal(router(sampleEvent('DELETE', '/files/a/b/c.txt'), {}), 'file a/b/c.txt', `ANY greedy route must match`);
+  t.end();
+});
+
+test('generateRouterFunction falls back to matching the API Gateway resource', t => {
+  const router = generateRouterFunction(sampleRoutes());
+
+  // e.g. a custom domain with a base path mapping, where the path includes the base path
+  t.throws(() => router(sampleEvent('GET', '/v1/customers/1', '/customers/{id}'), {}), /No route found/,
+    `must not match unknown resource`);
+
+  const event2 = sampleEvent('GET', '/v1/orders/456', '/orders/{orderId}', {orderId: '456'});
+  const context2 = {};
+  t.equal(router(event2, context2), 'get 456', `must match resource`);
+  t.deepEqual(context2.pathParameters, {orderId: '456'}, `context.pathParameters must be the event's path parameters`);
+  t.end();
+});
+
+test('generateRouterFunction throws NotFound for unmatched paths', t => {
+  const router = generateRouterFunction(sampleRoutes());
+  try {
+    router(sampleEvent('GET', '/customers/1'), {});
+    t.fail(`router must throw NotFound`);
+  } catch (err) {
+    t.ok(err instanceof NotFound, `err must be NotFound`);
+    t.equal(err.httpStatus, 404, `err.httpStatus must be 404`);
+  }
+  t.end();
+});
+
+test('generateRouterFunction throws MethodNotAllowed for unmatched methods', t => {
+  const router = generateRouterFunction(sampleRoutes());
+  const context = {};
+  t.equal(router(sampleEvent('GET', '/orders/1'), context), 'get 1', `GET /orders/1 must be routed to get`);
+  t.equal(context.impliedHttpStatusCodes, undefined, `matched route must NOT imply a 405`);
+  try {
+    router(sampleEvent('DELETE', '/orders/1'), context);
+    t.fail(`router must throw MethodNotAllowed`);
+  } catch (err) {
+    t.ok(err instanceof MethodNotAllowed, `err must be MethodNotAllowed`);
+    t.equal(err.httpStatus, 405, `err.httpStatus must be 405`);
+    t.deepEqual(err.headers, {Allow: 'GET, PUT'}, `err.headers must be {Allow: 'GET, PUT'}`);
+    t.deepEqual(context.impliedHttpStatusCodes, [405], `unmatched method must imply a 405`);
+  }
+  t.end();
+});
+
+test('generateRouterFunction answers CORS preflight requests', t => {
+  const router = generateRouterFunction(sampleRoutes());
+
+  const event = sampleEvent('OPTIONS', '/orders/1', undefined, undefined, {'access-control-request-headers': 'x-abc'});
+  const response = router(event, {handler: {defaultHeaders: {'Access-Control-Allow-Origin': '*'}}});
+  t.deepEqual(response, {
+    statusCode: 204,
+    headers: {'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS', 'Access-Control-Allow-Headers': 'x-abc'},
+    body: ''
+  }, `response must be a preflight response`);
+
+  const response2 = router(event, {handler: {defaultHeaders: {'access-control-allow-methods': 'GET'}}});
+  t.deepEqual(response2.headers, {'Access-Control-Allow-Headers': 'x-abc'},
+    `response headers must not override configured default headers`);
+
+  t.throws(() => router(sampleEvent('OPTIONS', '/customers'), {}), /No route found/, `must not answer unknown paths`);
+  t.end();
+});
+
+test('generateRouterFunction uses explicit OPTIONS routes', t => {
+  const routes = sampleRoutes();
+  routes['OPTIONS /orders'] = () => 'options';
+  const router = generateRouterFunction(routes);
+  t.equal(router(sampleEvent('OPTIONS', '/orders'), {}), 'options', `OPTIONS /orders must be routed to options`);
+  t.end();
+});
+
+test('generateRouterFunction answers CORS preflight requests for ANY routes', t => {
+  const routes = sampleRoutes();
+  routes['POST /files/{path+}'] = () => 'upload';
+  const router = generateRouterFunction(routes);
+
+  t.equal(router(sampleEvent('GET', '/files/a.txt'), {}), 'file a.txt', `ANY route must match GET`);
+  t.equal(router(sampleEvent('POST', '/files/a.txt'), {}), 'upload', `explicit route must take precedence over ANY`);
+
+  const response = router(sampleEvent('OPTIONS', '/files/a.txt'), {});
+  t.deepEqual(response, {
+    statusCode: 204,
+    headers: {'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS'},
+    body: ''
+  }, `ANY route must NOT swallow preflight requests & must allow all of its methods`);
+
+  routes['OPTIONS /files/{path+}'] = () => 'options';
+  t.equal(generateRouterFunction(routes)(sampleEvent('OPTIONS', '/files/a.txt'), {}), 'options',
+    `explicit OPTIONS route must still be used`);
+  t.end();
+});
+
+test('generateRouterFunction validates requests against route request schemas', t => {
+  const router = generateRouterFunction([{
+    method: 'GET',
+    path: '/orders/{orderId}',
+    fn: (event, context) => context.request.pathParameters.orderId,
+    requestSchemas: {pathParameters: {type: 'object', properties: {orderId: {type: 'integer'}}}}
+  }]);
+  t.equal(router(sampleEvent('GET', '/orders/42'), {}), 42, `orderId must be coerced to an integer`);
+  try {
+    router(sampleEvent('GET', '/orders/x'), {});
+    t.fail(`router must throw BadRequest`);
+  } catch (err) {
+    t.equal(err.httpStatus, 400, `err.httpStatus must be 400`);
+    t.equal(err.violations.length, 1, `err.violations must have 1 violation`);
+  }
+  t.end();
+});
\ No newline at end of file
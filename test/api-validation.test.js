@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/api-validation.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const apiValidation = require('../api-validation');
+const validateRequest = apiValidation.validateRequest;
+const parseBody = apiValidation.parseBody;
+const validateResponse = apiValidation.validateResponse;
+
+const appErrors = require('core-functions/app-errors');
+const BadRequest = appErrors.BadRequest;
+
+const requestSchemas = {
+  pathParameters: {type: 'object', properties: {orderId: {type: 'integer'}}, required: ['orderId']},
+  queryStringParameters: {type: 'object', properties: {limit: {type: 'integer', maximum: 100, default: 10}}},
+  headers: {type: 'object', properties: {'X-Api-Version': {type: 'string', enum: ['1', '2']}}, required: ['X-Api-Version']},
+  body: {type: 'object', properties: {quantity: {type: 'integer', minimum: 1}}, required: ['quantity']}
+};
+
+function sampleEvent(orderId, limit, version, body) {
+  return {
+    httpMethod: 'PUT',
+    path: `/orders/${orderId}`,
+    resource: '/orders/{orderId}',
+    pathParameters: {orderId: orderId},
+    queryStringParameters: limit !== undefined ? {limit: limit} : null,
+    headers: version !== undefined ? {'x-api-version': version} : {},
+    body: body
+  };
+}
+
+test('validateRequest with a valid request', t => {
+  const context = {handler: {requestSchemas: requestSchemas}};
+  const request = validateRequest(sampleEvent('123', undefined, '2', '{"quantity":3}'), context);
+  t.deepEqual(request, {
+    format: 'REST_API',
+    method: 'PUT',
+    path: '/orders/123',
+    resource: '/orders/{orderId}',
+    pathParameters: {orderId: 123},
+    queryStringParameters: {limit: 10},
+    headers: {'x-api-version': '2'},
+    cookies: {},
+    sourceIp: undefined,
+    body: {quantity: 3},
+    isBase64Encoded: false
+  }, `request must be parsed, coerced & defaulted`);
+  t.equal(context.request, request, `context.request must be request`);
+  t.end();
+});
+
+test('validateRequest with an invalid request', t => {
+  const context = {};
+  try {
+    validateRequest(sampleEvent('abc', '500', '3', '{"quantity":0}'), context, requestSchemas);
+    t.fail(`validateRequest must fail`);
+  } catch (err) {
+    t.ok(err instanceof BadRequest, `err must be a BadRequest`);
+    t.equal(err.code, 'InvalidRequest', `err.code must be InvalidRequest`);
+    t.deepEqual(err.violations.map(v => `${v.location}:${v.path}:${v.keyword}`), [
+      'pathParameters:orderId:type',
+      'queryStringParameters:limit:maximum',
+      'headers:x-api-version:enum',
+      'body:quantity:minimum'
+    ], `err.violations must list every violation`);
+    t.ok(err.toJSON().violations, `err.toJSON() must include violations`);
+  }
+  t.end();
+});
+
+test('validateRequest with missing headers & an unparseable body', t => {
+  try {
+    validateRequest(sampleEvent('1', undefined, undefined, '{oops'), {}, requestSchemas);
+    t.fail(`validateRequest must fail`);
+  } catch (err) {
+    t.deepEqual(err.violations.map(v => `${v.location}:${v.keyword}`), ['headers:required', 'body:json'],
+      `err.violations must list missing header & invalid JSON`);
+  }
+  t.end();
+});
+
+test('validateRequest without schemas', t => {
+  const context = {pathParameters: {orderId: 'routed'}};
+  const request = validateRequest(sampleEvent('1', '5', '1', 'raw'), context);
+  t.deepEqual(request.pathParameters, {orderId: 'routed'}, `must prefer path parameters parsed by a router`);
+  t.deepEqual(request.queryStringParameters, {limit: '5'}, `must not coerce query string parameters`);
+  t.equal(request.body, 'raw', `must not parse body`);
+  t.end();
+});
+
+test('parseBody', t => {
+  t.equal(parseBody({body: null}), undefined, `null body must be undefined`);
+  t.deepEqual(parseBody({body: '{"a":1}'}), {a: 1}, `JSON body must be parsed`);
+  t.deepEqual(parseBody({body: Buffer.from('{"a":1}').toString('base64'), isBase64Encoded: true}), {a: 1},
+    `base 64 encoded body must be decoded & parsed`);
+  t.deepEqual(parseBody({body: {a: 1}}), {a: 1}, `object body must be returned as is`);
+  t.throws(() => parseBody({body: 'x'}), SyntaxError, `invalid JSON must throw`);
+  t.end();
+});
+
+test('validateResponse', t => {
+  const responseSchema = {type: 'object', properties: {orderId: {type: 'string'}}, required: ['orderId']};
+  const valid = {orderId: '123'};
+  const invalid = {orderId: 123};
+
+  // No response schema configured
+  t.equal(validateResponse(invalid, {}, {stage: 'dev', handler: {}}), invalid, `no schema must pass invalid response through`);
+
+  // Response schema enforced in the default 'dev' stage only
+  const devContext = {stage: 'DEV', handler: {responseSchema: responseSchema}};
+  t.equal(validateResponse(valid, {}, devContext), valid, `valid response must pass in dev stage`);
+  try {
+    validateResponse(invalid, {}, devContext);
+    t.fail(`invalid response must fail in dev stage`);
+  } catch (err) {
+    t.equal(err.httpStatus, 500, `err.httpStatus must be 500`);
+    t.equal(err.code, 'InvalidResponse', `err.code must be InvalidResponse`);
+    t.deepEqual(err.violations, [{location: 'body', path: 'orderId', keyword: 'type', message: 'must be of type string, but was integer'}],
+      `err.violations must list the violation`);
+  }
+  const prodContext = {stage: 'prod', handler: {responseSchema: responseSchema}};
+  t.equal(validateResponse(invalid, {}, prodContext), invalid, `invalid response must pass through in prod stage`);
+
+  // Configured response schema stages
+  const qaContext = {stage: 'qa', handler: {responseSchema: responseSchema, responseSchemaStages: ['dev', 'qa']}};
+  t.throws(() => validateResponse(invalid, {}, qaContext), /Invalid response - 1 violation found/,
+    `invalid response must fail in configured qa stage`);
+
+  // A route's response schema overrides the handler's response schema
+  const routeContext = {stage: 'dev', route: {responseSchema: {type: 'array'}}, handler: {responseSchema: responseSchema}};
+  const list = [];
+  t.equal(validateResponse(list, {}, routeContext), list, `route response schema must be used`);
+  t.throws(() => validateResponse(valid, {}, routeContext), /Invalid response/, `route response schema must be enforced`);
+
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/batches.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const batches = require('../batches');
+const getBatchItemIdentifier = batches.getBatchItemIdentifier;
+const processBatch = batches.processBatch;
+const generateBatchFunction = batches.generateBatchFunction;
+
+const Promises = require('core-functions/promises');
+
+const logging = require('logging-utils');
+
+const samples = require('./samples');
+const sampleKinesisRecord = samples.sampleKinesisRecord;
+const sampleDynamoDBRecord = samples.sampleDynamoDBRecord;
+const sampleKinesisEventSourceArn = samples.sampleKinesisEventSourceArn;
+const sampleDynamoDBEventSourceArn = samples.sampleDynamoDBEventSourceArn;
+const sampleSqsRecord = samples.sampleSqsRecord;
+
+function sampleContext(batchConcurrency) {
+  const context = {handler: {batchConcurrency: batchConcurrency}};
+  logging.configureLogging(context, {logLevel: 'error'});
+  return context;
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// getBatchItemIdentifier
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('getBatchItemIdentifier', t => {
+  const kinesisRecord = sampleKinesisRecord('shardId-000000000000', '49545115243490985018280067714973144582180062593244200961',
+    undefined, undefined, sampleKinesisEventSourceArn('us-west-2', 'TestStream_DEV'), 'us-west-2');
+  t.equal(getBatchItemIdentifier(kinesisRecord), '49545115243490985018280067714973144582180062593244200961',
+    `Kinesis record identifier must be its sequence number`);
+
+  const dynamoDBRecord = sampleDynamoDBRecord('e-1', '111', sampleDynamoDBEventSourceArn('us-west-2', 'TestTable_DEV'),
+    'id1', 'id2', 'k1', 2);
+  t.equal(getBatchItemIdentifier(dynamoDBRecord), '111', `DynamoDB record identifier must be its sequence number`);
+
+  t.equal(getBatchItemIdentifier(sampleSqsRecord('m-1')), 'm-1', `SQS record identifier must be its messageId`);
+  t.equal(getBatchItemIdentifier({eventID: 'e-2'}), 'e-2', `other record identifier must be its eventID`);
+  t.equal(getBatchItemIdentifier({}), '', `unidentifiable record identifier must be empty`);
+  t.equal(getBatchItemIdentifier(undefined), '', `undefined record identifier must be empty`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// processBatch
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('processBatch with an invalid event', t => {
+  processBatch({}, sampleContext(), () => undefined)
+    .then(
+      res => t.fail(`processBatch must NOT resolve with ${JSON.stringify(res)}`),
+      err => {
+        t.equal(err.httpStatus, 400, `err.httpStatus must be 400`);
+        t.equal(err.code, 'InvalidBatchEvent', `err.code must be InvalidBatchEvent`);
+      }
+    )
+    .then(() => t.end(), err => t.end(err));
+});
+
+test('processBatch with SQS records processed in order', t => {
+  const event = {Records: ['m-1', 'm-2', 'm-3', 'm-4'].map(id => sampleSqsRecord(id))};
+  const processed = [];
+  const recordFn = (record, e, context) => {
+    t.equal(e, event, `event must be event`);
+    return Promises.delay(record.messageId === 'm-1' ? 5 : 1).then(() => {
+      processed.push(record.messageId);
+      if (record.messageId === 'm-2' || record.messageId === 'm-4') throw new Error(`Failed ${record.messageId}`);
+    });
+  };
+
+  processBatch(event, sampleContext(), recordFn)
+    .then(res => {
+      t.deepEqual(processed, ['m-1', 'm-2', 'm-3', 'm-4'], `records must be processed in order`);
+      t.deepEqual(res, {batchItemFailures: [{itemIdentifier: 'm-2'}, {itemIdentifier: 'm-4'}]},
+        `batchItemFailures must list m-2 & m-4`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('processBatch with Kinesis records processed concurrently', t => {
+  const eventSourceArn = sampleKinesisEventSourceArn('us-west-2', 'TestStream_DEV');
+  const event = {Records: ['101', '102', '103', '104', '105'].map(seqNo => sampleKinesisRecord(undefined, seqNo, undefined, undefined, eventSourceArn))};
+
+  let active = 0;
+  let maxActive = 0;
+  const recordFn = (record) => {
+    maxActive = Math.max(maxActive, ++active);
+    return Promises.delay(5).then(() => {
+      --active;
+      if (record.kinesis.sequenceNumber === '103') throw new Error('Failed 103');
+    });
+  };
+
+  processBatch(event, sampleContext(2), recordFn)
+    .then(res => {
+      t.equal(maxActive, 2, `at most 2 records must be processed concurrently`);
+      t.deepEqual(res, {batchItemFailures: [{itemIdentifier: '103'}]}, `batchItemFailures must list 103`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('processBatch with a fractional concurrency & with falsy rejection reasons', t => {
+  const event = {Records: ['m-1', 'm-2', 'm-3'].map(id => sampleSqsRecord(id))};
+  const processed = [];
+  const recordFn = record => {
+    processed.push(record.messageId);
+    return record.messageId === 'm-1' ? Promise.reject() : record.messageId === 'm-3' ? Promise.reject(null) : undefined;
+  };
+
+  processBatch(event, sampleContext(0.5), recordFn)
+    .then(res => {
+      t.deepEqual(processed, ['m-1', 'm-2', 'm-3'], `all records must be processed`);
+      t.deepEqual(res, {batchItemFailures: [{itemIdentifier: 'm-1'}, {itemIdentifier: 'm-3'}]},
+        `batchItemFailures must list m-1 & m-3`);
+      return processBatch({Records: [{body: 'unidentifiable'}]}, sampleContext(), () => Promise.reject());
+    })
+    .then(
+      res => t.fail(`processBatch must NOT resolve with ${JSON.stringify(res)}`),
+      err => t.ok(err instanceof Error, `unidentifiable record rejected with undefined must fail the batch with an Error`)
+    )
+    .then(() => t.end(), err => t.end(err));
+});
+
+test('processBatch with no failures & with an unidentifiable failed record', t => {
+  const event = {Records: [sampleSqsRecord('m-1'), {body: 'unidentifiable'}]};
+  const error = new Error('Kaboom');
+
+  processBatch(event, sampleContext(), () => undefined)
+    .then(res => {
+      t.deepEqual(res, {batchItemFailures: []}, `batchItemFailures must be empty`);
+      return processBatch(event, sampleContext(), record => record.messageId ? undefined : Promise.reject(error));
+    })
+    .then(
+      res => t.fail(`processBatch must NOT resolve with ${JSON.stringify(res)}`),
+      err => t.equal(err, error, `unidentifiable failed record must fail the entire batch`)
+    )
+    .then(() => t.end(), err => t.end(err));
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// generateBatchFunction
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('generateBatchFunction', t => {
+  t.throws(() => generateBatchFunction(undefined), /recordFn must be a function/, `undefined recordFn must throw`);
+
+  const fn = generateBatchFunction(record => record.messageId === 'm-1' ? Promise.reject(new Error('Failed')) : 1);
+  fn({Records: [sampleSqsRecord('m-1'), sampleSqsRecord('m-2')]}, sampleContext())
+    .then(res => {
+      t.deepEqual(res, {batchItemFailures: [{itemIdentifier: 'm-1'}]}, `batchItemFailures must list m-1`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
\ No newline at end of file
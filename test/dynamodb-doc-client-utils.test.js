@@ -13,6 +13,23 @@ const mockDynamoDBDocClient = dynamoDBMocking.mockDynamoDBDocClient;
 // The test subject
 const dynamoDBDocClientUtils = require('../dynamodb-doc-client-utils');
 const getItem = dynamoDBDocClientUtils.getItem;
+const putItem = dynamoDBDocClientUtils.putItem;
+const queryItems = dynamoDBDocClientUtils.queryItems;
+const scanItems = dynamoDBDocClientUtils.scanItems;
+const iterateQueryItems = dynamoDBDocClientUtils.iterateQueryItems;
+const iterateScanItems = dynamoDBDocClientUtils.iterateScanItems;
+const batchGetItems = dynamoDBDocClientUtils.batchGetItems;
+const batchWriteItems = dynamoDBDocClientUtils.batchWriteItems;
+const transactWriteItems = dynamoDBDocClientUtils.transactWriteItems;
+const transactGetItems = dynamoDBDocClientUtils.transactGetItems;
+const decodeCancellationReasons = dynamoDBDocClientUtils.decodeCancellationReasons;
+const MAX_TRANSACT_ITEMS = dynamoDBDocClientUtils.MAX_TRANSACT_ITEMS;
+const putVersionedItem = dynamoDBDocClientUtils.putVersionedItem;
+const updateVersionedItem = dynamoDBDocClientUtils.updateVersionedItem;
+const isVersionConflict = dynamoDBDocClientUtils.isVersionConflict;
+const isItemSizeLimitExceeded = dynamoDBDocClientUtils.isItemSizeLimitExceeded;
+
+const x = require('../dynamodb-expressions');
 const updateProjectionExpression = dynamoDBDocClientUtils.updateProjectionExpression;
 const updateExpressionAttributeNames = dynamoDBDocClientUtils.updateExpressionAttributeNames;
 const updateExpressionAttributeValues = dynamoDBDocClientUtils.updateExpressionAttributeValues;
@@ -21,6 +38,10 @@ const copy = require('core-functions/copying').copy;
 const deep = {deep: true};
 
 const contexts = require('../contexts');
+const timeouts = require('../timeouts');
+const awsErrors = require('../aws-errors');
+
+const Promises = require('core-functions/promises');
 
 // ---------------------------------------------------------------------------------------------------------------------
 // getItem
@@ -157,6 +178,992 @@ test('getItem with simulated failure', t => {
     );
 });
 
+test('getItem with cancellation token cancelled before the get completes', t => {
+  process.env.AWS_REGION = 'us-west-2';
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.cancellationToken = timeouts.createCancellationToken();
+
+  const tableName = 'TEST_MyTestTable_DEV';
+  const key = {country: 'ZA'};
+
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-utils.test', 50,
+    {get: {result: {code: 'ZA', name: 'South Africa'}}});
+
+  const reason = new Error('Timed out');
+  setTimeout(() => context.cancellationToken.cancel(reason), 5);
+
+  getItem(tableName, key, undefined, `country (${key.country})`, context)
+    .then(
+      res => {
+        t.fail(`getItem must NOT resolve with ${JSON.stringify(res)}`);
+        t.end();
+      },
+      err => {
+        t.equal(err, reason, `getItem must reject with the cancellation reason`);
+        t.end();
+      }
+    );
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// queryItems, scanItems, iterateQueryItems & iterateScanItems
+// ---------------------------------------------------------------------------------------------------------------------
+
+// Simulates a table of items with ids 1 to n, which returns pages of at most `Limit` (default 3) items & 1 capacity unit
+function simulateTable(n, requests) {
+  const items = [];
+  for (let id = 1; id <= n; ++id) items.push({id: id, name: `Item ${id}`});
+
+  return function simulatePage(params) {
+    requests.push(params);
+    const segmentItems = params.TotalSegments ? items.filter(i => i.id % params.TotalSegments === params.Segment) : items;
+    const startKey = params.ExclusiveStartKey;
+    const start = startKey ? segmentItems.findIndex(i => i.id === startKey.id) + 1 : 0;
+    const pageItems = segmentItems.slice(start, start + (params.Limit || 3));
+    const more = start + pageItems.length < segmentItems.length;
+    const result = {Items: pageItems, Count: pageItems.length, ScannedCount: pageItems.length};
+    if (more && pageItems.length > 0) result.LastEvaluatedKey = {id: pageItems[pageItems.length - 1].id};
+    if (params.ReturnConsumedCapacity) {
+      result.ConsumedCapacity = {TableName: params.TableName, CapacityUnits: 1, Table: {CapacityUnits: 1}};
+    }
+    return {result: result};
+  };
+}
+
+function ids(items) {
+  return items.map(i => i.id);
+}
+
+test('queryItems must follow LastEvaluatedKey & collect all of the items', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const tableName = 'TEST_MyTestTable_DEV';
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {query: simulateTable(8, requests)});
+
+  const pages = [];
+  const opts = {
+    KeyConditionExpression: '#a = :a',
+    ReturnConsumedCapacity: 'TOTAL',
+    onPage: page => {
+      pages.push(page.pageNumber);
+      return Promise.resolve();
+    }
+  };
+
+  queryItems(tableName, opts, 'items', context)
+    .then(res => {
+      t.deepEqual(ids(res.Items), [1, 2, 3, 4, 5, 6, 7, 8], `Items must be all of the items`);
+      t.equal(res.Count, 8, `Count must be 8`);
+      t.equal(res.ScannedCount, 8, `ScannedCount must be 8`);
+      t.equal(res.pageCount, 3, `pageCount must be 3`);
+      t.equal(res.LastEvaluatedKey, undefined, `LastEvaluatedKey must be undefined`);
+      t.deepEqual(res.ConsumedCapacity, {TableName: tableName, CapacityUnits: 3, Table: {CapacityUnits: 3}},
+        `ConsumedCapacity must be summarised`);
+      t.deepEqual(pages, [1, 2, 3], `onPage must be invoked for each page`);
+
+      t.equal(requests.length, 3, `must request 3 pages`);
+      t.deepEqual(requests.map(p => p.ExclusiveStartKey), [undefined, {id: 3}, {id: 6}], `must follow LastEvaluatedKey`);
+      t.equal(requests[0].TableName, tableName, `TableName must be ${tableName}`);
+      t.equal(requests[0].KeyConditionExpression, '#a = :a', `KeyConditionExpression must be passed on`);
+      t.equal(requests[0].onPage, undefined, `paging options must NOT be passed on`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('queryItems with maxItems & pageSize must stop early with a LastEvaluatedKey', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {query: simulateTable(10, requests)});
+
+  queryItems('T', {maxItems: 5, pageSize: 2, ExclusiveStartKey: {id: 1}}, 'items', context)
+    .then(res => {
+      t.deepEqual(ids(res.Items), [2, 3, 4, 5, 6], `Items must be the first 5 items after the start key`);
+      t.deepEqual(requests.map(p => p.Limit), [2, 2, 1], `Limit must be capped at the remaining items`);
+      t.deepEqual(res.LastEvaluatedKey, {id: 6}, `LastEvaluatedKey must be the last item's key`);
+      t.equal(res.pageCount, 3, `pageCount must be 3`);
+      t.equal(res.ConsumedCapacity, undefined, `ConsumedCapacity must be undefined`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('queryItems with maxPages must stop early with a LastEvaluatedKey', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {query: simulateTable(10, requests)});
+
+  queryItems('T', {maxPages: 2}, 'items', context)
+    .then(res => {
+      t.deepEqual(ids(res.Items), [1, 2, 3, 4, 5, 6], `Items must be the items of the first 2 pages`);
+      t.equal(requests.length, 2, `must request 2 pages`);
+      t.deepEqual(res.LastEvaluatedKey, {id: 6}, `LastEvaluatedKey must be the second page's`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('queryItems with simulated failure', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const fatalError = new Error('Planned DynamoDB failure');
+  const requests = [];
+  const simulatePage = simulateTable(10, requests);
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {query: params => requests.length < 1 ? simulatePage(params) : {error: fatalError}});
+
+  queryItems('T', {}, 'items', context)
+    .then(res => {
+      t.fail(`queryItems should NOT have succeeded with result ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.equal(err, fatalError, `queryItems must fail with ${fatalError}`);
+      t.end();
+    });
+});
+
+test('queryItems with failing onPage callback', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const fatalError = new Error('Planned onPage failure');
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {query: simulateTable(10, [])});
+
+  queryItems('T', {onPage: () => { throw fatalError; }}, 'items', context)
+    .then(res => {
+      t.fail(`queryItems should NOT have succeeded with result ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.equal(err, fatalError, `queryItems must fail with ${fatalError}`);
+      t.end();
+    });
+});
+
+test('scanItems with a parallel scan must scan every segment with bounded concurrency', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  const simulatePage = simulateTable(20, requests);
+  let active = 0;
+  let maxActive = 0;
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {
+    scan: params => {
+      maxActive = Math.max(maxActive, ++active);
+      return simulatePage(params);
+    }
+  });
+  const onPage = () => --active;
+
+  scanItems('T', {totalSegments: 4, segmentConcurrency: 2, ReturnConsumedCapacity: 'TOTAL', onPage: onPage}, 'items', context)
+    .then(res => {
+      t.deepEqual(ids(res.Items).sort((a, b) => a - b), ids(res.Items).map((id, i) => i + 1), `Items must be all 20 items`);
+      t.equal(res.Count, 20, `Count must be 20`);
+      t.equal(maxActive, 2, `at most 2 segments must be scanned concurrently`);
+      t.deepEqual(requests.map(p => p.TotalSegments).filter(n => n !== 4), [], `TotalSegments must be 4`);
+      t.deepEqual(requests.map(p => p.Segment).filter((s, i, a) => a.indexOf(s) === i).sort(), [0, 1, 2, 3],
+        `every segment must be scanned`);
+      t.equal(res.pageCount, requests.length, `pageCount must be ${requests.length}`);
+      t.equal(res.ConsumedCapacity.CapacityUnits, requests.length, `ConsumedCapacity must be summarised`);
+      t.equal(res.LastEvaluatedKeys, undefined, `LastEvaluatedKeys must be undefined`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('scanItems with fractional totalSegments & segmentConcurrency must still scan all of the items', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {scan: simulateTable(10, requests)});
+
+  scanItems('T', {totalSegments: 2.5, segmentConcurrency: 0.5}, 'items', context)
+    .then(res => {
+      t.equal(res.Count, 10, `Count must be 10`);
+      t.deepEqual(requests.map(p => p.TotalSegments).filter(n => n !== 2), [], `TotalSegments must be 2`);
+      return scanItems('T', {totalSegments: 1.5, segmentConcurrency: 0.5}, 'items', context);
+    })
+    .then(res => {
+      t.equal(res.Count, 10, `non-parallel Count must be 10`);
+      t.equal(requests[requests.length - 1].TotalSegments, undefined, `non-parallel TotalSegments must be undefined`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('scanItems with a parallel scan & maxItems must NOT read more than maxItems', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {scan: simulateTable(20, requests)});
+
+  scanItems('T', {totalSegments: 2, maxItems: 7}, 'items', context)
+    .then(res => {
+      t.equal(res.Count, 7, `Count must be 7`);
+      t.equal(requests.reduce((n, p) => n + p.Limit, 0), 7, `total Limit requested must be 7`);
+      t.deepEqual(requests.map(p => p.Limit), [4, 3], `Limit must be shared between the segments`);
+      t.deepEqual(res.LastEvaluatedKeys, {0: {id: 8}, 1: {id: 5}}, `LastEvaluatedKeys must be correct`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('iterateScanItems must lazily iterate over all of the items', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {scan: simulateTable(7, requests)});
+
+  const iterator = iterateScanItems('T', undefined, 'items', context);
+  if (typeof Symbol.asyncIterator === 'symbol') {
+    t.equal(iterator[Symbol.asyncIterator](), iterator, `iterator must be an async iterable`);
+  }
+  const items = [];
+
+  function readNext() {
+    return iterator.next().then(result => {
+      if (result.done) return items;
+      items.push(result.value);
+      if (items.length === 2) t.equal(requests.length, 1, `must only request the first page for the first items`);
+      return readNext();
+    });
+  }
+
+  readNext()
+    .then(items => {
+      t.deepEqual(ids(items), [1, 2, 3, 4, 5, 6, 7], `items must be all of the items`);
+      t.equal(requests.length, 3, `must request 3 pages`);
+      t.equal(iterator.summary().pageCount, 3, `summary pageCount must be 3`);
+      return iterator.next();
+    })
+    .then(result => {
+      t.deepEqual(result, {value: undefined, done: true}, `next after completion must be done`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('iterateQueryItems must stop requesting pages after return', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {query: simulateTable(7, requests)});
+
+  const iterator = iterateQueryItems('T', {}, 'items', context);
+  iterator.next()
+    .then(result => {
+      t.deepEqual(result.value, {id: 1, name: 'Item 1'}, `first item must be item 1`);
+      return iterator.return();
+    })
+    .then(result => {
+      t.equal(result.done, true, `return must be done`);
+      return iterator.next();
+    })
+    .then(result => {
+      t.equal(result.done, true, `next after return must be done`);
+      t.equal(requests.length, 1, `must only request 1 page`);
+      t.deepEqual(iterator.summary().LastEvaluatedKey, {id: 3}, `summary LastEvaluatedKey must be {id: 3}`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('queryItems with cancellation token cancelled before a page completes', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.cancellationToken = timeouts.createCancellationToken();
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 50,
+    {query: simulateTable(7, [])});
+
+  const reason = new Error('Timed out');
+  setTimeout(() => context.cancellationToken.cancel(reason), 5);
+
+  queryItems('T', {}, 'items', context)
+    .then(res => {
+      t.fail(`queryItems must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.equal(err, reason, `queryItems must reject with the cancellation reason`);
+      t.end();
+    });
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// batchGetItems & batchWriteItems
+// ---------------------------------------------------------------------------------------------------------------------
+
+function throttledError() {
+  const err = new Error('Planned throttling');
+  err.code = 'ProvisionedThroughputExceededException';
+  return err;
+}
+
+test('batchGetItems must de-duplicate & chunk the keys and retry unprocessed keys', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const tableName = 'TEST_MyTestTable_DEV';
+  const keys = [];
+  for (let id = 1; id <= 230; ++id) keys.push({id: id});
+  keys.push({id: 7}, {id: 8});
+
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {
+    batchGet: params => {
+      requests.push(params);
+      const tableRequest = params.RequestItems[tableName];
+      // Leave the last 10 keys of each first request unprocessed
+      const n = tableRequest.Keys.length > 10 ? tableRequest.Keys.length - 10 : tableRequest.Keys.length;
+      const result = {
+        Responses: {[tableName]: tableRequest.Keys.slice(0, n).map(k => ({id: k.id, name: `Item ${k.id}`}))},
+        ConsumedCapacity: [{TableName: tableName, CapacityUnits: n / 2}]
+      };
+      if (n < tableRequest.Keys.length) {
+        result.UnprocessedKeys = {[tableName]: {Keys: tableRequest.Keys.slice(n), ConsistentRead: true}};
+      }
+      return {result: result};
+    }
+  });
+
+  const opts = {ConsistentRead: true, ReturnConsumedCapacity: 'TOTAL', baseDelayMs: 1};
+  batchGetItems(tableName, keys, opts, 'items', context)
+    .then(res => {
+      t.equal(res.Items.length, 230, `Items must have 230 items`);
+      t.deepEqual(ids(res.Items).sort((a, b) => a - b), keys.slice(0, 230).map(k => k.id), `Items must have every item`);
+      t.deepEqual(res.failures, [], `failures must be empty`);
+      t.equal(res.ConsumedCapacity.CapacityUnits, 115, `ConsumedCapacity must be summarised`);
+      t.deepEqual(requests.map(p => p.RequestItems[tableName].Keys.length), [100, 10, 100, 10, 30, 10],
+        `requests must be chunked & unprocessed keys retried`);
+      t.equal(requests[0].RequestItems[tableName].ConsistentRead, true, `ConsistentRead must be a table option`);
+      t.equal(requests[0].ReturnConsumedCapacity, 'TOTAL', `ReturnConsumedCapacity must be a top-level option`);
+      t.equal(requests[0].baseDelayMs, undefined, `retry options must NOT be passed on`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('batchGetItems must retry throttled requests & report keys that are still unprocessed', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const tableName = 'T';
+  const keys = [{id: 1}, {id: 2}, {id: 3}];
+  const throttled = throttledError();
+
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {
+    batchGet: [
+      {error: throttled},
+      {result: {Responses: {T: [{id: 1}]}, UnprocessedKeys: {T: {Keys: [{id: 2}, {id: 3}]}}}},
+      {result: {Responses: {T: [{id: 3}]}, UnprocessedKeys: {T: {Keys: [{id: 2}]}}}}
+    ]
+  });
+
+  batchGetItems(tableName, keys, {maxRetries: 2, baseDelayMs: 1}, 'items', context)
+    .then(res => {
+      t.deepEqual(ids(res.Items), [1, 3], `Items must be the items found`);
+      t.equal(res.failures.length, 1, `failures must have 1 failure`);
+      t.deepEqual(res.failures[0].item, {id: 2}, `failure item must be the unprocessed key`);
+      t.equal(res.failures[0].error.code, 'BatchItemsUnprocessed', `failure error code must be BatchItemsUnprocessed`);
+      t.equal(res.failures[0].error.httpStatus, 429, `failure error httpStatus must be 429`);
+      t.equal(res.ConsumedCapacity, undefined, `ConsumedCapacity must be undefined`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('batchGetItems must report the keys of a chunk that failed with a non-retryable error', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const keys = [];
+  for (let id = 1; id <= 150; ++id) keys.push({id: id});
+  const fatalError = new Error('Planned validation failure');
+  fatalError.code = 'ValidationException';
+  fatalError.statusCode = 400;
+
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {
+    batchGet: [{error: fatalError}, {result: {Responses: {T: keys.slice(100)}}}]
+  });
+
+  batchGetItems('T', keys, undefined, 'items', context)
+    .then(res => {
+      t.equal(res.Items.length, 50, `Items must have the 50 items of the second chunk`);
+      t.equal(res.failures.length, 100, `failures must have the 100 keys of the first chunk`);
+      t.equal(res.failures[0].error, fatalError, `failure error must be the non-retryable error`);
+      t.deepEqual(res.failures.map(f => f.item), keys.slice(0, 100), `failure items must be the first chunk's keys`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('batchWriteItems must de-duplicate deletes, chunk the requests and retry unprocessed items', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  for (let id = 1; id <= 30; ++id) requests.push({PutRequest: {Item: {id: id, name: `Item ${id}`}}});
+  for (let id = 31; id <= 40; ++id) requests.push({DeleteRequest: {Key: {id: id}}});
+  requests.push({DeleteRequest: {Key: {id: 31}}});
+
+  const params = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {
+    batchWrite: p => {
+      params.push(p);
+      const writes = p.RequestItems.T;
+      const result = {ConsumedCapacity: [{TableName: 'T', CapacityUnits: writes.length}]};
+      if (params.length === 1) result.UnprocessedItems = {T: writes.slice(20)};
+      return {result: result};
+    }
+  });
+
+  batchWriteItems('T', requests, {ReturnConsumedCapacity: 'TOTAL', baseDelayMs: 1}, 'items', context)
+    .then(res => {
+      t.deepEqual(params.map(p => p.RequestItems.T.length), [25, 5, 15], `requests must be chunked & retried`);
+      t.deepEqual(params[1].RequestItems.T, requests.slice(20, 25), `retry must be of the unprocessed items`);
+      t.deepEqual(res.failures, [], `failures must be empty`);
+      t.equal(res.ConsumedCapacity.CapacityUnits, 45, `ConsumedCapacity must be summarised`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('batchWriteItems with invalid requests', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {});
+
+  batchWriteItems('T', {PutRequest: {Item: {id: 1}}}, undefined, 'items', context)
+    .then(res => {
+      t.fail(`batchWriteItems must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(err instanceof TypeError, `batchWriteItems must reject with a TypeError - ${err}`);
+      t.end();
+    });
+});
+
+test('batchWriteItems with cancellation token cancelled during a retry delay', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.cancellationToken = timeouts.createCancellationToken();
+  const throttled = throttledError();
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1,
+    {batchWrite: {error: throttled}});
+
+  const reason = new Error('Timed out');
+  setTimeout(() => context.cancellationToken.cancel(reason), 20);
+
+  const opts = {maxRetries: 100, baseDelayMs: 10, maxDelayMs: 10};
+  batchWriteItems('T', [{DeleteRequest: {Key: {id: 1}}}], opts, 'items', context)
+    .then(res => {
+      t.fail(`batchWriteItems must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.equal(err, reason, `batchWriteItems must reject with the cancellation reason`);
+      t.end();
+    });
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// transactWriteItems, transactGetItems & decodeCancellationReasons
+// ---------------------------------------------------------------------------------------------------------------------
+
+// Simulates a DynamoDB.DocumentClient's transactWrite & transactGet methods
+function mockTransactDocClient(requests, responses) {
+  function simulate(method, params) {
+    requests.push({method: method, params: params});
+    const response = responses[method];
+    return {
+      promise: () => Promises.delay(1).then(() => {
+        if (response && response.error) throw response.error;
+        return response ? response.result : {};
+      })
+    };
+  }
+
+  return {
+    transactWrite: params => simulate('transactWrite', params),
+    transactGet: params => simulate('transactGet', params)
+  };
+}
+
+function transactionCanceledError(codes) {
+  const err = new Error(`Transaction cancelled, please refer cancellation reasons for specific reasons [${codes.join(', ')}]`);
+  err.code = 'TransactionCanceledException';
+  err.statusCode = 400;
+  return err;
+}
+
+const transactWrites = [
+  {Put: {TableName: 'Orders', Item: {id: 'O1', status: 'NEW'}, ConditionExpression: 'attribute_not_exists(id)'}},
+  {Update: {TableName: 'Stock', Key: {sku: 'S1'}, UpdateExpression: 'ADD #n :n', ExpressionAttributeNames: {'#n': 'n'}}},
+  {ConditionCheck: {TableName: 'Customers', Key: {id: 'C1'}, ConditionExpression: 'attribute_exists(id)'}},
+  {Delete: {TableName: 'Carts', Key: {id: 'CART1'}}}
+];
+
+test('transactWriteItems with simulated success', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockTransactDocClient(requests, {transactWrite: {result: {}}});
+
+  transactWriteItems(transactWrites, {ClientRequestToken: 'T1'}, 'order (O1)', context)
+    .then(res => {
+      t.deepEqual(res, {}, `result must be {}`);
+      t.equal(requests.length, 1, `must send 1 request`);
+      t.equal(requests[0].method, 'transactWrite', `method must be transactWrite`);
+      t.deepEqual(requests[0].params, {TransactItems: transactWrites, ClientRequestToken: 'T1'}, `params must be correct`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('transactWriteItems with simulated conditional check failure', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const cancelled = transactionCanceledError(['None', 'None', 'ConditionalCheckFailed', 'None']);
+  context.dynamoDBDocClient = mockTransactDocClient([], {transactWrite: {error: cancelled}});
+
+  transactWriteItems(transactWrites, undefined, 'order (O1)', context)
+    .then(res => {
+      t.fail(`transactWriteItems must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.equal(err, cancelled, `transactWriteItems must reject with the TransactionCanceledException`);
+      t.ok(awsErrors.isTransactionCanceled(err), `isTransactionCanceled must be true`);
+      t.notOk(awsErrors.isTransactionConflict(err), `isTransactionConflict must be false`);
+      t.deepEqual(err.cancellationResults, [
+        {index: 0, operation: 'Put', tableName: 'Orders', code: 'None', failed: false},
+        {index: 1, operation: 'Update', tableName: 'Stock', code: 'None', failed: false},
+        {index: 2, operation: 'ConditionCheck', tableName: 'Customers', code: 'ConditionalCheckFailed', failed: true},
+        {index: 3, operation: 'Delete', tableName: 'Carts', code: 'None', failed: false}
+      ], `cancellationResults must be decoded from the message`);
+      t.end();
+    });
+});
+
+test('transactWriteItems with simulated transaction conflict with CancellationReasons', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const cancelled = transactionCanceledError(['TransactionConflict', 'None', 'None', 'None']);
+  cancelled.CancellationReasons = [
+    {Code: 'TransactionConflict', Message: 'Transaction is ongoing for the item', Item: {id: {S: 'O1'}}},
+    {Code: 'None'}, {Code: 'None'}, {Code: 'None'}
+  ];
+  context.dynamoDBDocClient = mockTransactDocClient([], {transactWrite: {error: cancelled}});
+
+  transactWriteItems(transactWrites, undefined, 'order (O1)', context)
+    .then(res => {
+      t.fail(`transactWriteItems must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(awsErrors.isTransactionConflict(err), `isTransactionConflict must be true`);
+      t.deepEqual(err.cancellationResults[0], {index: 0, operation: 'Put', tableName: 'Orders', code: 'TransactionConflict',
+        failed: true, message: 'Transaction is ongoing for the item', item: {id: {S: 'O1'}}},
+        `cancellationResults[0] must be decoded from the CancellationReasons`);
+      t.deepEqual(err.cancellationResults.filter(r => r.failed).map(r => r.index), [0], `ONLY item 0 must have failed`);
+      t.end();
+    });
+});
+
+test('transactWriteItems & transactGetItems must enforce the item count limits', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockTransactDocClient(requests, {});
+
+  const tooMany = [];
+  for (let i = 0; i <= MAX_TRANSACT_ITEMS; ++i) tooMany.push({Get: {TableName: 'T', Key: {id: i}}});
+
+  function check(promise, n) {
+    return promise.then(
+      res => t.fail(`must NOT resolve with ${JSON.stringify(res)}`),
+      err => {
+        t.equal(err.code, 'InvalidTransactItems', `must reject ${n} items with code InvalidTransactItems`);
+        t.equal(err.httpStatus, 400, `must reject ${n} items with httpStatus 400`);
+      }
+    );
+  }
+
+  check(transactWriteItems([], undefined, 'nothing', context), 0)
+    .then(() => check(transactGetItems(tooMany, undefined, 'too many', context), tooMany.length))
+    .then(() => check(transactGetItems(undefined, undefined, 'undefined', context), undefined))
+    .then(() => {
+      t.equal(requests.length, 0, `must NOT send any requests`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('transactGetItems with simulated success', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  const result = {Responses: [{Item: {id: 'O1'}}, {}]};
+  context.dynamoDBDocClient = mockTransactDocClient(requests, {transactGet: {result: result}});
+
+  const transactGets = [{Get: {TableName: 'Orders', Key: {id: 'O1'}}}, {Get: {TableName: 'Orders', Key: {id: 'O2'}}}];
+  transactGetItems(transactGets, {ReturnConsumedCapacity: 'TOTAL'}, 'orders', context)
+    .then(res => {
+      t.equal(res, result, `result must be the transactGet result`);
+      t.deepEqual(requests[0].params, {TransactItems: transactGets, ReturnConsumedCapacity: 'TOTAL'}, `params must be correct`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('decodeCancellationReasons', t => {
+  const notCancelled = new Error('Planned failure');
+  notCancelled.code = 'ValidationException';
+  t.deepEqual(decodeCancellationReasons(notCancelled, transactWrites), [], `other errors must have no results`);
+  t.deepEqual(decodeCancellationReasons(transactionCanceledError(['ThrottlingError', 'None'])), [
+    {index: 0, operation: undefined, tableName: undefined, code: 'ThrottlingError', failed: true},
+    {index: 1, operation: undefined, tableName: undefined, code: 'None', failed: false}
+  ], `results without transaction items must be correct`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// putVersionedItem, updateVersionedItem & isVersionConflict
+// ---------------------------------------------------------------------------------------------------------------------
+
+function conditionalCheckFailedError() {
+  const err = new Error('The conditional request failed');
+  err.code = 'ConditionalCheckFailedException';
+  err.statusCode = 400;
+  return err;
+}
+
+// Simulates a versioned table (with the given items by id) that evaluates ONLY the version part of each put or update's
+// condition (and fails any condition that references :fail)
+function mockVersionedDocClient(items, requests, versionAttribute) {
+  const v = versionAttribute || 'version';
+
+  function check(params) {
+    requests.push(params);
+    const id = params.Item ? params.Item.id : params.Key.id;
+    const current = items[id];
+    const values = params.ExpressionAttributeValues || {};
+    const condition = params.ConditionExpression;
+    const ok = condition.indexOf(`attribute_not_exists(#${v})`) !== -1 ? !current || current[v] === undefined :
+      !!current && current[v] === values[condition.match(new RegExp(`#${v} = (:\\w+)`))[1]];
+    if (!ok || values[':fail']) return {error: conditionalCheckFailedError()};
+    return undefined;
+  }
+
+  return mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {
+    get: params => ({result: {Item: items[params.Key.id]}}),
+    put: params => {
+      const failed = check(params);
+      if (failed) return failed;
+      items[params.Item.id] = params.Item;
+      return {result: {}};
+    },
+    update: params => {
+      const failed = check(params);
+      if (failed) return failed;
+      // Simulate ONLY the update of the version
+      const newVersion = params.ExpressionAttributeValues[Object.keys(params.ExpressionAttributeNames)
+        .filter(n => params.ExpressionAttributeNames[n] === v).map(n => `:${n.substring(1)}`)[0]];
+      items[params.Key.id] = Object.assign({}, items[params.Key.id], params.Key, {[v]: newVersion});
+      return {result: {Attributes: items[params.Key.id]}};
+    }
+  });
+}
+
+test('putVersionedItem of a new item', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const items = {};
+  const requests = [];
+  context.dynamoDBDocClient = mockVersionedDocClient(items, requests);
+
+  putVersionedItem('T', {id: 'A'}, {name: 'Alice'}, undefined, 'person (A)', context)
+    .then(res => {
+      t.deepEqual(res.Item, {name: 'Alice', id: 'A', version: 1}, `Item must be the item with version 1`);
+      t.equal(res.version, 1, `version must be 1`);
+      t.deepEqual(items.A, {name: 'Alice', id: 'A', version: 1}, `item must be put`);
+      t.equal(requests[0].ConditionExpression, 'attribute_not_exists(#version)', `ConditionExpression must be correct`);
+      t.deepEqual(requests[0].ExpressionAttributeNames, {'#version': 'version'}, `ExpressionAttributeNames must be correct`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('putVersionedItem of an existing item with an existing ConditionExpression', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const items = {A: {id: 'A', name: 'Alice', version: 1}};
+  const requests = [];
+  context.dynamoDBDocClient = mockVersionedDocClient(items, requests);
+
+  const opts = {
+    ConditionExpression: '#name <> :name',
+    ExpressionAttributeNames: {'#name': 'name'},
+    ExpressionAttributeValues: {':name': 'Bob'}
+  };
+  putVersionedItem('T', {id: 'A'}, {id: 'A', name: 'Alicia', version: 1}, opts, 'person (A)', context)
+    .then(res => {
+      t.equal(res.version, 2, `version must be 2`);
+      t.deepEqual(items.A, {id: 'A', name: 'Alicia', version: 2}, `item must be put with version 2`);
+      t.equal(requests[0].ConditionExpression, '(#name <> :name) AND (#version = :version)',
+        `ConditionExpression must be ANDed with the existing ConditionExpression`);
+      t.deepEqual(requests[0].ExpressionAttributeValues, {':name': 'Bob', ':version': 1},
+        `ExpressionAttributeValues must be correct`);
+      t.deepEqual(opts.ExpressionAttributeValues, {':name': 'Bob'}, `opts must NOT be changed`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('putVersionedItem with a version conflict', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const items = {A: {id: 'A', name: 'Alice', version: 3}};
+  context.dynamoDBDocClient = mockVersionedDocClient(items, []);
+
+  putVersionedItem('T', {id: 'A'}, {id: 'A', name: 'Alicia', version: 2}, undefined, 'person (A)', context)
+    .then(res => {
+      t.fail(`putVersionedItem must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(isVersionConflict(err), `isVersionConflict must be true - ${err}`);
+      t.equal(err.httpStatus, 409, `httpStatus must be 409`);
+      t.equal(err.expectedVersion, 2, `expectedVersion must be 2`);
+      t.equal(err.currentVersion, 3, `currentVersion must be 3`);
+      t.deepEqual(err.currentItem, {id: 'A', name: 'Alice', version: 3}, `currentItem must be the current item`);
+      t.deepEqual(err.key, {id: 'A'}, `key must be {id: 'A'}`);
+      t.deepEqual(items.A, {id: 'A', name: 'Alice', version: 3}, `item must NOT be changed`);
+      t.end();
+    });
+});
+
+test('putVersionedItem with a version conflict resolved by onConflict', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const items = {A: {id: 'A', name: 'Alice', age: 30, version: 3}};
+  const requests = [];
+  context.dynamoDBDocClient = mockVersionedDocClient(items, requests);
+
+  const conflicts = [];
+  const onConflict = (currentItem, item) => {
+    conflicts.push(currentItem);
+    return Promise.resolve(Object.assign({}, currentItem, {name: item.name}));
+  };
+  putVersionedItem('T', {id: 'A'}, {id: 'A', name: 'Alicia', version: 2}, {onConflict: onConflict}, 'person (A)', context)
+    .then(res => {
+      t.equal(conflicts.length, 1, `onConflict must be invoked once`);
+      t.equal(requests.length, 2, `put must be retried once`);
+      t.equal(res.version, 4, `version must be 4`);
+      t.deepEqual(items.A, {id: 'A', name: 'Alicia', age: 30, version: 4}, `merged item must be put`);
+      t.equal(requests[1].onConflict, undefined, `versioning options must NOT be passed on`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('updateVersionedItem with a custom version attribute', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const items = {A: {id: 'A', name: 'Alice', rev: 5}};
+  const requests = [];
+  context.dynamoDBDocClient = mockVersionedDocClient(items, requests, 'rev');
+
+  updateVersionedItem('T', {id: 'A'}, 5, x.set('name', 'Alicia'), {versionAttribute: 'rev'}, 'person (A)', context)
+    .then(res => {
+      t.equal(res.version, 6, `version must be 6`);
+      t.deepEqual(res.Item, {id: 'A', name: 'Alice', rev: 6}, `Item must be the returned attributes`);
+      t.equal(requests[0].UpdateExpression, 'SET #name = :name, #rev = :rev', `UpdateExpression must be correct`);
+      t.equal(requests[0].ConditionExpression, '#rev = :rev_1', `ConditionExpression must be correct`);
+      t.deepEqual(requests[0].ExpressionAttributeValues, {':name': 'Alicia', ':rev': 6, ':rev_1': 5},
+        `ExpressionAttributeValues must be correct`);
+      t.equal(requests[0].ReturnValues, 'ALL_NEW', `ReturnValues must default to ALL_NEW`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('updateVersionedItem with a version conflict that onConflict does NOT resolve', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const items = {A: {id: 'A', name: 'Alice', version: 2}};
+  const requests = [];
+  context.dynamoDBDocClient = mockVersionedDocClient(items, requests);
+
+  let attemptedActions = undefined;
+  const actions = [x.set('name', 'Alicia')];
+  const opts = {onConflict: (currentItem, actions) => { attemptedActions = actions; }};
+  updateVersionedItem('T', {id: 'A'}, 1, actions, opts, 'person (A)', context)
+    .then(res => {
+      t.fail(`updateVersionedItem must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(isVersionConflict(err), `isVersionConflict must be true - ${err}`);
+      t.equal(attemptedActions, actions, `onConflict must be invoked with the attempted actions`);
+      t.equal(requests.length, 1, `update must NOT be retried`);
+      t.end();
+    });
+});
+
+test('updateVersionedItem with a version conflict & no conflict retries', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.dynamoDBDocClient = mockVersionedDocClient({A: {id: 'A', version: 2}}, []);
+
+  let invoked = false;
+  const opts = {maxConflictRetries: 0, onConflict: () => { invoked = true; return []; }};
+  updateVersionedItem('T', {id: 'A'}, undefined, x.set('name', 'Alicia'), opts, 'person (A)', context)
+    .then(res => {
+      t.fail(`updateVersionedItem must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(isVersionConflict(err), `isVersionConflict must be true - ${err}`);
+      t.equal(err.expectedVersion, undefined, `expectedVersion must be undefined`);
+      t.notOk(invoked, `onConflict must NOT be invoked`);
+      t.end();
+    });
+});
+
+test('putVersionedItem with a failed condition that is NOT a version conflict', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.dynamoDBDocClient = mockVersionedDocClient({A: {id: 'A', version: 1}}, []);
+
+  const opts = {ConditionExpression: 'attribute_exists(:fail)', ExpressionAttributeValues: {':fail': true}};
+  putVersionedItem('T', {id: 'A'}, {id: 'A', version: 1}, opts, 'person (A)', context)
+    .then(res => {
+      t.fail(`putVersionedItem must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.notOk(isVersionConflict(err), `isVersionConflict must be false`);
+      t.ok(awsErrors.isConditionalCheckFailed(err), `isConditionalCheckFailed must be true`);
+      t.end();
+    });
+});
+
+test('putVersionedItem with an invalid version', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.dynamoDBDocClient = mockVersionedDocClient({}, []);
+
+  putVersionedItem('T', {id: 'A'}, {id: 'A', version: '1'}, undefined, 'person (A)', context)
+    .then(res => {
+      t.fail(`putVersionedItem must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(err instanceof TypeError, `putVersionedItem must reject with a TypeError - ${err}`);
+      t.end();
+    });
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Item size guard
+// ---------------------------------------------------------------------------------------------------------------------
+
+// An item of (2 + 1) + (4 + 3000) + (4 + 100) = 3111 bytes
+const largeItem = {id: 'A', data: 'x'.repeat(3000), note: 'y'.repeat(100)};
+
+test('putItem with maxItemSize', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {
+    put: params => {
+      requests.push(params);
+      return {result: {}};
+    }
+  });
+
+  putItem('T', largeItem, {maxItemSize: 3000}, 'item (A)', context)
+    .then(res => {
+      t.fail(`putItem must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(isItemSizeLimitExceeded(err), `putItem must reject with an ItemSizeLimitExceeded error - ${err}`);
+      t.equal(err.httpStatus, 400, `error httpStatus must be 400`);
+      t.equal(err.message, 'Item size (3111 bytes) of item (A) for T exceeds the maximum item size (3000 bytes) - ' +
+        'largest attributes: data (3004 bytes), note (104 bytes), id (3 bytes)', `error message must be correct`);
+      t.equal(err.itemSize, 3111, `error itemSize must be 3111`);
+      t.equal(err.maxItemSize, 3000, `error maxItemSize must be 3000`);
+      t.deepEqual(err.largestAttributes[0], {name: 'data', size: 3004}, `largest attribute must be data`);
+      t.equal(requests.length, 0, `must NOT send any request`);
+
+      return putItem('T', largeItem, {maxItemSize: 3111, ReturnValues: 'NONE'}, 'item (A)', context);
+    })
+    .then(() => {
+      t.equal(requests.length, 1, `must send 1 request`);
+      t.deepEqual(requests[0], {TableName: 'T', Item: largeItem, ReturnValues: 'NONE'},
+        `params must NOT include maxItemSize`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('batchWriteItems with maxItemSize', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const params = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-doc-client-utils.test', 1, {
+    batchWrite: p => {
+      params.push(p);
+      return {result: {}};
+    }
+  });
+  const requests = [
+    {PutRequest: {Item: {id: 'B'}}},
+    {PutRequest: {Item: largeItem}},
+    {DeleteRequest: {Key: {id: 'C'}}}
+  ];
+
+  batchWriteItems('T', requests, {maxItemSize: 1024}, 'items', context)
+    .then(res => {
+      t.equal(params.length, 1, `must send 1 request`);
+      t.deepEqual(params[0], {RequestItems: {T: [requests[0], requests[2]]}}, `must ONLY send the small enough requests`);
+      t.equal(res.failures.length, 1, `must have 1 failure`);
+      t.equal(res.failures[0].item, requests[1], `failure must be of the large item`);
+      t.ok(isItemSizeLimitExceeded(res.failures[0].error), `failure must have an ItemSizeLimitExceeded error`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('transactWriteItems with maxItemSize', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockTransactDocClient(requests, {transactWrite: {result: {}}});
+  const transactItems = transactWrites.concat({Put: {TableName: 'Orders', Item: largeItem}});
+
+  transactWriteItems(transactItems, {maxItemSize: 1024}, 'order (O1)', context)
+    .then(res => {
+      t.fail(`transactWriteItems must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(isItemSizeLimitExceeded(err), `transactWriteItems must reject with an ItemSizeLimitExceeded error - ${err}`);
+      t.ok(err.message.startsWith('Item size (3111 bytes) of order (O1) item [4] exceeds'), `error message must name the item`);
+      t.equal(requests.length, 0, `must NOT send any request`);
+
+      return transactWriteItems(transactWrites, {maxItemSize: 1024}, 'order (O1)', context);
+    })
+    .then(() => {
+      t.deepEqual(requests[0].params, {TransactItems: transactWrites}, `params must NOT include maxItemSize`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('putVersionedItem with maxItemSize', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const items = {};
+  const requests = [];
+  context.dynamoDBDocClient = mockVersionedDocClient(items, requests);
+
+  // The new version attribute adds 7 + 2 bytes
+  putVersionedItem('T', {id: 'A'}, largeItem, {maxItemSize: 3119}, 'item (A)', context)
+    .then(res => {
+      t.fail(`putVersionedItem must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(isItemSizeLimitExceeded(err), `putVersionedItem must reject with an ItemSizeLimitExceeded error - ${err}`);
+      t.equal(err.itemSize, 3120, `error itemSize must include the version`);
+      t.equal(requests.length, 0, `must NOT send any request`);
+
+      return putVersionedItem('T', {id: 'A'}, largeItem, {maxItemSize: 3120}, 'item (A)', context);
+    })
+    .then(res => {
+      t.equal(res.version, 1, `version must be 1`);
+      t.equal(requests[0].maxItemSize, undefined, `params must NOT include maxItemSize`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
 // ---------------------------------------------------------------------------------------------------------------------
 // updateProjectionExpression
 // ---------------------------------------------------------------------------------------------------------------------
@@ -0,0 +1,316 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/dynamodb-entities.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const AWS = require('aws-sdk');
+
+const dynamoDBMocking = require('aws-core-test-utils/dynamodb-mocking');
+const mockDynamoDBDocClient = dynamoDBMocking.mockDynamoDBDocClient;
+
+// The test subject
+const dynamoDBEntities = require('../dynamodb-entities');
+const defineEntity = dynamoDBEntities.defineEntity;
+
+const contexts = require('../contexts');
+const dynamoDBUtils = require('../dynamodb-utils');
+
+const Order = defineEntity({
+  name: 'Order',
+  tableName: 'TEST_Shop_DEV',
+  keys: {
+    partitionKey: {name: 'PK', template: 'CUSTOMER#{customerId}'},
+    sortKey: {name: 'SK', template: 'ORDER#{orderDate}#{orderId}'}
+  },
+  indexes: {
+    GSI1: {
+      partitionKey: {name: 'GSI1PK', template: 'STATUS#{status}'},
+      sortKey: {name: 'GSI1SK', template: '{orderDate}'}
+    }
+  },
+  attributes: {
+    orderDate: {type: 'date'},
+    total: {name: 'amt', type: 'number'},
+    paid: 'boolean',
+    shippedAt: {type: 'epochMillis'},
+    notes: {name: 'n'}
+  }
+});
+
+const orderDate = new Date('2017-03-13T21:33:45.123Z');
+
+const order = {
+  customerId: 'C1',
+  orderId: 'O1',
+  orderDate: orderDate,
+  status: 'NEW',
+  total: 12.5,
+  paid: false,
+  notes: '',
+  lines: [{sku: 'S1', qty: 2}],
+  cancelledAt: undefined
+};
+
+const orderItem = {
+  customerId: 'C1',
+  orderId: 'O1',
+  orderDate: '2017-03-13T21:33:45.123Z',
+  status: 'NEW',
+  amt: 12.5,
+  paid: false,
+  n: '',
+  lines: [{sku: 'S1', qty: 2}],
+  PK: 'CUSTOMER#C1',
+  SK: 'ORDER#2017-03-13T21:33:45.123Z#O1',
+  GSI1PK: 'STATUS#NEW',
+  GSI1SK: '2017-03-13T21:33:45.123Z',
+  entityType: 'Order'
+};
+
+// ---------------------------------------------------------------------------------------------------------------------
+// defineEntity
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('defineEntity with invalid definitions', t => {
+  t.throws(() => defineEntity(undefined), /missing name/, `undefined definition must throw`);
+  t.throws(() => defineEntity({name: 'A'}), /Invalid A entity definition - missing tableName/, `missing tableName must throw`);
+  t.throws(() => defineEntity({name: 'A', tableName: ' '}), /missing tableName/, `blank tableName must throw`);
+  t.throws(() => defineEntity({name: 'A', tableName: 'T'}), /Invalid primary key of A - missing partitionKey/,
+    `missing keys must throw`);
+  t.throws(() => defineEntity({name: 'A', tableName: 'T', keys: {partitionKey: {name: 'PK'}}}),
+    /must have a name & template/, `missing template must throw`);
+  t.throws(() => defineEntity({name: 'A', tableName: 'T', keys: {partitionKey: {name: 'PK', template: 'A#{}'}}}),
+    /empty placeholder/, `empty placeholder must throw`);
+  t.throws(() => defineEntity({name: 'A', tableName: 'T', keys: {partitionKey: {name: 'PK', template: 'A'}},
+    attributes: {b: 'uuid'}}), /Invalid type \(uuid\) of A\.b/, `unknown type must throw`);
+  t.throws(() => defineEntity({name: 'A', tableName: 'T', keys: {partitionKey: {name: 'PK', template: 'A'}},
+    indexes: {GSI1: {}}}), /Invalid index \(GSI1\) of A - missing partitionKey/, `invalid index must throw`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// toKey, toItem, fromItem & isEntityItem
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('toKey', t => {
+  t.deepEqual(Order.toKey({customerId: 'C1', orderId: 'O1', orderDate: orderDate}),
+    {PK: 'CUSTOMER#C1', SK: 'ORDER#2017-03-13T21:33:45.123Z#O1'}, `key must be rendered with coerced values`);
+  t.throws(() => Order.toKey({customerId: 'C1', orderDate: orderDate}),
+    /Cannot render Order key attribute \(SK\) from template \(ORDER#\{orderDate}#\{orderId}\) - missing orderId/,
+    `missing key property must throw`);
+  t.end();
+});
+
+test('toItem', t => {
+  const item = Order.toItem(order);
+  t.deepEqual(item, orderItem, `item must be renamed, coerced, keyed, typed & storable`);
+  t.equal(order.orderDate, orderDate, `entity must NOT be changed`);
+
+  const unindexed = Order.toItem({customerId: 'C1', orderId: 'O2', orderDate: orderDate, shippedAt: orderDate});
+  t.equal(unindexed.GSI1PK, undefined, `GSI1PK must be absent without a status (i.e. sparse index)`);
+  t.equal(unindexed.shippedAt, orderDate.getTime(), `shippedAt must be stored as epoch milliseconds`);
+
+  t.throws(() => Order.toItem({customerId: 'C1', orderId: 'O3', orderDate: orderDate, total: 'abc'}),
+    /Cannot convert Order\.total \(abc\) - not a number/, `invalid number must throw`);
+
+  const big = dynamoDBUtils.createNumberValue('12345678901234567890.12');
+  const bigItem = Order.toItem({customerId: 'C1', orderId: 'O4', orderDate: orderDate, big: big});
+  t.deepEqual(AWS.DynamoDB.Converter.marshall(bigItem).big, {N: '12345678901234567890.12'},
+    `number value must be marshalled exactly`);
+  t.end();
+});
+
+test('fromItem & isEntityItem', t => {
+  const entity = Order.fromItem(Object.assign({}, orderItem, {amt: '12.5', paid: 'true', shippedAt: 1489440825123}));
+  t.deepEqual(entity, {
+    customerId: 'C1',
+    orderId: 'O1',
+    orderDate: orderDate,
+    status: 'NEW',
+    total: 12.5,
+    paid: true,
+    notes: '',
+    lines: [{sku: 'S1', qty: 2}],
+    shippedAt: orderDate
+  }, `entity must be renamed & coerced without keys & type`);
+  t.ok(entity.orderDate instanceof Date, `orderDate must be a Date`);
+
+  t.equal(Order.fromItem(undefined), undefined, `undefined item must map to undefined`);
+  t.ok(Order.isEntityItem(orderItem), `isEntityItem(orderItem) must be true`);
+  t.notOk(Order.isEntityItem({entityType: 'Customer'}), `isEntityItem of another entity type must be false`);
+  t.notOk(Order.isEntityItem(undefined), `isEntityItem(undefined) must be false`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// toGetParams, toPutParams & toQueryParams
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('toGetParams & toPutParams', t => {
+  t.deepEqual(Order.toGetParams(order), {TableName: 'TEST_Shop_DEV', Key: {PK: 'CUSTOMER#C1',
+    SK: 'ORDER#2017-03-13T21:33:45.123Z#O1'}}, `get params must be correct`);
+  t.deepEqual(Order.toPutParams(order), {TableName: 'TEST_Shop_DEV', Item: orderItem}, `put params must be correct`);
+  t.end();
+});
+
+test('toQueryParams', t => {
+  t.deepEqual(Order.toQueryParams({customerId: 'C1'}), {
+    TableName: 'TEST_Shop_DEV',
+    KeyConditionExpression: '#PK = :PK AND begins_with(#SK, :SK)',
+    FilterExpression: '#entityType = :entityType',
+    ExpressionAttributeNames: {'#PK': 'PK', '#SK': 'SK', '#entityType': 'entityType'},
+    ExpressionAttributeValues: {':PK': 'CUSTOMER#C1', ':SK': 'ORDER#', ':entityType': 'Order'}
+  }, `query params without sort key values must use begins_with the sort key's literal prefix`);
+
+  t.equal(Order.toQueryParams({customerId: 'C1', orderDate: orderDate}).KeyConditionExpression,
+    '#PK = :PK AND begins_with(#SK, :SK)', `query with a partial sort key must use begins_with`);
+  t.equal(Order.toQueryParams({customerId: 'C1', orderDate: orderDate}).ExpressionAttributeValues[':SK'],
+    'ORDER#2017-03-13T21:33:45.123Z#', `begins_with value must be the sort key prefix`);
+  t.equal(Order.toQueryParams(order).KeyConditionExpression, '#PK = :PK AND #SK = :SK',
+    `query with a complete sort key must use equality`);
+
+  const opts = {
+    FilterExpression: '#amt > :amt',
+    ExpressionAttributeNames: {'#amt': 'amt'},
+    ExpressionAttributeValues: {':amt': 10},
+    Limit: 5
+  };
+  const params = Order.toQueryParams({status: 'NEW'}, 'GSI1', opts);
+  t.deepEqual(params, {
+    TableName: 'TEST_Shop_DEV',
+    IndexName: 'GSI1',
+    KeyConditionExpression: '#GSI1PK = :GSI1PK',
+    FilterExpression: '(#amt > :amt) AND (#entityType = :entityType)',
+    ExpressionAttributeNames: {'#amt': 'amt', '#GSI1PK': 'GSI1PK', '#entityType': 'entityType'},
+    ExpressionAttributeValues: {':amt': 10, ':GSI1PK': 'STATUS#NEW', ':entityType': 'Order'},
+    Limit: 5
+  }, `index query params with options must be correct`);
+  t.deepEqual(opts.ExpressionAttributeNames, {'#amt': 'amt'}, `opts must NOT be changed`);
+
+  t.throws(() => Order.toQueryParams({status: 'NEW'}, 'GSI2'), /Unknown index \(GSI2\) of Order/, `unknown index must throw`);
+  t.throws(() => Order.toQueryParams({}), /missing customerId/, `missing partition key value must throw`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// get, put & query
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('get, put & query with simulated DynamoDB.DocumentClient', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = {get: [], put: [], query: []};
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-entities.test', 1, {
+    get: params => {
+      requests.get.push(params);
+      return {result: {Item: orderItem}};
+    },
+    put: params => {
+      requests.put.push(params);
+      return {result: {}};
+    },
+    query: params => {
+      requests.query.push(params);
+      return {result: {Items: [orderItem]}};
+    }
+  });
+
+  Order.put(order, undefined, 'order (O1)', context)
+    .then(entity => {
+      t.deepEqual(requests.put[0], {TableName: 'TEST_Shop_DEV', Item: orderItem}, `put params must be correct`);
+      t.equal(entity.total, 12.5, `put must resolve with the entity as stored`);
+      return Order.get({customerId: 'C1', orderId: 'O1', orderDate: orderDate}, {ConsistentRead: true}, 'order (O1)', context);
+    })
+    .then(entity => {
+      t.deepEqual(requests.get[0].Key, {PK: 'CUSTOMER#C1', SK: 'ORDER#2017-03-13T21:33:45.123Z#O1'}, `get Key must be correct`);
+      t.equal(requests.get[0].ConsistentRead, true, `get must use the given opts`);
+      t.ok(entity.orderDate instanceof Date, `get must resolve with the entity`);
+      return Order.query({status: 'NEW'}, {index: 'GSI1', maxItems: 10}, 'new orders', context);
+    })
+    .then(result => {
+      t.equal(requests.query[0].IndexName, 'GSI1', `query IndexName must be GSI1`);
+      t.equal(requests.query[0].KeyConditionExpression, '#GSI1PK = :GSI1PK', `query KeyConditionExpression must be correct`);
+      t.equal(requests.query[0].Limit, 10, `query Limit must be derived from maxItems`);
+      t.equal(requests.query[0].index, undefined, `index option must NOT be passed on`);
+      t.equal(result.Items.length, 1, `query must resolve with 1 item`);
+      t.equal(result.Items[0].total, 12.5, `query items must be mapped into entities`);
+      const opts = {FilterExpression: '#total > :total', ExpressionAttributeNames: {'#total': 'total'},
+        ExpressionAttributeValues: {':total': 10}};
+      return Order.query({customerId: 'C1'}, opts, 'orders over 10', context);
+    })
+    .then(() => {
+      t.equal(requests.query[1].FilterExpression, '(#total > :total) AND (#entityType = :entityType)',
+        `query FilterExpression must AND the given filter with the entity type filter`);
+      t.deepEqual(requests.query[1].ExpressionAttributeNames, {'#total': 'total', '#PK': 'PK', '#SK': 'SK',
+        '#entityType': 'entityType'}, `query ExpressionAttributeNames must be merged`);
+      t.deepEqual(requests.query[1].ExpressionAttributeValues, {':total': 10, ':PK': 'CUSTOMER#C1', ':SK': 'ORDER#',
+        ':entityType': 'Order'}, `query ExpressionAttributeValues must be merged`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('get of an item of another entity type', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-entities.test', 1,
+    {get: {result: {Item: {PK: 'CUSTOMER#C1', SK: 'ORDER#2017-03-13T21:33:45.123Z#O1', entityType: 'Refund'}}}});
+
+  Order.get({customerId: 'C1', orderDate: orderDate, orderId: 'O1'}, undefined, 'order (O1)', context)
+    .then(entity => {
+      t.equal(entity, undefined, `get must resolve with undefined`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('get with an invalid key property value', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-entities.test', 1, {get: {result: {}}});
+
+  Order.get({customerId: 'C1', orderDate: 'X', orderId: 'O1'}, undefined, 'order (O1)', context)
+    .then(
+      entity => {
+        t.fail(`get must NOT resolve with ${JSON.stringify(entity)}`);
+        t.end();
+      },
+      err => {
+        t.ok(err instanceof TypeError, `get must reject with a TypeError - ${err}`);
+        t.end();
+      }
+    );
+});
+
+test('put of a versioned entity', t => {
+  const Customer = defineEntity({
+    name: 'Customer',
+    tableName: 'TEST_Shop_DEV',
+    versionAttribute: 'version',
+    keys: {
+      partitionKey: {name: 'PK', template: 'CUSTOMER#{customerId}'},
+      sortKey: {name: 'SK', template: 'PROFILE'}
+    }
+  });
+
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'dynamodb-entities.test', 1, {
+    put: params => {
+      requests.push(params);
+      return {result: {}};
+    }
+  });
+
+  Customer.put({customerId: 'C1', name: 'Alice', version: 2}, undefined, 'customer (C1)', context)
+    .then(entity => {
+      t.deepEqual(entity, {customerId: 'C1', name: 'Alice', version: 3}, `put must resolve with the new version`);
+      t.equal(requests[0].ConditionExpression, '#version = :version', `put must be conditional on the version`);
+      t.deepEqual(requests[0].ExpressionAttributeValues, {':version': 2}, `expected version must be 2`);
+      t.equal(requests[0].Item.SK, 'PROFILE', `put Item must have the literal sort key`);
+      t.equal(requests[0].Item.version, 3, `put Item must have version 3`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
\ No newline at end of file
@@ -0,0 +1,200 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/dynamodb-expressions.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const x = require('../dynamodb-expressions');
+const createExpressionBuilder = x.createExpressionBuilder;
+const buildExpressions = x.buildExpressions;
+
+const dynamoDBUtils = require('../dynamodb-utils');
+const dynamoDBDocClientUtils = require('../dynamodb-doc-client-utils');
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Conditions
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('comparison conditions', t => {
+  const builder = createExpressionBuilder();
+  t.equal(builder.condition(x.eq('status', 'PENDING')), '#status = :status', `eq must be correct`);
+  t.equal(builder.condition(x.ne('status', 'DONE')), '#status <> :status_1', `ne must be correct`);
+  t.equal(builder.condition(x.lt('count', 1)), '#count < :count', `lt must be correct`);
+  t.equal(builder.condition(x.le('count', 2)), '#count <= :count_1', `le must be correct`);
+  t.equal(builder.condition(x.gt('a.b[1].c', 3)), '#a.#b[1].#c > :c', `gt with a nested path must be correct`);
+  t.equal(builder.condition(x.ge(x.size('tags'), 4)), 'size(#tags) >= :tags', `ge with size must be correct`);
+  t.equal(builder.condition(x.eq('from', x.path('to'))), '#from = #to', `eq with a path operand must be correct`);
+
+  t.deepEqual(builder.names, {'#status': 'status', '#count': 'count', '#a': 'a', '#b': 'b', '#c': 'c', '#tags': 'tags',
+    '#from': 'from', '#to': 'to'}, `names must be correct`);
+  t.deepEqual(builder.values, {':status': 'PENDING', ':status_1': 'DONE', ':count': 1, ':count_1': 2, ':c': 3,
+    ':tags': 4}, `values must be correct`);
+  t.end();
+});
+
+test('function & range conditions', t => {
+  const builder = createExpressionBuilder();
+  t.equal(builder.condition(x.between('age', 18, 65)), '#age BETWEEN :age AND :age_1', `between must be correct`);
+  t.equal(builder.condition(x.isIn('status', ['A', 'B', 'C'])), '#status IN (:status, :status_1, :status_2)',
+    `isIn must be correct`);
+  t.equal(builder.condition(x.beginsWith('sk', 'ORDER#')), 'begins_with(#sk, :sk)', `beginsWith must be correct`);
+  t.equal(builder.condition(x.contains('tags', 'red')), 'contains(#tags, :tags)', `contains must be correct`);
+  t.equal(builder.condition(x.attributeExists('id')), 'attribute_exists(#id)', `attributeExists must be correct`);
+  t.equal(builder.condition(x.attributeNotExists('id')), 'attribute_not_exists(#id)', `attributeNotExists must be correct`);
+  t.equal(builder.condition(x.attributeType('data', 'M')), 'attribute_type(#data, :type)', `attributeType must be correct`);
+  t.deepEqual(builder.values[':type'], 'M', `attributeType value must be M`);
+
+  t.throws(() => x.isIn('status', []), /non-empty array/, `isIn with no candidates must throw`);
+  t.throws(() => builder.condition({}), /Invalid condition/, `invalid condition must throw`);
+  t.throws(() => x.eq('a..b', 1), /Invalid attribute path \(a\.\.b\)/, `invalid path must throw`);
+  t.end();
+});
+
+test('logical conditions', t => {
+  const builder = createExpressionBuilder();
+  const condition = x.and(
+    x.attributeExists('id'),
+    x.or(x.eq('status', 'A'), x.not(x.eq('status', 'B'))),
+    x.not(x.and(x.gt('n', 1), x.lt('n', 9))),
+    undefined
+  );
+  t.equal(builder.condition(condition),
+    'attribute_exists(#id) AND (#status = :status OR NOT #status = :status_1) AND NOT (#n > :n AND #n < :n_1)',
+    `logical conditions must be correctly parenthesized`);
+  t.equal(builder.condition(x.or(x.attributeExists('id'))), 'attribute_exists(#id)', `single condition must be unwrapped`);
+
+  t.throws(() => x.and(), /Invalid AND conditions/, `empty and must throw`);
+  t.throws(() => x.or('a'), /Invalid OR conditions/, `or with a non-condition must throw`);
+  t.throws(() => x.not(undefined), /Invalid NOT condition/, `not without a condition must throw`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Update actions
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('update actions', t => {
+  const builder = createExpressionBuilder();
+  const tags = dynamoDBUtils.createSet(['a']);
+  const expression = builder.update([
+    x.add('count', 1),
+    x.set('status', 'DONE'),
+    x.remove('obsolete'),
+    x.set('createdAt', x.ifNotExists('createdAt', 123)),
+    x.deleteFromSet('tags', tags),
+    x.set('history', x.listAppend('history', ['DONE'])),
+    x.set('total', x.plus('total', 5)),
+    x.set('stock', x.minus('stock', x.path('reserved'))),
+    x.remove('items[2]')
+  ]);
+  t.equal(expression,
+    'SET #status = :status, #createdAt = if_not_exists(#createdAt, :createdAt), #history = list_append(#history, :history), ' +
+    '#total = #total + :total, #stock = #stock - #reserved REMOVE #obsolete, #items[2] ADD #count :count DELETE #tags :tags',
+    `update expression must be correct`);
+  t.deepEqual(builder.values, {':count': 1, ':status': 'DONE', ':createdAt': 123, ':tags': tags, ':history': ['DONE'],
+    ':total': 5}, `values must be correct`);
+
+  t.equal(createExpressionBuilder().update(x.set('a', 1)), 'SET #a = :a', `single action must be correct`);
+  t.throws(() => builder.update([{clause: 'UPSERT'}]), /Invalid update action/, `invalid action must throw`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// Placeholders
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('placeholders must NOT collide with existing placeholders', t => {
+  const params = {
+    ConditionExpression: '#status = :status',
+    ExpressionAttributeNames: {'#status': 'status', '#name': 'other'},
+    ExpressionAttributeValues: {':status': 'OLD', ':name': 'x'}
+  };
+  const builder = createExpressionBuilder(params);
+  t.equal(builder.condition(x.and(x.eq('status', 'NEW'), x.eq('name', 'N'), x.eq('my-attr', 1))),
+    '#status = :status_1 AND #name_1 = :name_1 AND #my_attr = :my_attr', `placeholders must be collision-free`);
+  t.deepEqual(builder.names, {'#name_1': 'name', '#my_attr': 'my-attr'}, `names must ONLY have new placeholders`);
+  t.deepEqual(builder.values, {':status_1': 'NEW', ':name_1': 'N', ':my_attr': 1}, `values must ONLY have new placeholders`);
+
+  t.equal(builder.name('my_attr'), '#my_attr_1', `sanitized placeholder must NOT collide with another attribute name`);
+  t.end();
+});
+
+test('createExpressionBuilder with marshall option', t => {
+  const builder = createExpressionBuilder(undefined, {marshall: true});
+  t.equal(builder.condition(x.eq('n', 1)), '#n = :n', `condition must be correct`);
+  t.deepEqual(builder.values, {':n': {N: '1'}}, `values must be marshalled`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// buildExpressions
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('buildExpressions with new params', t => {
+  const params = buildExpressions({TableName: 'T', Key: {id: 'ID1'}}, {
+    update: [x.set('status', 'DONE'), x.add('version', 1)],
+    condition: x.and(x.attributeExists('id'), x.eq('status', 'PENDING'))
+  });
+  t.deepEqual(params, {
+    TableName: 'T',
+    Key: {id: 'ID1'},
+    UpdateExpression: 'SET #status = :status ADD #version :version',
+    ConditionExpression: 'attribute_exists(#id) AND #status = :status_1',
+    ExpressionAttributeNames: {'#status': 'status', '#version': 'version', '#id': 'id'},
+    ExpressionAttributeValues: {':status': 'DONE', ':version': 1, ':status_1': 'PENDING'}
+  }, `params must be correct`);
+
+  t.deepEqual(buildExpressions(undefined, {keyCondition: x.eq('pk', 'P1')}), {
+    KeyConditionExpression: '#pk = :pk',
+    ExpressionAttributeNames: {'#pk': 'pk'},
+    ExpressionAttributeValues: {':pk': 'P1'}
+  }, `params without existing params must be correct`);
+  t.end();
+});
+
+test('buildExpressions merged into existing params', t => {
+  const params = {
+    KeyConditionExpression: '#pk = :pk',
+    FilterExpression: '#status = :status',
+    ProjectionExpression: '#pk',
+    ExpressionAttributeNames: {'#pk': 'pk', '#status': 'status'},
+    ExpressionAttributeValues: {':pk': 'P1', ':status': 'A'}
+  };
+  const result = buildExpressions(params, {
+    filter: x.or(x.eq('status', 'B'), x.gt('count', 1)),
+    projection: ['status', 'a.b']
+  });
+  t.equal(result, params, `result must be the given params`);
+  t.deepEqual(params, {
+    KeyConditionExpression: '#pk = :pk',
+    FilterExpression: '(#status = :status) AND (#status = :status_1 OR #count > :count)',
+    ProjectionExpression: '#pk,#status,#a.#b',
+    ExpressionAttributeNames: {'#pk': 'pk', '#status': 'status', '#count': 'count', '#a': 'a', '#b': 'b'},
+    ExpressionAttributeValues: {':pk': 'P1', ':status': 'A', ':status_1': 'B', ':count': 1}
+  }, `params must be correctly merged`);
+
+  t.throws(() => buildExpressions(params, {keyCondition: x.eq('pk', 'P2'), filter: x.eq('x', 1)}),
+    /Cannot replace existing KeyConditionExpression/, `replacing a KeyConditionExpression must throw`);
+  t.throws(() => buildExpressions({UpdateExpression: 'SET #a = :a'}, {update: x.remove('b')}),
+    /Cannot replace existing UpdateExpression/, `replacing an UpdateExpression must throw`);
+  t.equal(params.FilterExpression, '(#status = :status) AND (#status = :status_1 OR #count > :count)',
+    `failed build must NOT change params`);
+  t.end();
+});
+
+test('request parameter/option updaters', t => {
+  ['updateProjectionExpression', 'updateExpressionAttributeNames', 'updateExpressionAttributeValues'].forEach(name => {
+    t.equal(dynamoDBDocClientUtils[name], x[name], `dynamodb-doc-client-utils must re-export ${name}`);
+  });
+
+  const params = x.updateProjectionExpression({ProjectionExpression: '#a'}, ['#b', '#a']);
+  x.updateExpressionAttributeNames(params, {'#a': 'a', '#b': 'b'});
+  x.updateExpressionAttributeValues(params, {':c': 1});
+  t.deepEqual(params, {ProjectionExpression: '#a,#b', ExpressionAttributeNames: {'#a': 'a', '#b': 'b'},
+    ExpressionAttributeValues: {':c': 1}}, `params must be updated`);
+  t.end();
+});
\ No newline at end of file
@@ -7,15 +7,32 @@
 
 const test = require('tape');
 
+const AWS = require('aws-sdk');
+
 // The test subject
 const dynamoDBUtils = require('../dynamodb-utils');
 const toObjectFromDynamoDBMap = dynamoDBUtils.toObjectFromDynamoDBMap;
 const toValueFromAttributeValue = dynamoDBUtils.toValueFromAttributeValue;
 const toValueFromAttributeTypeAndValue = dynamoDBUtils.toValueFromAttributeTypeAndValue;
+const toDynamoDBMap = dynamoDBUtils.toDynamoDBMap;
+const toAttributeValue = dynamoDBUtils.toAttributeValue;
+const createSet = dynamoDBUtils.createSet;
+const createNumberValue = dynamoDBUtils.createNumberValue;
+const toNumberFromNumberString = dynamoDBUtils.toNumberFromNumberString;
 const toKeyValueStrings = dynamoDBUtils.toKeyValueStrings;
 const toKeyValuePairs = dynamoDBUtils.toKeyValuePairs;
 const toStorableObject = dynamoDBUtils.toStorableObject;
+const toStorableItem = dynamoDBUtils.toStorableItem;
+const calculateItemSize = dynamoDBUtils.calculateItemSize;
+const calculateAttributeSizes = dynamoDBUtils.calculateAttributeSizes;
+const calculateAttributeValueSize = dynamoDBUtils.calculateAttributeValueSize;
+const estimateReadCapacityUnits = dynamoDBUtils.estimateReadCapacityUnits;
+const estimateWriteCapacityUnits = dynamoDBUtils.estimateWriteCapacityUnits;
+const MAX_ITEM_SIZE = dynamoDBUtils.MAX_ITEM_SIZE;
 const simplifyKeysNewImageAndOldImage = dynamoDBUtils.simplifyKeysNewImageAndOldImage;
+const isStreamRecordDiffable = dynamoDBUtils.isStreamRecordDiffable;
+const getStreamRecordChanges = dynamoDBUtils.getStreamRecordChanges;
+const hasAnyAttributeChanged = dynamoDBUtils.hasAnyAttributeChanged;
 const defaults = dynamoDBUtils.defaults;
 
 const strings = require('core-functions/strings');
@@ -130,6 +147,243 @@ test('toObjectFromDynamoDBMap', t => {
   t.end();
 });
 
+test('toNumberFromNumberString with each number strategy', t => {
+  const big = '12345678901234567890';
+  const decimal = '1234567890.123456789012';
+
+  t.equal(toNumberFromNumberString('123'), 123, `default '123' must be 123`);
+  t.equal(toNumberFromNumberString(big), big, `default big integer must be an integer-like string`);
+  t.equal(toNumberFromNumberString(decimal), 1234567890.1234567, `default big decimal must lose precision`);
+
+  const number = {numberStrategy: 'number'};
+  t.equal(toNumberFromNumberString('123', number), 123, `number '123' must be 123`);
+  t.equal(toNumberFromNumberString(big, number), 12345678901234567000, `number big integer must be a number`);
+
+  const string = {numberStrategy: 'string'};
+  t.equal(toNumberFromNumberString('123', string), '123', `string '123' must be '123'`);
+  t.equal(toNumberFromNumberString(decimal, string), decimal, `string big decimal must be exact`);
+
+  const numberValue = {numberStrategy: 'numberValue'};
+  t.deepEqual(toNumberFromNumberString(decimal, numberValue), createNumberValue(decimal), `numberValue must be exact`);
+
+  if (typeof BigInt === 'function') {
+    const bigint = {numberStrategy: 'bigint'};
+    t.equal(toNumberFromNumberString(big, bigint), BigInt(big), `bigint big integer must be a BigInt`);
+    t.equal(toNumberFromNumberString('-7', bigint), BigInt(-7), `bigint '-7' must be a BigInt`);
+    t.throws(() => toNumberFromNumberString('1.5', bigint), /non-integer DynamoDB number \(1\.5\)/, `bigint '1.5' must throw`);
+  }
+
+  const wrapper = {numberStrategy: s => ({decimal: s})};
+  t.deepEqual(toNumberFromNumberString(decimal, wrapper), {decimal: decimal}, `custom wrapper must be used`);
+
+  t.throws(() => toNumberFromNumberString('1', {numberStrategy: 'bad'}), /Unexpected number strategy \(bad\)/,
+    `bad strategy must throw`);
+  t.end();
+});
+
+test('unmarshalling functions with number strategies', t => {
+  const big = '12345678901234567890.12';
+  const map = {id: {S: 'ID1'}, amount: {N: big}, amounts: {NS: ['1', big]}, nested: {M: {l: {L: [{N: big}]}}}};
+  const opts = {numberStrategy: 'string'};
+
+  t.equal(toValueFromAttributeTypeAndValue('N', big, opts), big, `toValueFromAttributeTypeAndValue N must be exact`);
+  t.equal(toValueFromAttributeValue({N: big}, opts), big, `toValueFromAttributeValue N must be exact`);
+  t.deepEqual(toObjectFromDynamoDBMap(map, opts), {id: 'ID1', amount: big, amounts: ['1', big], nested: {l: [big]}},
+    `toObjectFromDynamoDBMap must be exact`);
+  t.deepEqual(toKeyValuePairs(map, opts)[1], ['amount', big], `toKeyValuePairs must be exact`);
+  t.deepEqual(toKeyValueStrings(map, opts).slice(0, 2), ['id:ID1', `amount:${big}`], `toKeyValueStrings must be exact`);
+
+  const numberValues = toKeyValueStrings(map, {numberStrategy: 'numberValue'});
+  t.deepEqual(numberValues, ['id:ID1', `amount:${big}`, `amounts:["1", "${big}"]`, `nested:{"l":["${big}"]}`],
+    `toKeyValueStrings with number values must be exact`);
+
+  if (typeof BigInt === 'function') {
+    const bigints = toKeyValueStrings({n: {N: '12345678901234567890'}, l: {L: [{N: '1'}]}}, {numberStrategy: 'bigint'});
+    t.deepEqual(bigints, ['n:12345678901234567890', 'l:["1"]'], `toKeyValueStrings with BigInts must be exact`);
+  }
+
+  const dynamodb = {Keys: {id: {S: 'ID1'}}, NewImage: {id: {S: 'ID1'}, amount: {N: big}}};
+  simplifyKeysNewImageAndOldImage(dynamodb, opts);
+  t.deepEqual(dynamodb.newImage, {id: 'ID1', amount: big}, `simplified newImage must be exact`);
+
+  const record = {
+    eventID: 'E001', eventName: 'MODIFY',
+    dynamodb: {
+      Keys: {id: {N: '12345678901234567891'}}, StreamViewType: 'NEW_AND_OLD_IMAGES',
+      OldImage: {id: {N: '12345678901234567891'}, amount: {N: '12345678901234567890.10'}},
+      NewImage: {id: {N: '12345678901234567891'}, amount: {N: '12345678901234567890.11'}}
+    }
+  };
+  const changes = getStreamRecordChanges(record, opts);
+  t.deepEqual(changes.keys, {id: '12345678901234567891'}, `changes.keys must be exact`);
+  t.deepEqual(changes.modified, [{path: 'amount', oldValue: '12345678901234567890.10', newValue: '12345678901234567890.11'}],
+    `changes.modified must be exact`);
+
+  const numberStrategy = defaults.numberStrategy;
+  try {
+    defaults.numberStrategy = 'string';
+    t.equal(toValueFromAttributeValue({N: big}), big, `overridden defaults.numberStrategy must be used`);
+  } finally {
+    defaults.numberStrategy = numberStrategy;
+  }
+  t.end();
+});
+
+test('toDynamoDBMap with roundTrip option and number strategies', t => {
+  const decimal = createNumberValue('12345678901234567890.12');
+  const numberValueOpts = {roundTrip: true, numberStrategy: 'numberValue'};
+  const object = {amount: decimal, list: [createNumberValue('1')]};
+  t.deepEqual(toObjectFromDynamoDBMap(toDynamoDBMap(object, numberValueOpts), numberValueOpts), object,
+    `number values must round-trip with the numberValue strategy`);
+  t.throws(() => toDynamoDBMap({n: 1}, numberValueOpts), /value at n .* does NOT round-trip/,
+    `numbers must NOT round-trip with the numberValue strategy`);
+
+  if (typeof BigInt === 'function') {
+    const bigintOpts = {roundTrip: true, numberStrategy: 'bigint'};
+    const bigints = {n: BigInt('12345678901234567890')};
+    t.deepEqual(toObjectFromDynamoDBMap(toDynamoDBMap(bigints, bigintOpts), bigintOpts), bigints,
+      `BigInts must round-trip with the bigint strategy`);
+    t.throws(() => toDynamoDBMap({n: 1.5}, bigintOpts), /value at n .* does NOT round-trip - Cannot convert non-integer/,
+      `decimals must NOT round-trip with the bigint strategy`);
+    t.throws(() => toDynamoDBMap({n: BigInt(1)}, {roundTrip: true}), /value at n .* does NOT round-trip/,
+      `BigInts must NOT round-trip with the default strategy`);
+  }
+  t.end();
+});
+
+test('toAttributeValue', t => {
+  t.deepEqual(toAttributeValue('abc'), {S: 'abc'}, `'abc' must be {S: 'abc'}`);
+  t.deepEqual(toAttributeValue(''), {S: ''}, `'' must be {S: ''}`);
+  t.deepEqual(toAttributeValue(123.45), {N: '123.45'}, `123.45 must be {N: '123.45'}`);
+  t.deepEqual(toAttributeValue(-0.5), {N: '-0.5'}, `-0.5 must be {N: '-0.5'}`);
+  t.deepEqual(toAttributeValue(true), {BOOL: true}, `true must be {BOOL: true}`);
+  t.deepEqual(toAttributeValue(null), {NULL: true}, `null must be {NULL: true}`);
+  t.deepEqual(toAttributeValue(new Number(7)), {N: '7'}, `new Number(7) must be {N: '7'}`);
+
+  const buffer = Buffer.from('Hello', 'utf8');
+  t.equal(toAttributeValue(buffer).B, buffer, `Buffer must be {B: buffer}`);
+
+  t.deepEqual(toAttributeValue(createNumberValue('12345678901234567890.123456789')), {N: '12345678901234567890.123456789'},
+    `number value must be {N: '12345678901234567890.123456789'}`);
+  if (typeof BigInt === 'function') {
+    t.deepEqual(toAttributeValue(BigInt('98765432109876543210')), {N: '98765432109876543210'},
+      `BigInt must be {N: '98765432109876543210'}`);
+  }
+
+  t.deepEqual(toAttributeValue([1, 'two', null, undefined, [false]]),
+    {L: [{N: '1'}, {S: 'two'}, {NULL: true}, {NULL: true}, {L: [{BOOL: false}]}]}, `list must be an L`);
+  t.deepEqual(toAttributeValue({a: 1, b: {c: 'C'}, u: undefined}), {M: {a: {N: '1'}, b: {M: {c: {S: 'C'}}}}},
+    `object must be an M without undefined properties`);
+
+  t.throws(() => toAttributeValue(NaN), /non-finite/, `NaN must throw`);
+  t.throws(() => toAttributeValue(Infinity), /non-finite/, `Infinity must throw`);
+  t.throws(() => toAttributeValue({f: () => 1}), /value at f .* unsupported type \(function\)/, `function must throw`);
+  t.throws(() => toAttributeValue(undefined), /unsupported type \(undefined\)/, `undefined must throw`);
+  t.end();
+});
+
+test('toAttributeValue with sets', t => {
+  t.deepEqual(toAttributeValue(createSet(['a', 'b'])), {SS: ['a', 'b']}, `string set must be an SS`);
+  t.deepEqual(toAttributeValue(createSet([1, 2.5, createNumberValue('99999999999999999999')])),
+    {NS: ['1', '2.5', '99999999999999999999']}, `number set must be an NS`);
+  const b1 = Buffer.from('1');
+  const b2 = Buffer.from('2');
+  t.deepEqual(toAttributeValue(createSet([b1, b2])), {BS: [b1, b2]}, `binary set must be a BS`);
+
+  // Compatible with AWS.DynamoDB.DocumentClient.createSet
+  t.deepEqual(toAttributeValue({wrapperName: 'Set', type: 'String', values: ['x']}), {SS: ['x']},
+    `DocumentClient string set must be an SS`);
+  t.throws(() => toAttributeValue({wrapperName: 'Set', type: 'String', values: []}), /empty sets/, `empty set must throw`);
+
+  t.throws(() => createSet([]), /empty set/, `createSet([]) must throw`);
+  t.throws(() => createSet(['a', 1]), /mixed or unsupported/, `createSet(['a', 1]) must throw`);
+  t.throws(() => createSet([true]), /mixed or unsupported/, `createSet([true]) must throw`);
+  t.throws(() => createNumberValue('abc'), /non-numeric/, `createNumberValue('abc') must throw`);
+  t.end();
+});
+
+test('number values must be marshalled exactly by AWS.DynamoDB.Converter', t => {
+  const decimal = createNumberValue('12345678901234567890.12');
+  t.equal(`${decimal}`, '12345678901234567890.12', `toString must return the exact value`);
+  t.equal(JSON.stringify({amt: decimal}), '{"amt":"12345678901234567890.12"}', `toJSON must return the exact value`);
+  t.deepEqual(Object.keys(decimal), ['wrapperName', 'value'], `methods must NOT be enumerable`);
+
+  const object = {amt: decimal, ids: createSet([createNumberValue('99999999999999999999'), 1])};
+  t.deepEqual(AWS.DynamoDB.Converter.marshall(object), {amt: {N: '12345678901234567890.12'},
+    ids: {NS: ['99999999999999999999', '1']}}, `Converter must marshal number values exactly`);
+  t.deepEqual(AWS.DynamoDB.Converter.marshall(object), toDynamoDBMap(object),
+    `Converter must marshal number values the same as toDynamoDBMap`);
+  t.end();
+});
+
+test('toAttributeValue with dates', t => {
+  const date = new Date('2017-03-13T21:33:45.123Z');
+  t.deepEqual(toAttributeValue(date), {S: '2017-03-13T21:33:45.123Z'}, `default date must be an ISO string`);
+  t.deepEqual(toAttributeValue(date, {dateStrategy: 'epochMillis'}), {N: '1489440825123'}, `epochMillis must be an N`);
+  t.deepEqual(toAttributeValue(date, {dateStrategy: 'epochSeconds'}), {N: '1489440825'}, `epochSeconds must be an N`);
+  t.deepEqual(toAttributeValue(date, {dateStrategy: d => d.getUTCFullYear()}), {N: '2017'}, `custom strategy must be used`);
+  t.throws(() => toAttributeValue(date, {dateStrategy: 'bad'}), /unexpected date strategy \(bad\)/, `bad strategy must throw`);
+  t.throws(() => toAttributeValue(new Date('x')), /invalid Date/, `invalid Date must throw`);
+
+  const dateStrategy = defaults.dateStrategy;
+  try {
+    defaults.dateStrategy = 'epochMillis';
+    t.deepEqual(toAttributeValue(date), {N: '1489440825123'}, `overridden defaults.dateStrategy must be used`);
+  } finally {
+    defaults.dateStrategy = dateStrategy;
+  }
+  t.end();
+});
+
+test('toDynamoDBMap', t => {
+  const object = {
+    id: 'ID1',
+    n: 10,
+    big: createNumberValue('12345678901234567890'),
+    tags: createSet(['a']),
+    nested: {list: [1, {x: null}]},
+    skipped: undefined
+  };
+  const expected = {
+    id: {S: 'ID1'},
+    n: {N: '10'},
+    big: {N: '12345678901234567890'},
+    tags: {SS: ['a']},
+    nested: {M: {list: {L: [{N: '1'}, {M: {x: {NULL: true}}}]}}}
+  };
+  t.deepEqual(toDynamoDBMap(object), expected, `toDynamoDBMap must be ${stringify(expected)}`);
+  t.equal(toDynamoDBMap(undefined), undefined, `toDynamoDBMap(undefined) must be undefined`);
+  t.throws(() => toDynamoDBMap({a: {b: [NaN]}}), /value at a\.b\[0\]/, `error must identify the path`);
+  t.end();
+});
+
+test('toDynamoDBMap with roundTrip option', t => {
+  const object = {
+    s: 'abc',
+    e: '',
+    n: 123,
+    f: 0.1,
+    tiny: 1.5e-10,
+    bigIntLike: '12345678901234567890',
+    b: true,
+    z: null,
+    bin: Buffer.from('abc'),
+    list: [1, 'two', [false], {m: 'M'}],
+    map: {a: {b: {c: -1.5}}}
+  };
+  const map = toDynamoDBMap(object, {roundTrip: true});
+  t.deepEqual(toObjectFromDynamoDBMap(map), object, `round-tripped object must be exactly the same`);
+
+  const opts = {roundTrip: true};
+  t.throws(() => toDynamoDBMap({n: 9007199254740993}, opts), /value at n .* loss of precision/, `unsafe integer must throw`);
+  t.throws(() => toDynamoDBMap({n: 1e21}, opts), /loss of precision/, `1e21 must throw`);
+  t.throws(() => toDynamoDBMap({d: new Date()}, opts), /Dates do NOT round-trip/, `Date must throw`);
+  t.throws(() => toDynamoDBMap({s: createSet(['a'])}, opts), /sets do NOT round-trip/, `set must throw`);
+  t.throws(() => toDynamoDBMap({v: createNumberValue('1')}, opts), /number does NOT round-trip/, `number value must throw`);
+  t.throws(() => toDynamoDBMap({l: [1, undefined]}, opts), /undefined element at index 1/, `undefined element must throw`);
+  t.end();
+});
+
 test('toKeyValueStrings', t => {
   t.deepEqual(toKeyValueStrings(undefined), [], `toKeyValueStrings(undefined) => ${JSON.stringify(toKeyValueStrings(undefined))} must be []`);
   t.deepEqual(toKeyValueStrings(null), [], `toKeyValueStrings(null) => ${JSON.stringify(toKeyValueStrings(null))} must be []`);
@@ -239,6 +493,214 @@ test('toStorableObject with overridden Defaults.emptyStringReplacement', t => {
   t.end();
 });
 
+test('toStorableItem with default strategies', t => {
+  const date = new Date('2017-03-13T21:33:45.123Z');
+  const buffer = Buffer.from('abc');
+  const tags = createSet(['a', 'b']);
+  const emptySet = {wrapperName: 'Set', type: 'String', values: []};
+  const amount = createNumberValue('123.4500');
+  const object = {
+    id: 'ID1',
+    empty: '',
+    undefined1: undefined,
+    date: date,
+    buffer: buffer,
+    tags: tags,
+    emptySet: emptySet,
+    amount: amount,
+    emptyList: [],
+    list: ['', undefined, date, null],
+    map: {empty: '', nested: {emptySet: emptySet, n: new Number(1)}}
+  };
+  const result = toStorableItem(object);
+
+  t.deepEqual(result.item, {
+    id: 'ID1',
+    empty: '',
+    date: '2017-03-13T21:33:45.123Z',
+    buffer: buffer,
+    tags: tags,
+    amount: amount,
+    emptyList: [],
+    list: ['', null, '2017-03-13T21:33:45.123Z', null],
+    map: {empty: '', nested: {n: 1}}
+  }, `item must keep empty strings & lists, remove empty sets & convert dates`);
+  t.equal(result.item.buffer, buffer, `buffer must be preserved`);
+  t.equal(result.item.tags, tags, `set must be preserved`);
+  t.equal(result.item.amount, amount, `number value must be preserved`);
+  t.notEqual(result.item.map, object.map, `maps must be copied`);
+  t.equal(object.date, date, `object must NOT be changed`);
+
+  t.deepEqual(result.changes, [
+    {path: 'date', action: 'converted', type: 'date'},
+    {path: 'emptySet', action: 'removed', type: 'emptySet'},
+    {path: 'list[1]', action: 'replaced', type: 'undefined'},
+    {path: 'list[2]', action: 'converted', type: 'date'},
+    {path: 'map.nested.emptySet', action: 'removed', type: 'emptySet'}
+  ], `changes must be correct`);
+
+  t.deepEqual(toStorableItem(undefined), {item: undefined, changes: []}, `toStorableItem(undefined) must be correct`);
+  t.end();
+});
+
+test('toStorableItem with explicit strategies', t => {
+  const emptySet = {wrapperName: 'Set', type: 'Number', values: []};
+  const object = {
+    id: 'ID1',
+    empty: '',
+    emptySet: emptySet,
+    emptyList: [],
+    list: ['', ''],
+    map: {empty: '', emptyList: []}
+  };
+
+  let result = toStorableItem(object, {emptyStringStrategy: 'remove', emptySetStrategy: 'keep', emptyListStrategy: 'remove'});
+  t.deepEqual(result.item, {id: 'ID1', emptySet: emptySet, map: {}}, `removed empty values must be correct`);
+  t.deepEqual(result.changes, [
+    {path: 'empty', action: 'removed', type: 'emptyString'},
+    {path: 'emptyList', action: 'removed', type: 'emptyList'},
+    {path: 'list[0]', action: 'removed', type: 'emptyString'},
+    {path: 'list[1]', action: 'removed', type: 'emptyString'},
+    {path: 'list', action: 'removed', type: 'emptyList'},
+    {path: 'map.empty', action: 'removed', type: 'emptyString'},
+    {path: 'map.emptyList', action: 'removed', type: 'emptyList'}
+  ], `removal changes must be correct`);
+
+  result = toStorableItem(object, {emptyStringStrategy: 'replace', emptySetStrategy: 'replace',
+    emptyListStrategy: 'replace', emptyListReplacement: ['NONE']});
+  const replacement = defaults.emptyStringReplacement;
+  t.deepEqual(result.item, {id: 'ID1', empty: replacement, emptySet: null, emptyList: ['NONE'],
+    list: [replacement, replacement], map: {empty: replacement, emptyList: ['NONE']}}, `replaced empty values must be correct`);
+  t.equal(result.changes.length, 7, `must have 7 replacement changes`);
+  t.ok(result.changes.every(change => change.action === 'replaced'), `all changes must be replacements`);
+
+  result = toStorableItem({empty: ''}, {emptyStringStrategy: 'replace', emptyStringReplacement: 'N/A'});
+  t.deepEqual(result.item, {empty: 'N/A'}, `empty string must be replaced with emptyStringReplacement`);
+
+  t.throws(() => toStorableItem(object, {emptyStringStrategy: 'drop'}),
+    /Unexpected emptyString strategy \(drop\) - must be 'keep', 'remove' or 'replace'/, `invalid strategy must throw`);
+  t.end();
+});
+
+test('toStorableItem with date strategies', t => {
+  const date = new Date('2017-03-13T21:33:45.123Z');
+  t.deepEqual(toStorableItem({d: date}, {dateStrategy: 'epochMillis'}).item, {d: 1489440825123}, `epochMillis must be correct`);
+  t.deepEqual(toStorableItem({d: date}, {dateStrategy: 'epochSeconds'}).item, {d: 1489440825}, `epochSeconds must be correct`);
+  t.deepEqual(toStorableItem({d: date}, {dateStrategy: d => d.getUTCFullYear()}).item, {d: 2017}, `function must be used`);
+
+  const dateStrategy = defaults.dateStrategy;
+  try {
+    defaults.dateStrategy = 'epochMillis';
+    t.deepEqual(toStorableItem({d: date}).item, {d: 1489440825123}, `overridden defaults.dateStrategy must be used`);
+  } finally {
+    defaults.dateStrategy = dateStrategy;
+  }
+
+  t.throws(() => toStorableItem({a: {d: new Date('invalid')}}), /Cannot convert value at a\.d to a storable value - invalid Date/,
+    `invalid Date must throw`);
+  t.throws(() => toStorableItem({d: date}, {dateStrategy: 'epochDays'}), /unexpected date strategy \(epochDays\)/,
+    `invalid date strategy must throw`);
+  t.end();
+});
+
+test('toStorableItem with number values read with the numberValue strategy', t => {
+  const map = {
+    id: {S: 'ID1'},
+    amt: {N: '12345678901234567890.12'},
+    list: {L: [{N: '98765432109876543210'}, {M: {n: {N: '0.000000000000000000001'}}}]}
+  };
+  const object = toObjectFromDynamoDBMap(map, {numberStrategy: 'numberValue'});
+  const result = toStorableItem(object);
+  t.equal(result.item.amt, object.amt, `number value must be preserved`);
+  t.deepEqual(result.changes, [], `changes must be empty`);
+  t.deepEqual(AWS.DynamoDB.Converter.marshall(result.item), map, `marshalled item must round-trip exactly`);
+
+  // Number values without exact toString methods (e.g. deserialized from JSON) must be re-created
+  const parsed = JSON.parse(JSON.stringify({amt: {wrapperName: 'NumberValue', value: '12345678901234567890.12'}}));
+  const parsedResult = toStorableItem(parsed);
+  t.deepEqual(parsedResult.changes, [{path: 'amt', action: 'converted', type: 'numberValue'}], `changes must be correct`);
+  t.deepEqual(AWS.DynamoDB.Converter.marshall(parsedResult.item), {amt: map.amt},
+    `marshalled re-created number value must be exact`);
+  t.end();
+});
+
+test('calculateAttributeValueSize', t => {
+  t.equal(calculateAttributeValueSize({S: 'abc'}), 3, `S must be its length`);
+  t.equal(calculateAttributeValueSize({S: 'é€'}), 5, `S must be its UTF-8 length`);
+  t.equal(calculateAttributeValueSize({S: ''}), 0, `empty S must be 0`);
+  t.equal(calculateAttributeValueSize({N: '0'}), 2, `N of 0 must be 2`);
+  t.equal(calculateAttributeValueSize({N: '12345'}), 4, `N with 5 digits must be 4`);
+  t.equal(calculateAttributeValueSize({N: '-0.0012300'}), 3, `N must ignore sign, leading & trailing zeroes`);
+  t.equal(calculateAttributeValueSize({N: '1.5e+21'}), 2, `N must ignore its exponent`);
+  t.equal(calculateAttributeValueSize({B: Buffer.from('abcd')}), 4, `B Buffer must be its length`);
+  t.equal(calculateAttributeValueSize({B: Buffer.from('abcd').toString('base64')}), 4, `base64 B must be its decoded length`);
+  t.equal(calculateAttributeValueSize({BOOL: false}), 1, `BOOL must be 1`);
+  t.equal(calculateAttributeValueSize({NULL: true}), 1, `NULL must be 1`);
+  t.equal(calculateAttributeValueSize({SS: ['ab', 'c']}), 3, `SS must be the sum of its elements`);
+  t.equal(calculateAttributeValueSize({NS: ['1', '123']}), 5, `NS must be the sum of its elements`);
+  t.equal(calculateAttributeValueSize({BS: [Buffer.from('a'), Buffer.from('bc')]}), 3, `BS must be the sum of its elements`);
+  t.equal(calculateAttributeValueSize({L: []}), 3, `empty L must be 3`);
+  t.equal(calculateAttributeValueSize({L: [{S: 'ab'}, {NULL: true}]}), 8, `L must be 3 + 1 per element + elements`);
+  t.equal(calculateAttributeValueSize({M: {}}), 3, `empty M must be 3`);
+  t.equal(calculateAttributeValueSize({M: {ab: {S: 'cd'}, e: {L: []}}}), 13, `M must be 3 + 1 per element + names + elements`);
+
+  t.throws(() => calculateAttributeValueSize({X: 1}), /Cannot calculate the size of an invalid AttributeValue/,
+    `invalid AttributeValue must throw`);
+  t.throws(() => calculateAttributeValueSize(undefined), /invalid AttributeValue/, `undefined must throw`);
+  t.end();
+});
+
+test('calculateItemSize & calculateAttributeSizes', t => {
+  const item = {
+    id: 'ID1',
+    amount: 123.45,
+    active: true,
+    tags: createSet(['ab', 'c']),
+    lines: [{sku: 'S1', qty: 2}],
+    updatedAt: new Date('2017-03-13T21:33:45.123Z'),
+    blob: Buffer.from('abc'),
+    missing: undefined
+  };
+  const attributeSizes = calculateAttributeSizes(item);
+  t.deepEqual(attributeSizes, [
+    {name: 'updatedAt', size: 33},
+    {name: 'lines', size: 24},
+    {name: 'amount', size: 10},
+    {name: 'active', size: 7},
+    {name: 'tags', size: 7},
+    {name: 'blob', size: 7},
+    {name: 'id', size: 5}
+  ], `attribute sizes must be correct & sorted from largest to smallest`);
+  t.equal(calculateItemSize(item), 93, `item size must be the sum of its attribute sizes`);
+  t.equal(calculateItemSize(item, {dateStrategy: 'epochMillis'}), 93 - 24 + 8, `item size must respect dateStrategy`);
+
+  const dynamoDBMap = toDynamoDBMap(item);
+  t.equal(calculateItemSize(dynamoDBMap, {marshalled: true}), 93, `marshalled item size must be the same`);
+  t.deepEqual(calculateAttributeSizes(dynamoDBMap, {marshalled: true}), attributeSizes,
+    `marshalled attribute sizes must be the same`);
+
+  t.equal(calculateItemSize({}), 0, `empty item size must be 0`);
+  t.equal(calculateItemSize(undefined), 0, `undefined item size must be 0`);
+  t.equal(MAX_ITEM_SIZE, 409600, `MAX_ITEM_SIZE must be 400KB`);
+  t.end();
+});
+
+test('estimateReadCapacityUnits & estimateWriteCapacityUnits', t => {
+  t.equal(estimateReadCapacityUnits(0), 0.5, `empty eventually consistent read must be 0.5`);
+  t.equal(estimateReadCapacityUnits(4096), 0.5, `4KB eventually consistent read must be 0.5`);
+  t.equal(estimateReadCapacityUnits(4097), 1, `4KB + 1 eventually consistent read must be 1`);
+  t.equal(estimateReadCapacityUnits(4097, {consistentRead: true}), 2, `4KB + 1 strongly consistent read must be 2`);
+  t.equal(estimateReadCapacityUnits(4097, {transactional: true}), 4, `4KB + 1 transactional read must be 4`);
+  t.equal(estimateReadCapacityUnits({data: 'x'.repeat(9000)}, {consistentRead: true}), 3, `item read must use its size`);
+
+  t.equal(estimateWriteCapacityUnits(0), 1, `empty write must be 1`);
+  t.equal(estimateWriteCapacityUnits(1024), 1, `1KB write must be 1`);
+  t.equal(estimateWriteCapacityUnits(1025), 2, `1KB + 1 write must be 2`);
+  t.equal(estimateWriteCapacityUnits(1025, {transactional: true}), 4, `1KB + 1 transactional write must be 4`);
+  t.equal(estimateWriteCapacityUnits({data: 'x'.repeat(2000)}), 2, `item write must use its size`);
+  t.end();
+});
+
 test('simplifyKeysNewImageAndOldImage', t => {
   const eventSourceARN = samples.sampleDynamoDBEventSourceArn('us-west-2', 'TestTable_DEV', '2017-03-13T21:33:45');
   const [msg,] = samples.sampleDynamoDBMessageAndRecord('E001', '10000000000000000', eventSourceARN, '123', 456, 'ABC', 10, 1, 2, 3, '4', '5', true);
@@ -289,5 +751,143 @@ test('simplifyKeysNewImageAndOldImage', t => {
   t.notOk(dynamodb.NewImage, `dynamodb.NewImage must no longer exist`);
   t.notOk(dynamodb.OldImage, `dynamodb.OldImage must no longer exist`);
 
+  t.end();
+});
+
+function sampleStreamRecord(eventName, streamViewType, oldImage, newImage) {
+  const record = {
+    eventID: 'E001',
+    eventName: eventName,
+    eventSource: 'aws:dynamodb',
+    dynamodb: {
+      Keys: {id: {S: 'ID1'}},
+      SequenceNumber: '100',
+      SizeBytes: 26,
+      StreamViewType: streamViewType
+    }
+  };
+  if (oldImage) record.dynamodb.OldImage = oldImage;
+  if (newImage) record.dynamodb.NewImage = newImage;
+  return record;
+}
+
+const oldImage = {
+  id: {S: 'ID1'},
+  status: {S: 'PENDING'},
+  count: {N: '1'},
+  unchanged: {BOOL: true},
+  removed1: {S: 'gone'},
+  tags: {SS: ['a', 'b']},
+  address: {M: {city: {S: 'Cape Town'}, code: {N: '8001'}, lines: {L: [{S: 'Line 1'}, {S: 'Line 2'}]}}},
+  items: {L: [{M: {sku: {S: 'A'}, qty: {N: '1'}}}, {S: 'x'}, {N: '3'}]},
+  typeChange: {S: '5'}
+};
+
+const newImage = {
+  id: {S: 'ID1'},
+  status: {S: 'SHIPPED'},
+  count: {N: '1'},
+  unchanged: {BOOL: true},
+  tags: {SS: ['b', 'a']},
+  address: {M: {city: {S: 'Durban'}, code: {N: '8001'}, lines: {L: [{S: 'Line 1'}]}, zone: {S: 'East'}}},
+  items: {L: [{M: {sku: {S: 'A'}, qty: {N: '2'}}}, {S: 'x'}]},
+  typeChange: {N: '5'},
+  added1: {M: {a: {N: '1'}}}
+};
+
+test('getStreamRecordChanges with a MODIFY record with NEW_AND_OLD_IMAGES', t => {
+  const record = sampleStreamRecord('MODIFY', 'NEW_AND_OLD_IMAGES', oldImage, newImage);
+  t.ok(isStreamRecordDiffable(record), `record must be diffable`);
+
+  const changes = getStreamRecordChanges(record);
+  t.equal(changes.eventName, 'MODIFY', `eventName must be MODIFY`);
+  t.equal(changes.streamViewType, 'NEW_AND_OLD_IMAGES', `streamViewType must be NEW_AND_OLD_IMAGES`);
+  t.deepEqual(changes.keys, {id: 'ID1'}, `keys must be {id: 'ID1'}`);
+
+  t.deepEqual(changes.added, [
+    {path: 'address.zone', newValue: 'East'},
+    {path: 'added1', newValue: {a: 1}}
+  ], `added must be correct`);
+
+  t.deepEqual(changes.removed, [
+    {path: 'removed1', oldValue: 'gone'},
+    {path: 'address.lines[1]', oldValue: 'Line 2'},
+    {path: 'items[2]', oldValue: 3}
+  ], `removed must be correct`);
+
+  t.deepEqual(changes.modified, [
+    {path: 'status', oldValue: 'PENDING', newValue: 'SHIPPED'},
+    {path: 'address.city', oldValue: 'Cape Town', newValue: 'Durban'},
+    {path: 'items[0].qty', oldValue: 1, newValue: 2},
+    {path: 'typeChange', oldValue: '5', newValue: 5}
+  ], `modified must be correct (and sets must be compared regardless of order)`);
+
+  t.ok(hasAnyAttributeChanged(changes, 'status'), `status must have changed`);
+  t.ok(hasAnyAttributeChanged(changes, ['count', 'address']), `address must have changed (via nested attributes)`);
+  t.ok(hasAnyAttributeChanged(changes, 'items[0]'), `items[0] must have changed`);
+  t.ok(hasAnyAttributeChanged(changes, 'added1.a'), `added1.a must have changed (via its added parent)`);
+  t.notOk(hasAnyAttributeChanged(changes, ['count', 'unchanged', 'tags', 'items[1]']), `unchanged attributes must NOT have changed`);
+  t.notOk(hasAnyAttributeChanged(changes, 'stat'), `'stat' must NOT match 'status'`);
+  t.ok(hasAnyAttributeChanged(record, 'status'), `status must have changed when given the record`);
+  t.end();
+});
+
+test('getStreamRecordChanges with INSERT & REMOVE records', t => {
+  const image = {id: {S: 'ID1'}, name: {S: 'Name'}, nested: {M: {a: {N: '1'}}}};
+
+  ['NEW_IMAGE', 'NEW_AND_OLD_IMAGES'].forEach(streamViewType => {
+    const changes = getStreamRecordChanges(sampleStreamRecord('INSERT', streamViewType, undefined, image));
+    t.deepEqual(changes.added.map(c => c.path), ['id', 'name', 'nested'], `${streamViewType} INSERT added must be all attributes`);
+    t.deepEqual(changes.added[2].newValue, {a: 1}, `${streamViewType} INSERT added nested must be {a: 1}`);
+    t.deepEqual(changes.removed.concat(changes.modified), [], `${streamViewType} INSERT must have no removed or modified`);
+  });
+
+  ['OLD_IMAGE', 'NEW_AND_OLD_IMAGES'].forEach(streamViewType => {
+    const changes = getStreamRecordChanges(sampleStreamRecord('REMOVE', streamViewType, image, undefined));
+    t.deepEqual(changes.removed.map(c => c.path), ['id', 'name', 'nested'], `${streamViewType} REMOVE removed must be all attributes`);
+    t.deepEqual(changes.added.concat(changes.modified), [], `${streamViewType} REMOVE must have no added or modified`);
+  });
+  t.end();
+});
+
+test('getStreamRecordChanges with insufficient stream view types', t => {
+  const image = {id: {S: 'ID1'}, name: {S: 'Name'}};
+  const insufficient = [
+    ['MODIFY', 'KEYS_ONLY', undefined, undefined, /missing OldImage & NewImage \(requires a StreamViewType of NEW_AND_OLD_IMAGES\)/],
+    ['MODIFY', 'NEW_IMAGE', undefined, image, /missing OldImage \(requires a StreamViewType of NEW_AND_OLD_IMAGES\)/],
+    ['MODIFY', 'OLD_IMAGE', image, undefined, /missing NewImage/],
+    ['INSERT', 'KEYS_ONLY', undefined, undefined, /missing NewImage \(requires a StreamViewType of NEW_IMAGE or NEW_AND_OLD_IMAGES\)/],
+    ['INSERT', 'OLD_IMAGE', undefined, undefined, /with StreamViewType \(OLD_IMAGE\)/],
+    ['REMOVE', 'NEW_IMAGE', undefined, undefined, /missing OldImage \(requires a StreamViewType of OLD_IMAGE or NEW_AND_OLD_IMAGES\)/]
+  ];
+  insufficient.forEach(args => {
+    const record = sampleStreamRecord(args[0], args[1], args[2], args[3]);
+    t.notOk(isStreamRecordDiffable(record), `${args[0]} with ${args[1]} must NOT be diffable`);
+    t.throws(() => getStreamRecordChanges(record), args[4], `${args[0]} with ${args[1]} must throw ${args[4]}`);
+    t.throws(() => hasAnyAttributeChanged(record, 'name'), args[4], `hasAnyAttributeChanged ${args[0]} with ${args[1]} must throw`);
+  });
+
+  t.notOk(isStreamRecordDiffable(undefined), `undefined must NOT be diffable`);
+  t.throws(() => getStreamRecordChanges({eventID: 'E002'}), /Missing dynamodb property .* \(E002\)/, `no dynamodb must throw`);
+  t.throws(() => getStreamRecordChanges(sampleStreamRecord('UPSERT', 'NEW_AND_OLD_IMAGES', image, image)),
+    /Invalid eventName \(UPSERT\)/, `invalid eventName must throw`);
+  t.end();
+});
+
+test('getStreamRecordChanges with a simplified MODIFY record', t => {
+  const record = sampleStreamRecord('MODIFY', 'NEW_AND_OLD_IMAGES', oldImage, newImage);
+  simplifyKeysNewImageAndOldImage(record.dynamodb);
+  t.ok(isStreamRecordDiffable(record), `simplified record must be diffable`);
+
+  const changes = getStreamRecordChanges(record);
+  t.deepEqual(changes.keys, {id: 'ID1'}, `keys must be {id: 'ID1'}`);
+  t.deepEqual(changes.added.map(c => c.path), ['address.zone', 'added1'], `added paths must be correct`);
+  t.deepEqual(changes.removed.map(c => c.path), ['removed1', 'address.lines[1]', 'items[2]'], `removed paths must be correct`);
+  t.deepEqual(changes.modified.map(c => c.path),
+    ['status', 'tags[0]', 'tags[1]', 'address.city', 'items[0].qty', 'typeChange'],
+    `modified paths must be correct (with sets diffed as lists)`);
+
+  delete record.dynamodb.oldImage;
+  t.throws(() => getStreamRecordChanges(record), /missing oldImage/, `simplified record without oldImage must throw`);
   t.end();
 });
\ No newline at end of file
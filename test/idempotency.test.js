@@ -0,0 +1,233 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/idempotency.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const dynamoDBMocking = require('aws-core-test-utils/dynamodb-mocking');
+const mockDynamoDBDocClient = dynamoDBMocking.mockDynamoDBDocClient;
+
+// The test subject
+const idempotency = require('../idempotency');
+const IdempotencyStatus = idempotency.IdempotencyStatus;
+const isIdempotencyEnabled = idempotency.isIdempotencyEnabled;
+const resolveIdempotencyKey = idempotency.resolveIdempotencyKey;
+const getPathValue = idempotency.getPathValue;
+const executeIdempotently = idempotency.executeIdempotently;
+
+const contexts = require('../contexts');
+const lambdas = require('../lambdas');
+
+const samples = require('./samples');
+const sampleInvokedFunctionArn = samples.sampleInvokedFunctionArn;
+const sampleAwsContext = samples.sampleAwsContext;
+
+/**
+ * Simulates an idempotency table (keyed by `id`) using a mock DynamoDB.DocumentClient.
+ */
+function mockIdempotencyTable(t, items) {
+  function conditionalCheckFailed() {
+    const err = new Error('The conditional request failed');
+    err.code = 'ConditionalCheckFailedException';
+    return err;
+  }
+
+  return mockDynamoDBDocClient(t, 'idempotency.test', 1, {
+    put: params => {
+      const existing = items[params.Item.id];
+      if (params.ConditionExpression && existing && !(existing.expiresAt < params.ExpressionAttributeValues[':now'])) {
+        return {error: conditionalCheckFailed()};
+      }
+      items[params.Item.id] = params.Item;
+      return {result: {}};
+    },
+    get: params => ({result: {Item: items[params.Key.id]}}),
+    delete: params => {
+      delete items[params.Key.id];
+      return {result: {}};
+    }
+  });
+}
+
+function toKey(context, key) {
+  return `${lambdas.getFunctionName(context.awsContext)}#${key}`;
+}
+
+function sampleContext(idempotencySettings, items) {
+  process.env.AWS_REGION = 'us-west-2';
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const invokedFunctionArn = sampleInvokedFunctionArn('us-west-2', 'myLambdaFunctionName', 'dev77');
+  context.awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 60000);
+  context.handler = {idempotency: idempotencySettings};
+  if (items) context.dynamoDBDocClient = mockIdempotencyTable(undefined, items);
+  return context;
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// getPathValue
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('getPathValue', t => {
+  const event = {detail: {orderId: 'o-1'}, Records: [{messageId: 'm-1'}, {messageId: 'm-2'}], matrix: [[1, 2], [3, 4]]};
+  t.equal(getPathValue(event, 'detail.orderId'), 'o-1', `detail.orderId must be o-1`);
+  t.equal(getPathValue(event, 'Records[1].messageId'), 'm-2', `Records[1].messageId must be m-2`);
+  t.equal(getPathValue(event, 'matrix[1][0]'), 3, `matrix[1][0] must be 3`);
+  t.deepEqual(getPathValue(event, 'detail'), {orderId: 'o-1'}, `detail must be detail`);
+  t.equal(getPathValue(event, 'detail.missing.orderId'), undefined, `missing path must be undefined`);
+  t.equal(getPathValue(event, 'detail[0]'), undefined, `index of non-array must be undefined`);
+  t.equal(getPathValue(undefined, 'detail'), undefined, `path of undefined must be undefined`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// isIdempotencyEnabled & resolveIdempotencyKey
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('isIdempotencyEnabled', t => {
+  t.notOk(isIdempotencyEnabled(undefined), `undefined context must NOT be enabled`);
+  t.notOk(isIdempotencyEnabled({handler: {}}), `no idempotency must NOT be enabled`);
+  t.notOk(isIdempotencyEnabled({handler: {idempotency: {keyPath: 'id'}}}), `no tableName must NOT be enabled`);
+  t.ok(isIdempotencyEnabled({handler: {idempotency: {tableName: 'Idempotency'}}}), `tableName must be enabled`);
+  t.end();
+});
+
+test('resolveIdempotencyKey', t => {
+  const event = {detail: {orderId: 'o-1'}};
+  let context = sampleContext({tableName: 'Idempotency'});
+  const awsRequestId = context.awsContext.awsRequestId;
+
+  t.equal(resolveIdempotencyKey(event, context), toKey(context, awsRequestId),
+    `default key must be prefixed awsRequestId`);
+
+  context = sampleContext({tableName: 'Idempotency', keyPath: 'awsRequestId'});
+  t.equal(resolveIdempotencyKey(event, context), toKey(context, context.awsContext.awsRequestId),
+    `awsRequestId key path must be prefixed awsRequestId`);
+
+  context = sampleContext({tableName: 'Idempotency', keyPath: 'detail.orderId'});
+  t.equal(resolveIdempotencyKey(event, context), toKey(context, 'o-1'), `key path key must be prefixed o-1`);
+
+  context = sampleContext({tableName: 'Idempotency', keyPath: 'detail'});
+  t.equal(resolveIdempotencyKey(event, context), toKey(context, '{"orderId":"o-1"}'),
+    `object key must be JSON`);
+
+  context = sampleContext({tableName: 'Idempotency', keyPath: 'detail.missing'});
+  t.equal(resolveIdempotencyKey(event, context), undefined, `missing key must be undefined`);
+
+  context = sampleContext({tableName: 'Idempotency', keyExtractor: (e) => `X-${e.detail.orderId}`});
+  t.equal(resolveIdempotencyKey(event, context), toKey(context, 'X-o-1'), `extracted key must be prefixed X-o-1`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// executeIdempotently
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('executeIdempotently without idempotency', t => {
+  let calls = 0;
+  executeIdempotently({}, {handler: {}}, () => ++calls)
+    .then(result => {
+      t.equal(result, 1, `result must be 1`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('executeIdempotently with duplicate invocations', t => {
+  const items = {};
+  const context = sampleContext({tableName: 'Idempotency', keyPath: 'detail.orderId', ttlInSeconds: 60}, items);
+  const event = {detail: {orderId: 'o-1'}};
+  const key = toKey(context, 'o-1');
+
+  let calls = 0;
+  const fn = () => Promise.resolve({orderId: 'o-1', calls: ++calls});
+
+  executeIdempotently(event, context, fn)
+    .then(result => {
+      t.deepEqual(result, {orderId: 'o-1', calls: 1}, `1st result must be calls 1`);
+      t.equal(items[key].status, IdempotencyStatus.COMPLETED, `record status must be COMPLETED`);
+      t.ok(items[key].expiresAt > Date.now() / 1000, `record expiresAt must be in the future`);
+      return executeIdempotently(event, context, fn);
+    })
+    .then(result => {
+      t.deepEqual(result, {orderId: 'o-1', calls: 1}, `duplicate result must be stored result`);
+      t.equal(calls, 1, `fn must be executed ONLY once`);
+
+      // Simulate an expired record that has NOT yet been deleted by DynamoDB TTL
+      items[key].expiresAt = Math.floor(Date.now() / 1000) - 10;
+      return executeIdempotently(event, context, fn);
+    })
+    .then(result => {
+      t.deepEqual(result, {orderId: 'o-1', calls: 2}, `result after expiry must be calls 2`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('executeIdempotently with an in-progress duplicate invocation', t => {
+  const items = {};
+  const context = sampleContext({tableName: 'Idempotency', keyPath: 'detail.orderId'}, items);
+  const event = {detail: {orderId: 'o-2'}};
+  items[toKey(context, 'o-2')] = {
+    id: toKey(context, 'o-2'),
+    status: IdempotencyStatus.IN_PROGRESS,
+    expiresAt: Math.floor(Date.now() / 1000) + 60
+  };
+
+  let calls = 0;
+  executeIdempotently(event, context, () => ++calls)
+    .then(
+      result => t.fail(`executeIdempotently must NOT resolve with ${JSON.stringify(result)}`),
+      err => {
+        t.equal(err.code, 'IdempotencyInProgress', `err.code must be IdempotencyInProgress`);
+        t.equal(err.httpStatus, 429, `err.httpStatus must be 429`);
+        t.equal(calls, 0, `fn must NOT be executed`);
+      }
+    )
+    .then(() => t.end(), err => t.end(err));
+});
+
+test('executeIdempotently with a failing invocation', t => {
+  const items = {};
+  const context = sampleContext({tableName: 'Idempotency'}, items);
+  const event = {};
+  const key = toKey(context, context.awsContext.awsRequestId);
+
+  let calls = 0;
+  const fn = () => ++calls === 1 ? Promise.reject(new Error('Kaboom')) : Promise.resolve(undefined);
+
+  executeIdempotently(event, context, fn)
+    .then(
+      result => t.fail(`executeIdempotently must NOT resolve with ${JSON.stringify(result)}`),
+      err => {
+        t.equal(err.message, 'Kaboom', `err.message must be Kaboom`);
+        t.notOk(items[key], `in-progress record must be deleted`);
+        return executeIdempotently(event, context, fn);
+      }
+    )
+    .then(result => {
+      t.equal(result, undefined, `retried result must be undefined`);
+      t.equal(calls, 2, `fn must be re-executed on retry`);
+      t.equal(items[key].status, IdempotencyStatus.COMPLETED, `record status must be COMPLETED`);
+      return executeIdempotently(event, context, fn);
+    })
+    .then(result => {
+      t.equal(result, undefined, `duplicate result must be undefined`);
+      t.equal(calls, 2, `fn must NOT be re-executed after completion`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('executeIdempotently without a dynamoDBDocClient', t => {
+  const context = sampleContext({tableName: 'Idempotency'});
+  delete context.dynamoDBDocClient;
+  executeIdempotently({}, context, () => 1)
+    .then(
+      result => t.fail(`executeIdempotently must NOT resolve with ${JSON.stringify(result)}`),
+      err => t.ok(/dynamoDBDocClient/.test(err.message), `err.message must mention dynamoDBDocClient`)
+    )
+    .then(() => t.end(), err => t.end(err));
+});
\ No newline at end of file
@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/json-schemas.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const jsonSchemas = require('../json-schemas');
+const validate = jsonSchemas.validate;
+
+const orderSchema = {
+  type: 'object',
+  properties: {
+    orderId: {type: 'string', pattern: '^[A-Z]{3}-\\d+$'},
+    quantity: {type: 'integer', minimum: 1, maximum: 10},
+    price: {type: 'number', exclusiveMinimum: 0},
+    status: {type: 'string', enum: ['NEW', 'PAID'], default: 'NEW'},
+    email: {type: 'string', format: 'email'},
+    tags: {type: 'array', items: {type: 'string', minLength: 1}, maxItems: 3, uniqueItems: true},
+    address: {
+      type: 'object',
+      properties: {city: {type: 'string'}},
+      required: ['city'],
+      additionalProperties: false
+    }
+  },
+  required: ['orderId', 'quantity']
+};
+
+test('validate with a valid value', t => {
+  const value = {orderId: 'ABC-1', quantity: 2, price: 9.99, tags: ['a', 'b'], address: {city: 'Cape Town'}};
+  const result = validate(orderSchema, value);
+  t.deepEqual(result.errors, [], `must have no errors`);
+  t.equal(result.value.status, 'NEW', `must apply default status`);
+  t.equal(value.status, undefined, `must not mutate the original value`);
+  t.end();
+});
+
+test('validate with an invalid value lists every violation', t => {
+  const value = {
+    orderId: 'abc',
+    quantity: 11,
+    price: 0,
+    status: 'LOST',
+    email: 'nope',
+    tags: ['a', 'a', '', 'd'],
+    address: {town: 'x'}
+  };
+  const result = validate(orderSchema, value);
+  const found = result.errors.map(e => `${e.path}:${e.keyword}`).sort();
+  t.deepEqual(found, [
+    'address.city:required',
+    'address.town:additionalProperties',
+    'email:format',
+    'orderId:pattern',
+    'price:exclusiveMinimum',
+    'quantity:maximum',
+    'status:enum',
+    'tags:maxItems',
+    'tags:uniqueItems',
+    'tags[2]:minLength'
+  ], `must list every violation`);
+  t.end();
+});
+
+test('validate with missing required properties & wrong types', t => {
+  t.deepEqual(validate(orderSchema, {}).errors.map(e => e.path), ['orderId', 'quantity'], `must require both`);
+  t.deepEqual(validate(orderSchema, {orderId: 'ABC-1', quantity: '2'}).errors.map(e => `${e.path}:${e.keyword}`),
+    ['quantity:type'], `must reject string quantity without coercion`);
+  t.deepEqual(validate(orderSchema, []).errors.map(e => e.keyword), ['type'], `must reject an array`);
+  t.deepEqual(validate({type: ['string', 'null']}, null).errors, [], `must accept null for ['string', 'null']`);
+  t.deepEqual(validate({type: 'number'}, 1).errors, [], `must accept an integer as a number`);
+  t.deepEqual(validate({type: 'integer'}, 1.5).errors.map(e => e.keyword), ['type'], `must reject 1.5 as an integer`);
+  t.deepEqual(validate({const: {a: 1}}, {a: 1}).errors, [], `must accept a deep equal const`);
+  t.end();
+});
+
+test('validate with coercion', t => {
+  const schema = {
+    type: 'object',
+    properties: {
+      limit: {type: 'integer', maximum: 100},
+      ratio: {type: 'number'},
+      active: {type: 'boolean'},
+      ids: {type: 'array', items: {type: 'integer'}},
+      name: {type: 'string'}
+    }
+  };
+  const result = validate(schema, {limit: '10', ratio: '0.5', active: 'false', ids: '1,2,3', name: '007'}, {coerce: true});
+  t.deepEqual(result.errors, [], `must have no errors`);
+  t.deepEqual(result.value, {limit: 10, ratio: 0.5, active: false, ids: [1, 2, 3], name: '007'}, `must coerce values`);
+
+  const result2 = validate(schema, {limit: '1.5', active: 'yes'}, {coerce: true});
+  t.deepEqual(result2.errors.map(e => `${e.path}:${e.keyword}`), ['limit:type', 'active:type'],
+    `must reject uncoercible values`);
+  t.end();
+});
\ No newline at end of file
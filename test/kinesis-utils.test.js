@@ -0,0 +1,269 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/kinesis-utils.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const kinesisUtils = require('../kinesis-utils');
+const publishRecords = kinesisUtils.publishRecords;
+const calculateRecordSize = kinesisUtils.calculateRecordSize;
+const MAX_PUT_RECORDS_COUNT = kinesisUtils.MAX_PUT_RECORDS_COUNT;
+const MAX_RECORD_SIZE = kinesisUtils.MAX_RECORD_SIZE;
+
+const contexts = require('../contexts');
+const timeouts = require('../timeouts');
+
+const Promises = require('core-functions/promises');
+
+// Simulates an AWS.Kinesis instance's putRecords method, which resolves with the result of the given respond function
+// (or with a successful result for every record, if it returns undefined) or rejects with its thrown error
+function mockKinesis(requests, respond) {
+  return {
+    putRecords: params => {
+      requests.push(params);
+      return {
+        promise: () => Promises.delay(1).then(() => {
+          const response = respond ? respond(params, requests.length) : undefined;
+          return response || successResult(params.Records);
+        })
+      };
+    }
+  };
+}
+
+function successResult(records) {
+  return {
+    FailedRecordCount: 0,
+    Records: records.map(r => ({SequenceNumber: `SEQ-${r.PartitionKey}`, ShardId: `shardId-${r.PartitionKey.length % 2}`}))
+  };
+}
+
+function records(n, data) {
+  const list = [];
+  for (let i = 1; i <= n; ++i) list.push({Data: data || `data-${i}`, PartitionKey: `pk-${i}`});
+  return list;
+}
+
+function throttledError() {
+  const err = new Error('Rate exceeded');
+  err.code = 'ProvisionedThroughputExceededException';
+  err.statusCode = 400;
+  return err;
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// calculateRecordSize
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('calculateRecordSize', t => {
+  t.equal(calculateRecordSize({Data: 'abc', PartitionKey: 'pk'}), 5, `string data size must be correct`);
+  t.equal(calculateRecordSize({Data: Buffer.from('abcd'), PartitionKey: 'é'}), 6, `Buffer data & UTF-8 key size must be correct`);
+  t.equal(calculateRecordSize({PartitionKey: 'pk'}), 2, `record without data size must be its key size`);
+  t.equal(calculateRecordSize(undefined), 0, `undefined record size must be 0`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// publishRecords
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('publishRecords must batch the records by count & resolve with the outcome of each record', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.kinesis = mockKinesis(requests);
+  const recs = records(1201);
+
+  publishRecords('S', recs, undefined, 'events', context)
+    .then(res => {
+      t.deepEqual(requests.map(p => p.Records.length), [MAX_PUT_RECORDS_COUNT, MAX_PUT_RECORDS_COUNT, 201],
+        `records must be batched by count`);
+      t.ok(requests.every(p => p.StreamName === 'S'), `StreamName must be S`);
+      t.deepEqual(requests[2].Records, recs.slice(1000), `last batch must have the last records`);
+      t.equal(res.publishedCount, 1201, `publishedCount must be 1201`);
+      t.equal(res.failedCount, 0, `failedCount must be 0`);
+      t.equal(res.outcomes.length, 1201, `must have an outcome per record`);
+      t.deepEqual(res.outcomes[1000], {index: 1000, record: recs[1000], published: true, attempts: 1,
+        SequenceNumber: 'SEQ-pk-1001', ShardId: 'shardId-1'}, `outcome must be correct`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('publishRecords must batch the records by size', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.kinesis = mockKinesis(requests);
+
+  // Each record is 900KB + 4 bytes, so at most 5 records fit within 5MB
+  const data = Buffer.alloc(900 * 1024);
+  publishRecords('S', records(7, data), undefined, 'events', context)
+    .then(res => {
+      t.deepEqual(requests.map(p => p.Records.length), [5, 2], `records must be batched by size`);
+      t.equal(res.publishedCount, 7, `publishedCount must be 7`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('publishRecords must fail invalid records without sending them', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.kinesis = mockKinesis(requests);
+
+  const maxKey = '€'.repeat(256);
+  const recs = [
+    {Data: 'a', PartitionKey: 'pk-1'},
+    {Data: 'b'},
+    {Data: 'c', PartitionKey: 'x'.repeat(257)},
+    {Data: 'd', PartitionKey: maxKey},
+    {Data: {d: 1}, PartitionKey: 'pk-5'},
+    {Data: Buffer.alloc(MAX_RECORD_SIZE - 3), PartitionKey: 'pk-6'},
+    undefined
+  ];
+
+  publishRecords('S', recs, undefined, 'events', context)
+    .then(res => {
+      t.equal(requests.length, 1, `must send 1 request`);
+      t.deepEqual(requests[0].Records, [recs[0], recs[3]], `must ONLY send the valid records`);
+      t.equal(res.publishedCount, 2, `publishedCount must be 2`);
+      t.equal(res.failedCount, 5, `failedCount must be 5`);
+      t.deepEqual(res.outcomes.map(o => o.published), [true, false, false, true, false, false, false],
+        `published must be correct`);
+      t.deepEqual(res.outcomes.map(o => o.error && o.error.code),
+        [undefined, 'InvalidPartitionKey', 'InvalidPartitionKey', undefined, 'InvalidRecord', 'RecordSizeLimitExceeded',
+          'InvalidRecord'], `error codes must be correct`);
+      t.equal(res.outcomes[2].error.httpStatus, 400, `error httpStatus must be 400`);
+      t.ok(/Invalid partition key \(x+\) of record \[2] of events - must be a string of 1 to 256 characters/
+        .test(res.outcomes[2].error.message), `partition key error message must be correct`);
+      t.equal(res.outcomes[5].error.message, `Record size (${MAX_RECORD_SIZE + 1} bytes) of record [5] of events ` +
+        `exceeds the maximum record size (${MAX_RECORD_SIZE} bytes)`, `record size error message must be correct`);
+      t.equal(res.outcomes[5].attempts, 0, `invalid record attempts must be 0`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('publishRecords must retry ONLY the records that failed with an ErrorCode', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.kinesis = mockKinesis(requests, (params, n) => {
+    if (n > 1) return undefined;
+    const result = successResult(params.Records);
+    result.FailedRecordCount = 2;
+    result.Records[1] = {ErrorCode: 'ProvisionedThroughputExceededException', ErrorMessage: 'Rate exceeded for shard'};
+    result.Records[3] = {ErrorCode: 'InternalFailure', ErrorMessage: 'Internal service failure'};
+    return result;
+  });
+  const recs = records(4);
+
+  publishRecords('S', recs, {baseDelayMs: 1}, 'events', context)
+    .then(res => {
+      t.equal(requests.length, 2, `must send 2 requests`);
+      t.deepEqual(requests[1].Records, [recs[1], recs[3]], `retry must ONLY be of the failed records`);
+      t.equal(res.publishedCount, 4, `publishedCount must be 4`);
+      t.deepEqual(res.outcomes.map(o => o.attempts), [1, 2, 1, 2], `attempts must be correct`);
+      t.deepEqual(res.outcomes[1], {index: 1, record: recs[1], published: true, attempts: 2, SequenceNumber: 'SEQ-pk-2',
+        ShardId: 'shardId-0'}, `retried outcome must NOT have an ErrorCode`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('publishRecords must fail the records that still fail after the last retry', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  context.kinesis = mockKinesis(requests, params => {
+    const result = successResult(params.Records);
+    result.Records = result.Records.map((r, i) => params.Records[i].PartitionKey === 'pk-2' ?
+      {ErrorCode: 'InternalFailure', ErrorMessage: 'Internal service failure'} :
+      params.Records[i].PartitionKey === 'pk-3' ?
+        {ErrorCode: 'ProvisionedThroughputExceededException', ErrorMessage: 'Rate exceeded for shard'} : r);
+    return result;
+  });
+
+  publishRecords('S', records(3), {maxRetries: 2, baseDelayMs: 1}, 'events', context)
+    .then(res => {
+      t.equal(requests.length, 3, `must send 3 requests`);
+      t.equal(res.publishedCount, 1, `publishedCount must be 1`);
+      t.equal(res.failedCount, 2, `failedCount must be 2`);
+
+      const outcome = res.outcomes[1];
+      t.equal(outcome.published, false, `failed record must NOT be published`);
+      t.equal(outcome.attempts, 3, `failed record attempts must be 3`);
+      t.equal(outcome.ErrorCode, 'InternalFailure', `ErrorCode must be InternalFailure`);
+      t.equal(outcome.ErrorMessage, 'Internal service failure', `ErrorMessage must be correct`);
+      t.equal(outcome.error.code, 'InternalFailure', `error code must be InternalFailure`);
+      t.equal(outcome.error.httpStatus, 500, `InternalFailure error httpStatus must be 500`);
+      t.equal(outcome.error.message, 'Failed to publish record [1] of events to S after 3 attempt(s) - InternalFailure: ' +
+        'Internal service failure', `error message must be correct`);
+      t.equal(res.outcomes[2].error.httpStatus, 429, `ProvisionedThroughputExceededException error httpStatus must be 429`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('publishRecords must retry throttled requests & fail the records of a non-retryable request', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  const requests = [];
+  const accessDenied = new Error('Access denied');
+  accessDenied.code = 'AccessDeniedException';
+  accessDenied.statusCode = 400;
+  context.kinesis = mockKinesis(requests, (params, n) => {
+    if (n === 1) throw throttledError();
+    if (n === 3) throw accessDenied;
+    return undefined;
+  });
+  const recs = records(MAX_PUT_RECORDS_COUNT + 2);
+
+  publishRecords('S', recs, {baseDelayMs: 1}, 'events', context)
+    .then(res => {
+      t.deepEqual(requests.map(p => p.Records.length), [MAX_PUT_RECORDS_COUNT, MAX_PUT_RECORDS_COUNT, 2],
+        `throttled batch must be retried`);
+      t.equal(res.publishedCount, MAX_PUT_RECORDS_COUNT, `publishedCount must be ${MAX_PUT_RECORDS_COUNT}`);
+      t.equal(res.failedCount, 2, `failedCount must be 2`);
+      t.equal(res.outcomes[0].attempts, 2, `throttled record attempts must be 2`);
+      t.equal(res.outcomes[MAX_PUT_RECORDS_COUNT].error, accessDenied, `failed record error must be the request error`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('publishRecords with invalid records', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.kinesis = mockKinesis([]);
+
+  publishRecords('S', {Data: 'a', PartitionKey: 'pk'}, undefined, 'events', context)
+    .then(res => {
+      t.fail(`publishRecords must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.ok(err instanceof TypeError, `publishRecords must reject with a TypeError - ${err}`);
+      t.end();
+    });
+});
+
+test('publishRecords with cancellation token cancelled during a retry delay', t => {
+  const context = contexts.configureStandardContext({}, undefined, require('./context-options'));
+  context.cancellationToken = timeouts.createCancellationToken();
+  context.kinesis = mockKinesis([], () => {
+    throw throttledError();
+  });
+
+  const reason = new Error('Timed out');
+  setTimeout(() => context.cancellationToken.cancel(reason), 20);
+
+  publishRecords('S', records(1), {maxRetries: 100, baseDelayMs: 10, maxDelayMs: 10}, 'events', context)
+    .then(res => {
+      t.fail(`publishRecords must NOT resolve with ${JSON.stringify(res)}`);
+      t.end();
+    })
+    .catch(err => {
+      t.equal(err, reason, `publishRecords must reject with the cancellation reason`);
+      t.end();
+    });
+});
\ No newline at end of file
@@ -16,6 +16,7 @@ const getAlias = lambdas.getAlias;
 //const getInvokedFunctionArn = lambdas.getInvokedFunctionArn;
 const getInvokedFunctionArnFunctionName = lambdas.getInvokedFunctionArnFunctionName;
 const getInvokedFunctionNameWithAlias = lambdas.getInvokedFunctionNameWithAliasOrVersion;
+const toAsyncHandlerFunction = lambdas.toAsyncHandlerFunction;
 
 const samples = require('./samples');
 //const sampleInvokedFunctionArn = samples.sampleInvokedFunctionArn;
@@ -325,3 +326,33 @@ test('getInvokedFunctionNameWithAliasOrVersion WITH process.env.AWS_LAMBDA_FUNCT
   }
 });
 
+// =====================================================================================================================
+// toAsyncHandlerFunction
+// =====================================================================================================================
+
+test('toAsyncHandlerFunction', t => {
+  const handler = (event, awsContext, callback) => event.fail ? callback('Boom', null) : callback(null, {ok: event.id});
+  const asyncHandler = toAsyncHandlerFunction(handler);
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1');
+
+  asyncHandler({id: 1}, awsContext)
+    .then(response => {
+      t.deepEqual(response, {ok: 1}, `must resolve with the handler's response`);
+      return asyncHandler({fail: true}, awsContext).then(
+        () => t.fail(`must reject with the handler's error`),
+        err => {
+          t.ok(err instanceof Error, `must reject with an Error`);
+          t.equal(err.message, 'Boom', `must reject with the handler's error message`);
+        }
+      );
+    })
+    .then(() => {
+      const error = new TypeError('Bang');
+      return toAsyncHandlerFunction((event, awsContext, callback) => callback(error))({}, awsContext).then(
+        () => t.fail(`must reject with the handler's error`),
+        err => t.equal(err, error, `must reject with the handler's error itself`)
+      );
+    })
+    .then(() => t.end())
+    .catch(err => t.end(err));
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/middlewares.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const middlewares = require('../middlewares');
+const getMiddlewares = middlewares.getMiddlewares;
+const mergeMiddlewareOpts = middlewares.mergeMiddlewareOpts;
+const executeBefore = middlewares.executeBefore;
+const executeAfter = middlewares.executeAfter;
+const executeOnError = middlewares.executeOnError;
+
+function sampleMiddleware(name, calls) {
+  return {
+    name: name,
+    before: (event, context) => {
+      calls.push(`${name}.before`);
+    },
+    after: (response) => {
+      calls.push(`${name}.after`);
+      return Object.assign({}, response, {[name]: true});
+    },
+    onError: () => {
+      calls.push(`${name}.onError`);
+    }
+  };
+}
+
+function sampleContext(calls) {
+  return {
+    handler: {
+      postConfigure: () => {
+        calls.push('postConfigure');
+      },
+      preSuccessCallback: () => {
+        calls.push('preSuccessCallback');
+        return {ignored: true};
+      },
+      preFailureCallback: () => {
+        calls.push('preFailureCallback');
+      },
+      middlewares: [sampleMiddleware('m1', calls), sampleMiddleware('m2', calls)]
+    }
+  };
+}
+
+test('getMiddlewares', t => {
+  t.deepEqual(getMiddlewares(undefined), [], `undefined context must have no middlewares`);
+  t.deepEqual(getMiddlewares({handler: {}}), [], `no middlewares or hooks must have no middlewares`);
+
+  const calls = [];
+  const context = sampleContext(calls);
+  t.deepEqual(getMiddlewares(context).map(m => m.name), ['legacyHooks', 'm1', 'm2'],
+    `legacy hooks middleware must be first`);
+
+  delete context.handler.postConfigure;
+  delete context.handler.preSuccessCallback;
+  delete context.handler.preFailureCallback;
+  t.deepEqual(getMiddlewares(context).map(m => m.name), ['m1', 'm2'], `without legacy hooks must only have middlewares`);
+  t.end();
+});
+
+test('mergeMiddlewareOpts', t => {
+  const m1 = {name: 'm1'};
+  const m2 = {name: 'm2'};
+  const hook = () => {};
+  const to = mergeMiddlewareOpts({middlewares: [m1], postConfigure: hook}, {});
+  t.deepEqual(to.middlewares, [m1], `middlewares must be copied`);
+  t.equal(to.postConfigure, hook, `postConfigure must be copied`);
+  t.deepEqual(mergeMiddlewareOpts({middlewares: [m1]}, {middlewares: [m2]}).middlewares, [m2],
+    `existing middlewares must NOT be replaced`);
+  t.end();
+});
+
+test('executeBefore, executeAfter & executeOnError', t => {
+  const calls = [];
+  const context = sampleContext(calls);
+  const replacement = {handler: context.handler, replaced: true};
+  context.handler.middlewares.push({name: 'm3', before: () => replacement});
+
+  executeBefore({}, context)
+    .then(c => {
+      t.equal(c, replacement, `executeBefore must resolve with replacement context`);
+      t.deepEqual(calls, ['postConfigure', 'm1.before', 'm2.before'], `befores must be executed in order`);
+      calls.length = 0;
+      return executeAfter({ok: true}, {}, context);
+    })
+    .then(response => {
+      t.deepEqual(response, {ok: true, m2: true, m1: true}, `executeAfter must resolve with decorated response`);
+      t.deepEqual(calls, ['m2.after', 'm1.after', 'preSuccessCallback'], `afters must be executed in reverse order`);
+      calls.length = 0;
+      return executeOnError(new Error('Boom'), {}, {}, context);
+    })
+    .then(() => {
+      t.deepEqual(calls, ['m2.onError', 'm1.onError', 'preFailureCallback'], `onErrors must be executed in reverse order`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('executeBefore with failing middleware', t => {
+  const error = new Error('Unauthorized');
+  let executed = false;
+  const context = {handler: {middlewares: [{before: () => { throw error; }}, {before: () => { executed = true; }}]}};
+  executeBefore({}, context)
+    .then(
+      () => t.fail(`executeBefore must reject`),
+      err => {
+        t.equal(err, error, `executeBefore must reject with the error`);
+        t.notOk(executed, `subsequent befores must NOT be executed`);
+      }
+    )
+    .then(() => t.end(), err => t.end(err));
+});
+
+test('executeAfter & executeOnError with failing middlewares', t => {
+  const calls = [];
+  const context = {
+    handler: {
+      middlewares: [
+        {after: () => { calls.push('after'); }, onError: () => { calls.push('onError'); }},
+        {after: () => Promise.reject(new Error('after')), onError: () => { throw new Error('onError'); }}
+      ]
+    }
+  };
+  executeAfter({ok: true}, {}, context)
+    .then(response => {
+      t.deepEqual(response, {ok: true}, `failed after must NOT replace the response`);
+      return executeOnError(new Error('Boom'), {}, {}, context);
+    })
+    .then(() => {
+      t.deepEqual(calls, ['after', 'onError'], `failing middlewares must NOT stop the chain`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
\ No newline at end of file
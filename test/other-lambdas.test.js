@@ -23,6 +23,9 @@ const LogLevel = logging.LogLevel;
 const kinesisCache = require("../kinesis-cache");
 const dynamoDBDocClientCache = require("../dynamodb-doc-client-cache");
 
+const dynamoDBMocking = require('aws-core-test-utils/dynamodb-mocking');
+const mockDynamoDBDocClient = dynamoDBMocking.mockDynamoDBDocClient;
+
 const samples = require('./samples');
 // For AWS contexts
 const sampleInvokedFunctionArn = samples.sampleInvokedFunctionArn;
@@ -384,4 +387,228 @@ test('generateHandlerFunction simulating failure (with custom settings)', t => {
     // Clean up environment
     setRegionStageAndDeleteCachedInstances(undefined, undefined);
   }
+});
+
+// =====================================================================================================================
+// generateHandlerFunction simulating timeout
+// =====================================================================================================================
+
+test('generateHandlerFunction simulating timeout with timeoutMarginInMillis', t => {
+  // Set up environment for testing
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+
+  const event = {body: {abc: 123}};
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 100);
+
+  let cancelled = false;
+  const fn = (event, context) => {
+    context.cancellationToken.addEventListener('abort', () => cancelled = true);
+    return Promises.delay(500).then(() => 'Too late');
+  };
+
+  let preFailureError = undefined;
+  const createSettings = () => ({
+    handler: {
+      timeoutMarginInMillis: 80,
+      preFailureCallback: (error) => {
+        preFailureError = error;
+      }
+    }
+  });
+
+  const handler = Promises.wrap(otherLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  handler(event, awsContext)
+    .then(response => {
+      t.fail(`handler should NOT have passed with response ${stringify(response)}`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      const e = JSON.parse(err);
+      t.equal(e.httpStatus, 504, `e.httpStatus must be 504`);
+      t.equal(e.code, 'LambdaTimeout', `e.code must be LambdaTimeout`);
+      t.ok(cancelled, `context.cancellationToken must be cancelled`);
+      t.equal(preFailureError && preFailureError.code, 'LambdaTimeout', `preFailureCallback must be executed`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    });
+});
+
+// =====================================================================================================================
+// generateAsyncHandlerFunction
+// =====================================================================================================================
+
+test('generateAsyncHandlerFunction simulating successful response & failure', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const calls = [];
+  const createSettings = () => ({
+    handler: {
+      postConfigure: (event, context) => { calls.push('postConfigure'); return context; },
+      preSuccessCallback: () => calls.push('preSuccessCallback'),
+      preFailureCallback: () => calls.push('preFailureCallback')
+    }
+  });
+  const fn = (event) => event.fail ? Promise.reject(new Error('Kaboom')) : Promise.resolve({ok: true});
+  const handler = otherLambdas.generateAsyncHandlerFunction(() => ({}), createSettings, undefined, fn, {});
+
+  t.equal(handler.length, 2, `async handler must accept ONLY event & awsContext`);
+
+  handler({fail: false}, awsContext)
+    .then(response => {
+      t.deepEqual(response, {ok: true}, `async handler must resolve with response`);
+      t.deepEqual(calls, ['postConfigure', 'preSuccessCallback'], `postConfigure & preSuccessCallback must be executed`);
+      return handler({fail: true}, awsContext);
+    })
+    .then(
+      response => t.fail(`async handler must NOT resolve with ${stringify(response)}`),
+      err => {
+        t.ok(err instanceof Error, `async handler must reject with an Error`);
+        const e = JSON.parse(err.message);
+        t.equal(e.message, 'Kaboom', `e.message must be 'Kaboom'`);
+        t.equal(e.httpStatus, 500, `e.httpStatus must be 500`);
+        t.equal(e.awsRequestId, awsContext.awsRequestId, `e.awsRequestId must be awsRequestId`);
+        t.deepEqual(calls.slice(2), ['postConfigure', 'preFailureCallback'], `preFailureCallback must be executed`);
+      }
+    )
+    .then(() => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateHandlerFunction with middlewares
+// =====================================================================================================================
+
+test('generateHandlerFunction with middlewares simulating successful response & failure', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const calls = [];
+  const middleware = (name) => ({
+    name: name,
+    before: () => { calls.push(`${name}.before`); },
+    after: (response) => {
+      calls.push(`${name}.after`);
+      return Object.assign({}, response, {[name]: true});
+    },
+    onError: () => { calls.push(`${name}.onError`); }
+  });
+  const createSettings = () => ({handler: {middlewares: [middleware('m1'), middleware('m2')]}});
+  const fn = (event) => {
+    calls.push('fn');
+    return event.fail ? Promise.reject(new Error('Kaboom')) : Promise.resolve({ok: true});
+  };
+  const handler = Promises.wrap(otherLambdas.generateHandlerFunction(() => ({}), createSettings, undefined, fn, {}));
+
+  handler({fail: false}, awsContext)
+    .then(response => {
+      t.deepEqual(response, {ok: true, m2: true, m1: true}, `response must be decorated by every after`);
+      t.deepEqual(calls, ['m1.before', 'm2.before', 'fn', 'm2.after', 'm1.after'], `success calls must be in order`);
+      calls.length = 0;
+      return handler({fail: true}, awsContext);
+    })
+    .then(
+      response => t.fail(`handler must NOT resolve with ${stringify(response)}`),
+      err => {
+        t.equal(JSON.parse(err).message, 'Kaboom', `failure must reject with 'Kaboom'`);
+        t.deepEqual(calls, ['m1.before', 'm2.before', 'fn', 'm2.onError', 'm1.onError'],
+          `failure calls must be in order`);
+      }
+    )
+    .then(() => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateHandlerFunction with idempotency
+// =====================================================================================================================
+
+test('generateHandlerFunction with idempotency simulating duplicate invocations', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const items = {};
+  const dynamoDBDocClient = mockDynamoDBDocClient(undefined, 'other-lambdas.test', 1, {
+    put: params => {
+      if (params.ConditionExpression && items[params.Item.id]) {
+        const err = new Error('The conditional request failed');
+        err.code = 'ConditionalCheckFailedException';
+        return {error: err};
+      }
+      items[params.Item.id] = params.Item;
+      return {result: {}};
+    },
+    get: params => ({result: {Item: items[params.Key.id]}})
+  });
+
+  let calls = 0;
+  const fn = (event) => Promise.resolve({orderId: event.detail.orderId, calls: ++calls});
+  const createContext = () => ({dynamoDBDocClient: dynamoDBDocClient});
+  const createOptions = () => ({handler: {idempotency: {tableName: 'Idempotency', keyPath: 'detail.orderId'}}});
+  const handler = Promises.wrap(otherLambdas.generateHandlerFunction(createContext, undefined, createOptions, fn, {}));
+
+  const event = {detail: {orderId: 'o-1'}};
+  handler(event, awsContext)
+    .then(response => {
+      t.deepEqual(response, {orderId: 'o-1', calls: 1}, `1st response must be calls 1`);
+      return handler(event, awsContext);
+    })
+    .then(response => {
+      t.deepEqual(response, {orderId: 'o-1', calls: 1}, `duplicate response must be the stored response`);
+      t.equal(calls, 1, `fn must be executed ONLY once`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
+});
+
+// =====================================================================================================================
+// generateBatchHandlerFunction
+// =====================================================================================================================
+
+test('generateBatchHandlerFunction simulating partial batch failure', t => {
+  const region = setRegionStageAndDeleteCachedInstances('us-west-2', 'dev99');
+  const invokedFunctionArn = sampleInvokedFunctionArn(region, 'myLambdaFunctionName', 'dev77');
+  const awsContext = sampleAwsContext('myLambdaFunctionName', '1.0.1', invokedFunctionArn, 500);
+
+  const eventSourceArn = samples.sampleKinesisEventSourceArn(region, 'TestStream_DEV');
+  const event = samples.sampleKinesisEventWithRecords(['201', '202', '203'].map(seqNo =>
+    samples.sampleKinesisRecord(undefined, seqNo, undefined, undefined, eventSourceArn)));
+
+  const recordFn = (record) => record.kinesis.sequenceNumber === '202' ? Promise.reject(new Error('Failed 202')) :
+    Promise.resolve();
+  const createOptions = () => ({handler: {batchConcurrency: 3}});
+  const handler = Promises.wrap(otherLambdas.generateBatchHandlerFunction(() => ({}), undefined, createOptions, recordFn, {}));
+
+  handler(event, awsContext)
+    .then(response => {
+      t.deepEqual(response, {batchItemFailures: [{itemIdentifier: '202'}]}, `response must list 202 as failed`);
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end();
+    })
+    .catch(err => {
+      setRegionStageAndDeleteCachedInstances(undefined, undefined);
+      t.end(err);
+    });
 });
\ No newline at end of file
@@ -76,6 +76,11 @@ exports.sampleDynamoDBEventWithRecords = sampleDynamoDBEventWithRecords;
 
 exports.awsDynamoDBUpdateSampleEvent = awsDynamoDBUpdateSampleEvent;
 
+  // For SQS events
+exports.sampleSqsEventSourceArn = sampleSqsEventSourceArn;
+exports.sampleSqsRecord = sampleSqsRecord;
+exports.sampleSqsEventWithRecords = sampleSqsEventWithRecords;
+
 function sampleNumberString(digits) {
   let number = "";
   for (let i = 0; i < digits; ++i) {
@@ -118,6 +123,13 @@ function sampleDynamoDBEventSourceArn(eventSourceArnRegion, tableName, timestamp
   return `arn:aws:dynamodb:${region}:${sampleAwsAccountId}:table/${tableName1}/stream/${timestamp1}`;
 }
 
+function sampleSqsEventSourceArn(eventSourceArnRegion, queueName) {
+  const region = isNotBlank(eventSourceArnRegion) ? eventSourceArnRegion : 'EF_ARN_REGION';
+  const queueName1 = isNotBlank(queueName) ? queueName : 'TestQueue_DEV';
+  //arn:aws:sqs:us-east-1:111111111111:TestQueue_DEV.fifo
+  return `arn:aws:sqs:${region}:${sampleAwsAccountId}:${queueName1}`;
+}
+
 function sampleKinesisEventSourceArnFromPrefixSuffix(eventSourceArnRegion, streamNamePrefix, streamNameSuffix) {
   const streamName = sampleStreamName(streamNamePrefix, streamNameSuffix);
   return sampleKinesisEventSourceArn(eventSourceArnRegion, streamName);
@@ -372,6 +384,38 @@ function sampleDynamoDBEventWithRecords(dynamoDBRecords) {
   };
 }
 
+function sampleSqsRecord(messageId, body, eventSourceArn, messageGroupId, receiveCount) {
+  const id = isNotBlank(messageId) ? messageId : uuid.v4();
+  const record = {
+    messageId: id,
+    receiptHandle: `AQEB${id}`,
+    body: body !== undefined ? typeof body === 'object' ? JSON.stringify(body) : body : 'Hello, this is a test 123.',
+    attributes: {
+      ApproximateReceiveCount: `${receiveCount ? receiveCount : 1}`,
+      SentTimestamp: `${Date.now()}`,
+      SenderId: 'AIDAIENQZJOLO23YVJ4VO',
+      ApproximateFirstReceiveTimestamp: `${Date.now()}`
+    },
+    messageAttributes: {},
+    md5OfBody: 'e4e68fb7bd0e697a0ae8f1bb342846b3',
+    eventSource: 'aws:sqs',
+    eventSourceARN: eventSourceArn !== undefined ? eventSourceArn : sampleSqsEventSourceArn('us-west-2'),
+    awsRegion: 'us-west-2'
+  };
+  if (messageGroupId) {
+    record.attributes.MessageGroupId = messageGroupId;
+    record.attributes.SequenceNumber = sampleNumberString(20);
+    record.attributes.MessageDeduplicationId = id;
+  }
+  return record;
+}
+
+function sampleSqsEventWithRecords(sqsRecords) {
+  return {
+    Records: sqsRecords
+  };
+}
+
 function awsDynamoDBUpdateSampleEvent(eventSourceArn) {
   return {
     "Records": [
@@ -464,4 +508,3 @@ function awsDynamoDBUpdateSampleEvent(eventSourceArn) {
     ]
   };
 }
-
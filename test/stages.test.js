@@ -128,6 +128,27 @@ function checkResolveStageFromDynamoDBEvent(t, eventStage, functionVersion, func
   t.equal(actual, expected, `resolve = stages.alias(${functionAlias}) table(${tableName}) context(${context.stage}, ${context.defaultStage}) -> '${actual}' must be '${expected}'`);
 }
 
+function checkResolveStageFromSqsEvent(t, eventStage, queueName, context, expected) {
+  logging.configureLogging(context, {logLevel: logging.TRACE}, undefined, true);
+
+  // Create an AWS context
+  const invokedFunctionArn = sampleInvokedFunctionArn('invokedFunctionArnRegion', 'functionName', '');
+  const awsContext = sampleAwsContext('functionName', '', invokedFunctionArn);
+
+  // Create an SQS event
+  const eventSourceArn = samples.sampleSqsEventSourceArn('eventSourceArnRegion', queueName);
+  const event = samples.sampleSqsEventWithRecords([samples.sampleSqsRecord(undefined, undefined, eventSourceArn)]);
+
+  if (isNotBlank(eventStage)) {
+    event.stage = eventStage;
+  }
+
+  // Resolve the stage
+  const actual = resolveStage(event, awsContext, context);
+
+  t.equal(actual, expected, `resolve = stages.queue(${queueName}) context(${context.stage}, ${context.defaultStage}) -> '${actual}' must be '${expected}'`);
+}
+
 function checkConfigureStageHandlingWithSettings(t, context, envStageName, customToStage, convertAliasToStage,
   injectStageIntoStreamName, extractStageFromStreamName, extractNameAndStageFromStreamName, streamNameStageSeparator,
   injectStageIntoResourceName, extractStageFromResourceName, extractNameAndStageFromResourceName, resourceNameStageSeparator,
@@ -1262,6 +1283,31 @@ test('resolveStageFromDynamoDBEvent with table with suffix', t => {
   t.end();
 });
 
+test('resolveStageFromSqsEvent with queue with & without suffix', t => {
+  try {
+    process.env.STAGE = undefined;
+
+    const context = configureDefaultStageHandling({});
+    context.stageHandling.defaultStage = 'Ds';
+    context.stageHandling.extractInCase = 'as_is';
+
+    // Queue without suffix must not override default stage
+    checkResolveStageFromSqsEvent(t, '', 'Queue', context, 'Ds');
+    // Queue with suffix must override default stage
+    checkResolveStageFromSqsEvent(t, '', 'Queue_Qs', context, 'Qs');
+    // FIFO queue with suffix must override default stage
+    checkResolveStageFromSqsEvent(t, '', 'Queue_Qs.fifo', context, 'Qs');
+    // FIFO queue without suffix must not override default stage
+    checkResolveStageFromSqsEvent(t, '', 'Queue.fifo', context, 'Ds');
+    // Queue with suffix must not override event stage
+    checkResolveStageFromSqsEvent(t, 'Es', 'Queue_Qs', context, 'Es');
+
+  } finally {
+    process.env.STAGE = undefined;
+  }
+  t.end();
+});
+
 // =====================================================================================================================
 // configureStage
 // =====================================================================================================================
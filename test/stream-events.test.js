@@ -33,6 +33,17 @@ const validateStreamEventRecord = streamEvents.validateStreamEventRecord;
 const validateKinesisStreamEventRecord = streamEvents.validateKinesisStreamEventRecord;
 const validateDynamoDBStreamEventRecord = streamEvents.validateDynamoDBStreamEventRecord;
 
+const getSqsEventSourceQueueNames = streamEvents.getSqsEventSourceQueueNames;
+const getSqsEventSourceQueueName = streamEvents.getSqsEventSourceQueueName;
+const isSqsFifoQueueName = streamEvents.isSqsFifoQueueName;
+const getSqsMessageId = streamEvents.getSqsMessageId;
+const getSqsReceiptHandle = streamEvents.getSqsReceiptHandle;
+const getSqsMessageAttributes = streamEvents.getSqsMessageAttributes;
+const getSqsMessageAttribute = streamEvents.getSqsMessageAttribute;
+const getSqsMessageGroupId = streamEvents.getSqsMessageGroupId;
+const getSqsApproximateReceiveCount = streamEvents.getSqsApproximateReceiveCount;
+const validateSqsEventRecord = streamEvents.validateSqsEventRecord;
+
 const Strings = require('core-functions/strings');
 const trim = Strings.trim;
 const trimOrEmpty = Strings.trimOrEmpty;
@@ -41,6 +52,8 @@ const stringify = Strings.stringify;
 
 const samples = require('./samples');
 
+const crypto = require('crypto');
+
 // =====================================================================================================================
 // getEventID, getEventSource, getEventSourceARN, getKinesisSequenceNumber & getDynamoDBSequenceNumber
 // =====================================================================================================================
@@ -383,6 +396,14 @@ test('validateStreamEventRecord', t => {
     check(record, true);
   });
 
+  // invalid SQS event records
+  check({eventSource: 'aws:sqs'}, false);
+  check({eventSource: 'aws:sqs', messageId: 'm-1', receiptHandle: 'rh-1', eventSourceARN: 'eventSourceARN'}, false);
+
+  // valid SQS event records
+  check(samples.sampleSqsRecord('m-1'), true);
+  check(samples.sampleSqsRecord('m-2', '', samples.sampleSqsEventSourceArn('us-west-2', 'TestQueue_DEV.fifo'), 'g-1'), true);
+
   t.end();
 });
 
@@ -574,3 +595,225 @@ test('validateDynamoDBStreamEventRecord', t => {
   t.end();
 });
 
+
+
+// =====================================================================================================================
+// SQS event record accessors
+// =====================================================================================================================
+
+test('getSqsEventSourceQueueNames, getSqsEventSourceQueueName & isSqsFifoQueueName', t => {
+  const record1 = samples.sampleSqsRecord('m-1', 'body1', samples.sampleSqsEventSourceArn('us-west-2', 'Orders_DEV'));
+  const record2 = samples.sampleSqsRecord('m-2', 'body2', samples.sampleSqsEventSourceArn('us-west-2', 'Orders_QA.fifo'), 'g-1');
+  const event = samples.sampleSqsEventWithRecords([record1, record2]);
+
+  t.equal(getSqsEventSourceQueueName(record1), 'Orders_DEV', `queue name must be Orders_DEV`);
+  t.equal(getSqsEventSourceQueueName(record2), 'Orders_QA.fifo', `FIFO queue name must be Orders_QA.fifo`);
+  t.equal(getSqsEventSourceQueueName({}), '', `queue name without eventSourceARN must be empty`);
+  t.equal(getSqsEventSourceQueueName(undefined), '', `undefined record queue name must be empty`);
+
+  t.deepEqual(getSqsEventSourceQueueNames(event), ['Orders_DEV', 'Orders_QA.fifo'], `queue names must be as expected`);
+  t.deepEqual(getSqsEventSourceQueueNames({}), [], `queue names without Records must be empty`);
+
+  t.deepEqual(streamEvents.getEventSources(event), ['aws:sqs', 'aws:sqs'], `event sources must be aws:sqs`);
+
+  t.notOk(isSqsFifoQueueName('Orders_DEV'), `Orders_DEV must NOT be FIFO`);
+  t.ok(isSqsFifoQueueName('Orders_QA.fifo'), `Orders_QA.fifo must be FIFO`);
+  t.notOk(isSqsFifoQueueName(undefined), `undefined must NOT be FIFO`);
+  t.end();
+});
+
+test('getSqsMessageId, getSqsReceiptHandle, getSqsMessageGroupId & getSqsApproximateReceiveCount', t => {
+  const record = samples.sampleSqsRecord('m-1', 'body1', samples.sampleSqsEventSourceArn('us-west-2', 'Orders_DEV.fifo'), 'g-1', 3);
+
+  t.equal(getSqsMessageId(record), 'm-1', `messageId must be m-1`);
+  t.equal(getSqsReceiptHandle(record), 'AQEBm-1', `receiptHandle must be AQEBm-1`);
+  t.equal(getSqsMessageGroupId(record), 'g-1', `MessageGroupId must be g-1`);
+  t.equal(getSqsApproximateReceiveCount(record), 3, `ApproximateReceiveCount must be 3`);
+
+  t.equal(getSqsMessageId({}), '', `missing messageId must be empty`);
+  t.equal(getSqsReceiptHandle(undefined), '', `undefined record receiptHandle must be empty`);
+  t.equal(getSqsMessageGroupId(samples.sampleSqsRecord('m-2')), '', `standard queue MessageGroupId must be empty`);
+  t.equal(getSqsApproximateReceiveCount({}), 0, `missing ApproximateReceiveCount must be 0`);
+  t.end();
+});
+
+test('getSqsMessageAttributes & getSqsMessageAttribute', t => {
+  const record = samples.sampleSqsRecord('m-1');
+  record.messageAttributes = {
+    tenant: {stringValue: 'acme', stringListValues: [], binaryListValues: [], dataType: 'String'},
+    priority: {stringValue: '5', stringListValues: [], binaryListValues: [], dataType: 'Number'},
+    blob: {binaryValue: 'AQID', stringListValues: [], binaryListValues: [], dataType: 'Binary'}
+  };
+
+  t.equal(getSqsMessageAttributes(record), record.messageAttributes, `message attributes must be messageAttributes`);
+  t.deepEqual(getSqsMessageAttributes({}), {}, `missing message attributes must be empty`);
+
+  t.equal(getSqsMessageAttribute(record, 'tenant'), 'acme', `tenant must be acme`);
+  t.equal(getSqsMessageAttribute(record, 'priority'), '5', `priority must be '5'`);
+  t.equal(getSqsMessageAttribute(record, 'blob'), 'AQID', `blob must be AQID`);
+  t.equal(getSqsMessageAttribute(record, 'missing'), undefined, `missing must be undefined`);
+  t.equal(getSqsMessageAttribute(undefined, 'tenant'), undefined, `undefined record attribute must be undefined`);
+  t.end();
+});
+
+// =====================================================================================================================
+// validateSqsEventRecord
+// =====================================================================================================================
+
+test('validateSqsEventRecord', t => {
+  function check(record, mustPass) {
+    const prefix = `validateSqsEventRecord(${stringify(record)})`;
+    try {
+      validateSqsEventRecord(record);
+
+      if (mustPass) {
+        t.pass(`${prefix} should have passed`);
+      } else {
+        t.fail(`${prefix} should NOT have passed`);
+      }
+    } catch (err) {
+      if (mustPass) {
+        t.fail(`${prefix} should NOT have failed (${err})`);
+      } else {
+        t.pass(`${prefix} should have failed (${err.message})`);
+      }
+    }
+  }
+
+  // no record
+  check(undefined, false);
+  check(null, false);
+
+  // invalid records
+  check(123, false);
+  check({}, false);
+  check({eventSource: 'aws:sqs'}, false);
+  check({eventSource: 'aws:sqs', messageId: 'm-1'}, false);
+  check({eventSource: 'aws:sqs', messageId: 'm-1', receiptHandle: 'rh-1'}, false);
+  check({eventSource: 'aws:sqs', messageId: 'm-1', receiptHandle: 'rh-1', eventSourceARN: 'eventSourceARN'}, false);
+
+  // "valid" SQS records
+  check({eventSource: 'aws:sqs', messageId: 'm-1', receiptHandle: 'rh-1', eventSourceARN: 'eventSourceARN', body: ''}, true);
+
+  // valid SQS records
+  check(samples.sampleSqsRecord('m-1'), true);
+
+  // invalid - since Kinesis & DynamoDB stream records
+  check(samples.sampleKinesisRecord(undefined, undefined, undefined, undefined, samples.sampleKinesisEventSourceArn('eventSourceArnRegion', 'streamName'), 'eventAwsRegion'), false);
+  samples.awsDynamoDBUpdateSampleEvent("eventSourceArn").Records.forEach(record => {
+    check(record, false);
+  });
+
+  t.end();
+});
+
+// =====================================================================================================================
+// Kinesis data decoding & KPL de-aggregation
+// =====================================================================================================================
+
+function encodeVarint(n) {
+  const bytes = [];
+  do {
+    let b = n % 128;
+    n = Math.floor(n / 128);
+    if (n > 0) b |= 0x80;
+    bytes.push(b);
+  } while (n > 0);
+  return Buffer.from(bytes);
+}
+
+function encodeField(fieldNo, value) {
+  return Buffer.isBuffer(value) ?
+    Buffer.concat([encodeVarint(fieldNo * 8 + 2), encodeVarint(value.length), value]) :
+    Buffer.concat([encodeVarint(fieldNo * 8), encodeVarint(value)]);
+}
+
+function sampleAggregatedData(partitionKeys, explicitHashKeys, userRecords, corruptChecksum) {
+  const message = Buffer.concat(
+    partitionKeys.map(k => encodeField(1, Buffer.from(k, 'utf8')))
+      .concat(explicitHashKeys.map(k => encodeField(2, Buffer.from(k, 'utf8'))))
+      .concat(userRecords.map(r => encodeField(3, Buffer.concat(
+        [encodeField(1, r.pk)]
+          .concat(r.ehk !== undefined ? [encodeField(2, r.ehk)] : [])
+          .concat([encodeField(3, Buffer.from(JSON.stringify(r.msg), 'utf8'))])
+          .concat([encodeField(4, Buffer.from([0x0A, 0x01, 0x74]))]) // a tag, which must be ignored
+      ))))
+  );
+  const checksum = crypto.createHash('md5').update(message).digest();
+  if (corruptChecksum) checksum[0] ^= 0xFF;
+  return Buffer.concat([streamEvents.KPL_AGGREGATED_RECORD_MAGIC, message, checksum]).toString('base64');
+}
+
+test('getKinesisData, decodeKinesisData & parseKinesisData', t => {
+  const msg = {id: 'm-1', n: 123};
+  const record = samples.sampleKinesisRecord(undefined, '123', 'pk-1', msg);
+
+  t.equal(streamEvents.getKinesisData(record), record.kinesis.data, `data must be kinesis.data`);
+  t.equal(streamEvents.getKinesisData({data: 'abc'}), 'abc', `user record data must be data`);
+  t.equal(streamEvents.getKinesisData(undefined), '', `undefined record data must be empty`);
+
+  t.deepEqual(JSON.parse(streamEvents.decodeKinesisData(record).toString('utf8')), msg, `decoded data must be msg`);
+  t.equal(streamEvents.decodeKinesisData({}).length, 0, `decoded missing data must be empty`);
+
+  t.deepEqual(streamEvents.parseKinesisData(record), {payload: msg}, `parsed data must be {payload: msg}`);
+
+  const invalid = samples.sampleKinesisRecord(undefined, '124', 'pk-1', Buffer.from('{not json').toString('base64'));
+  const result = streamEvents.parseKinesisData(invalid);
+  t.equal(result.payload, undefined, `invalid payload must be undefined`);
+  t.ok(/^Failed to parse data of Kinesis record \(124\) - /.test(result.error.message), `invalid error message must identify record`);
+  t.equal(result.error.sequenceNumber, '124', `invalid error sequenceNumber must be 124`);
+  t.ok(result.error.cause instanceof SyntaxError, `invalid error cause must be a SyntaxError`);
+
+  const missing = streamEvents.parseKinesisData({sequenceNumber: '125', subSequenceNumber: 2});
+  t.ok(/\(125\/2\) - Missing data/.test(missing.error.message), `missing data error message must identify user record`);
+  t.end();
+});
+
+test('deaggregateKinesisRecord & deaggregateKinesisEvent', t => {
+  const data = sampleAggregatedData(['pk-a', 'pk-b'], ['12345'], [
+    {pk: 0, msg: {id: 1}},
+    {pk: 1, ehk: 0, msg: {id: 2}},
+    {pk: 0, msg: {id: 3}}
+  ]);
+  const aggregated = samples.sampleKinesisRecord(undefined, '500', 'pk-agg', data);
+  t.ok(streamEvents.isAggregatedKinesisData(streamEvents.decodeKinesisData(aggregated)), `must be aggregated data`);
+
+  const userRecords = streamEvents.deaggregateKinesisRecord(aggregated);
+  t.equal(userRecords.length, 3, `must have 3 user records`);
+  t.deepEqual(userRecords.map(r => r.partitionKey), ['pk-a', 'pk-b', 'pk-a'], `partition keys must be as expected`);
+  t.deepEqual(userRecords.map(r => r.explicitPartitionKey), [undefined, '12345', undefined], `explicit hash keys must be as expected`);
+  t.deepEqual(userRecords.map(r => r.sequenceNumber), ['500', '500', '500'], `sequence numbers must be 500`);
+  t.deepEqual(userRecords.map(r => r.subSequenceNumber), [0, 1, 2], `sub-sequence numbers must be 0, 1 & 2`);
+  t.deepEqual(userRecords.map(r => streamEvents.parseKinesisData(r).payload), [{id: 1}, {id: 2}, {id: 3}], `payloads must be as expected`);
+
+  // Non-aggregated record
+  const normal = samples.sampleKinesisRecord(undefined, '501', 'pk-1', {id: 4});
+  t.notOk(streamEvents.isAggregatedKinesisData(streamEvents.decodeKinesisData(normal)), `must NOT be aggregated data`);
+  t.deepEqual(streamEvents.deaggregateKinesisRecord(normal),
+    [{partitionKey: 'pk-1', sequenceNumber: '501', data: normal.kinesis.data}], `normal record must yield 1 user record`);
+
+  // Aggregated record with an invalid checksum must be treated as a normal record
+  const corrupt = samples.sampleKinesisRecord(undefined, '502', 'pk-2', sampleAggregatedData(['pk-a'], [], [{pk: 0, msg: {id: 5}}], true));
+  const corruptUserRecords = streamEvents.deaggregateKinesisRecord(corrupt);
+  t.equal(corruptUserRecords.length, 1, `corrupt checksum record must yield 1 user record`);
+  t.equal(corruptUserRecords[0].partitionKey, 'pk-2', `corrupt checksum user record must have record's partition key`);
+  t.equal(corruptUserRecords[0].subSequenceNumber, undefined, `corrupt checksum user record must have NO sub-sequence number`);
+
+  // Aggregated record with a valid checksum, but an out of range partition key index
+  const invalid = samples.sampleKinesisRecord(undefined, '503', 'pk-3', sampleAggregatedData(['pk-a'], [], [{pk: 1, msg: {id: 6}}]));
+  t.throws(() => streamEvents.deaggregateKinesisRecord(invalid), /Invalid KPL aggregated Kinesis record \(503\) - partition key index \(1\)/,
+    `out of range partition key index must throw`);
+
+  // Aggregated record with a valid checksum, but a malformed message
+  const message = Buffer.from([0x1A, 0x05, 0x08]);
+  const malformed = samples.sampleKinesisRecord(undefined, '504', 'pk-4', Buffer.concat([streamEvents.KPL_AGGREGATED_RECORD_MAGIC,
+    message, crypto.createHash('md5').update(message).digest()]).toString('base64'));
+  t.throws(() => streamEvents.deaggregateKinesisRecord(malformed), /Invalid KPL aggregated Kinesis record \(504\) - Truncated/,
+    `malformed message must throw`);
+
+  const event = samples.sampleKinesisEventWithRecords([aggregated, normal]);
+  t.deepEqual(streamEvents.deaggregateKinesisEvent(event).map(r => `${r.sequenceNumber}/${r.subSequenceNumber}`),
+    ['500/0', '500/1', '500/2', '501/undefined'], `event user records must be in order`);
+  t.deepEqual(streamEvents.deaggregateKinesisEvent({}), [], `event without records must have NO user records`);
+  t.end();
+});
@@ -0,0 +1,259 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/stream-ordering.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const streamOrdering = require('../stream-ordering');
+const compareSequenceNumbers = streamOrdering.compareSequenceNumbers;
+const getSequenceNumber = streamOrdering.getSequenceNumber;
+const getShardKey = streamOrdering.getShardKey;
+const getPartitionKey = streamOrdering.getPartitionKey;
+const groupRecordsByShard = streamOrdering.groupRecordsByShard;
+const groupRecordsByPartitionKey = streamOrdering.groupRecordsByPartitionKey;
+const findOrderingAnomalies = streamOrdering.findOrderingAnomalies;
+const calculateCheckpoints = streamOrdering.calculateCheckpoints;
+const toCheckpointBatchResponse = streamOrdering.toCheckpointBatchResponse;
+
+const samples = require('./samples');
+const sampleKinesisRecord = samples.sampleKinesisRecord;
+const sampleDynamoDBRecord = samples.sampleDynamoDBRecord;
+const sampleKinesisEventSourceArn = samples.sampleKinesisEventSourceArn;
+const sampleDynamoDBEventSourceArn = samples.sampleDynamoDBEventSourceArn;
+const sampleSqsRecord = samples.sampleSqsRecord;
+const sampleSqsEventSourceArn = samples.sampleSqsEventSourceArn;
+
+const seqNoPrefix = '4954511524349098501828006771497314458218006259324420';
+
+const streamArn = sampleKinesisEventSourceArn('us-west-2', 'TestStream_DEV');
+
+function kinesisRecord(shardId, seqNoSuffix, partitionKey) {
+  return sampleKinesisRecord(shardId, `${seqNoPrefix}${seqNoSuffix}`, partitionKey, undefined, streamArn, 'us-west-2');
+}
+
+function seqNo(seqNoSuffix) {
+  return `${seqNoPrefix}${seqNoSuffix}`;
+}
+
+// ---------------------------------------------------------------------------------------------------------------------
+// compareSequenceNumbers
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('compareSequenceNumbers', t => {
+  t.equal(compareSequenceNumbers('1', '1'), 0, `'1' must equal '1'`);
+  t.equal(compareSequenceNumbers('1', '2'), -1, `'1' must be less than '2'`);
+  t.equal(compareSequenceNumbers('10', '9'), 1, `'10' must be greater than '9'`);
+  t.equal(compareSequenceNumbers('007', '7'), 0, `'007' must equal '7'`);
+  t.equal(compareSequenceNumbers('0', '000'), 0, `'0' must equal '000'`);
+  t.equal(compareSequenceNumbers(12, '11'), 1, `12 must be greater than '11'`);
+
+  // Beyond Number.MAX_SAFE_INTEGER
+  t.equal(compareSequenceNumbers(seqNo('0001'), seqNo('0002')), -1, `${seqNo('0001')} must be less than ${seqNo('0002')}`);
+  t.equal(compareSequenceNumbers('9007199254740993', '9007199254740992'), 1,
+    `'9007199254740993' must be greater than '9007199254740992'`);
+  t.equal(compareSequenceNumbers('100000000000000000000000000000', '99999999999999999999999999999'), 1,
+    `'1e29' must be greater than '99999999999999999999999999999'`);
+
+  // Sortable
+  const sorted = ['21', '3', '100', '0099'].sort(compareSequenceNumbers);
+  t.deepEqual(sorted, ['3', '21', '0099', '100'], `sorted must be ['3', '21', '0099', '100']`);
+
+  // Invalid sequence numbers
+  t.throws(() => compareSequenceNumbers('abc', '1'), /Invalid sequence number/, `'abc' must throw`);
+  t.throws(() => compareSequenceNumbers('1', ''), /Invalid sequence number/, `'' must throw`);
+  t.throws(() => compareSequenceNumbers('-1', '1'), /Invalid sequence number/, `'-1' must throw`);
+  t.throws(() => compareSequenceNumbers(1.5, '1'), /Invalid sequence number/, `1.5 must throw`);
+  t.throws(() => compareSequenceNumbers(undefined, '1'), /Invalid sequence number/, `undefined must throw`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// getSequenceNumber, getShardKey & getPartitionKey
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('getSequenceNumber, getShardKey & getPartitionKey', t => {
+  const kRecord = kinesisRecord('shardId-000000000001', '0001', 'pk1');
+  t.equal(getSequenceNumber(kRecord), seqNo('0001'), `Kinesis sequence number must be ${seqNo('0001')}`);
+  t.equal(getShardKey(kRecord), 'shardId-000000000001', `Kinesis shard key must be its shard id`);
+  t.equal(getPartitionKey(kRecord), 'pk1', `Kinesis partition key must be its partition key`);
+
+  const tableArn = sampleDynamoDBEventSourceArn('us-west-2', 'TestTable_DEV');
+  const dRecord = sampleDynamoDBRecord('e-1', '111', tableArn, 'id1', 'id2', 'ABC', 10);
+  t.equal(getSequenceNumber(dRecord), '111', `DynamoDB sequence number must be 111`);
+  t.equal(getShardKey(dRecord), tableArn, `DynamoDB shard key must be its event source ARN`);
+  t.equal(getPartitionKey(dRecord), JSON.stringify([['k1', {S: 'ABC'}], ['k2', {N: '10'}]]),
+    `DynamoDB partition key must be its sorted keys`);
+
+  const sRecord = sampleSqsRecord('m-1', 'body', sampleSqsEventSourceArn('us-west-2', 'TestQueue_DEV.fifo'), 'g1');
+  t.equal(getSequenceNumber(sRecord), sRecord.attributes.SequenceNumber, `SQS FIFO sequence number must be its SequenceNumber`);
+  t.equal(getShardKey(sRecord), 'g1', `SQS FIFO shard key must be its message group id`);
+  t.equal(getPartitionKey(sRecord), 'g1', `SQS FIFO partition key must be its message group id`);
+
+  const stdRecord = sampleSqsRecord('m-2');
+  t.equal(getSequenceNumber(stdRecord), '', `SQS standard sequence number must be empty`);
+
+  t.equal(getSequenceNumber({}), '', `unknown record sequence number must be empty`);
+  t.equal(getShardKey(undefined), '', `undefined record shard key must be empty`);
+  t.equal(getPartitionKey({eventSource: 'aws:dynamodb'}), '', `keyless DynamoDB record partition key must be empty`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// groupRecordsByShard & groupRecordsByPartitionKey
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('groupRecordsByShard & groupRecordsByPartitionKey', t => {
+  const r1 = kinesisRecord('shardId-000000000001', '0001', 'a');
+  const r2 = kinesisRecord('shardId-000000000002', '0002', 'b');
+  const r3 = kinesisRecord('shardId-000000000001', '0003', 'b');
+  const r4 = kinesisRecord('shardId-000000000002', '0004', 'a');
+  const event = {Records: [r1, r2, r3, r4]};
+
+  const byShard = groupRecordsByShard(event);
+  t.deepEqual(byShard.map(g => g.key), ['shardId-000000000001', 'shardId-000000000002'], `shard keys must be in order`);
+  t.deepEqual(byShard[0].records, [r1, r3], `shard 1 records must be [r1, r3]`);
+  t.deepEqual(byShard[1].records, [r2, r4], `shard 2 records must be [r2, r4]`);
+
+  const byPartitionKey = groupRecordsByPartitionKey(event.Records);
+  t.deepEqual(byPartitionKey.map(g => g.key), ['a', 'b'], `partition keys must be in order`);
+  t.deepEqual(byPartitionKey[0].records, [r1, r4], `partition a records must be [r1, r4]`);
+  t.deepEqual(byPartitionKey[1].records, [r2, r3], `partition b records must be [r2, r3]`);
+
+  t.deepEqual(groupRecordsByShard({}), [], `event without Records must have no groups`);
+  t.deepEqual(groupRecordsByPartitionKey(undefined), [], `undefined must have no groups`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// findOrderingAnomalies
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('findOrderingAnomalies with ordered records', t => {
+  const records = [
+    kinesisRecord('shardId-000000000001', '0001'),
+    kinesisRecord('shardId-000000000002', '0001'),
+    kinesisRecord('shardId-000000000001', '0010'),
+    kinesisRecord('shardId-000000000002', '0002')
+  ];
+  const anomalies = findOrderingAnomalies({Records: records});
+  t.deepEqual(anomalies, {duplicates: [], outOfOrder: []}, `must have no anomalies`);
+  t.end();
+});
+
+test('findOrderingAnomalies with duplicate & out-of-order records', t => {
+  const records = [
+    kinesisRecord('shardId-000000000001', '0002'),
+    kinesisRecord('shardId-000000000001', '0003'),
+    kinesisRecord('shardId-000000000001', '0001'),
+    kinesisRecord('shardId-000000000002', '0001'),
+    kinesisRecord('shardId-000000000001', '0003'),
+    kinesisRecord('shardId-000000000001', '0004'),
+    sampleSqsRecord('m-1')
+  ];
+  const anomalies = findOrderingAnomalies(records);
+
+  t.equal(anomalies.outOfOrder.length, 1, `outOfOrder must have 1 record`);
+  t.equal(anomalies.outOfOrder[0].index, 2, `outOfOrder[0].index must be 2`);
+  t.equal(anomalies.outOfOrder[0].record, records[2], `outOfOrder[0].record must be records[2]`);
+  t.equal(anomalies.outOfOrder[0].shardKey, 'shardId-000000000001', `outOfOrder[0].shardKey must be shard 1`);
+  t.equal(anomalies.outOfOrder[0].sequenceNumber, seqNo('0001'), `outOfOrder[0].sequenceNumber must be ${seqNo('0001')}`);
+  t.equal(anomalies.outOfOrder[0].precededBy, seqNo('0003'), `outOfOrder[0].precededBy must be ${seqNo('0003')}`);
+
+  t.equal(anomalies.duplicates.length, 1, `duplicates must have 1 record`);
+  t.equal(anomalies.duplicates[0].index, 4, `duplicates[0].index must be 4`);
+  t.equal(anomalies.duplicates[0].sequenceNumber, seqNo('0003'), `duplicates[0].sequenceNumber must be ${seqNo('0003')}`);
+  t.end();
+});
+
+// ---------------------------------------------------------------------------------------------------------------------
+// calculateCheckpoints & toCheckpointBatchResponse
+// ---------------------------------------------------------------------------------------------------------------------
+
+test('calculateCheckpoints with no failures', t => {
+  const records = [
+    kinesisRecord('shardId-000000000001', '0002'),
+    kinesisRecord('shardId-000000000001', '0001'),
+    kinesisRecord('shardId-000000000002', '0005')
+  ];
+  const checkpoints = calculateCheckpoints({Records: records}, {batchItemFailures: []});
+
+  t.equal(checkpoints.length, 2, `must have 2 checkpoints`);
+  t.equal(checkpoints[0].shardKey, 'shardId-000000000001', `checkpoints[0].shardKey must be shard 1`);
+  t.equal(checkpoints[0].checkpoint, seqNo('0002'), `checkpoints[0].checkpoint must be ${seqNo('0002')}`);
+  t.equal(checkpoints[0].firstFailedSequenceNumber, undefined, `checkpoints[0].firstFailedSequenceNumber must be undefined`);
+  t.equal(checkpoints[0].processedCount, 2, `checkpoints[0].processedCount must be 2`);
+  t.equal(checkpoints[0].totalCount, 2, `checkpoints[0].totalCount must be 2`);
+  t.equal(checkpoints[1].checkpoint, seqNo('0005'), `checkpoints[1].checkpoint must be ${seqNo('0005')}`);
+
+  t.deepEqual(toCheckpointBatchResponse(checkpoints), {batchItemFailures: []}, `batch response must have no failures`);
+  t.end();
+});
+
+test('calculateCheckpoints with failed Kinesis records', t => {
+  const records = [
+    kinesisRecord('shardId-000000000001', '0001'),
+    kinesisRecord('shardId-000000000001', '0002'),
+    kinesisRecord('shardId-000000000001', '0003'),
+    kinesisRecord('shardId-000000000001', '0004'),
+    kinesisRecord('shardId-000000000002', '0011'),
+    kinesisRecord('shardId-000000000002', '0012')
+  ];
+  // Failures on shard 1 (reported out of order) and a failure of the first record on shard 2
+  const batchResponse = {batchItemFailures: [seqNo('0004'), seqNo('0003'), seqNo('0011')].map(s => ({itemIdentifier: s}))};
+
+  const checkpoints = calculateCheckpoints(records, batchResponse);
+
+  t.equal(checkpoints[0].checkpoint, seqNo('0002'), `shard 1 checkpoint must be ${seqNo('0002')}`);
+  t.equal(checkpoints[0].firstFailedSequenceNumber, seqNo('0003'), `shard 1 first failed must be ${seqNo('0003')}`);
+  t.equal(checkpoints[0].processedCount, 2, `shard 1 processedCount must be 2`);
+  t.deepEqual(checkpoints[0].unprocessedRecords, [records[2], records[3]], `shard 1 unprocessed must be records 2 & 3`);
+
+  t.equal(checkpoints[1].checkpoint, undefined, `shard 2 checkpoint must be undefined`);
+  t.equal(checkpoints[1].firstFailedSequenceNumber, seqNo('0011'), `shard 2 first failed must be ${seqNo('0011')}`);
+  t.equal(checkpoints[1].processedCount, 0, `shard 2 processedCount must be 0`);
+
+  t.deepEqual(toCheckpointBatchResponse(checkpoints),
+    {batchItemFailures: [{itemIdentifier: seqNo('0003')}, {itemIdentifier: seqNo('0011')}]},
+    `batch response must report ONLY the lowest failed sequence number of each shard`);
+  t.end();
+});
+
+test('calculateCheckpoints with a failure predicate on DynamoDB records', t => {
+  const tableArn = sampleDynamoDBEventSourceArn('us-west-2', 'TestTable_DEV');
+  const records = ['100', '20', '3'].map((s, i) => sampleDynamoDBRecord(`e-${i}`, s, tableArn, 'id1', 'id2', `k${i}`, i));
+
+  const checkpoints = calculateCheckpoints({Records: records}, record => record.dynamodb.SequenceNumber === '100');
+  t.equal(checkpoints.length, 1, `must have 1 checkpoint`);
+  t.equal(checkpoints[0].shardKey, tableArn, `shardKey must be the table's stream ARN`);
+  t.equal(checkpoints[0].checkpoint, '20', `checkpoint must be 20`);
+  t.equal(checkpoints[0].firstFailedSequenceNumber, '100', `firstFailedSequenceNumber must be 100`);
+
+  t.deepEqual(toCheckpointBatchResponse(checkpoints), {batchItemFailures: [{itemIdentifier: '100'}]},
+    `batch response must report 100`);
+  t.end();
+});
+
+test('calculateCheckpoints with failed SQS FIFO records', t => {
+  const queueArn = sampleSqsEventSourceArn('us-west-2', 'TestQueue_DEV.fifo');
+  const records = [
+    sampleSqsRecord('m-1', 'a', queueArn, 'g1'),
+    sampleSqsRecord('m-2', 'b', queueArn, 'g1'),
+    sampleSqsRecord('m-3', 'c', queueArn, 'g2'),
+    sampleSqsRecord('m-4', 'd', queueArn, 'g1')
+  ];
+  records.forEach((r, i) => r.attributes.SequenceNumber = `1000000000000000000${i}`);
+
+  const checkpoints = calculateCheckpoints(records, ['m-2']);
+  t.equal(checkpoints[0].shardKey, 'g1', `checkpoints[0].shardKey must be g1`);
+  t.equal(checkpoints[0].checkpoint, '10000000000000000000', `g1 checkpoint must be 10000000000000000000`);
+  t.equal(checkpoints[1].shardKey, 'g2', `checkpoints[1].shardKey must be g2`);
+  t.equal(checkpoints[1].firstFailedSequenceNumber, undefined, `g2 must have no failures`);
+
+  t.deepEqual(toCheckpointBatchResponse(checkpoints), {batchItemFailures: [{itemIdentifier: 'm-2'}, {itemIdentifier: 'm-4'}]},
+    `batch response must report ALL of g1's unprocessed messages`);
+  t.end();
+});
\ No newline at end of file
@@ -0,0 +1,197 @@
+'use strict';
+
+/**
+ * Unit tests for aws-core-utils/timeouts.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const timeouts = require('../timeouts');
+const createCancellationToken = timeouts.createCancellationToken;
+const startTimeoutGuard = timeouts.startTimeoutGuard;
+const raceCancellation = timeouts.raceCancellation;
+const sendAbortableRequest = timeouts.sendAbortableRequest;
+const delayWithBackoff = timeouts.delayWithBackoff;
+
+const Promises = require('core-functions/promises');
+
+function sampleAwsContext(remainingTimeInMillis) {
+  const startTime = Date.now();
+  return {
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis() {
+      return remainingTimeInMillis - (Date.now() - startTime);
+    }
+  };
+}
+
+test('createCancellationToken', t => {
+  const token = createCancellationToken();
+  t.equal(token.aborted, false, `token.aborted must be false`);
+  t.doesNotThrow(() => token.throwIfAborted(), `throwIfAborted must NOT throw before cancel`);
+
+  const events = [];
+  const listener = event => events.push(`listener:${event.type}`);
+  const removed = () => events.push('removed');
+  token.onabort = event => events.push(`onabort:${event.type}`);
+  token.addEventListener('abort', listener);
+  token.addEventListener('abort', removed);
+  token.removeEventListener('abort', removed);
+
+  const reason = new Error('Stop');
+  t.equal(token.cancel(reason), true, `first cancel must return true`);
+  t.equal(token.cancel(new Error('Again')), false, `second cancel must return false`);
+  t.equal(token.aborted, true, `token.aborted must be true`);
+  t.equal(token.reason, reason, `token.reason must be reason`);
+  t.deepEqual(events, ['onabort:abort', 'listener:abort'], `listeners must be notified once`);
+  t.throws(() => token.throwIfAborted(), /Stop/, `throwIfAborted must throw reason after cancel`);
+  t.end();
+});
+
+test('raceCancellation', t => {
+  const token = createCancellationToken();
+  let cancelled = 0;
+  const onCancelled = () => ++cancelled;
+
+  raceCancellation(Promise.resolve('ok'), undefined)
+    .then(result => {
+      t.equal(result, 'ok', `without a token must resolve with result`);
+      return raceCancellation(Promise.resolve('ok'), token, onCancelled);
+    })
+    .then(result => {
+      t.equal(result, 'ok', `uncancelled must resolve with result`);
+      const slow = Promises.delay(50).then(() => 'slow');
+      setTimeout(() => token.cancel(new Error('Cancelled slow')), 5);
+      return raceCancellation(slow, token, onCancelled);
+    })
+    .then(
+      () => t.fail(`cancelled must reject`),
+      err => {
+        t.equal(err.message, 'Cancelled slow', `cancelled must reject with reason`);
+        t.equal(cancelled, 1, `onCancelled must be invoked`);
+        return raceCancellation(Promise.resolve('late'), token, onCancelled);
+      }
+    )
+    .then(
+      () => t.fail(`already cancelled must reject`),
+      err => {
+        t.equal(err.message, 'Cancelled slow', `already cancelled must reject with reason`);
+        t.equal(cancelled, 2, `onCancelled must be invoked for already cancelled token`);
+        t.end();
+      }
+    )
+    .catch(err => t.end(err));
+});
+
+test('sendAbortableRequest', t => {
+  const token = createCancellationToken();
+  let aborted = 0;
+  const request = (ms, result) => ({
+    promise: () => Promises.delay(ms).then(() => result),
+    abort: () => ++aborted
+  });
+
+  sendAbortableRequest(request(1, 'ok'), token)
+    .then(result => {
+      t.equal(result, 'ok', `uncancelled must resolve with result`);
+      t.equal(aborted, 0, `uncancelled request must NOT be aborted`);
+      return sendAbortableRequest({promise: () => Promise.resolve('no abort')}, undefined);
+    })
+    .then(result => {
+      t.equal(result, 'no abort', `request without an abort method must resolve with result`);
+      setTimeout(() => token.cancel(new Error('Cancelled request')), 5);
+      return sendAbortableRequest(request(50, 'slow'), token);
+    })
+    .then(
+      () => t.fail(`cancelled must reject`),
+      err => {
+        t.equal(err.message, 'Cancelled request', `cancelled must reject with reason`);
+        t.equal(aborted, 1, `cancelled request must be aborted`);
+        t.end();
+      }
+    )
+    .catch(err => t.end(err));
+});
+
+test('delayWithBackoff', t => {
+  const token = createCancellationToken();
+  const random = Math.random;
+  Math.random = () => 0.999;
+  const start = Date.now();
+
+  delayWithBackoff(0, 1000, 1000, token)
+    .then(() => {
+      t.ok(Date.now() - start < 500, `attempt 0 must NOT be delayed`);
+      const started = Date.now();
+      return delayWithBackoff(3, 5, 1000, token).then(() => Date.now() - started);
+    })
+    .then(elapsed => {
+      // Full jitter of attempt 3 is random(0 .. min(1000, 5 * 2^2)) = floor(0.999 * 20) = 19ms
+      t.ok(elapsed >= 15, `attempt 3 must be delayed by the jittered exponential backoff (${elapsed}ms)`);
+      Math.random = random;
+      setTimeout(() => token.cancel(new Error('Cancelled backoff')), 5);
+      return delayWithBackoff(10, 1000, 1000, token);
+    })
+    .then(
+      () => t.fail(`cancelled must reject`),
+      err => {
+        t.equal(err.message, 'Cancelled backoff', `cancelled must reject with reason`);
+        t.end();
+      }
+    )
+    .catch(err => {
+      Math.random = random;
+      t.end(err);
+    });
+});
+
+test('startTimeoutGuard without timeoutMarginInMillis', t => {
+  const context = {handler: {}};
+  const guard = startTimeoutGuard(sampleAwsContext(20), context);
+  t.equal(context.cancellationToken, guard.token, `context.cancellationToken must be guard.token`);
+
+  guard.race(Promises.delay(40).then(() => 'done'))
+    .then(result => {
+      t.equal(result, 'done', `unguarded race must resolve with result`);
+      t.equal(guard.token.aborted, false, `token must NOT be aborted`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('startTimeoutGuard with timeoutMarginInMillis', t => {
+  const awsContext = sampleAwsContext(60);
+  const context = {handler: {timeoutMarginInMillis: 40}};
+  const guard = startTimeoutGuard(awsContext, context);
+
+  guard.race(Promises.delay(200).then(() => 'too late'))
+    .then(
+      () => {
+        t.fail(`guarded race must time out`);
+        t.end();
+      },
+      err => {
+        t.equal(err.httpStatus, 504, `err.httpStatus must be 504`);
+        t.equal(err.code, 'LambdaTimeout', `err.code must be LambdaTimeout`);
+        t.equal(context.cancellationToken.aborted, true, `context.cancellationToken must be aborted`);
+        t.equal(context.cancellationToken.reason, err, `context.cancellationToken.reason must be err`);
+        t.equal(awsContext.callbackWaitsForEmptyEventLoop, false, `callbackWaitsForEmptyEventLoop must be false`);
+        t.end();
+      }
+    );
+});
+
+test('startTimeoutGuard with timeoutMarginInMillis completing in time', t => {
+  const context = {handler: {timeoutMarginInMillis: 10}};
+  const guard = startTimeoutGuard(sampleAwsContext(1000), context);
+
+  guard.race(Promises.delay(5).then(() => 'in time'))
+    .then(result => {
+      t.equal(result, 'in time', `guarded race must resolve with result`);
+      t.equal(guard.token.aborted, false, `token must NOT be aborted`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
\ No newline at end of file
@@ -0,0 +1,209 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const appErrors = require('core-functions/app-errors');
+const GatewayTimeout = appErrors.GatewayTimeout;
+
+/**
+ * Utilities for guarding AWS Lambda handler invocations against hard Lambda timeouts (using the AWS context's
+ * `getRemainingTimeInMillis` function) and for signalling the cancellation of in-flight work (via an AbortSignal-like
+ * cancellation token) to utilities that honour it (e.g. `dynamodb-doc-client-utils.getItem`), including cancellable
+ * AWS requests (see {@link sendAbortableRequest}) and cancellable retry backoff delays (see {@link delayWithBackoff}).
+ *
+ * A timeout guard is ONLY armed if a `context.handler.timeoutMarginInMillis` is configured, in which case the handler
+ * invocation is failed with a 504 `LambdaTimeout` error once ONLY that margin of the Lambda's remaining time is left.
+ *
+ * @module aws-core-utils/timeouts
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.createCancellationToken = createCancellationToken;
+exports.startTimeoutGuard = startTimeoutGuard;
+exports.raceCancellation = raceCancellation;
+exports.sendAbortableRequest = sendAbortableRequest;
+exports.delayWithBackoff = delayWithBackoff;
+
+/**
+ * Creates a new AbortSignal-like cancellation token, which can be cancelled (at most once) via its `cancel` method.
+ * @returns {CancellationToken} a new cancellation token
+ */
+function createCancellationToken() {
+  const listeners = [];
+
+  const token = {
+    aborted: false,
+    reason: undefined,
+    onabort: undefined,
+
+    addEventListener(type, listener) {
+      if (type === 'abort' && typeof listener === 'function' && listeners.indexOf(listener) === -1) {
+        listeners.push(listener);
+      }
+    },
+
+    removeEventListener(type, listener) {
+      const i = type === 'abort' ? listeners.indexOf(listener) : -1;
+      if (i !== -1) listeners.splice(i, 1);
+    },
+
+    throwIfAborted() {
+      if (token.aborted) throw token.reason;
+    },
+
+    cancel(reason) {
+      if (token.aborted) return false;
+      token.aborted = true;
+      token.reason = reason !== undefined ? reason : new Error('Cancelled');
+
+      const event = {type: 'abort', target: token};
+      const all = typeof token.onabort === 'function' ? [token.onabort].concat(listeners) : listeners.slice();
+      listeners.length = 0;
+      all.forEach(listener => {
+        try {
+          listener.call(token, event);
+        } catch (err) {
+          console.error(`Unexpected failure in cancellation token abort listener`, err);
+        }
+      });
+      return true;
+    }
+  };
+  return token;
+}
+
+/**
+ * Starts a timeout guard for the current handler invocation, which sets a new cancellation token on the context as
+ * `context.cancellationToken` and, if a `context.handler.timeoutMarginInMillis` is configured and the given AWS context
+ * has a `getRemainingTimeInMillis` function, arms a timer that will cancel the token with a 504 `LambdaTimeout` error
+ * once ONLY the configured margin of the Lambda's remaining time is left.
+ * @param {AWSContext|undefined} awsContext - the AWS context passed to your handler
+ * @param {StandardHandlerContext} context - the context to use
+ * @param {number|undefined} [context.handler.timeoutMarginInMillis] - the optional number of milliseconds before the
+ *        Lambda would time out at which to time out the handler invocation
+ * @returns {TimeoutGuard} the timeout guard
+ */
+function startTimeoutGuard(awsContext, context) {
+  const token = createCancellationToken();
+  if (context) context.cancellationToken = token;
+
+  const handler = context && context.handler;
+  const margin = handler && handler.timeoutMarginInMillis;
+  const getRemainingTimeInMillis = awsContext && awsContext.getRemainingTimeInMillis;
+
+  let timer = undefined;
+  if (typeof margin === 'number' && margin >= 0 && typeof getRemainingTimeInMillis === 'function') {
+    const remaining = getRemainingTimeInMillis.call(awsContext);
+    const timeout = Math.max(remaining - margin, 0);
+
+    timer = setTimeout(() => {
+      timer = undefined;
+      const error = new GatewayTimeout(`Timed out with only ${margin} ms of the Lambda's remaining time left`,
+        'LambdaTimeout');
+      if (context && typeof context.warn === 'function') {
+        context.warn(`Timing out after ${timeout} ms to avoid a hard Lambda timeout`);
+      }
+      // Avoid waiting for any hung calls to complete before returning the timeout response
+      if (awsContext) awsContext.callbackWaitsForEmptyEventLoop = false;
+      token.cancel(error);
+    }, timeout);
+  }
+
+  function stop() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = undefined;
+    }
+  }
+
+  return {
+    token: token,
+    race: promise => raceCancellation(promise, token).then(
+      result => {
+        stop();
+        return result;
+      },
+      err => {
+        stop();
+        throw err;
+      }
+    ),
+    stop: stop
+  };
+}
+
+/**
+ * Races the given promise against the cancellation of the given token (if any), such that the returned promise is
+ * rejected with the token's `reason` as soon as the token is cancelled (after first invoking the given `onCancelled`
+ * function, if any, e.g. to abort an in-flight AWS request).
+ * @param {Promise.<T>} promise - the promise to race
+ * @param {CancellationToken|undefined} [token] - an optional cancellation token
+ * @param {function(reason: *)|undefined} [onCancelled] - an optional function to invoke if the token is cancelled
+ *        before the promise settles
+ * @returns {Promise.<T>} a promise of the given promise's result or rejected with the token's reason
+ * @template T
+ */
+function raceCancellation(promise, token, onCancelled) {
+  if (!token || typeof token.addEventListener !== 'function') {
+    return Promise.resolve(promise);
+  }
+  if (token.aborted) {
+    if (typeof onCancelled === 'function') onCancelled(token.reason);
+    return Promise.reject(token.reason);
+  }
+  return new Promise((resolve, reject) => {
+    function onAbort() {
+      if (typeof onCancelled === 'function') onCancelled(token.reason);
+      reject(token.reason);
+    }
+
+    token.addEventListener('abort', onAbort);
+
+    Promise.resolve(promise).then(
+      result => {
+        token.removeEventListener('abort', onAbort);
+        resolve(result);
+      },
+      err => {
+        token.removeEventListener('abort', onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+/**
+ * Sends the given AWS request (i.e. an `AWS.Request` returned by an AWS service client method) and races its promise
+ * against the cancellation of the given token (if any), such that the request is aborted and the returned promise is
+ * rejected with the token's `reason` if the token is cancelled before the request completes.
+ * @param {AWS.Request} request - the AWS request to send
+ * @param {CancellationToken|undefined} [token] - an optional cancellation token
+ * @returns {Promise.<T>} a promise of the request's result or rejected with the request's error or the token's reason
+ * @template T
+ */
+function sendAbortableRequest(request, token) {
+  const abort = () => {
+    if (typeof request.abort === 'function') request.abort();
+  };
+  return raceCancellation(request.promise(), token, abort);
+}
+
+/**
+ * Waits before the given retry attempt using exponential backoff with full jitter, i.e. for a random delay of between
+ * zero and the lesser of `maxDelayMs` and `baseDelayMs * 2^(attempt - 1)` milliseconds, unless the given token (if any)
+ * is cancelled first. The first attempt (i.e. attempt 0) is NOT delayed.
+ * @param {number} attempt - the number of the attempt about to be made (i.e. 0 for the first attempt, 1 for the first
+ *        retry, etc.)
+ * @param {number} baseDelayMs - the base delay in milliseconds
+ * @param {number} maxDelayMs - the maximum delay in milliseconds
+ * @param {CancellationToken|undefined} [token] - an optional cancellation token
+ * @returns {Promise.<undefined>} a promise that will resolve after the delay or reject with the token's reason
+ */
+function delayWithBackoff(attempt, baseDelayMs, maxDelayMs, token) {
+  if (!(attempt > 0)) {
+    return Promise.resolve(undefined);
+  }
+  const delayMs = Math.floor(Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1)));
+  return raceCancellation(Promises.delay(delayMs), token);
+}
\ No newline at end of file
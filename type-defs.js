@@ -23,6 +23,11 @@
  * function for your AWS Lambda
  */
 
+/**
+ * @typedef {function(event: AWSEvent, awsContext: AWSContext): Promise.<*>} AsyncAwsLambdaHandlerFunction - an async
+ * handler function for your AWS Lambda, which returns a promise of its response instead of invoking a callback
+ */
+
 /**
  * @typedef {StageHandling|EventAWSContextAndStageAware} StandardContext - an object configured as a standard context
  *          with stage handling, logging, custom settings, an optional Kinesis instance and an optional DynamoDB
@@ -132,6 +137,44 @@
  * @property {AWS.Kinesis} kinesis - an AWS.Kinesis instance to use
  */
 
+/**
+ * @typedef {Object} KinesisPutRecordsEntry - a record to put to a Kinesis stream with a `putRecords` request
+ * @property {string|Buffer|Uint8Array} Data - the data of the record
+ * @property {string} PartitionKey - the partition key of the record (of 1 to `stream-events.MAX_PARTITION_KEY_SIZE`
+ *           Unicode characters)
+ * @property {string|undefined} [ExplicitHashKey] - an optional hash value used to explicitly determine the shard
+ */
+
+/**
+ * @typedef {Object} PublishRecordsOpts - options that control the retries of `kinesis-utils.publishRecords`
+ * @property {number|undefined} [maxRetries] - the optional maximum number of times to retry failed records (defaults to
+ *           `kinesis-utils.DEFAULT_PUBLISH_MAX_RETRIES`)
+ * @property {number|undefined} [baseDelayMs] - the optional base delay in milliseconds of the exponential backoff
+ *           between retries (defaults to `kinesis-utils.DEFAULT_PUBLISH_BASE_DELAY_MS`)
+ * @property {number|undefined} [maxDelayMs] - the optional maximum delay in milliseconds between retries (defaults to
+ *           `kinesis-utils.DEFAULT_PUBLISH_MAX_DELAY_MS`)
+ */
+
+/**
+ * @typedef {Object} PublishRecordsResult - the result of publishing records with `kinesis-utils.publishRecords`
+ * @property {PublishRecordOutcome[]} outcomes - the outcome of each record (in the same order as the records)
+ * @property {number} publishedCount - the number of records that were published
+ * @property {number} failedCount - the number of records that could NOT be published
+ */
+
+/**
+ * @typedef {Object} PublishRecordOutcome - the outcome of publishing a record
+ * @property {number} index - the index of the record
+ * @property {KinesisPutRecordsEntry} record - the record
+ * @property {boolean} published - whether the record was published or not
+ * @property {number} attempts - the number of `putRecords` requests in which the record was sent
+ * @property {string|undefined} [SequenceNumber] - the sequence number of the record (if published)
+ * @property {string|undefined} [ShardId] - the id of the shard to which the record was published (if published)
+ * @property {string|undefined} [ErrorCode] - the ErrorCode of the record's last failed attempt (if not published)
+ * @property {string|undefined} [ErrorMessage] - the ErrorMessage of the record's last failed attempt (if not published)
+ * @property {Error|undefined} [error] - the error with which the record failed (if not published)
+ */
+
 /**
  * @typedef {Object} DynamoDBDocClientAware - an object configured with an AWS.DynamoDB.DocumentClient instance
  * @property {AWS.DynamoDB.DocumentClient} dynamoDBDocClient - an AWS.DynamoDB.DocumentClient instance to use
@@ -284,6 +327,11 @@
  * @property {DynamoDBEventRecord[]} Records - the records of the AWS DynamoDB stream event
  */
 
+/**
+ * @typedef {AWSEvent} SQSEvent - represents an AWS SQS (Simple Queue Service) event
+ * @property {SQSEventRecord[]} Records - the records of the AWS SQS event
+ */
+
 /**
  * @typedef {AWSEvent} S3Event - represents an AWS S3 (Simple Storage Service) event
  * @property {S3EventRecord[]} Records - the records of the AWS S3 event
@@ -304,13 +352,14 @@
  * @typedef {Object} AWSEventRecord - represents an AWS event record
  * @see KinesisEventRecord
  * @see DynamoDBEventRecord
+ * @see SQSEventRecord
  * @see S3EventRecord
  * @see SESEventRecord
  * @see SNSEventRecord
  */
 
 /**
- * @typedef {KinesisEventRecord|DynamoDBEventRecord|S3EventRecord|SESEventRecord|SNSEventRecord} AnyAWSEventRecord - represents any AWS event record (currently supported)
+ * @typedef {KinesisEventRecord|DynamoDBEventRecord|SQSEventRecord|S3EventRecord|SESEventRecord|SNSEventRecord} AnyAWSEventRecord - represents any AWS event record (currently supported)
  */
 
 /**
@@ -342,14 +391,21 @@
  */
 
 /**
- * @typedef {Object} UserRecord - represents a "user record" extracted from an AWS Kinesis stream event record using the `aws-kinesis-agg` module
+ * @typedef {Object} UserRecord - represents a "user record" extracted from an AWS Kinesis stream event record (e.g. using `stream-events.deaggregateKinesisRecord` or the `aws-kinesis-agg` module)
  * @property {string} partitionKey - the original partition key of this user record, which was used in the Kinesis put record request either sent directly or added to an aggregate record
- * @property {string|undefined} [explicitPartitionKey] - an explicit partition key added by `aws-kinesis-agg` (Note that it can contain the string "undefined" and is omitted or undefined if the Kinesis record is a normal, non-aggregate record)
+ * @property {string|undefined} [explicitPartitionKey] - the explicit hash key of this user record (if any) (Note that it can contain the string "undefined" and is omitted or undefined if the Kinesis record is a normal, non-aggregate record)
  * @property {string} sequenceNumber: - the sequence number of the AWS Kinesis stream event record from which this UserRecord was extracted
- * @property {number|undefined} [subSequenceNumber] - the sub-sequence number assigned to this UserRecord by `aws-kinesis-agg` (undefined if the Kinesis record is a normal, non-aggregate record)
+ * @property {number|undefined} [subSequenceNumber] - the sub-sequence number (i.e. index) of this UserRecord within its KPL aggregated record (undefined if the Kinesis record is a normal, non-aggregate record)
  * @property {string} data - the actual data of the message in base 64 format
+ * @property {number|undefined} [approximateArrivalTimestamp] - the approximate arrival timestamp of the Kinesis record (if any)
  */
 
+/**
+ * @typedef {Object} KinesisDataParseResult - the result of parsing the data of a Kinesis stream event record or user record
+ * @property {*} [payload] - the parsed payload (if parsing succeeded)
+ * @property {Error|undefined} [error] - the parse error (if parsing failed), which has the record's `sequenceNumber`,
+ *           `subSequenceNumber` (if any) and the underlying failure as its `cause`
+ */
 /**
  * @typedef {StreamEventRecord} DynamoDBEventRecord - represents an AWS DynamoDB stream event record
  * @property {DynamodbProperty} dynamodb - the dynamodb property contains the details of the DynamoDB record that was inserted, modified or removed
@@ -378,10 +434,114 @@
  * present or not, and which should be 'KEYS_ONLY', 'NEW_IMAGE', 'OLD_IMAGE' or 'NEW_AND_OLD_IMAGES'
  */
 
+/**
+ * @typedef {Object} ExpressionOperand - an operand of a DynamoDB expression (see `dynamodb-expressions` module)
+ * @property {string} kind - always 'operand'
+ * @property {string|undefined} [hint] - the attribute name from which to derive the placeholders of related values
+ * @property {function(builder: ExpressionBuilder): string} render - renders the operand using the given builder
+ */
+
+/**
+ * @typedef {Object} ExpressionCondition - a DynamoDB condition, filter or key condition (see `dynamodb-expressions`
+ * module)
+ * @property {string} kind - always 'condition'
+ * @property {boolean} composite - whether the condition combines other conditions with AND or OR or not
+ * @property {function(builder: ExpressionBuilder): string} render - renders the condition using the given builder
+ */
+
+/**
+ * @typedef {Object} UpdateAction - an action of a DynamoDB update expression (see `dynamodb-expressions` module)
+ * @property {string} clause - the action's clause, i.e. 'SET', 'REMOVE', 'ADD' or 'DELETE'
+ * @property {function(builder: ExpressionBuilder): string} render - renders the action using the given builder
+ */
+
+/**
+ * @typedef {Object} ExpressionBuilder - renders DynamoDB expressions with collision-free placeholders (see
+ * `dynamodb-expressions.createExpressionBuilder`)
+ * @property {Object.<string, string>} names - the attribute name placeholders registered by the builder
+ * @property {Object.<string, *>} values - the attribute value placeholders registered by the builder
+ * @property {function(attributePath: string): string} name - registers the placeholders of the given attribute path
+ *           and returns the path with its attribute names replaced by their placeholders
+ * @property {function(value: *, hint: (string|undefined)): string} value - registers & returns a placeholder for the
+ *           given value
+ * @property {function(operand: (ExpressionOperand|*), hint: (string|undefined)): string} operand - renders the given
+ *           operand or else registers & returns a placeholder for the given value
+ * @property {function(condition: ExpressionCondition): string} condition - renders the given condition
+ * @property {function(actions: (UpdateAction|UpdateAction[])): string} update - renders an update expression from the
+ *           given actions
+ * @property {function(attributePaths: (string|string[])): string[]} projection - renders the given attribute paths
+ * @property {function(target: (Object|undefined)): Object} applyTo - merges the registered placeholders into the
+ *           `ExpressionAttributeNames` & `ExpressionAttributeValues` of the given DynamoDB request params or options
+ */
+
+/**
+ * @typedef {Object} ExpressionBuilderOpts - options to use to build DynamoDB expressions
+ * @property {boolean|undefined} [marshall] - whether to convert values into DynamoDB AttributeValues (e.g. for low-level
+ *           `AWS.DynamoDB` requests) or not (defaults to false, i.e. for `AWS.DynamoDB.DocumentClient` requests)
+ */
+
+/**
+ * @typedef {Object} Expressions - the DynamoDB expressions to build (see `dynamodb-expressions.buildExpressions`)
+ * @property {UpdateAction|UpdateAction[]|undefined} [update] - the actions of an `UpdateExpression`
+ * @property {ExpressionCondition|undefined} [condition] - a `ConditionExpression`
+ * @property {ExpressionCondition|undefined} [filter] - a `FilterExpression`
+ * @property {ExpressionCondition|undefined} [keyCondition] - a `KeyConditionExpression`
+ * @property {string|string[]|undefined} [projection] - the attribute paths of a `ProjectionExpression`
+ */
+
+/**
+ * @typedef {Object} DynamoDBStreamChanges - the changes between the old & new images of a DynamoDB stream event record
+ * @property {string} eventName - the record's eventName (i.e. 'INSERT', 'MODIFY' or 'REMOVE')
+ * @property {string} streamViewType - the record's StreamViewType
+ * @property {Object} keys - the keys of the DynamoDB record (in simple object format)
+ * @property {AttributeChange[]} added - the attributes that were added (with their new values)
+ * @property {AttributeChange[]} removed - the attributes that were removed (with their old values)
+ * @property {AttributeChange[]} modified - the attributes that were modified (with their old & new values)
+ */
+
+/**
+ * @typedef {Object} AttributeChange - a change to an attribute of a DynamoDB record
+ * @property {string} path - the path of the attribute (e.g. 'status', 'address.city' or 'items[0].qty')
+ * @property {*} [oldValue] - the attribute's old value (ONLY for removed & modified attributes)
+ * @property {*} [newValue] - the attribute's new value (ONLY for added & modified attributes)
+ */
+
 /**
  * @typedef {KinesisEventRecord|DynamoDBEventRecord} AnyStreamEventRecord - represents any AWS stream event record (currently supported)
  */
 
+/**
+ * @typedef {AWSEventRecord} SQSEventRecord - represents an AWS SQS event record
+ * @property {string} messageId - the id of the SQS message
+ * @property {string} receiptHandle - the receipt handle of the SQS message, which is needed to delete the message
+ * @property {string} body - the body of the SQS message
+ * @property {SQSRecordAttributes} attributes - the system attributes of the SQS message
+ * @property {Object.<string, SQSMessageAttribute>} messageAttributes - the message attributes of the SQS message
+ * @property {string} md5OfBody - the MD5 digest of the body of the SQS message
+ * @property {string} eventSource - the event source, which should be 'aws:sqs'
+ * @property {string} eventSourceARN - the event source ARN (Amazon Resource Number), which identifies the event source queue
+ * @property {string} awsRegion - the AWS region of the event source queue
+ * @see SQSEvent
+ */
+
+/**
+ * @typedef {Object} SQSRecordAttributes - represents the system attributes of an AWS SQS event record
+ * @property {string} ApproximateReceiveCount - the approximate number of times that the message has been received
+ * @property {string} SentTimestamp - the time at which the message was sent (in epoch milliseconds)
+ * @property {string} SenderId - the id of the sender of the message
+ * @property {string} ApproximateFirstReceiveTimestamp - the time at which the message was first received (in epoch milliseconds)
+ * @property {string|undefined} [MessageGroupId] - the message group id of a FIFO queue message
+ * @property {string|undefined} [MessageDeduplicationId] - the message deduplication id of a FIFO queue message
+ * @property {string|undefined} [SequenceNumber] - the sequence number of a FIFO queue message
+ */
+
+/**
+ * @typedef {Object} SQSMessageAttribute - represents a message attribute of an AWS SQS event record
+ * @property {string} dataType - the data type of the attribute (i.e. 'String', 'Number' or 'Binary', optionally followed by a custom type)
+ * @property {string|undefined} [stringValue] - the value of a String or Number attribute
+ * @property {string|undefined} [binaryValue] - the base 64 encoded value of a Binary attribute
+ */
+
 /**
  * @typedef {AWSEventRecord} S3EventRecord - represents an AWS S3 event record
  * @property {string} eventSource - the event source of the AWS S3 event record
@@ -405,6 +565,119 @@
  * alter the default behaviour
  * @property {string} emptyStringReplacement - a non-empty string to use as a replacement for empty strings, which
  * cannot be stored to DynamoDB (defaults to ' ', i.e. a single space)
+ * @property {EmptyValueStrategy} emptyStringStrategy - the strategy to use for empty strings in `toStorableItem`
+ * (defaults to 'keep')
+ * @property {EmptyValueStrategy} emptySetStrategy - the strategy to use for empty sets, which cannot be stored to
+ * DynamoDB, in `toStorableItem` (defaults to 'remove')
+ * @property {EmptyValueStrategy} emptyListStrategy - the strategy to use for empty lists in `toStorableItem` (defaults
+ * to 'keep')
+ * @property {DateStrategy} dateStrategy - the strategy to use to convert Dates into DynamoDB AttributeValues (defaults
+ * to 'isoString')
+ * @property {NumberStrategy} numberStrategy - the strategy to use to convert DynamoDB numbers into JavaScript values
+ * (defaults to 'numberOrIntegerLike')
+ */
+
+/**
+ * @typedef {'numberOrIntegerLike'|'number'|'string'|'bigint'|'numberValue'|function(numberString: string): *} NumberStrategy -
+ * a strategy to use to convert DynamoDB numbers (i.e. `N` values and the elements of `NS` values) into JavaScript
+ * values (see `dynamodb-utils.toNumberFromNumberString`)
+ */
+
+/**
+ * @typedef {Object} FromDynamoDBMapOpts - options to use when converting DynamoDB AttributeValues into JavaScript values
+ * @property {NumberStrategy|undefined} [numberStrategy] - the strategy to use to convert DynamoDB numbers (defaults to
+ *           `dynamodb-utils.defaults.numberStrategy`)
+ */
+
+/**
+ * @typedef {'isoString'|'epochMillis'|'epochSeconds'|function(date: Date): *} DateStrategy - a strategy to use to
+ * convert Dates into DynamoDB AttributeValues, i.e. 'isoString' (an `S` ISO-8601 string), 'epochMillis' (an `N` number
+ * of milliseconds since the epoch), 'epochSeconds' (an `N` number of seconds since the epoch) or a function that
+ * converts a Date into another value to be converted instead
+ */
+
+/**
+ * @typedef {Object} ToDynamoDBMapOpts - options to use when converting JavaScript values into DynamoDB AttributeValues
+ * @property {DateStrategy|undefined} [dateStrategy] - the strategy to use to convert Dates (defaults to
+ *           `dynamodb-utils.defaults.dateStrategy`)
+ * @property {boolean|undefined} [roundTrip] - whether to throw an error for any value that would NOT be converted back
+ *           into exactly the same value by `dynamodb-utils.toObjectFromDynamoDBMap` or not (defaults to false)
+ * @property {NumberStrategy|undefined} [numberStrategy] - the strategy with which numbers will be converted back (ONLY
+ *           used if `roundTrip` is true and defaults to `dynamodb-utils.defaults.numberStrategy`)
+ */
+
+/**
+ * @typedef {'keep'|'remove'|'replace'} EmptyValueStrategy - a strategy to use to handle empty strings, sets or lists
+ * when transforming an object into a storable item (see `dynamodb-utils.toStorableItem`)
+ */
+
+/**
+ * @typedef {Object} StorableItemOpts - options to use when transforming an object into a storable item
+ * @property {EmptyValueStrategy|undefined} [emptyStringStrategy] - the strategy to use for empty strings (defaults to
+ *           `dynamodb-utils.defaults.emptyStringStrategy`)
+ * @property {*|undefined} [emptyStringReplacement] - the replacement for empty strings (defaults to
+ *           `dynamodb-utils.defaults.emptyStringReplacement`)
+ * @property {EmptyValueStrategy|undefined} [emptySetStrategy] - the strategy to use for empty sets (defaults to
+ *           `dynamodb-utils.defaults.emptySetStrategy`)
+ * @property {*|undefined} [emptySetReplacement] - the replacement for empty sets (defaults to null)
+ * @property {EmptyValueStrategy|undefined} [emptyListStrategy] - the strategy to use for empty lists (defaults to
+ *           `dynamodb-utils.defaults.emptyListStrategy`)
+ * @property {*|undefined} [emptyListReplacement] - the replacement for empty lists (defaults to null)
+ * @property {DateStrategy|undefined} [dateStrategy] - the strategy to use to convert Dates (defaults to
+ *           `dynamodb-utils.defaults.dateStrategy`)
+ */
+
+/**
+ * @typedef {Object} StorableItemResult - the result of transforming an object into a storable item
+ * @property {Object} item - the storable item
+ * @property {StorableItemChange[]} changes - the changes made to the values of the item
+ */
+
+/**
+ * @typedef {Object} StorableItemChange - a change made to a value when transforming an object into a storable item
+ * @property {string} path - the path of the changed value within the original object (e.g. `a.b[1].c`)
+ * @property {'removed'|'replaced'|'converted'} action - the action taken
+ * @property {'emptyString'|'emptySet'|'emptyList'|'undefined'|'date'|'numberValue'} type - the type of value that was changed
+ */
+
+/**
+ * @typedef {ToDynamoDBMapOpts|Object} ItemSizeOpts - options to use when calculating the size of an item
+ * @property {boolean|undefined} [marshalled] - whether the item is already a DynamoDB map object with AttributeValue
+ *           values or not (defaults to false, i.e. a plain object to be converted with `dynamodb-utils.toDynamoDBMap`)
+ */
+
+/**
+ * @typedef {Object} AttributeSize - the size of an attribute of an item
+ * @property {string} name - the name of the attribute
+ * @property {number} size - the size of the attribute (i.e. of its name & value) in bytes
+ */
+
+/**
+ * @typedef {ItemSizeOpts|Object} ReadCapacityOpts - options to use when estimating read capacity units
+ * @property {boolean|undefined} [consistentRead] - whether the read is strongly consistent or not (defaults to false)
+ * @property {boolean|undefined} [transactional] - whether the read is transactional or not (defaults to false)
+ */
+
+/**
+ * @typedef {ItemSizeOpts|Object} WriteCapacityOpts - options to use when estimating write capacity units
+ * @property {boolean|undefined} [transactional] - whether the write is transactional or not (defaults to false)
+ */
+
+/**
+ * @typedef {Object} DynamoDBSet - a set of strings, numbers or Buffers (see `dynamodb-utils.createSet`), which is
+ * compatible with the sets created by `AWS.DynamoDB.DocumentClient.createSet`
+ * @property {string} wrapperName - always 'Set'
+ * @property {string} type - the type of the set's values, i.e. 'String', 'Number' or 'Binary'
+ * @property {Array.<string|number|NumberValue|Buffer>} values - the set's values
+ */
+
+/**
+ * @typedef {Object} NumberValue - a number held as its exact string representation (see
+ * `dynamodb-utils.createNumberValue`)
+ * @property {string} wrapperName - always 'NumberValue'
+ * @property {string} value - the number's string representation
+ * @property {function(): string} toString - returns the number's string representation
+ * @property {function(): string} toJSON - returns the number's string representation
  */
 
 /**
@@ -415,6 +688,16 @@
  * @property {'NONE'|'INDEXES'|'TOTAL'|undefined} [ReturnConsumedCapacity] - determines the level of detail about provisioned throughput consumption that is returned in the response
  */
 
+/**
+ * @typedef {Object} DynamoPutOpts - a selection of DynamoDB.DocumentClient `put` method param options to use (other than TableName & Item & legacy parameters)
+ * @property {string|undefined} [ConditionExpression] - an optional condition that must be satisfied for the put to succeed
+ * @property {Object|undefined} [ExpressionAttributeNames] - optional one or more substitution tokens for attribute names in an expression
+ * @property {Object|undefined} [ExpressionAttributeValues] - optional one or more substitution tokens for attribute values in an expression
+ * @property {'NONE'|'ALL_OLD'|undefined} [ReturnValues] - whether to return the item's previous attributes or not
+ * @property {'NONE'|'INDEXES'|'TOTAL'|undefined} [ReturnConsumedCapacity] - determines the level of detail about provisioned throughput consumption that is returned in the response
+ * @property {number|undefined} [maxItemSize] - an optional maximum item size in bytes (e.g. `dynamodb-utils.MAX_ITEM_SIZE`) above which to reject the item without putting it (NOT passed on to DynamoDB)
+ */
+
 /**
  * @typedef {Object} DynamoQueryOpts.<K> - a selection of DynamoDB Query options to use (other than TableName, [IndexName], KeyConditionExpression, ProjectionExpression, FilterExpression, ExpressionAttributeNames, ExpressionAttributeValues & legacy parameters)
  * @property {K|Object|undefined} [ExclusiveStartKey] - the optional exclusive start key from which to continue a previous query
@@ -465,6 +748,257 @@
  * @template I,K
  */
 
+/**
+ * @typedef {Object} DynamoPagingOpts - options that control the paging of `queryItems` & `scanItems` (and their iterators)
+ * @property {number|undefined} [maxItems] - the optional maximum number of items to read
+ * @property {number|undefined} [maxPages] - the optional maximum number of pages to read
+ * @property {number|undefined} [pageSize] - the optional maximum number of items to evaluate per page (i.e. the `Limit`)
+ * @property {function(page: DynamoItemsPage, context: StandardContext): (Promise|*)|undefined} [onPage] - an optional
+ *           callback to invoke with each page as it is received (and whose promise, if any, is awaited)
+ */
+
+/**
+ * @typedef {DynamoQueryOpts.<K>|DynamoPagingOpts|Object} DynamoQueryItemsOpts.<K> - the DynamoDB `query` parameter
+ *           options (including KeyConditionExpression & optional IndexName) and paging options to use
+ * @template K
+ */
+
+/**
+ * @typedef {DynamoQueryOpts.<K>|DynamoPagingOpts|Object} DynamoScanItemsOpts.<K> - the DynamoDB `scan` parameter
+ *           options (including optional IndexName) and paging options to use
+ * @property {number|undefined} [totalSegments] - the optional number of segments into which to divide a parallel scan
+ * @property {number|undefined} [segmentConcurrency] - the optional maximum number of segments of a parallel scan to scan
+ *           concurrently (defaults to DEFAULT_SEGMENT_CONCURRENCY)
+ * @template K
+ */
+
+/**
+ * @typedef {DynamoQueryResult.<I,K>} DynamoItemsPage.<I,K> - a page of a query or scan
+ * @property {number|undefined} [Segment] - the segment of a parallel scan from which the page was read (if applicable)
+ * @property {number} pageNumber - the number of the page (in the order in which the pages were received)
+ * @template I,K
+ */
+
+/**
+ * @typedef {Object} DynamoItemsResult.<I,K> - the collected result of all of the pages read by a query or scan
+ * @property {Array.<I|Object>|undefined} [Items] - the collected items (if collected)
+ * @property {number|undefined} [Count] - the number of items collected (if collected)
+ * @property {number} ScannedCount - the total number of items evaluated before applying any filter
+ * @property {number} pageCount - the number of pages read
+ * @property {K|Object|undefined} [LastEvaluatedKey] - the key (if any) from which to continue a query or non-parallel
+ *           scan that was stopped early by `maxItems` or `maxPages`
+ * @property {Object.<number, K|Object|null>|undefined} [LastEvaluatedKeys] - the keys (if any), by segment, from which
+ *           to continue the unfinished segments of a parallel scan that was stopped early by `maxItems` or `maxPages`
+ *           (with a null key for any segment that was never started)
+ * @property {ConsumedCapacity|undefined} [ConsumedCapacity] - the total capacity units consumed by all of the pages (if requested)
+ * @template I,K
+ */
+
+/**
+ * @typedef {Object} DynamoItemsIterator.<I,K> - an async iterator over the items of a query or scan
+ * @property {function(): Promise.<{value: (I|Object|undefined), done: boolean}>} next - returns a promise of the next item
+ * @property {function(value: *): Promise.<{value: *, done: boolean}>} return - stops the iteration
+ * @property {function(): DynamoItemsResult.<I,K>} summary - returns a summary (without Items) of the pages read so far
+ * @template I,K
+ */
+
+/**
+ * @typedef {Object} DynamoBatchRetryOpts - options that control the retries of `batchGetItems` & `batchWriteItems`
+ * @property {number|undefined} [maxRetries] - the optional maximum number of times to retry unprocessed items (defaults
+ *           to DEFAULT_BATCH_MAX_RETRIES)
+ * @property {number|undefined} [baseDelayMs] - the optional base delay in milliseconds of the exponential backoff
+ *           (defaults to DEFAULT_BATCH_BASE_DELAY_MS)
+ * @property {number|undefined} [maxDelayMs] - the optional maximum delay in milliseconds between retries (defaults to
+ *           DEFAULT_BATCH_MAX_DELAY_MS)
+ */
+
+/**
+ * @typedef {DynamoBatchRetryOpts|Object} DynamoBatchGetItemsOpts - the retry options and DynamoDB `batchGet` parameter
+ *           options (i.e. ReturnConsumedCapacity and the table's ConsistentRead, ProjectionExpression &
+ *           ExpressionAttributeNames) to use
+ */
+
+/**
+ * @typedef {DynamoBatchRetryOpts|Object} DynamoBatchWriteItemsOpts - the retry options and DynamoDB `batchWrite`
+ *           parameter options (i.e. ReturnConsumedCapacity & ReturnItemCollectionMetrics) to use
+ * @property {number|undefined} [maxItemSize] - an optional maximum item size in bytes above which to fail a put request
+ *           without sending it
+ */
+
+/**
+ * @typedef {Object} DynamoWriteRequest.<I,K> - a DynamoDB `batchWrite` put or delete request
+ * @property {{Item: I}|undefined} [PutRequest] - a request to put the given item
+ * @property {{Key: K}|undefined} [DeleteRequest] - a request to delete the item with the given key
+ * @template I,K
+ */
+
+/**
+ * @typedef {Object} DynamoBatchItemFailure.<T> - an item of a batch request that could NOT be processed
+ * @property {T} item - the key (of a `batchGetItems`) or write request (of a `batchWriteItems`) that was NOT processed
+ * @property {Error} error - the non-retryable error with which its request failed, or the last retryable error or a 429
+ *           `BatchItemsUnprocessed` error if it was still unprocessed after the maximum number of retries
+ * @template T
+ */
+
+/**
+ * @typedef {Object} DynamoBatchGetItemsResult.<I,K> - the collected result of `batchGetItems`
+ * @property {Array.<I|Object>} Items - the items found
+ * @property {Array.<DynamoBatchItemFailure.<K>>} failures - the keys that could NOT be processed (if any)
+ * @property {ConsumedCapacity|undefined} [ConsumedCapacity] - the total capacity units consumed (if requested)
+ * @template I,K
+ */
+
+/**
+ * @typedef {Object} DynamoBatchWriteItemsResult.<I,K> - the collected result of `batchWriteItems`
+ * @property {Array.<DynamoBatchItemFailure.<DynamoWriteRequest.<I,K>>>} failures - the write requests that could NOT
+ *           be processed (if any)
+ * @property {ConsumedCapacity|undefined} [ConsumedCapacity] - the total capacity units consumed (if requested)
+ * @template I,K
+ */
+
+/**
+ * @typedef {Object} DynamoTransactWriteItem - a DynamoDB `transactWrite` item with exactly one of the following
+ * @property {Object|undefined} [Put] - a put (with TableName, Item & optional ConditionExpression, etc.)
+ * @property {Object|undefined} [Update] - an update (with TableName, Key, UpdateExpression & optional ConditionExpression, etc.)
+ * @property {Object|undefined} [Delete] - a delete (with TableName, Key & optional ConditionExpression, etc.)
+ * @property {Object|undefined} [ConditionCheck] - a condition check (with TableName, Key & ConditionExpression, etc.)
+ */
+
+/**
+ * @typedef {Object} DynamoTransactGetItem - a DynamoDB `transactGet` item
+ * @property {Object} Get - a get (with TableName, Key & optional ProjectionExpression & ExpressionAttributeNames)
+ */
+
+/**
+ * @typedef {Object} DynamoTransactWriteOpts - a selection of DynamoDB `transactWrite` parameter options to use
+ * @property {string|undefined} [ClientRequestToken] - an optional idempotency token for the transaction
+ * @property {'NONE'|'INDEXES'|'TOTAL'|undefined} [ReturnConsumedCapacity] - the level of consumed capacity to return
+ * @property {'NONE'|'SIZE'|undefined} [ReturnItemCollectionMetrics] - whether to return item collection metrics or not
+ * @property {number|undefined} [maxItemSize] - an optional maximum item size in bytes above which to reject the
+ *           transaction without sending it, if any of its Put items exceeds it (NOT passed on to DynamoDB)
+ */
+
+/**
+ * @typedef {Object} DynamoTransactGetOpts - a selection of DynamoDB `transactGet` parameter options to use
+ * @property {'NONE'|'INDEXES'|'TOTAL'|undefined} [ReturnConsumedCapacity] - the level of consumed capacity to return
+ */
+
+/**
+ * @typedef {Object} DynamoTransactGetResult.<I> - a DynamoDB.DocumentClient `transactGet` result
+ * @property {Array.<{Item: (I|Object|undefined)}>} Responses - the response of each get item (in the same order)
+ * @property {Array.<ConsumedCapacity>|undefined} [ConsumedCapacity] - the capacity units consumed (if requested)
+ * @template I
+ */
+
+/**
+ * @typedef {Object} DynamoTransactItemResult - the decoded cancellation reason of an item of a cancelled transaction
+ * @property {number} index - the index of the item in the transaction
+ * @property {'Put'|'Update'|'Delete'|'ConditionCheck'|'Get'|undefined} operation - the item's operation (if known)
+ * @property {string|undefined} tableName - the name of the item's table (if known)
+ * @property {string} code - the cancellation reason code, e.g. 'None' (if the item did NOT cause the cancellation),
+ *           'ConditionalCheckFailed', 'TransactionConflict', 'ItemCollectionSizeLimitExceeded', 'ThrottlingError',
+ *           'ProvisionedThroughputExceeded' or 'ValidationError'
+ * @property {boolean} failed - whether the item caused the cancellation or not (i.e. whether its code is NOT 'None')
+ * @property {string|undefined} [message] - the cancellation reason message (if any)
+ * @property {Object|undefined} [item] - the item's existing attributes (if any and if requested via
+ *           `ReturnValuesOnConditionCheckFailure`) in DynamoDB AttributeValue format
+ */
+
+/**
+ * @typedef {Object} DynamoVersioningOpts - options that control the versioning of `putVersionedItem` & `updateVersionedItem`
+ * @property {string|undefined} [versionAttribute] - the optional name of the version attribute (defaults to
+ *           DEFAULT_VERSION_ATTRIBUTE)
+ * @property {function(currentItem: (Object|undefined), attempted: (Object|UpdateAction[]), context: StandardContext): (Object|UpdateAction[]|undefined|Promise.<Object|UpdateAction[]|undefined>)|undefined} [onConflict]
+ *           - an optional callback to invoke to resolve a version conflict, which must return (or resolve to) the merged
+ *           item to put (or the update actions to apply) instead or undefined to give up
+ * @property {number|undefined} [maxConflictRetries] - the optional maximum number of times to retry after resolving a
+ *           version conflict (defaults to DEFAULT_MAX_CONFLICT_RETRIES)
+ */
+
+/**
+ * @typedef {DynamoVersioningOpts|Object} DynamoVersionedPutOpts - the versioning options and DynamoDB `put` parameter
+ *           options (e.g. an extra ConditionExpression, ExpressionAttributeNames & ExpressionAttributeValues) to use
+ * @property {number|undefined} [maxItemSize] - an optional maximum item size in bytes above which to reject the item
+ *           (with its new version) without putting it
+ */
+
+/**
+ * @typedef {DynamoVersioningOpts|Object} DynamoVersionedUpdateOpts - the versioning options and DynamoDB `update`
+ *           parameter options (e.g. ReturnValues or an extra ConditionExpression, ExpressionAttributeNames &
+ *           ExpressionAttributeValues) to use
+ */
+
+/**
+ * @typedef {Object} DynamoVersionedWriteResult.<I> - the result of a versioned put or update
+ * @property {I|Object|undefined} Item - the item put (or the attributes returned by the update, if any)
+ * @property {number} version - the new version of the item
+ * @property {Object} result - the DynamoDB `put` or `update` result
+ * @template I
+ */
+
+/**
+ * @typedef {Object} EntityDefinition - the definition of an entity type stored in a single-table DynamoDB design
+ * @property {string} name - the name of the entity type, which is stored in each of its items' type attribute
+ * @property {string} tableName - the name of the table in which the entity type's items are stored
+ * @property {string|undefined} [typeAttribute] - the optional name of the attribute in which to store the name of the
+ *           entity type (defaults to DEFAULT_TYPE_ATTRIBUTE)
+ * @property {string|undefined} [versionAttribute] - the optional name of the version attribute to use to put items with
+ *           optimistic locking (if any)
+ * @property {EntityKeySchema} keys - the primary key of the entity type
+ * @property {Object.<string, EntityKeySchema>|undefined} [indexes] - the optional keys of the entity type's global or
+ *           local secondary indexes by index name
+ * @property {Object.<string, (EntityAttributeDefinition|'string'|'number'|'boolean'|'date'|'epochMillis')>|undefined} [attributes]
+ *           - the optional attribute definitions (or type names) of properties to be renamed and/or coerced by property name
+ */
+
+/**
+ * @typedef {Object} EntityKeySchema - the partition key and optional sort key of a table or index of an entity type
+ * @property {EntityKeyDefinition} partitionKey - the partition key
+ * @property {EntityKeyDefinition|undefined} [sortKey] - the optional sort key
+ */
+
+/**
+ * @typedef {Object} EntityKeyDefinition - the definition of a composite key attribute
+ * @property {string} name - the name of the key attribute
+ * @property {string} template - the template from which to render the key attribute's value, which may contain
+ *           `{property}` placeholders to be replaced with the values of the entity's properties (e.g. `ORDER#{orderId}`)
+ */
+
+/**
+ * @typedef {Object} EntityAttributeDefinition - the definition of how to store a property of an entity
+ * @property {string|undefined} [name] - the optional name of the attribute in which to store the property (defaults to
+ *           the property's name)
+ * @property {'string'|'number'|'boolean'|'date'|'epochMillis'|undefined} [type] - the optional type to which to coerce
+ *           the property's value, where `date` values are stored as ISO-8601 strings and `epochMillis` values are stored
+ *           as numbers of milliseconds since the epoch (and both are loaded as Dates)
+ * @property {function(value: *): *|undefined} [toStored] - an optional custom function to convert the property's value
+ *           into its stored form
+ * @property {function(value: *): *|undefined} [fromStored] - an optional custom function to convert the property's
+ *           stored value back into its value
+ */
+
+/**
+ * @typedef {Object} EntityType - an entity type defined by `defineEntity`
+ * @property {string} name - the name of the entity type
+ * @property {string} tableName - the name of the entity type's table
+ * @property {string} typeAttribute - the name of the attribute in which the entity type's name is stored
+ * @property {string|undefined} versionAttribute - the name of the version attribute (if any)
+ * @property {function(keyValues: Object): Object} toKey - renders the primary key of the entity with the given key values
+ * @property {function(entity: Object): Object} toItem - maps an entity to a storable item
+ * @property {function(item: (Object|undefined)): (Object|undefined)} fromItem - maps an item back into an entity
+ * @property {function(item: (Object|undefined)): boolean} isEntityItem - returns true if the item is of this entity type
+ * @property {function(keyValues: Object): Object} toGetParams - returns the `get` parameters for the given key values
+ * @property {function(entity: Object): Object} toPutParams - returns the `put` parameters for the given entity
+ * @property {function(keyValues: Object, indexName: (string|undefined), opts: (DynamoQueryOpts|Object|undefined)): Object} toQueryParams
+ *           - returns the `query` parameters for the given key values and optional index
+ * @property {function(keyValues: Object, opts: (DynamoGetOpts|undefined), desc: string, context: StandardContext): Promise.<(Object|undefined)>} get
+ *           - gets the entity with the given key values
+ * @property {function(entity: Object, opts: (DynamoPutOpts|DynamoVersionedPutOpts|undefined), desc: string, context: StandardContext): Promise.<Object>} put
+ *           - puts the given entity
+ * @property {function(keyValues: Object, opts: (DynamoQueryItemsOpts|Object|undefined), desc: string, context: StandardContext): Promise.<DynamoItemsResult>} query
+ *           - queries for ALL of the entities with the given key values
+ */
+
 /**
  * @typedef {Object} UnprocessedKeysMap.<K> - A map of tables and their respective keys that were not processed with the current response. The UnprocessedKeys value is in the same form as RequestItems, so the value can be provided directly to a subsequent BatchGetItem operation.
  * @property {Array.<K|Object>} Keys - An array of primary key attribute values that define specific items in the table
@@ -583,6 +1117,17 @@
  *          optional DynamoDB DocumentClient instance and OPTIONALLY also with the current region, the resolved stage
  *          and the AWS context
  * @property {HandlerSettings|HandlerOptions|undefined} [handler] - a map of configured handler properties
+ * @property {RouteInfo|undefined} [route] - the route that matched the current request (ONLY set when routing requests
+ *           via `api-routes.generateRouterFunction` or by passing routes to `api-lambdas.generateHandlerFunction`)
+ * @property {Object.<string, string>|undefined} [pathParameters] - the path parameters parsed from the current
+ *           request's path by the matching route (ONLY set when routing requests)
+ * @property {ApiRequest|undefined} [request] - the validated, type-coerced request (ONLY set when routing requests or
+ *           when request schemas are configured)
+ * @property {CancellationToken|undefined} [cancellationToken] - a cancellation token that will be cancelled if the
+ *           handler invocation times out (see `timeouts.startTimeoutGuard`)
+ * @property {number[]|undefined} [impliedHttpStatusCodes] - additional HTTP status codes that are allowed to pass
+ *           through to API Gateway for the current request, unless `handler.allowedHttpStatusCodes` is configured (see
+ *           `api-responses.allowHttpStatusCode`)
  */
 
 /**
@@ -619,6 +1164,26 @@
  *           CANNOT be excluded and are assumed to be present if omitted! If not defined, the app-errors module's list
  *           of supported HTTP status codes will be used as the allowed HTTP status codes (ONLY applicable for API
  *           Gateway exposed Lambdas)
+ * @property {RequestSchemas|undefined} [requestSchemas] - optional declarative schemas against which to validate each
+ *           request's path parameters, query string parameters, headers and JSON body BEFORE your function is executed
+ *           (ONLY applicable for API Gateway exposed Lambdas)
+ * @property {JsonSchema|undefined} [responseSchema] - an optional declarative schema against which to validate each
+ *           response body (ONLY in the `responseSchemaStages` & ONLY applicable for API Gateway exposed Lambdas)
+ * @property {string[]|undefined} [responseSchemaStages] - the stages in which responses must be validated against the
+ *           configured response schemas (defaults to ['dev'])
+ * @property {Object.<string, Serializer>|undefined} [serializers] - an optional map of media types to custom serializers
+ *           to use (in addition to, or instead of, the default JSON, CSV & NDJSON serializers) when negotiating the
+ *           content type of a Lambda Proxy response (ONLY applicable for API Gateway exposed Lambdas)
+ * @property {number|undefined} [compressionThreshold] - an optional minimum body size in bytes at which to gzip or
+ *           deflate compress Lambda Proxy response bodies when the request's `Accept-Encoding` header allows it (if
+ *           undefined, responses are never compressed) (ONLY applicable for API Gateway exposed Lambdas)
+ * @property {number|undefined} [timeoutMarginInMillis] - an optional safety margin in milliseconds before the Lambda
+ *           would time out, at which to instead fail the handler invocation with a 504 `LambdaTimeout` error (if
+ *           undefined, handler invocations are NOT guarded against Lambda timeouts)
+ * @property {number|undefined} [batchConcurrency] - the maximum number of batch event records to process concurrently
+ *           in batch mode (defaults to 1, i.e. in order) (ONLY applicable for "other" Lambdas)
+ * @property {IdempotencySettings|undefined} [idempotency] - optional settings with which to execute the main function
+ *           idempotently (see `idempotency` module) (ONLY applicable for "other" Lambdas)
  */
 
 /**
@@ -633,6 +1198,8 @@
  *           `handler` to run any needed shutdown logic immediately before succeeding the Lambda callback
  * @property {PreFailureCallback|undefined} [preFailureCallback] - an optional function to be used by an AWS Lambda
  *           `handler` to run any needed shutdown logic immediately before failing the Lambda callback
+ * @property {Middleware[]|undefined} [middlewares] - an optional ordered list of middlewares to be executed around the
+ *           main function by an AWS Lambda `handler` (see `middlewares` module)
  */
 
 /**
@@ -654,4 +1221,246 @@
 /**
  * @typedef {function(error: AppError, errorResponse: Object, event: AWSEvent, context: StandardHandlerContext)} PreFailureCallback -
  *          a function to use to run any needed shutdown logic immediately before failing the Lambda callback
+ */
+
+/**
+ * @typedef {function(record: AnyStreamEventRecord|Object, event: AnyStreamEvent|Object, context: StandardHandlerContext): (Promise.<*>|*)} BatchRecordFunction -
+ *          a function to use to process a single record of an SQS, Kinesis or DynamoDB stream batch event
+ */
+
+/**
+ * @typedef {Object} BatchResponse - a partial batch response listing the records of a batch event that failed
+ * @property {BatchItemFailure[]} batchItemFailures - the failed records' item identifiers
+ */
+
+/**
+ * @typedef {Object} BatchItemFailure - identifies a record of a batch event that failed
+ * @property {string} itemIdentifier - the sequence number of the failed Kinesis or DynamoDB stream record or the
+ *           message id of the failed SQS record
+ */
+
+/**
+ * @typedef {Object} RecordGroup - a group of the records of a batch event that share the same shard or partition key
+ * @property {string} key - the shard or partition key shared by the group's records
+ * @property {Array.<AnyStreamEventRecord|SQSEventRecord>} records - the group's records (in their original order)
+ */
+
+/**
+ * @typedef {Object} OrderingAnomalies - the duplicate & out-of-order records found within the shards of a batch event
+ * @property {OrderingAnomaly[]} duplicates - the records whose sequence numbers equal those of earlier records
+ * @property {OrderingAnomaly[]} outOfOrder - the records whose sequence numbers are lower than those of earlier records
+ */
+
+/**
+ * @typedef {Object} OrderingAnomaly - a duplicate or out-of-order record of a batch event
+ * @property {number} index - the index of the record within the batch
+ * @property {AnyStreamEventRecord|SQSEventRecord} record - the record
+ * @property {string} shardKey - the key of the record's shard
+ * @property {string} sequenceNumber - the record's sequence number
+ * @property {string|undefined} [precededBy] - the highest sequence number of the shard's earlier records (ONLY for
+ *           out-of-order records)
+ */
+
+/**
+ * @typedef {Object} ShardCheckpoint - the checkpoint of a shard of a batch event
+ * @property {string} shardKey - the key of the shard
+ * @property {string|undefined} checkpoint - the highest sequence number up to which ALL of the shard's records were
+ *           successfully processed (or undefined if the shard's first record failed)
+ * @property {string|undefined} firstFailedSequenceNumber - the lowest sequence number of the shard's failed records
+ *           (or undefined if none failed)
+ * @property {number} processedCount - the number of the shard's records up to & including the checkpoint
+ * @property {number} totalCount - the total number of the shard's records
+ * @property {Array.<AnyStreamEventRecord|SQSEventRecord>} unprocessedRecords - the shard's records from the lowest
+ *           failed record onwards (in sequence number order)
+ */
+
+/**
+ * @typedef {Object} IdempotencySettings - settings to use to execute a Lambda's main function idempotently
+ * @property {string} tableName - the name of the DynamoDB table in which to record the state of each invocation
+ * @property {string|undefined} [keyAttributeName] - the name of the table's string partition key (defaults to 'id')
+ * @property {string|undefined} [keyPath] - an optional JMESPath-like path (e.g. 'detail.orderId') to the event's
+ *           idempotency key or 'awsRequestId' (the default) to use the invocation's AWS request id
+ * @property {function(event: AWSEvent, context: StandardHandlerContext): (string|undefined)|undefined} [keyExtractor] -
+ *           an optional function to use to extract the event's idempotency key (instead of using the `keyPath`)
+ * @property {number|undefined} [ttlInSeconds] - the number of seconds for which to keep completed records and hence
+ *           return their stored results to duplicate invocations (defaults to 3600)
+ * @property {number|undefined} [inProgressTtlInSeconds] - the number of seconds after which an in-progress record is
+ *           considered abandoned (defaults to the Lambda's remaining time)
+ */
+
+/**
+ * @typedef {Object} Middleware - a middleware to be executed around the main function of an AWS Lambda `handler`
+ * @property {string|undefined} [name] - an optional name for the middleware
+ * @property {function(event: AWSEvent, context: StandardHandlerContext): (StandardHandlerContext|Promise.<StandardHandlerContext>|undefined)|undefined} [before] -
+ *           an optional function to execute BEFORE the main function, which can return a replacement context and whose
+ *           failure fails the handler invocation
+ * @property {function(response: Object, event: AWSEvent, context: StandardHandlerContext): (Object|Promise.<Object>|undefined)|undefined} [after] -
+ *           an optional function to execute immediately before succeeding the Lambda callback, which can return a
+ *           replacement response
+ * @property {function(error: AppError, errorResponse: Object, event: AWSEvent, context: StandardHandlerContext)|undefined} [onError] -
+ *           an optional function to execute immediately before failing the Lambda callback
+ */
+
+/**
+ * @typedef {AWSEvent} ApiEvent - represents an AWS API Gateway Lambda Proxy integration request event (i.e. a REST API
+ *          payload format 1.0 event, an HTTP API payload format 2.0 event or an ALB target event)
+ * @property {string|undefined} [version] - the payload format version (e.g. '2.0' for an HTTP API event)
+ * @property {string} resource - the API Gateway resource (i.e. path template) of the request, e.g. '/orders/{orderId}'
+ * @property {string|undefined} [routeKey] - the route key of an HTTP API request, e.g. 'GET /orders/{orderId}'
+ * @property {string} path - the path of the request, e.g. '/orders/123'
+ * @property {string|undefined} [rawPath] - the raw path of an HTTP API request, e.g. '/orders/123'
+ * @property {string} httpMethod - the HTTP method of the request, e.g. 'GET'
+ * @property {string[]|undefined} [cookies] - the cookies of an HTTP API request, e.g. ['session=abc']
+ * @property {Object.<string, string>|null} headers - the request headers
+ * @property {Object.<string, string[]>|undefined} [multiValueHeaders] - the multi-value request headers
+ * @property {Object.<string, string[]>|undefined} [multiValueQueryStringParameters] - the multi-value query string
+ *           parameters of the request
+ * @property {Object.<string, string>|null} queryStringParameters - the query string parameters of the request
+ * @property {Object.<string, string>|null} pathParameters - the path parameters of the request
+ * @property {Object.<string, string>|null} stageVariables - the stage variables of the API Gateway stage
+ * @property {Object} requestContext - the request context
+ * @property {string|null} body - the request body
+ * @property {boolean|undefined} [isBase64Encoded] - whether the request body is base 64 encoded or not
+ */
+
+/**
+ * @typedef {Object} Route - a route to a function that must handle any API request with a matching HTTP method & path
+ * @property {string} method - the HTTP method handled by the route (or 'ANY' to handle any method)
+ * @property {string} path - the path template of the route, e.g. '/orders/{orderId}' or greedy '/files/{path+}'
+ * @property {function(event: ApiEvent, context: StandardHandlerContext)} fn - the function to handle the request
+ * @property {RequestSchemas|undefined} [requestSchemas] - optional request schemas to use for this route's requests
+ *           instead of the configured `handler.requestSchemas`
+ * @property {JsonSchema|undefined} [responseSchema] - an optional response schema to use for this route's responses
+ *           instead of the configured `handler.responseSchema`
+ */
+
+/**
+ * @typedef {Route[]|Object.<string, function(event: ApiEvent, context: StandardHandlerContext)>} Routes - either a list
+ *          of routes or a map of route keys (each consisting of an HTTP method and a path template separated by a space,
+ *          e.g. 'GET /orders/{orderId}') to the functions that must handle their requests
+ */
+
+/**
+ * @typedef {Route} CompiledRoute - a route with its path template compiled into a regular expression
+ * @property {RegExp} regex - the regular expression compiled from the route's path template
+ * @property {string[]} paramNames - the names of the route's path parameters in order of appearance
+ * @property {string} template - the route's path template without its parameter names (e.g. '/orders/{}')
+ */
+
+/**
+ * @typedef {Object} RouteMatch - the result of matching a request against a list of compiled routes
+ * @property {CompiledRoute|undefined} route - the matching route (if any) or undefined if only the path matched
+ * @property {Object.<string, string>} pathParameters - the path parameters parsed from the request's path
+ * @property {string[]} allowedMethods - the HTTP methods of the routes whose path templates matched the request's path
+ */
+
+/**
+ * @typedef {Object} RouteInfo - information about the route that matched the current request
+ * @property {string} method - the HTTP method of the matching route (or 'ANY')
+ * @property {string} path - the path template of the matching route
+ * @property {Object.<string, string>} pathParameters - the path parameters parsed from the request's path
+ * @property {JsonSchema|undefined} [responseSchema] - the matching route's response schema (if any)
+ */
+
+/**
+ * @typedef {Object} JsonSchema - a JSON Schema (subset) - see `json-schemas` module for the supported keywords
+ * @property {string|string[]|undefined} [type] - the allowed type(s): 'string', 'number', 'integer', 'boolean', 'object',
+ *           'array' and/or 'null'
+ * @property {Object.<string, JsonSchema>|undefined} [properties] - the schemas of an object's properties
+ * @property {string[]|undefined} [required] - the names of an object's required properties
+ * @property {boolean|JsonSchema|undefined} [additionalProperties] - whether an object may have other properties or a
+ *           schema for them
+ * @property {JsonSchema|undefined} [items] - the schema of an array's items
+ * @property {Array.<*>|undefined} [enum] - the allowed values
+ * @property {*} [default] - a default value to use for a missing object property
+ */
+
+/**
+ * @typedef {Object} JsonSchemaValidateOpts - options to use when validating a value against a JSON Schema
+ * @property {boolean|undefined} [coerce] - whether to coerce string values to the declared types or not
+ * @property {string|undefined} [path] - an optional path prefix to use in the paths of any violations
+ */
+
+/**
+ * @typedef {Object} JsonSchemaValidationResult - the result of validating a value against a JSON Schema
+ * @property {*} value - the validated (and optionally coerced) value
+ * @property {JsonSchemaViolation[]} errors - every violation found (if any)
+ */
+
+/**
+ * @typedef {Object} JsonSchemaViolation - a violation of a JSON Schema
+ * @property {string|undefined} [location] - the part of the request or response in which the violation was found (i.e.
+ *           'pathParameters', 'queryStringParameters', 'headers' or 'body') (ONLY for request & response violations)
+ * @property {string} path - the path to the invalid value (or an empty string for the value itself)
+ * @property {string} keyword - the JSON Schema keyword that was violated
+ * @property {string} message - a description of the violation
+ */
+
+/**
+ * @typedef {Object} RequestSchemas - declarative schemas against which to validate an API request
+ * @property {JsonSchema|undefined} [pathParameters] - an optional schema for the path parameters
+ * @property {JsonSchema|undefined} [queryStringParameters] - an optional schema for the query string parameters
+ * @property {JsonSchema|undefined} [headers] - an optional schema for the headers (with case-insensitive names)
+ * @property {JsonSchema|undefined} [body] - an optional schema for the JSON body
+ */
+
+/**
+ * @typedef {Object} ApiRequest - a normalized view of an API request with its validated, type-coerced inputs
+ * @property {EventFormat} format - the format of the request event, i.e. 'REST_API', 'HTTP_API' or 'ALB'
+ * @property {string} method - the upper-case HTTP method of the request
+ * @property {string} path - the path of the request
+ * @property {string} resource - the API Gateway resource (i.e. path template) of the request (if any)
+ * @property {Object} pathParameters - the path parameters
+ * @property {Object} queryStringParameters - the query string parameters
+ * @property {Object} headers - the headers (with lower-cased names)
+ * @property {Object.<string, string>} cookies - the request's cookies by name
+ * @property {string|undefined} sourceIp - the source IP address of the request (if available)
+ * @property {*} body - the parsed body (if a body schema was configured) or else the raw body
+ * @property {boolean} isBase64Encoded - whether the raw body is base 64 encoded or not
+ */
+
+/**
+ * @typedef {function(body: *, event: AWSEvent, context: StandardHandlerContext): (string|undefined)} Serializer - a
+ *          function that serializes a response body into a specific media type or returns undefined if it cannot
+ *          represent the given body in its media type
+ */
+
+/**
+ * @typedef {Object} MediaRange - a media range parsed from an `Accept` header
+ * @property {string} type - the lower-case media range, e.g. 'text/csv', 'text/*' or '*' + '/' + '*'
+ * @property {number} q - the quality (i.e. relative preference) of the media range
+ * @property {number} specificity - 2 for a specific media type, 1 for a sub-type wildcard or 0 for any media type
+ * @property {number} index - the position of the media range in the `Accept` header
+ */
+
+/**
+ * @typedef {Object} LambdaProxyResponse - a Lambda Proxy integration response
+ * @property {number|string} statusCode - the HTTP status code
+ * @property {Object|undefined} [headers] - the response headers (if any)
+ * @property {string|undefined} [body] - the response body (base 64 encoded if `isBase64Encoded` is true)
+ * @property {boolean|undefined} [isBase64Encoded] - whether the response body is base 64 encoded or not
+ * @property {string|undefined} [statusDescription] - the HTTP status description (ONLY for ALB responses)
+ * @property {Object.<string, string[]>|undefined} [multiValueHeaders] - the multi-value response headers (if any)
+ * @property {string[]|undefined} [cookies] - the `Set-Cookie` header values (ONLY for HTTP API responses)
+ */
+
+/**
+ * @typedef {Object} CancellationToken - an AbortSignal-like token that signals the cancellation of in-flight work
+ * @property {boolean} aborted - whether the token has been cancelled or not
+ * @property {*} reason - the reason for the cancellation (if cancelled)
+ * @property {function(event: Object)|undefined} [onabort] - an optional function to invoke on cancellation
+ * @property {function(type: string, listener: function(event: Object))} addEventListener - adds an 'abort' listener
+ * @property {function(type: string, listener: function(event: Object))} removeEventListener - removes an 'abort' listener
+ * @property {function()} throwIfAborted - throws the token's reason if the token has been cancelled
+ * @property {function(reason: *): boolean} cancel - cancels the token (if not already cancelled) with the given reason
+ *           and returns true if cancelled by this call; otherwise false
+ */
+
+/**
+ * @typedef {Object} TimeoutGuard - a guard against a hard Lambda timeout
+ * @property {CancellationToken} token - the cancellation token that will be cancelled if the guard times out
+ * @property {function(promise: Promise.<T>): Promise.<T>} race - races the given promise against the guard's timeout
+ *           and stops the guard when either settles
+ * @property {function()} stop - stops the guard's timer (if armed)
+ * @template T
  */
\ No newline at end of file